@@ -0,0 +1,103 @@
+/**
+ * AudioAnalyzer - 导入音频的节拍分析
+ * 在 Worker 中估计速度、第一个强拍与瞬态位置，按 AudioBuffer 缓存结果
+ */
+import { detectBeats } from '../utils/beatDetection.js';
+
+export class AudioAnalyzer {
+    constructor() {
+        // AudioBuffer -> 分析结果
+        this.results = new WeakMap();
+        // AudioBuffer -> 进行中的分析
+        this.pending = new WeakMap();
+
+        this.worker = null;
+        this.requests = new Map();
+        this.requestCounter = 0;
+    }
+
+    /**
+     * 获取 Worker（首次调用时创建），不支持 Worker 时返回 null
+     * @returns {Worker|null}
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (typeof Worker === 'undefined') return null;
+
+        this.worker = new Worker(new URL('./workers/analysis-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => {
+            const { id, analysis } = e.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            request.resolve(analysis);
+        };
+        this.worker.onerror = (e) => {
+            const error = new Error(`Analysis worker failed: ${e.message}`);
+            this.requests.forEach(request => request.reject(error));
+            this.requests.clear();
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * 获取已完成的分析结果
+     * @param {AudioBuffer} audioBuffer - 音频数据
+     * @returns {Object|null}
+     */
+    get(audioBuffer) {
+        return this.results.get(audioBuffer) || null;
+    }
+
+    /**
+     * 分析音频（同一 AudioBuffer 只分析一次）
+     * @param {AudioBuffer} audioBuffer - 音频数据
+     * @returns {Promise<{ bpm: number|null, confidence: number, downbeat: number|null, transients: number[] }>}
+     * 速度（BPM）、置信度 (0-1)、第一个强拍与瞬态的时间（秒，音频内部时间）
+     */
+    analyze(audioBuffer) {
+        const cached = this.results.get(audioBuffer);
+        if (cached) return Promise.resolve(cached);
+
+        const pending = this.pending.get(audioBuffer);
+        if (pending) return pending;
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+        const sampleRate = audioBuffer.sampleRate;
+
+        const worker = this.getWorker();
+        let promise;
+
+        if (worker) {
+            // 复制采样后转移给 Worker，原 AudioBuffer 仍可用于播放
+            const copies = channels.map(data => data.slice());
+            const id = ++this.requestCounter;
+            promise = new Promise((resolve, reject) => {
+                this.requests.set(id, { resolve, reject });
+                worker.postMessage({ id, channels: copies, sampleRate }, copies.map(data => data.buffer));
+            });
+        } else {
+            promise = Promise.resolve(detectBeats(channels, sampleRate));
+        }
+
+        promise = promise.then(analysis => {
+            this.results.set(audioBuffer, analysis);
+            this.pending.delete(audioBuffer);
+            console.log(`🥁 节拍分析完成: ${analysis.bpm ? `${analysis.bpm} BPM` : '未检测到节拍'}，${analysis.transients.length} 个瞬态`);
+            return analysis;
+        }, error => {
+            this.pending.delete(audioBuffer);
+            throw error;
+        });
+
+        this.pending.set(audioBuffer, promise);
+        return promise;
+    }
+}
+
+// 创建单例实例
+export const audioAnalyzer = new AudioAnalyzer();
@@ -2,9 +2,80 @@
  * AudioClip - 音频片段类
  * 代表时间线上的一个音频片段
  */
+import { dbToLinear } from '../utils/helpers.js';
+import { peakCache } from './PeakCache.js';
+import { stretchCache } from './StretchCache.js';
 
 let clipCounter = 0;
 
+// 片段最短时长（秒）
+const MIN_CLIP_DURATION = 0.1;
+
+// 片段增益范围（dB），低于下限视为静音
+export const CLIP_GAIN_MIN_DB = -48;
+export const CLIP_GAIN_MAX_DB = 12;
+
+// 播放速率范围（相对原始音频的速度倍数）
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 4;
+
+// 移调范围（半音）
+export const MAX_TRANSPOSE = 24;
+
+// 淡入淡出曲线形状
+export const FADE_CURVES = [
+    { value: 'linear', label: '线性' },
+    { value: 'equal-power', label: '等功率' },
+    { value: 'exponential', label: '指数' },
+    { value: 's-curve', label: 'S 曲线' }
+];
+
+/**
+ * 计算淡入曲线在进度 x 处的增益；淡出以 1 - x 求值，与淡入对称
+ * @param {string} curve - 曲线形状
+ * @param {number} x - 进度 (0-1)
+ * @returns {number} 增益 (0-1)
+ */
+export function getFadeGain(curve, x) {
+    switch (curve) {
+        case 'equal-power':
+            return Math.sin(x * Math.PI / 2);
+        case 'exponential':
+            return x * x;
+        case 's-curve':
+            return (1 - Math.cos(x * Math.PI)) / 2;
+        default:
+            return x;
+    }
+}
+
+/**
+ * 限制播放速率范围
+ * @param {number} rate - 播放速率
+ * @returns {number}
+ */
+function clampPlaybackRate(rate) {
+    return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+}
+
+/**
+ * 限制移调范围并取整
+ * @param {number} semitones - 半音数
+ * @returns {number}
+ */
+function clampTranspose(semitones) {
+    return Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, Math.round(semitones)));
+}
+
+/**
+ * 校验曲线形状，无效时回退为线性
+ * @param {string} curve - 曲线形状
+ * @returns {string}
+ */
+function normalizeFadeCurve(curve) {
+    return FADE_CURVES.some(c => c.value === curve) ? curve : 'linear';
+}
+
 export class AudioClip {
     /**
      * @param {Object} options - 片段配置
@@ -13,9 +84,22 @@ export class AudioClip {
      * @param {number} [options.startTime] - 在时间线上的起始位置（秒）
      * @param {number} [options.offset] - 音频内部偏移（秒）
      * @param {number} [options.duration] - 持续时间（秒）
+     * @param {number} [options.gain] - 片段增益
+     * @param {number} [options.fadeIn] - 淡入时长（秒）
+     * @param {number} [options.fadeOut] - 淡出时长（秒）
+     * @param {string} [options.fadeInCurve] - 淡入曲线形状
+     * @param {string} [options.fadeOutCurve] - 淡出曲线形状
+     * @param {number} [options.playbackRate] - 播放速率（时间伸缩，不改变音高）
+     * @param {number} [options.pitch] - 移调半音数（不改变时长）
+     * @param {number} [options.originalBpm] - 音频的原始速度（BPM）
+     * @param {boolean} [options.tempoLock] - 是否按原始速度跟随工程速度伸缩
+     * @param {number[]} [options.transients] - 检测到的瞬态（秒，原始音频时间）
+     * @param {number} [options.downbeat] - 检测到的第一个强拍（秒，原始音频时间）
+     * @param {string} [options.id] - 片段 ID（从工程恢复时使用）
      */
     constructor(options = {}) {
-        this.id = `clip_${Date.now()}_${++clipCounter}`;
+        ++clipCounter;
+        this.id = options.id || `clip_${Date.now()}_${clipCounter}`;
         this.name = options.name || 'Audio Clip';
         this.audioBuffer = options.audioBuffer;
         this.trackId = null;
@@ -28,6 +112,23 @@ export class AudioClip {
         // 增益参数
         this.gain = typeof options.gain === 'number' ? options.gain : 1.0;
 
+        // 淡入淡出
+        this.fadeIn = options.fadeIn || 0;
+        this.fadeOut = options.fadeOut || 0;
+        this.fadeInCurve = normalizeFadeCurve(options.fadeInCurve);
+        this.fadeOutCurve = normalizeFadeCurve(options.fadeOutCurve);
+        this.clampFades();
+
+        // 时间伸缩与移调；offset / duration / 淡入淡出均为伸缩后的时间线时间
+        this.playbackRate = typeof options.playbackRate === 'number' ? clampPlaybackRate(options.playbackRate) : 1;
+        this.pitch = clampTranspose(options.pitch || 0);
+        this.originalBpm = options.originalBpm || null;
+        this.tempoLock = Boolean(options.tempoLock && this.originalBpm);
+
+        // 节拍分析结果（原始音频时间，切分后的片段共享）
+        this.transients = options.transients || [];
+        this.downbeat = typeof options.downbeat === 'number' ? options.downbeat : null;
+
         // 波形数据缓存
         this.waveformData = null;
 
@@ -36,11 +137,125 @@ export class AudioClip {
     }
 
     /**
-     * 获取原始音频时长
+     * 获取原始音频按当前播放速率伸缩后的时长
      * @returns {number}
      */
     getOriginalDuration() {
-        return this.audioBuffer ? this.audioBuffer.duration : 0;
+        return this.audioBuffer ? this.audioBuffer.duration / this.playbackRate : 0;
+    }
+
+    /**
+     * 是否需要伸缩或移调处理
+     * @returns {boolean}
+     */
+    isStretched() {
+        return this.playbackRate !== 1 || this.pitch !== 0;
+    }
+
+    /**
+     * 设置播放速率：片段内容保持不变，时长、偏移与淡入淡出按比例缩放
+     * @param {number} rate - 播放速率（大于 1 变快变短）
+     */
+    setPlaybackRate(rate) {
+        const newRate = clampPlaybackRate(rate);
+        const scale = this.playbackRate / newRate;
+        if (scale === 1) return;
+
+        this.playbackRate = newRate;
+        this.offset *= scale;
+        this.duration *= scale;
+        this.fadeIn *= scale;
+        this.fadeOut *= scale;
+        this.clampFades();
+        this.waveformData = null;
+    }
+
+    /**
+     * 设置移调
+     * @param {number} semitones - 半音数（-24 到 +24）
+     */
+    setPitch(semitones) {
+        this.pitch = clampTranspose(semitones);
+    }
+
+    /**
+     * 设置音频的原始速度，无效值清除原始速度并取消速度跟随
+     * @param {number|null} bpm - 每分钟节拍数
+     */
+    setOriginalBpm(bpm) {
+        this.originalBpm = Number.isFinite(bpm) && bpm > 0 ? bpm : null;
+        if (!this.originalBpm) {
+            this.tempoLock = false;
+        }
+    }
+
+    /**
+     * 获取时间伸缩设置
+     * @returns {{ playbackRate: number, pitch: number, originalBpm: number|null, tempoLock: boolean }}
+     */
+    getStretch() {
+        return {
+            playbackRate: this.playbackRate,
+            pitch: this.pitch,
+            originalBpm: this.originalBpm,
+            tempoLock: this.tempoLock
+        };
+    }
+
+    /**
+     * 恢复时间伸缩设置
+     * @param {Object} stretch - getStretch() 的输出
+     */
+    setStretch(stretch) {
+        this.setOriginalBpm(stretch.originalBpm);
+        this.tempoLock = Boolean(stretch.tempoLock && this.originalBpm);
+        this.setPitch(stretch.pitch);
+        this.setPlaybackRate(stretch.playbackRate);
+    }
+
+    /**
+     * 保存节拍分析结果
+     * @param {Object} analysis - AudioAnalyzer.analyze() 的结果
+     */
+    setAnalysis(analysis) {
+        this.transients = analysis.transients;
+        this.downbeat = analysis.downbeat;
+    }
+
+    /**
+     * 获取落在片段范围内的瞬态与强拍（相对片段起点的时间线时间）
+     * @returns {{ transients: number[], downbeat: number|null }}
+     */
+    getBeatMarkers() {
+        const toClipTime = (time) => time / this.playbackRate - this.offset;
+        const inRange = (time) => time >= 0 && time <= this.duration;
+
+        const downbeat = this.downbeat === null ? null : toClipTime(this.downbeat);
+        return {
+            transients: this.transients.map(toClipTime).filter(inRange),
+            downbeat: downbeat !== null && inRange(downbeat) ? downbeat : null
+        };
+    }
+
+    /**
+     * 获取用于播放的音频：伸缩结果已渲染时直接播放，否则临时以变速方式播放原始音频
+     * @returns {{ buffer: AudioBuffer, rate: number }} 音频与 AudioBufferSourceNode 的播放速率
+     */
+    getPlaybackSource() {
+        if (this.isStretched()) {
+            const rendered = stretchCache.get(this.audioBuffer, 1 / this.playbackRate, this.pitch);
+            if (rendered) return { buffer: rendered, rate: 1 };
+        }
+        return { buffer: this.audioBuffer, rate: this.playbackRate };
+    }
+
+    /**
+     * 渲染伸缩/变调后的音频（结果缓存，相同设置的片段共享）
+     * @returns {Promise<AudioBuffer|null>} 无需处理时为 null
+     */
+    renderStretch() {
+        if (!this.audioBuffer || !this.isStretched()) return Promise.resolve(null);
+        return stretchCache.request(this.audioBuffer, 1 / this.playbackRate, this.pitch);
     }
 
     /**
@@ -65,47 +280,151 @@ export class AudioClip {
      */
     setDuration(duration) {
         const maxDuration = this.getOriginalDuration() - this.offset;
-        this.duration = Math.max(0.1, Math.min(maxDuration, duration));
+        this.duration = Math.max(MIN_CLIP_DURATION, Math.min(maxDuration, duration));
+        this.clampFades();
+        this.waveformData = null;
     }
 
     /**
-     * 生成波形数据
-     * @param {number} samples - 采样点数
-     * @returns {Float32Array} 波形数据
+     * 设置片段增益
+     * @param {number} gain - 线性增益（0 到 +12 dB）
      */
-    generateWaveformData(samples = 200) {
-        if (!this.audioBuffer) return new Float32Array(samples);
+    setGain(gain) {
+        this.gain = Math.max(0, Math.min(dbToLinear(CLIP_GAIN_MAX_DB), gain));
+    }
 
-        const channelData = this.audioBuffer.getChannelData(0);
-        const totalSamples = channelData.length;
-        const samplesPerPoint = Math.floor(totalSamples / samples);
+    /**
+     * 设置淡入时长（不超过片段时长减去淡出）
+     * @param {number} length - 时长（秒）
+     */
+    setFadeIn(length) {
+        this.fadeIn = Math.max(0, Math.min(this.duration - this.fadeOut, length));
+    }
 
-        const waveform = new Float32Array(samples);
+    /**
+     * 设置淡出时长（不超过片段时长减去淡入）
+     * @param {number} length - 时长（秒）
+     */
+    setFadeOut(length) {
+        this.fadeOut = Math.max(0, Math.min(this.duration - this.fadeIn, length));
+    }
+
+    /**
+     * 设置淡入或淡出曲线形状
+     * @param {string} edge - 'in' 或 'out'
+     * @param {string} curve - 曲线形状
+     */
+    setFadeCurve(edge, curve) {
+        if (edge === 'in') {
+            this.fadeInCurve = normalizeFadeCurve(curve);
+        } else {
+            this.fadeOutCurve = normalizeFadeCurve(curve);
+        }
+    }
 
-        for (let i = 0; i < samples; i++) {
-            const start = i * samplesPerPoint;
-            const end = Math.min(start + samplesPerPoint, totalSamples);
+    /**
+     * 获取淡入淡出设置
+     * @returns {{ fadeIn: number, fadeOut: number, fadeInCurve: string, fadeOutCurve: string }}
+     */
+    getFades() {
+        return {
+            fadeIn: this.fadeIn,
+            fadeOut: this.fadeOut,
+            fadeInCurve: this.fadeInCurve,
+            fadeOutCurve: this.fadeOutCurve
+        };
+    }
 
-            let max = 0;
-            for (let j = start; j < end; j++) {
-                const absValue = Math.abs(channelData[j]);
-                if (absValue > max) max = absValue;
-            }
+    /**
+     * 片段变短后收缩淡入淡出，使两者之和不超过片段时长
+     */
+    clampFades() {
+        this.fadeIn = Math.max(0, Math.min(this.duration, this.fadeIn));
+        this.fadeOut = Math.max(0, Math.min(this.duration - this.fadeIn, this.fadeOut));
+    }
 
-            waveform[i] = max;
+    /**
+     * 设置音频内部偏移（滑动编辑），片段位置与长度不变
+     * @param {number} offset - 偏移（秒）
+     */
+    setOffset(offset) {
+        const maxOffset = Math.max(0, this.getOriginalDuration() - this.duration);
+        this.offset = Math.max(0, Math.min(maxOffset, offset));
+        this.waveformData = null;
+    }
+
+    /**
+     * 修剪片段起点（同时调整 startTime 与 offset，终点保持不变）
+     * @param {number} time - 新的起点时间（秒）
+     */
+    trimStart(time) {
+        const end = this.startTime + this.duration;
+        // 不能越过音频开头与时间线零点，并保留最短时长
+        const minStart = Math.max(0, this.startTime - this.offset);
+        const newStart = Math.max(minStart, Math.min(end - MIN_CLIP_DURATION, time));
+
+        this.offset += newStart - this.startTime;
+        this.startTime = newStart;
+        this.duration = end - newStart;
+        this.clampFades();
+        this.waveformData = null;
+    }
+
+    /**
+     * 修剪片段终点
+     * @param {number} time - 新的终点时间（秒）
+     */
+    trimEnd(time) {
+        this.setDuration(time - this.startTime);
+    }
+
+    /**
+     * 在指定时间处分割片段：本片段保留左半部分，返回右半部分（共享同一 audioBuffer）
+     * @param {number} time - 分割点（时间线上的时间，秒）
+     * @returns {AudioClip|null} 右半部分；分割点不在片段内部时返回 null
+     */
+    split(time) {
+        const end = this.startTime + this.duration;
+        if (time - this.startTime < MIN_CLIP_DURATION || end - time < MIN_CLIP_DURATION) {
+            return null;
         }
 
-        this.waveformData = waveform;
-        return waveform;
+        const right = this.clone();
+        right.startTime = time;
+        right.offset = this.offset + (time - this.startTime);
+        right.duration = end - time;
+        right.fadeIn = 0;
+        right.clampFades();
+
+        // 左半部分保留淡入，右半部分保留淡出
+        this.duration = time - this.startTime;
+        this.fadeOut = 0;
+        this.clampFades();
+        this.waveformData = null;
+
+        return right;
+    }
+
+    /**
+     * 生成波形数据（仅覆盖片段实际播放的 offset ~ offset + duration 范围），从共享的峰值缓存读取
+     * @param {number} samples - 每个声道的采样点数
+     * @returns {Array<{min: Float32Array, max: Float32Array}>|null} 各声道的波形数据；峰值尚未生成时为 null
+     */
+    generateWaveformData(samples = 200) {
+        if (!this.audioBuffer) return null;
+
+        const rate = this.playbackRate;
+        this.waveformData = peakCache.getWaveform(this.audioBuffer, this.offset * rate, (this.offset + this.duration) * rate, samples);
+        return this.waveformData;
     }
 
     /**
-     * 获取波形数据
-     * @param {number} samples - 采样点数
-     * @returns {Float32Array}
+     * 获取波形数据（按采样点数缓存）
+     * @param {number} samples - 每个声道的采样点数
+     * @returns {Array<{min: Float32Array, max: Float32Array}>|null}
      */
     getWaveformData(samples = 200) {
-        if (!this.waveformData || this.waveformData.length !== samples) {
+        if (!this.waveformData || this.waveformData[0].min.length !== samples) {
             return this.generateWaveformData(samples);
         }
         return this.waveformData;
@@ -122,7 +441,17 @@ export class AudioClip {
             startTime: this.startTime,
             offset: this.offset,
             duration: this.duration,
-            gain: this.gain
+            gain: this.gain,
+            fadeIn: this.fadeIn,
+            fadeOut: this.fadeOut,
+            fadeInCurve: this.fadeInCurve,
+            fadeOutCurve: this.fadeOutCurve,
+            playbackRate: this.playbackRate,
+            pitch: this.pitch,
+            originalBpm: this.originalBpm,
+            tempoLock: this.tempoLock,
+            transients: this.transients,
+            downbeat: this.downbeat
         });
     }
 
@@ -138,7 +467,45 @@ export class AudioClip {
             startTime: this.startTime,
             offset: this.offset,
             duration: this.duration,
-            gain: this.gain
+            gain: this.gain,
+            fadeIn: this.fadeIn,
+            fadeOut: this.fadeOut,
+            fadeInCurve: this.fadeInCurve,
+            fadeOutCurve: this.fadeOutCurve,
+            playbackRate: this.playbackRate,
+            pitch: this.pitch,
+            originalBpm: this.originalBpm,
+            tempoLock: this.tempoLock,
+            transients: this.transients.map(time => Math.round(time * 10000) / 10000),
+            downbeat: this.downbeat
         };
     }
+
+    /**
+     * 从 JSON 恢复片段
+     * @param {Object} data - toJSON() 的输出
+     * @param {AudioBuffer} audioBuffer - 已解码的音频数据
+     * @returns {AudioClip}
+     */
+    static fromJSON(data, audioBuffer) {
+        return new AudioClip({
+            id: data.id,
+            audioBuffer,
+            name: data.name,
+            startTime: data.startTime,
+            offset: data.offset,
+            duration: data.duration,
+            gain: data.gain,
+            fadeIn: data.fadeIn,
+            fadeOut: data.fadeOut,
+            fadeInCurve: data.fadeInCurve,
+            fadeOutCurve: data.fadeOutCurve,
+            playbackRate: data.playbackRate,
+            pitch: data.pitch,
+            originalBpm: data.originalBpm,
+            tempoLock: data.tempoLock,
+            transients: data.transients,
+            downbeat: data.downbeat
+        });
+    }
 }
@@ -2,6 +2,49 @@
  * AudioEngine - Web Audio API 音频引擎核心
  * 负责音频上下文管理、音频解码、播放控制
  */
+import { Metronome } from './Metronome.js';
+import { getFadeGain } from './AudioClip.js';
+import { MidiClip, MAX_VELOCITY } from './MidiClip.js';
+import { PatternClip } from './PatternClip.js';
+import { peakCache } from './PeakCache.js';
+import { TempoMap } from './TempoMap.js';
+
+// 前瞻调度窗口（秒）：只为即将进入该窗口的片段创建音频源
+const SCHEDULE_AHEAD = 0.2;
+
+// 调度器检查间隔（毫秒）
+const SCHEDULER_INTERVAL = 25;
+
+// 最短循环长度（秒）
+const MIN_LOOP_LENGTH = 0.05;
+
+// 淡入淡出曲线的采样点数
+const FADE_CURVE_POINTS = 128;
+
+/**
+ * 将淡入或淡出曲线写入增益参数，只写入 playFrom 之后的部分
+ * @param {AudioParam} param - 增益参数
+ * @param {string} curve - 曲线形状
+ * @param {boolean} isFadeIn - 是否为淡入
+ * @param {number} regionStart - 淡变区域起点（歌曲时间）
+ * @param {number} regionEnd - 淡变区域终点（歌曲时间）
+ * @param {number} playFrom - 开始播放的歌曲时间
+ * @param {number} when - playFrom 对应的上下文时间
+ */
+function scheduleFadeCurve(param, curve, isFadeIn, regionStart, regionEnd, playFrom, when) {
+    const from = Math.max(regionStart, playFrom);
+    if (regionEnd - from <= 0) return;
+
+    const values = new Float32Array(FADE_CURVE_POINTS);
+    for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+        const time = from + (regionEnd - from) * i / (FADE_CURVE_POINTS - 1);
+        const x = (time - regionStart) / (regionEnd - regionStart);
+        values[i] = getFadeGain(curve, isFadeIn ? x : 1 - x);
+    }
+
+    param.setValueCurveAtTime(values, when + (from - playFrom), regionEnd - from);
+}
+
 export class AudioEngine {
     constructor() {
         this.audioContext = null;
@@ -10,10 +53,31 @@ export class AudioEngine {
         this.isPaused = false;
         this.startTime = 0;
         this.pauseTime = 0;
-        this.tempo = 120;
+        this.tempoMap = new TempoMap({ tempo: 120 });
+        this.masterVolume = 0.8;
         this.currentTime = 0;
         this.tracks = [];
-        this.activeSources = [];
+
+        // 已调度的片段 [{ clip, track, pass, source, gainNode, buffer, signature }]
+        // MIDI 片段逐个音符调度：[{ clip, track, pass, voices, cursor, signature }]，cursor 为已调度到的歌曲时间
+        this.scheduledClips = [];
+        this.schedulerTimerId = null;
+
+        // 循环区域 { start, end }（秒），null 表示未设置
+        this.loopRegion = null;
+        this.loopEnabled = false;
+
+        // 已调度的播放段 [{ contextTime, fromTime, untilTime, clickCursor }]，循环时每一遍为一段
+        this.scheduledPasses = [];
+
+        // 不循环时播放越过歌曲末尾后自动停止（录音期间由 Recorder 关闭）
+        this.stopAtSongEnd = true;
+
+        // 节拍器
+        this.metronome = new Metronome();
+
+        // 最近一次开始播放的上下文时间（预备拍结束时），供录音对齐
+        this.playbackStartContextTime = 0;
         this.animationFrameId = null;
 
         // 事件回调
@@ -32,7 +96,10 @@ export class AudioEngine {
         // 创建主增益节点
         this.masterGain = this.audioContext.createGain();
         this.masterGain.connect(this.audioContext.destination);
-        this.masterGain.gain.value = 0.8;
+        this.masterGain.gain.value = this.masterVolume;
+
+        // 节拍器直接输出，不受主音量影响
+        this.metronome.connect(this.audioContext, this.audioContext.destination);
 
         // 如果上下文被暂停，恢复它
         if (this.audioContext.state === 'suspended') {
@@ -51,9 +118,7 @@ export class AudioEngine {
         await this.init();
 
         const arrayBuffer = await file.arrayBuffer();
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-
-        return audioBuffer;
+        return this.decodeAudioData(arrayBuffer);
     }
 
     /**
@@ -69,30 +134,42 @@ export class AudioEngine {
             throw new Error(`Failed to load audio: ${response.status} ${response.statusText}`);
         }
         const arrayBuffer = await response.arrayBuffer();
-        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        return this.decodeAudioData(arrayBuffer);
+    }
 
+    /**
+     * 解码音频数据，并在后台开始生成波形峰值
+     * @param {ArrayBuffer} arrayBuffer - 编码后的音频数据
+     * @returns {Promise<AudioBuffer>}
+     */
+    async decodeAudioData(arrayBuffer) {
+        await this.init();
+        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        peakCache.request(audioBuffer).catch(error => console.error('波形峰值生成失败:', error));
         return audioBuffer;
     }
 
     /**
      * 播放所有活动的音频片段
+     * 开启预备拍时先播放 1 或 2 小节咔哒声，再从当前位置开始播放
      */
     async play() {
         if (this.isPlaying && !this.isPaused) return;
 
         await this.init();
 
-        if (this.isPaused) {
-            // 从暂停位置恢复
-            this.startTime = this.audioContext.currentTime - this.pauseTime;
-            this.isPaused = false;
-        } else {
-            // 从头开始或从当前位置开始
-            this.startTime = this.audioContext.currentTime - this.currentTime;
-        }
+        const now = this.audioContext.currentTime;
+        const playTime = this.isPaused ? this.pauseTime : this.currentTime;
+        const countIn = this.metronome.getCountInDuration(this.tempoMap, playTime);
+
+        // 从暂停位置恢复，或从当前位置开始
+        this.startTime = now + countIn - playTime;
+        this.isPaused = false;
 
         this.isPlaying = true;
-        this.schedulePlayback();
+        this.playbackStartContextTime = now + countIn;
+        this.schedulePlayback(now + countIn);
+        this.metronome.scheduleCountIn(now, this.tempoMap, playTime);
         this.startTimeUpdate();
 
         if (this.onPlayStateChange) {
@@ -107,8 +184,9 @@ export class AudioEngine {
         if (!this.isPlaying || this.isPaused) return;
 
         this.isPaused = true;
-        this.pauseTime = this.audioContext.currentTime - this.startTime;
+        this.pauseTime = this.getPlaybackTime();
         this.stopAllSources();
+        this.resetAutomation(this.pauseTime);
         this.stopTimeUpdate();
 
         if (this.onPlayStateChange) {
@@ -125,6 +203,7 @@ export class AudioEngine {
         this.currentTime = 0;
         this.pauseTime = 0;
         this.stopAllSources();
+        this.resetAutomation(0);
         this.stopTimeUpdate();
 
         if (this.onTimeUpdate) {
@@ -176,62 +255,689 @@ export class AudioEngine {
 
         if (wasPlaying) {
             this.schedulePlayback();
+        } else {
+            this.resetAutomation(this.currentTime);
         }
     }
 
     /**
-     * 调度音频播放
+     * 开始调度播放
+     * 采用前瞻调度：定时检查即将播放的时间窗口，只为进入窗口的片段创建音频源，
+     * 并与片段的当前状态对比，使播放中的编辑（移动、粘贴、删除等）即时生效
+     * @param {number} [startContextTime] - 开始播放的上下文时间（预备拍结束时），默认立即开始
      */
-    schedulePlayback() {
+    schedulePlayback(startContextTime) {
         this.stopAllSources();
 
-        const currentPlayTime = this.audioContext.currentTime - this.startTime;
+        const now = this.audioContext.currentTime;
+        const contextTime = Math.max(now, startContextTime ?? now);
+        const currentPlayTime = contextTime - this.startTime;
+
+        this.tracks.forEach(track => this.cancelAutomation(track, now));
+
+        const region = this.getActiveLoop(currentPlayTime);
+        this.addPass(currentPlayTime, contextTime, region ? region.end : Infinity);
+
+        this.schedulerTimerId = setInterval(() => this.scheduleAhead(), SCHEDULER_INTERVAL);
+        this.scheduleAhead();
+    }
+
+    /**
+     * 添加一段播放并调度其自动化（循环时每一遍为一段）
+     * @param {number} fromTime - 起点歌曲时间（秒）
+     * @param {number} contextTime - 起点对应的上下文时间（秒）
+     * @param {number} untilTime - 终点歌曲时间（秒）
+     * @returns {{ contextTime: number, fromTime: number, untilTime: number }}
+     */
+    addPass(fromTime, contextTime, untilTime) {
+        const pass = { contextTime, fromTime, untilTime, clickCursor: fromTime };
+        this.scheduledPasses.push(pass);
 
         this.tracks.forEach(track => {
-            if (track.muted) return;
+            this.scheduleAutomation(track, track, fromTime, contextTime, untilTime);
+        });
+
+        return pass;
+    }
 
-            track.clips.forEach(clip => {
-                if (clip.startTime + clip.duration < currentPlayTime) return;
+    /**
+     * 获取播放段结束的上下文时间
+     * @param {Object} pass - 播放段
+     * @returns {number}
+     */
+    getPassEnd(pass) {
+        return pass.contextTime + (pass.untilTime - pass.fromTime);
+    }
 
-                const source = this.audioContext.createBufferSource();
-                source.buffer = clip.audioBuffer;
-                source.connect(track.gainNode);
+    /**
+     * 是否已不循环地播放过歌曲末尾
+     * 从末尾之后开始的播放（如空工程中只听节拍器）不会自动停止
+     * @returns {boolean}
+     */
+    hasPassedSongEnd() {
+        const pass = this.scheduledPasses[this.scheduledPasses.length - 1];
+        if (!pass || Number.isFinite(pass.untilTime)) return false;
 
-                let when = 0;
-                let offset = 0;
+        const songEnd = this.getSongDuration();
+        return pass.fromTime < songEnd && this.getPlaybackTime() >= songEnd;
+    }
 
-                if (clip.startTime >= currentPlayTime) {
-                    // 片段还未开始
-                    when = this.audioContext.currentTime + (clip.startTime - currentPlayTime);
-                    offset = clip.offset || 0;
-                } else {
-                    // 片段已经开始
-                    when = this.audioContext.currentTime;
-                    offset = (clip.offset || 0) + (currentPlayTime - clip.startTime);
+    /**
+     * 调度器节拍：追加循环段、同步已调度片段，并为进入前瞻窗口的片段创建音频源
+     */
+    scheduleAhead() {
+        // 不循环时播放到歌曲末尾停止传输
+        if (this.stopAtSongEnd && this.hasPassedSongEnd()) {
+            console.log('⏹️ 播放到歌曲末尾，停止');
+            this.stop();
+            return;
+        }
+
+        const now = this.audioContext.currentTime;
+        const windowEnd = now + SCHEDULE_AHEAD;
+
+        // 窗口越过循环终点时，提前追加下一遍，保证无缝衔接
+        const region = this.loopRegion;
+        let lastPass = this.scheduledPasses[this.scheduledPasses.length - 1];
+        while (region && Number.isFinite(lastPass.untilTime) && this.getPassEnd(lastPass) < windowEnd) {
+            lastPass = this.addPass(region.start, this.getPassEnd(lastPass), region.end);
+        }
+
+        // 丢弃已播放完的段
+        while (this.scheduledPasses.length > 1 && this.getPassEnd(this.scheduledPasses[0]) <= now) {
+            this.scheduledPasses.shift();
+        }
+
+        // 丢弃已调度完且已结束的 MIDI / 节奏片段（释放中的尾音继续发声；节奏片段保留到采样播完，停止传输时一并停止）
+        this.scheduledClips = this.scheduledClips.filter(entry => {
+            if (!entry.voices && !entry.sources) return true;
+            if (entry.sources?.length > 0) return true;
+            const { clip, pass } = entry;
+            const clipEnd = Math.min(clip.startTime + clip.duration, pass.untilTime);
+            return this.scheduledPasses.includes(pass) && pass.contextTime + (clipEnd - pass.fromTime) > now;
+        });
+
+        this.reconcileScheduledClips();
+
+        this.scheduledPasses.forEach(pass => {
+            if (pass.contextTime >= windowEnd || this.getPassEnd(pass) <= now) return;
+
+            // 窗口在本段内对应的歌曲时间范围
+            const fromTime = pass.fromTime + Math.max(0, now - pass.contextTime);
+            const toTime = Math.min(pass.untilTime, pass.fromTime + (windowEnd - pass.contextTime));
+            const contextTime = pass.contextTime + (fromTime - pass.fromTime);
+
+            // 节拍器：只调度本段中尚未调度过的拍子
+            const clickFrom = Math.max(pass.clickCursor, fromTime);
+            if (this.metronome.enabled) {
+                this.metronome.scheduleBeats(
+                    clickFrom, toTime, pass.contextTime + (clickFrom - pass.fromTime), this.tempoMap
+                );
+            }
+            pass.clickCursor = Math.max(pass.clickCursor, toTime);
+
+            this.tracks.forEach(track => {
+                if (track.muted) return;
+
+                track.clips.forEach(clip => {
+                    if (clip.startTime >= toTime || clip.startTime + clip.duration <= fromTime) return;
+
+                    if (clip instanceof MidiClip) {
+                        this.scheduleMidiClipAhead(clip, track, pass, fromTime, toTime);
+                        return;
+                    }
+                    if (clip instanceof PatternClip) {
+                        this.schedulePatternClipAhead(clip, track, pass, fromTime, toTime);
+                        return;
+                    }
+                    if (this.scheduledClips.some(entry => entry.clip === clip && entry.pass === pass)) return;
+
+                    const scheduled = this.scheduleClip(
+                        this.audioContext, clip, track.inputNode, fromTime, contextTime, pass.untilTime,
+                        track.getClipFades(clip)
+                    );
+                    if (!scheduled) return;
+
+                    const { source, gainNode } = scheduled;
+                    const entry = {
+                        clip,
+                        track,
+                        pass,
+                        source,
+                        gainNode,
+                        buffer: source.buffer,
+                        signature: this.getClipSignature(clip, track)
+                    };
+                    this.scheduledClips.push(entry);
+
+                    source.addEventListener('ended', () => {
+                        const index = this.scheduledClips.indexOf(entry);
+                        if (index !== -1) {
+                            this.scheduledClips.splice(index, 1);
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * 调度 MIDI 片段在前瞻窗口内开始的音符，每个音符只调度一次
+     * 片段在本段中首次调度时补发已在发声的音符（从音符中间开始播放）
+     * @param {MidiClip} clip - MIDI 片段
+     * @param {MidiTrack} track - 所在音轨
+     * @param {Object} pass - 播放段
+     * @param {number} fromTime - 窗口起点的歌曲时间（秒）
+     * @param {number} toTime - 窗口终点的歌曲时间（秒）
+     */
+    scheduleMidiClipAhead(clip, track, pass, fromTime, toTime) {
+        const player = track.synth?.player;
+        if (!player) return;
+
+        let entry = this.scheduledClips.find(e => e.clip === clip && e.pass === pass);
+        if (!entry) {
+            entry = { clip, track, pass, voices: [], cursor: null, signature: this.getClipSignature(clip, track) };
+            this.scheduledClips.push(entry);
+        }
+
+        const chase = entry.cursor === null;
+        const from = chase ? fromTime : entry.cursor;
+        if (toTime <= from) return;
+
+        const voices = this.scheduleNotes(
+            player, clip, from, toTime, pass.contextTime + (from - pass.fromTime), pass.untilTime, chase
+        );
+        entry.voices = entry.voices.filter(voice => !voice.ended).concat(voices);
+        entry.cursor = toTime;
+    }
+
+    /**
+     * 在指定发声器上调度 MIDI 片段中于 [fromTime, toTime) 内开始的音符
+     * 实时播放与离线渲染共用此调度规则；音符按速度轨换算为秒，在片段终点与 untilTime 处截止
+     * @param {SynthPlayer} player - 发声器
+     * @param {MidiClip} clip - MIDI 片段
+     * @param {number} fromTime - 起点歌曲时间（秒）
+     * @param {number} toTime - 终点歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @param {number} [untilTime] - 调度终点的歌曲时间（秒）
+     * @param {boolean} [chase=false] - 是否补发 fromTime 时已在发声的音符
+     * @returns {Array<Object>} 已调度的声部
+     */
+    scheduleNotes(player, clip, fromTime, toTime, contextTime, untilTime = Infinity, chase = false) {
+        const clipEnd = Math.min(clip.startTime + clip.duration, untilTime);
+        const voices = [];
+
+        clip.getPlayableNotes(this.tempoMap).forEach(note => {
+            const start = clip.beatToTime(this.tempoMap, note.start);
+            const end = Math.min(clip.beatToTime(this.tempoMap, note.start + note.duration), clipEnd);
+            const isChased = chase && start < fromTime && end > fromTime;
+            if (!isChased && (start < fromTime || start >= toTime || start >= clipEnd)) return;
+
+            const playFrom = Math.max(start, fromTime);
+            const when = contextTime + (playFrom - fromTime);
+            voices.push(player.playNote(note.pitch, note.velocity, when, end - playFrom));
+        });
+
+        return voices;
+    }
+
+    /**
+     * 调度节奏片段在前瞻窗口内触发的步，每一步只调度一次
+     * @param {PatternClip} clip - 节奏片段
+     * @param {PatternTrack} track - 所在音轨
+     * @param {Object} pass - 播放段
+     * @param {number} fromTime - 窗口起点的歌曲时间（秒）
+     * @param {number} toTime - 窗口终点的歌曲时间（秒）
+     */
+    schedulePatternClipAhead(clip, track, pass, fromTime, toTime) {
+        let entry = this.scheduledClips.find(e => e.clip === clip && e.pass === pass);
+        if (!entry) {
+            entry = { clip, track, pass, sources: [], cursor: null, signature: this.getClipSignature(clip, track) };
+            this.scheduledClips.push(entry);
+        }
+
+        const from = entry.cursor === null ? fromTime : entry.cursor;
+        if (toTime <= from) return;
+
+        const sources = this.scheduleSteps(
+            this.audioContext, clip, track.inputNode, from, toTime, pass.contextTime + (from - pass.fromTime)
+        );
+        sources.forEach(source => {
+            entry.sources.push(source);
+            source.addEventListener('ended', () => {
+                const index = entry.sources.indexOf(source);
+                if (index !== -1) {
+                    entry.sources.splice(index, 1);
                 }
+            });
+        });
+        entry.cursor = toTime;
+    }
+
+    /**
+     * 调度节奏片段中于 [fromTime, toTime) 内触发的步，每次触发播放一遍通道采样
+     * 实时播放与离线渲染共用此调度规则；采样在片段结束后继续发声直到播放完
+     * @param {BaseAudioContext} context - 音频上下文（实时或离线）
+     * @param {PatternClip} clip - 节奏片段
+     * @param {AudioNode} destination - 采样输出节点
+     * @param {number} fromTime - 起点歌曲时间（秒）
+     * @param {number} toTime - 终点歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @returns {AudioBufferSourceNode[]} 已启动的音频源
+     */
+    scheduleSteps(context, clip, destination, fromTime, toTime, contextTime) {
+        const sources = [];
+
+        clip.forEachHit(this.tempoMap, fromTime, toTime, (time, channel, velocity) => {
+            const source = context.createBufferSource();
+            source.buffer = channel.audioBuffer;
+
+            // 通道音量乘以步力度
+            const gainNode = context.createGain();
+            gainNode.gain.value = channel.volume * velocity / MAX_VELOCITY;
+
+            source.connect(gainNode);
+            gainNode.connect(destination);
+            source.addEventListener('ended', () => gainNode.disconnect());
+            source.start(contextTime + (time - fromTime));
+            sources.push(source);
+        });
+
+        return sources;
+    }
+
+    /**
+     * 停止与片段当前状态不一致的音频源（片段被移动、修改、删除、音轨被静音或伸缩结果渲染完成）
+     * 停止后的片段若仍在窗口内，会在同一节拍中从当前位置重新调度
+     */
+    reconcileScheduledClips() {
+        this.scheduledClips = this.scheduledClips.filter(entry => {
+            const { clip, track } = entry;
+            const isValid = this.tracks.includes(track) &&
+                !track.muted &&
+                track.clips.includes(clip) &&
+                (entry.voices || entry.sources || clip.getPlaybackSource().buffer === entry.buffer) &&
+                this.getClipSignature(clip, track) === entry.signature;
+
+            if (!isValid) {
+                this.stopScheduledClip(entry);
+            }
+            return isValid;
+        });
+    }
 
-                const duration = clip.duration - (offset - (clip.offset || 0));
+    /**
+     * 停止已调度片段的音频源、MIDI 声部或节奏片段的采样
+     * @param {Object} entry - scheduledClips 中的条目
+     */
+    stopScheduledClip(entry) {
+        if (entry.voices) {
+            entry.track.synth?.player?.releaseVoices(entry.voices);
+            return;
+        }
 
-                if (duration > 0) {
-                    source.start(when, offset, duration);
-                    this.activeSources.push(source);
+        if (entry.sources) {
+            entry.sources.forEach(source => {
+                try {
+                    source.stop();
+                } catch (e) {
+                    // 忽略已停止的源
                 }
             });
+            entry.sources = [];
+            return;
+        }
+
+        try {
+            entry.source.stop();
+        } catch (e) {
+            // 忽略已停止的源
+        }
+    }
+
+    /**
+     * 获取影响片段调度的属性签名，签名变化时需要重新调度
+     * MIDI 片段的签名包含全部音符、节奏片段的签名包含全部通道与步，播放中编辑即时生效
+     * @param {AudioClip|MidiClip|PatternClip} clip - 片段
+     * @param {Track} track - 所在音轨
+     * @returns {string}
+     */
+    getClipSignature(clip, track) {
+        if (clip instanceof MidiClip) {
+            const notes = clip.notes.map(note => `${note.pitch},${note.start},${note.duration},${note.velocity}`);
+            return `${clip.startTime}|${clip.offset}|${clip.duration}|${notes.join(';')}`;
+        }
+        if (clip instanceof PatternClip) {
+            const channels = clip.channels.map(channel => `${channel.id},${channel.volume},${channel.muted},${channel.steps.join(',')}`);
+            return `${clip.startTime}|${clip.offset}|${clip.duration}|${clip.stepCount}|${clip.swing}|${channels.join(';')}`;
+        }
+
+        const fades = track.getClipFades(clip);
+        return `${clip.startTime}|${clip.offset}|${clip.duration}|${clip.playbackRate}|${clip.pitch}|` +
+            `${fades.fadeIn}:${fades.fadeInCurve}|${fades.fadeOut}:${fades.fadeOutCurve}`;
+    }
+
+    /**
+     * 将片段增益同步到正在播放的音频源（不重新调度，避免中断）
+     * @param {AudioClip} clip - 音频片段
+     */
+    updateClipGain(clip) {
+        this.scheduledClips.forEach(entry => {
+            if (entry.clip === clip) {
+                entry.gainNode.gain.value = clip.gain;
+            }
         });
     }
 
     /**
-     * 停止所有活动的音频源
+     * 获取生效的循环区域（开启循环、区域有效且播放位置在循环终点之前）
+     * @param {number} time - 播放位置（秒）
+     * @returns {{ start: number, end: number }|null}
      */
-    stopAllSources() {
-        this.activeSources.forEach(source => {
-            try {
-                source.stop();
-            } catch (e) {
-                // 忽略已停止的源
+    getActiveLoop(time) {
+        const region = this.loopRegion;
+        if (!this.loopEnabled || !region || time >= region.end) return null;
+        return region;
+    }
+
+    /**
+     * 获取当前播放位置（考虑循环回绕）
+     * @returns {number} 歌曲时间（秒）
+     */
+    getPlaybackTime() {
+        const now = this.audioContext.currentTime;
+
+        // 找到当前所在的播放段，同步 startTime 以便暂停/跳转沿用原有计算
+        for (let i = this.scheduledPasses.length - 1; i >= 0; i--) {
+            const pass = this.scheduledPasses[i];
+            if (pass.contextTime <= now) {
+                this.startTime = pass.contextTime - pass.fromTime;
+                break;
             }
+        }
+
+        // 预备拍期间停留在起点
+        const firstPass = this.scheduledPasses[0];
+        if (firstPass && now < firstPass.contextTime) {
+            return firstPass.fromTime;
+        }
+
+        return now - this.startTime;
+    }
+
+    /**
+     * 设置循环区域
+     * @param {number} start - 起点（秒）
+     * @param {number} end - 终点（秒）
+     */
+    setLoopRegion(start, end) {
+        const loopStart = Math.max(0, Math.min(start, end));
+        const loopEnd = Math.max(start, end);
+        this.loopRegion = loopEnd - loopStart >= MIN_LOOP_LENGTH ? { start: loopStart, end: loopEnd } : null;
+        this.refreshLoop();
+    }
+
+    /**
+     * 清除循环区域
+     */
+    clearLoopRegion() {
+        this.loopRegion = null;
+        this.refreshLoop();
+    }
+
+    /**
+     * 开启/关闭循环播放
+     * @param {boolean} enabled - 是否开启
+     */
+    setLoopEnabled(enabled) {
+        this.loopEnabled = Boolean(enabled);
+        this.refreshLoop();
+    }
+
+    /**
+     * 循环设置变化后，播放中从当前位置重新调度
+     */
+    refreshLoop() {
+        if (!this.isPlaying || this.isPaused) return;
+
+        this.startTime = this.audioContext.currentTime - this.getPlaybackTime();
+        this.schedulePlayback();
+    }
+
+    /**
+     * 在指定音频上下文中调度单个片段
+     * 实时播放与离线渲染共用此调度规则
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioClip} clip - 音频片段
+     * @param {AudioNode} destination - 片段输出节点
+     * @param {number} fromTime - 调度起点的歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @param {number} [untilTime] - 调度终点的歌曲时间（秒），片段在此截止
+     * @param {Object} [fades] - 生效的淡入淡出（Track.getClipFades），默认取片段自身设置
+     * @returns {{ source: AudioBufferSourceNode, gainNode: GainNode }|null}
+     * 已启动的音频源及其片段增益节点，片段不在范围内时返回 null
+     */
+    scheduleClip(context, clip, destination, fromTime, contextTime, untilTime = Infinity, fades = clip.getFades()) {
+        const clipOffset = clip.offset || 0;
+        const clipEnd = Math.min(clip.startTime + clip.duration, untilTime);
+        if (!clip.audioBuffer || clipEnd <= fromTime) return null;
+
+        let when = 0;
+        let offset = 0;
+
+        if (clip.startTime >= fromTime) {
+            // 片段还未开始
+            when = contextTime + (clip.startTime - fromTime);
+            offset = clipOffset;
+        } else {
+            // 片段已经开始
+            when = contextTime;
+            offset = clipOffset + (fromTime - clip.startTime);
+        }
+
+        const duration = clipEnd - clip.startTime - (offset - clipOffset);
+        if (duration <= 0) return null;
+
+        // 伸缩结果尚未渲染时以变速方式播放原始音频，偏移与时长换算为原始音频时间
+        const playback = clip.getPlaybackSource();
+        const source = context.createBufferSource();
+        source.buffer = playback.buffer;
+        source.playbackRate.value = playback.rate;
+
+        // 淡入淡出包络：从实际开始播放的位置写入剩余部分
+        const envelope = context.createGain();
+        const playFrom = Math.max(fromTime, clip.startTime);
+        const start = clip.startTime;
+        const end = clip.startTime + clip.duration;
+        const fadeInEnd = start + fades.fadeIn;
+        const fadeOutStart = Math.max(fadeInEnd, end - fades.fadeOut);
+
+        scheduleFadeCurve(envelope.gain, fades.fadeInCurve, true, start, fadeInEnd, playFrom, when);
+        scheduleFadeCurve(envelope.gain, fades.fadeOutCurve, false, fadeOutStart, end, playFrom, when);
+
+        // 片段增益
+        const gainNode = context.createGain();
+        gainNode.gain.value = clip.gain;
+
+        source.connect(envelope);
+        envelope.connect(gainNode);
+        gainNode.connect(destination);
+        source.addEventListener('ended', () => {
+            envelope.disconnect();
+            gainNode.disconnect();
         });
-        this.activeSources = [];
+        source.start(when, offset * playback.rate, duration * playback.rate);
+
+        return { source, gainNode };
+    }
+
+    /**
+     * 将音轨的自动化包络调度到节点参数
+     * 实时播放与离线渲染共用此调度规则
+     * @param {Track} track - 音轨对象
+     * @param {{ automationNode: GainNode, panNode: StereoPannerNode }} nodes - 音轨节点
+     * @param {number} fromTime - 调度起点的歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @param {number} [untilTime] - 调度终点的歌曲时间（秒）
+     */
+    scheduleAutomation(track, nodes, fromTime, contextTime, untilTime = Infinity) {
+        track.automation.volume.schedule(nodes.automationNode.gain, fromTime, contextTime, undefined, untilTime);
+        track.automation.pan.schedule(nodes.panNode.pan, fromTime, contextTime, track.pan, untilTime);
+    }
+
+    /**
+     * 取消音轨在指定上下文时间之后的自动化事件
+     * @param {Track} track - 音轨对象
+     * @param {number} contextTime - 上下文时间（秒）
+     */
+    cancelAutomation(track, contextTime) {
+        if (!track.automationNode) return;
+        track.automationNode.gain.cancelScheduledValues(contextTime);
+        track.panNode.pan.cancelScheduledValues(contextTime);
+    }
+
+    /**
+     * 停止自动化调度，将参数固定为指定时间的包络值
+     * @param {number} time - 歌曲时间（秒）
+     */
+    resetAutomation(time) {
+        this.tracks.forEach(track => this.holdAutomation(track, time));
+    }
+
+    /**
+     * 将单个音轨的自动化参数固定为指定时间的包络值
+     * @param {Track} track - 音轨对象
+     * @param {number} time - 歌曲时间（秒）
+     */
+    holdAutomation(track, time) {
+        if (!this.audioContext || !track.automationNode) return;
+
+        const now = this.audioContext.currentTime;
+        this.cancelAutomation(track, 0);
+        track.automationNode.gain.setValueAtTime(track.automation.volume.getValueAt(time), now);
+        track.panNode.pan.setValueAtTime(track.automation.pan.getValueAt(time, track.pan), now);
+    }
+
+    /**
+     * 自动化编辑后更新音轨参数（播放中从当前位置重新调度）
+     * @param {Track} track - 音轨对象
+     */
+    updateAutomation(track) {
+        if (!this.audioContext || !track.automationNode) return;
+
+        if (this.isPlaying && !this.isPaused) {
+            // 重新调度当前段剩余部分以及已提前调度的循环段
+            const now = this.audioContext.currentTime;
+            this.cancelAutomation(track, now);
+            this.scheduledPasses.forEach(pass => {
+                const passEnd = pass.contextTime + (pass.untilTime - pass.fromTime);
+                if (passEnd <= now) return;
+
+                if (pass.contextTime < now) {
+                    this.scheduleAutomation(track, track, pass.fromTime + (now - pass.contextTime), now, pass.untilTime);
+                } else {
+                    this.scheduleAutomation(track, track, pass.fromTime, pass.contextTime, pass.untilTime);
+                }
+            });
+        } else {
+            this.holdAutomation(track, this.currentTime);
+        }
+    }
+
+    /**
+     * 在指定音频上下文中创建音轨的节点链：输入 → 插入效果链 → 音量 → 音量自动化 → 声像
+     * 实时播放与离线渲染共用，保证两者的处理一致
+     * 实时上下文中效果链绑定到音轨，之后的编辑直接作用于节点；其他上下文构建独立副本
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Track} track - 音轨对象
+     * @param {AudioNode} destination - 音轨输出目标
+     * @param {Object} [overrides] - 覆盖参数
+     * @param {number} [overrides.gain] - 输出增益，省略时按音量与静音/独奏计算
+     * @param {number} [overrides.pan] - 声像，省略时使用音轨声像
+     * @returns {{ input: AudioNode, gainNode: GainNode, automationNode: GainNode, panNode: StereoPannerNode, instrument: SynthPlayer|null }}
+     * 片段连接到 input；MIDI 音轨的 instrument 为调度音符用的发声器
+     */
+    createTrackNodes(context, track, destination, overrides = {}) {
+        const input = context.createGain();
+
+        const gainNode = context.createGain();
+        gainNode.gain.value = typeof overrides.gain === 'number' ? overrides.gain : this.getTrackOutputGain(track);
+
+        // 等功率立体声声像
+        const panNode = context.createStereoPanner();
+        panNode.pan.value = typeof overrides.pan === 'number' ? overrides.pan : track.pan;
+
+        if (context === this.audioContext) {
+            track.effects.connect(context, input, gainNode);
+        } else {
+            track.effects.render(context, input, gainNode);
+        }
+
+        // MIDI 音轨的合成器输出到音轨输入，与音频片段经过相同的效果链
+        let instrument = null;
+        if (track.synth) {
+            if (context === this.audioContext) {
+                track.synth.connect(context, input);
+                instrument = track.synth.player;
+            } else {
+                instrument = track.synth.render(context, input);
+            }
+        }
+
+        // 音量自动化增益（默认 1，由 scheduleAutomation 驱动）
+        const automationNode = context.createGain();
+
+        gainNode.connect(automationNode);
+        automationNode.connect(panNode);
+        panNode.connect(destination);
+
+        return { input, gainNode, automationNode, panNode, instrument };
+    }
+
+    /**
+     * 判断音轨在当前静音/独奏状态下是否发声
+     * @param {Track} track - 音轨对象
+     * @returns {boolean}
+     */
+    isTrackAudible(track) {
+        if (track.muted) return false;
+        const hasSolo = this.tracks.some(t => t.solo);
+        return !hasSolo || track.solo;
+    }
+
+    /**
+     * 获取音轨考虑静音/独奏后的输出增益
+     * @param {Track} track - 音轨对象
+     * @returns {number}
+     */
+    getTrackOutputGain(track) {
+        return this.isTrackAudible(track) ? track.volume : 0;
+    }
+
+    /**
+     * 获取歌曲总时长（最后一个片段的结束时间）
+     * @returns {number}
+     */
+    getSongDuration() {
+        return this.tracks.reduce((max, track) => Math.max(max, track.getDuration()), 0);
+    }
+
+    /**
+     * 停止所有活动的音频源
+     */
+    stopAllSources() {
+        if (this.schedulerTimerId) {
+            clearInterval(this.schedulerTimerId);
+            this.schedulerTimerId = null;
+        }
+
+        this.scheduledClips.forEach(entry => this.stopScheduledClip(entry));
+        this.scheduledClips = [];
+        this.scheduledPasses = [];
+        this.metronome.stop();
+
+        // 同时停止合成器释放中的尾音
+        this.tracks.forEach(track => track.synth?.player?.stopAll());
     }
 
     /**
@@ -241,7 +947,7 @@ export class AudioEngine {
         const update = () => {
             if (!this.isPlaying || this.isPaused) return;
 
-            this.currentTime = this.audioContext.currentTime - this.startTime;
+            this.currentTime = this.getPlaybackTime();
 
             if (this.onTimeUpdate) {
                 this.onTimeUpdate(this.currentTime);
@@ -264,11 +970,20 @@ export class AudioEngine {
     }
 
     /**
-     * 设置 BPM
+     * 设置基础速度（速度轨的第一个速度事件）
      * @param {number} bpm - 每分钟节拍数
      */
     setTempo(bpm) {
-        this.tempo = Math.max(20, Math.min(300, bpm));
+        this.tempoMap.setBaseTempo(bpm);
+    }
+
+    /**
+     * 获取指定时间的速度
+     * @param {number} [time] - 时间（秒），默认为工程开头
+     * @returns {number} BPM
+     */
+    getTempo(time = 0) {
+        return this.tempoMap.getTempoAt(time);
     }
 
     /**
@@ -276,21 +991,31 @@ export class AudioEngine {
      * @param {number} volume - 音量 (0-1)
      */
     setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(1, volume));
         if (this.masterGain) {
-            this.masterGain.gain.value = Math.max(0, Math.min(1, volume));
+            this.masterGain.gain.value = this.masterVolume;
         }
     }
 
     /**
      * 添加音轨
      * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置，省略时追加到末尾
      */
-    async addTrack(track) {
+    async addTrack(track, index) {
         await this.init();
-        track.gainNode = this.audioContext.createGain();
-        track.gainNode.gain.value = track.volume;
-        track.gainNode.connect(this.masterGain);
-        this.tracks.push(track);
+        const nodes = this.createTrackNodes(this.audioContext, track, this.masterGain);
+        track.inputNode = nodes.input;
+        track.gainNode = nodes.gainNode;
+        track.automationNode = nodes.automationNode;
+        track.panNode = nodes.panNode;
+        this.holdAutomation(track, this.currentTime);
+
+        if (typeof index === 'number' && index >= 0 && index < this.tracks.length) {
+            this.tracks.splice(index, 0, track);
+        } else {
+            this.tracks.push(track);
+        }
     }
 
     /**
@@ -301,13 +1026,66 @@ export class AudioEngine {
         const index = this.tracks.findIndex(t => t.id === trackId);
         if (index !== -1) {
             const track = this.tracks[index];
+            track.effects.disconnect();
+            if (track.synth) {
+                track.synth.disconnect();
+            }
             if (track.gainNode) {
                 track.gainNode.disconnect();
             }
+            if (track.automationNode) {
+                track.automationNode.disconnect();
+            }
+            if (track.panNode) {
+                track.panNode.disconnect();
+            }
             this.tracks.splice(index, 1);
         }
     }
 
+    /**
+     * 立即用 MIDI 音轨的合成器弹奏一个音符（编辑时试听，不受播放状态影响）
+     * @param {MidiTrack} track - MIDI 音轨
+     * @param {number} pitch - MIDI 音高
+     * @param {number} [velocity=100] - 力度 (1-127)
+     * @param {number} [duration=0.3] - 时长（秒）
+     */
+    async previewNote(track, pitch, velocity = 100, duration = 0.3) {
+        await this.init();
+        const player = track.synth?.player;
+        if (!player) return;
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        player.playNote(pitch, velocity, this.audioContext.currentTime, duration);
+    }
+
+    /**
+     * 立即通过音轨播放一个采样（通道架中试听，经过音轨效果链，不受播放状态影响）
+     * @param {Track} track - 音轨对象
+     * @param {AudioBuffer} audioBuffer - 采样
+     * @param {number} [gain=1] - 增益
+     */
+    async previewSample(track, audioBuffer, gain = 1) {
+        await this.init();
+        if (!track.inputNode || !audioBuffer) return;
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = audioBuffer;
+        const gainNode = this.audioContext.createGain();
+        gainNode.gain.value = gain;
+
+        source.connect(gainNode);
+        gainNode.connect(track.inputNode);
+        source.addEventListener('ended', () => gainNode.disconnect());
+        source.start();
+    }
+
     /**
      * 获取音轨
      * @param {string} trackId - 音轨 ID
@@ -318,28 +1096,22 @@ export class AudioEngine {
     }
 
     /**
-     * 将秒转换为时间显示格式 (小节:拍:tick)
+     * 将秒转换为时间显示格式 (小节:拍:tick)，按速度轨的速度与拍号变化计算
      * @param {number} seconds - 秒数
      * @returns {string} 格式化的时间字符串
      */
     formatTime(seconds) {
-        const beatsPerSecond = this.tempo / 60;
-        const totalBeats = seconds * beatsPerSecond;
-
-        const bars = Math.floor(totalBeats / 4) + 1;
-        const beats = Math.floor(totalBeats % 4) + 1;
-        const ticks = Math.floor((totalBeats % 1) * 1000);
-
-        return `${String(bars).padStart(3, '0')}:${String(beats).padStart(2, '0')}:${String(ticks).padStart(3, '0')}`;
+        return this.tempoMap.formatTime(seconds);
     }
 
     /**
-     * 获取每拍的像素数（用于时间线缩放）
+     * 获取指定时间处每拍（四分音符）的像素数（用于时间线缩放）
      * @param {number} pixelsPerSecond - 每秒像素数
+     * @param {number} [time] - 时间（秒），速度变化后每拍宽度不同
      * @returns {number}
      */
-    getPixelsPerBeat(pixelsPerSecond = 50) {
-        return pixelsPerSecond * (60 / this.tempo);
+    getPixelsPerBeat(pixelsPerSecond = 50, time = 0) {
+        return pixelsPerSecond * (60 / this.tempoMap.getTempoAt(time));
     }
 }
 
@@ -0,0 +1,264 @@
+/**
+ * Automation - 自动化包络
+ * 每条包络由按时间排序的断点组成，断点的 curve 决定它到下一个断点之间的曲线形状
+ * 播放时通过 AudioParam 的 setValueAtTime / linearRampToValueAtTime 调度
+ */
+
+// 可自动化的参数
+export const AUTOMATION_PARAMS = {
+    volume: { label: '音量', min: 0, max: 1, default: 1 },
+    pan: { label: '声像', min: -1, max: 1, default: 0 }
+};
+
+// 曲线形状
+export const AUTOMATION_CURVES = [
+    { value: 'linear', label: '线性' },
+    { value: 'step', label: '阶梯' },
+    { value: 'smooth', label: '平滑' }
+];
+
+// 平滑曲线拆分为的线性段数
+const SMOOTH_SEGMENTS = 16;
+
+export class AutomationLane {
+    /**
+     * @param {string} param - 参数名（AUTOMATION_PARAMS 的键）
+     * @param {Array<{time: number, value: number, curve?: string}>} [points] - 断点
+     */
+    constructor(param, points = []) {
+        if (!AUTOMATION_PARAMS[param]) {
+            throw new Error(`Unknown automation parameter: ${param}`);
+        }
+
+        this.param = param;
+        this.points = [];
+        this.setPoints(points);
+    }
+
+    /**
+     * 参数定义
+     * @returns {{ label: string, min: number, max: number, default: number }}
+     */
+    get range() {
+        return AUTOMATION_PARAMS[this.param];
+    }
+
+    /**
+     * 包络是否生效（至少有一个断点）
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.points.length > 0;
+    }
+
+    /**
+     * 整体替换断点（撤销/重做时使用）
+     * @param {Array<{time: number, value: number, curve?: string}>} points - 断点
+     */
+    setPoints(points) {
+        this.points = points.map(point => this.createPoint(point.time, point.value, point.curve));
+        this.sortPoints();
+    }
+
+    /**
+     * 创建断点
+     * @param {number} time - 时间（秒）
+     * @param {number} value - 参数值
+     * @param {string} [curve='linear'] - 曲线形状
+     * @returns {{ time: number, value: number, curve: string }}
+     */
+    createPoint(time, value, curve = 'linear') {
+        return {
+            time: Math.max(0, time),
+            value: this.clampValue(value),
+            curve: AUTOMATION_CURVES.some(c => c.value === curve) ? curve : 'linear'
+        };
+    }
+
+    /**
+     * 添加断点
+     * @param {number} time - 时间（秒）
+     * @param {number} value - 参数值
+     * @param {string} [curve] - 曲线形状
+     * @returns {Object} 新断点
+     */
+    addPoint(time, value, curve) {
+        const point = this.createPoint(time, value, curve);
+        this.points.push(point);
+        this.sortPoints();
+        return point;
+    }
+
+    /**
+     * 删除断点
+     * @param {Object} point - 断点
+     */
+    removePoint(point) {
+        const index = this.points.indexOf(point);
+        if (index !== -1) {
+            this.points.splice(index, 1);
+        }
+    }
+
+    /**
+     * 移动断点（时间限制在相邻断点之间，保持顺序）
+     * @param {Object} point - 断点
+     * @param {number} time - 新时间（秒）
+     * @param {number} value - 新参数值
+     */
+    movePoint(point, time, value) {
+        const index = this.points.indexOf(point);
+        if (index === -1) return;
+
+        const prev = this.points[index - 1];
+        const next = this.points[index + 1];
+        const minTime = prev ? prev.time : 0;
+        const maxTime = next ? next.time : Infinity;
+
+        point.time = Math.max(minTime, Math.min(maxTime, time));
+        point.value = this.clampValue(value);
+    }
+
+    /**
+     * 设置断点的曲线形状
+     * @param {Object} point - 断点
+     * @param {string} curve - 曲线形状
+     */
+    setCurve(point, curve) {
+        if (AUTOMATION_CURVES.some(c => c.value === curve)) {
+            point.curve = curve;
+        }
+    }
+
+    /**
+     * 按时间排序断点
+     */
+    sortPoints() {
+        this.points.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 限制参数值范围
+     * @param {number} value - 参数值
+     * @returns {number}
+     */
+    clampValue(value) {
+        return Math.max(this.range.min, Math.min(this.range.max, value));
+    }
+
+    /**
+     * 获取指定时间的包络值
+     * @param {number} time - 时间（秒）
+     * @param {number} [fallback] - 没有断点时的返回值，默认使用参数默认值
+     * @returns {number}
+     */
+    getValueAt(time, fallback = this.range.default) {
+        const points = this.points;
+        if (points.length === 0) return fallback;
+        if (time <= points[0].time) return points[0].value;
+
+        const last = points[points.length - 1];
+        if (time >= last.time) return last.value;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (time >= a.time && time < b.time) {
+                return interpolate(a, b, time);
+            }
+        }
+
+        return last.value;
+    }
+
+    /**
+     * 将包络调度到 AudioParam（不清除已有事件，重新调度前由调用方取消）
+     * @param {AudioParam} param - 目标参数
+     * @param {number} fromTime - 调度起点的歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @param {number} [fallback] - 没有断点时使用的值
+     * @param {number} [untilTime] - 调度终点的歌曲时间（秒），之后的事件留给下一次调度（如循环的下一遍）
+     */
+    schedule(param, fromTime, contextTime, fallback = this.range.default, untilTime = Infinity) {
+        param.setValueAtTime(this.getValueAt(fromTime, fallback), contextTime);
+
+        const toContextTime = (time) => contextTime + (time - fromTime);
+        const points = this.points;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = points[i];
+            const b = points[i + 1];
+            if (b.time <= fromTime) continue;
+            if (a.time >= untilTime) break;
+
+            // 段起点在调度起点之后时，先锚定起点的值
+            if (a.time > fromTime) {
+                param.setValueAtTime(a.value, toContextTime(a.time));
+            }
+
+            // 段终点超出调度范围时只调度到范围终点
+            const end = Math.min(b.time, untilTime);
+
+            if (a.curve === 'step') {
+                if (b.time <= untilTime) {
+                    param.setValueAtTime(b.value, toContextTime(b.time));
+                }
+            } else if (a.curve === 'smooth') {
+                for (let k = 1; k < SMOOTH_SEGMENTS; k++) {
+                    const time = a.time + (b.time - a.time) * k / SMOOTH_SEGMENTS;
+                    if (time <= fromTime) continue;
+                    if (time >= end) break;
+                    param.linearRampToValueAtTime(interpolate(a, b, time), toContextTime(time));
+                }
+                param.linearRampToValueAtTime(interpolate(a, b, end), toContextTime(end));
+            } else {
+                param.linearRampToValueAtTime(interpolate(a, b, end), toContextTime(end));
+            }
+
+            if (b.time > untilTime) break;
+        }
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Array<{time: number, value: number, curve: string}>}
+     */
+    toJSON() {
+        return this.points.map(point => ({ time: point.time, value: point.value, curve: point.curve }));
+    }
+}
+
+/**
+ * 计算两个断点之间的插值
+ * @param {Object} a - 起始断点（决定曲线形状）
+ * @param {Object} b - 结束断点
+ * @param {number} time - 时间（秒）
+ * @returns {number}
+ */
+function interpolate(a, b, time) {
+    if (a.curve === 'step') return a.value;
+
+    const span = b.time - a.time;
+    if (span <= 0) return b.value;
+
+    let ratio = (time - a.time) / span;
+    if (a.curve === 'smooth') {
+        // 余弦 S 形曲线
+        ratio = (1 - Math.cos(ratio * Math.PI)) / 2;
+    }
+
+    return a.value + (b.value - a.value) * ratio;
+}
+
+/**
+ * 创建音轨的自动化包络集合
+ * @param {Object} [data] - 序列化数据 { volume: [...], pan: [...] }
+ * @returns {{ volume: AutomationLane, pan: AutomationLane }}
+ */
+export function createAutomationLanes(data = {}) {
+    const lanes = {};
+    Object.keys(AUTOMATION_PARAMS).forEach(param => {
+        lanes[param] = new AutomationLane(param, data[param] || []);
+    });
+    return lanes;
+}
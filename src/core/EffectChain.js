@@ -0,0 +1,265 @@
+/**
+ * EffectChain - 音轨插入效果链
+ * 保存有序的效果器插槽（类型、旁通状态与参数），并维护一条绑定到实时音频上下文的节点链
+ * 离线导出时通过 render() 在独立上下文中构建相同的链
+ */
+import { createEffect, getEffectClass } from './effects/index.js';
+
+let slotCounter = 0;
+
+export class EffectChain {
+    /**
+     * @param {Array<{id?: string, type: string, bypassed?: boolean, params?: Object}>} [slots] - 插槽数据（从工程恢复时使用）
+     */
+    constructor(slots = []) {
+        this.slots = [];
+        slots.forEach(slot => {
+            if (!getEffectClass(slot.type)) {
+                console.warn(`⚠️ 未知的效果器类型，已跳过: ${slot.type}`);
+                return;
+            }
+            this.slots.push(this.createSlot(slot.type, slot));
+        });
+
+        // 实时链绑定
+        this.context = null;
+        this.input = null;
+        this.output = null;
+        this.instances = new Map(); // slotId -> Effect
+    }
+
+    /**
+     * 创建插槽数据
+     * @param {string} type - 效果器类型
+     * @param {Object} [options] - 插槽选项
+     * @returns {Object}
+     */
+    createSlot(type, options = {}) {
+        const EffectClass = getEffectClass(type);
+        if (!EffectClass) {
+            throw new Error(`Unknown effect type: ${type}`);
+        }
+
+        slotCounter++;
+        return {
+            id: options.id || `fx_${Date.now()}_${slotCounter}`,
+            type,
+            bypassed: Boolean(options.bypassed),
+            params: { ...EffectClass.getDefaultParams(), ...(options.params || {}) }
+        };
+    }
+
+    /**
+     * 将效果链绑定到实时上下文
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} input - 链输入节点
+     * @param {AudioNode} output - 链输出节点
+     */
+    connect(context, input, output) {
+        this.disconnect();
+        this.context = context;
+        this.input = input;
+        this.output = output;
+
+        this.slots.forEach(slot => {
+            this.instances.set(slot.id, createEffect(slot.type, context, slot.params));
+        });
+        this.rewire();
+    }
+
+    /**
+     * 解除实时绑定并释放效果器节点
+     */
+    disconnect() {
+        if (this.input) {
+            this.input.disconnect();
+        }
+        this.instances.forEach(effect => effect.dispose());
+        this.instances.clear();
+        this.context = null;
+        this.input = null;
+        this.output = null;
+    }
+
+    /**
+     * 按插槽顺序重新串联实时节点，跳过旁通的效果器
+     */
+    rewire() {
+        if (!this.input) return;
+
+        this.input.disconnect();
+        this.instances.forEach(effect => effect.output.disconnect());
+
+        let previous = this.input;
+        this.slots.forEach(slot => {
+            if (slot.bypassed) return;
+            const effect = this.instances.get(slot.id);
+            previous.connect(effect.input);
+            previous = effect.output;
+        });
+        previous.connect(this.output);
+    }
+
+    /**
+     * 在独立上下文中构建效果链（离线导出使用），不影响实时绑定
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} input - 链输入节点
+     * @param {AudioNode} output - 链输出节点
+     */
+    render(context, input, output) {
+        let previous = input;
+        this.slots.forEach(slot => {
+            if (slot.bypassed) return;
+            const effect = createEffect(slot.type, context, slot.params);
+            previous.connect(effect.input);
+            previous = effect.output;
+        });
+        previous.connect(output);
+    }
+
+    /**
+     * 整体替换插槽（撤销/重做时使用），实时绑定会随之重建
+     * @param {Array} slots - toJSON() 的输出
+     */
+    setSlots(slots) {
+        this.instances.forEach(effect => effect.dispose());
+        this.instances.clear();
+
+        this.slots = slots.map(slot => this.createSlot(slot.type, slot));
+
+        if (this.context) {
+            this.slots.forEach(slot => {
+                this.instances.set(slot.id, createEffect(slot.type, this.context, slot.params));
+            });
+            this.rewire();
+        }
+    }
+
+    /**
+     * 获取插槽
+     * @param {string} slotId - 插槽 ID
+     * @returns {Object|undefined}
+     */
+    getSlot(slotId) {
+        return this.slots.find(slot => slot.id === slotId);
+    }
+
+    /**
+     * 添加效果器
+     * @param {string} type - 效果器类型
+     * @param {number} [index] - 插入位置，省略时追加到末尾
+     * @returns {Object} 插槽数据
+     */
+    addEffect(type, index) {
+        const slot = this.createSlot(type);
+
+        if (typeof index === 'number' && index >= 0 && index < this.slots.length) {
+            this.slots.splice(index, 0, slot);
+        } else {
+            this.slots.push(slot);
+        }
+
+        if (this.context) {
+            this.instances.set(slot.id, createEffect(slot.type, this.context, slot.params));
+            this.rewire();
+        }
+
+        return slot;
+    }
+
+    /**
+     * 移除效果器
+     * @param {string} slotId - 插槽 ID
+     * @returns {Object|null} 被移除的插槽
+     */
+    removeEffect(slotId) {
+        const index = this.slots.findIndex(slot => slot.id === slotId);
+        if (index === -1) return null;
+
+        const [slot] = this.slots.splice(index, 1);
+        const effect = this.instances.get(slotId);
+        if (effect) {
+            effect.dispose();
+            this.instances.delete(slotId);
+        }
+
+        this.rewire();
+        return slot;
+    }
+
+    /**
+     * 移动效果器到新位置
+     * @param {string} slotId - 插槽 ID
+     * @param {number} toIndex - 目标位置
+     */
+    moveEffect(slotId, toIndex) {
+        const fromIndex = this.slots.findIndex(slot => slot.id === slotId);
+        if (fromIndex === -1) return;
+
+        const target = Math.max(0, Math.min(this.slots.length - 1, toIndex));
+        if (target === fromIndex) return;
+
+        const [slot] = this.slots.splice(fromIndex, 1);
+        this.slots.splice(target, 0, slot);
+
+        this.rewire();
+    }
+
+    /**
+     * 设置旁通状态
+     * @param {string} slotId - 插槽 ID
+     * @param {boolean} bypassed - 是否旁通
+     */
+    setBypassed(slotId, bypassed) {
+        const slot = this.getSlot(slotId);
+        if (!slot || slot.bypassed === bypassed) return;
+
+        slot.bypassed = bypassed;
+        this.rewire();
+    }
+
+    /**
+     * 设置效果器参数
+     * @param {string} slotId - 插槽 ID
+     * @param {string} name - 参数名
+     * @param {number} value - 参数值
+     */
+    setParam(slotId, name, value) {
+        const slot = this.getSlot(slotId);
+        if (!slot) return;
+
+        const def = getEffectClass(slot.type).getParamDef(name);
+        if (!def) return;
+
+        slot.params[name] = Math.max(def.min, Math.min(def.max, value));
+
+        const effect = this.instances.get(slotId);
+        if (effect) {
+            effect.setParam(name, slot.params[name]);
+        }
+    }
+
+    /**
+     * 获取效果链的尾音长度（秒），取各未旁通效果器的总和
+     * @returns {number}
+     */
+    getTailTime() {
+        return this.slots.reduce((sum, slot) => {
+            if (slot.bypassed) return sum;
+            return sum + getEffectClass(slot.type).getTailTime(slot.params);
+        }, 0);
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Array}
+     */
+    toJSON() {
+        return this.slots.map(slot => ({
+            id: slot.id,
+            type: slot.type,
+            bypassed: slot.bypassed,
+            params: { ...slot.params }
+        }));
+    }
+}
@@ -0,0 +1,241 @@
+/**
+ * Exporter - 离线导出
+ * 使用 OfflineAudioContext 按实时播放的调度规则渲染编曲并编码为 WAV
+ */
+import { audioEngine } from './AudioEngine.js';
+import { AudioClip } from './AudioClip.js';
+import { MidiClip } from './MidiClip.js';
+import { PatternClip } from './PatternClip.js';
+import { PatternTrack } from './PatternTrack.js';
+import { encodeWav } from '../utils/wav.js';
+import { createZip } from '../utils/zip.js';
+import { dbToLinear } from '../utils/helpers.js';
+
+// 可选采样率
+export const EXPORT_SAMPLE_RATES = [44100, 48000, 88200, 96000];
+
+// 标准化目标峰值（dBFS）
+const NORMALIZE_PEAK_DB = -0.1;
+
+export class Exporter {
+    /**
+     * @param {AudioEngine} engine - 音频引擎
+     */
+    constructor(engine = audioEngine) {
+        this.engine = engine;
+    }
+
+    /**
+     * 获取导出范围
+     * @param {string} range - 'song'（整首歌曲）或 'loop'（循环区域）
+     * @returns {{ start: number, end: number }}
+     */
+    getRange(range = 'song') {
+        if (range === 'loop') {
+            const region = this.engine.loopRegion;
+            if (!region || region.end <= region.start) {
+                throw new Error('Loop region is not set');
+            }
+            return { start: region.start, end: region.end };
+        }
+
+        return { start: 0, end: this.engine.getSongDuration() + this.getEffectsTail() };
+    }
+
+    /**
+     * 获取所有音轨中最长的尾音（效果链尾音加合成器释放或采样余音，秒），整首导出时追加到末尾
+     * @param {Track[]} [tracks] - 音轨列表，默认全部音轨
+     * @returns {number}
+     */
+    getEffectsTail(tracks = this.engine.tracks) {
+        return tracks.reduce((max, track) => {
+            let release = track.synth ? track.synth.getTailTime() : 0;
+            if (track instanceof PatternTrack) {
+                release = track.getSampleTail();
+            }
+            return Math.max(max, track.effects.getTailTime() + release);
+        }, 0);
+    }
+
+    /**
+     * 在离线上下文中调度音轨的所有片段（MIDI 片段由音轨的发声器逐个音符调度，节奏片段逐步触发采样）
+     * @param {OfflineAudioContext} context - 离线上下文
+     * @param {Track} track - 音轨对象
+     * @param {Object} nodes - createTrackNodes() 的输出
+     * @param {number} start - 渲染起点的歌曲时间（秒）
+     * @param {number} end - 渲染终点的歌曲时间（秒）
+     */
+    scheduleTrackClips(context, track, nodes, start, end) {
+        track.clips.forEach(clip => {
+            if (clip instanceof MidiClip) {
+                this.engine.scheduleNotes(nodes.instrument, clip, start, end, 0, end, true);
+            } else if (clip instanceof PatternClip) {
+                this.engine.scheduleSteps(context, clip, nodes.input, start, end, 0);
+            } else {
+                this.engine.scheduleClip(context, clip, nodes.input, start, 0, end, track.getClipFades(clip));
+            }
+        });
+    }
+
+    /**
+     * 等待音轨上所有伸缩/变调片段渲染完成，导出时不使用临时的变速播放
+     * @param {Track[]} [tracks] - 音轨列表，默认全部音轨
+     * @returns {Promise<void>}
+     */
+    async prepareStretchedClips(tracks = this.engine.tracks) {
+        await Promise.all(tracks.flatMap(track => track.clips
+            .filter(clip => clip instanceof AudioClip)
+            .map(clip => clip.renderStretch())));
+    }
+
+    /**
+     * 离线渲染编曲（遵循静音/独奏、音轨音量与主音量）
+     * @param {Object} [options] - 渲染选项
+     * @param {number} [options.sampleRate=44100] - 采样率
+     * @param {string} [options.range='song'] - 导出范围
+     * @param {boolean} [options.normalize=false] - 是否峰值标准化
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderArrangement(options = {}) {
+        const sampleRate = options.sampleRate || 44100;
+        const { start, end } = this.getRange(options.range);
+        const length = Math.ceil((end - start) * sampleRate);
+        if (length <= 0) {
+            throw new Error('Nothing to export');
+        }
+
+        await this.prepareStretchedClips();
+        const context = new OfflineAudioContext(2, length, sampleRate);
+
+        const master = context.createGain();
+        master.gain.value = this.engine.masterVolume;
+        master.connect(context.destination);
+
+        this.engine.tracks.forEach(track => {
+            if (!this.engine.isTrackAudible(track)) return;
+
+            const nodes = this.engine.createTrackNodes(context, track, master);
+            this.engine.scheduleAutomation(track, nodes, start, 0);
+            this.scheduleTrackClips(context, track, nodes, start, end);
+        });
+
+        const rendered = await context.startRendering();
+
+        if (options.normalize) {
+            normalizeBuffer(rendered, dbToLinear(NORMALIZE_PEAK_DB));
+        }
+
+        return rendered;
+    }
+
+    /**
+     * 离线渲染单个音轨（分轨），从时间零点开始，长度与整首歌曲（含效果尾音）一致
+     * 忽略静音/独奏状态；推子后分轨包含音轨音量、自动化、声像与主音量，各分轨相加即为主混音
+     * @param {Track} track - 音轨对象
+     * @param {Object} [options] - 渲染选项
+     * @param {number} [options.sampleRate=44100] - 采样率
+     * @param {boolean} [options.prefader=false] - 是否取推子前信号
+     * @returns {Promise<AudioBuffer>}
+     */
+    async renderTrack(track, options = {}) {
+        const sampleRate = options.sampleRate || 44100;
+        const end = this.engine.getSongDuration() + this.getEffectsTail();
+        const length = Math.ceil(end * sampleRate);
+        if (length <= 0) {
+            throw new Error('Nothing to export');
+        }
+
+        await this.prepareStretchedClips([track]);
+        const context = new OfflineAudioContext(2, length, sampleRate);
+
+        const master = context.createGain();
+        master.gain.value = options.prefader ? 1 : this.engine.masterVolume;
+        master.connect(context.destination);
+
+        const nodes = this.engine.createTrackNodes(context, track, master, {
+            gain: options.prefader ? 1 : track.volume,
+            pan: options.prefader ? 0 : track.pan
+        });
+        if (!options.prefader) {
+            this.engine.scheduleAutomation(track, nodes, 0, 0);
+        }
+        this.scheduleTrackClips(context, track, nodes, 0, end);
+
+        return context.startRendering();
+    }
+
+    /**
+     * 导出编曲为 WAV
+     * @param {Object} [options] - 渲染选项，另含 bitDepth（16、24 或 32 浮点）
+     * @returns {Promise<Blob>}
+     */
+    async exportWav(options = {}) {
+        const rendered = await this.renderArrangement(options);
+        const wav = encodeWav(rendered, { bitDepth: options.bitDepth || 16 });
+        return new Blob([wav], { type: 'audio/wav' });
+    }
+
+    /**
+     * 导出分轨，打包为 ZIP
+     * @param {Object} [options] - 渲染选项，另含 bitDepth 与 trackIds（省略时导出全部音轨）
+     * @returns {Promise<Blob>}
+     */
+    async exportStems(options = {}) {
+        const tracks = options.trackIds
+            ? this.engine.tracks.filter(track => options.trackIds.includes(track.id))
+            : this.engine.tracks;
+        if (tracks.length === 0) {
+            throw new Error('No tracks selected');
+        }
+
+        const files = [];
+        for (const track of tracks) {
+            const rendered = await this.renderTrack(track, options);
+            const index = String(this.engine.tracks.indexOf(track) + 1).padStart(2, '0');
+            files.push({
+                name: `${index} - ${sanitizeFileName(track.name)}.wav`,
+                data: encodeWav(rendered, { bitDepth: options.bitDepth || 16 })
+            });
+        }
+
+        return createZip(files);
+    }
+}
+
+/**
+ * 移除文件名中的非法字符
+ * @param {string} name - 原始名称
+ * @returns {string}
+ */
+function sanitizeFileName(name) {
+    return name.replace(/[\\/:*?"<>|]/g, '_').trim() || 'Track';
+}
+
+/**
+ * 将缓冲区峰值标准化到目标电平（原地修改）
+ * @param {AudioBuffer} audioBuffer - 音频缓冲区
+ * @param {number} targetPeak - 目标峰值（线性）
+ */
+export function normalizeBuffer(audioBuffer, targetPeak) {
+    let peak = 0;
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            const abs = Math.abs(data[i]);
+            if (abs > peak) peak = abs;
+        }
+    }
+
+    if (peak === 0) return;
+
+    const scale = targetPeak / peak;
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+        const data = audioBuffer.getChannelData(c);
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= scale;
+        }
+    }
+}
+
+// 创建单例实例
+export const exporter = new Exporter();
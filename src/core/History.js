@@ -0,0 +1,138 @@
+/**
+ * History - 撤销/重做历史
+ * 基于命令模式记录编辑操作
+ *
+ * 命令对象结构：
+ * - label: 操作名称（用于日志）
+ * - undo(): 撤销操作，可返回 Promise
+ * - redo(): 重做操作，可返回 Promise
+ * - mergeKey: 可选，同一次手势（按下到松开指针）中连续的同类操作（如拖动推子）合并为一步
+ *
+ * 手势由 beginGesture() / endGesture() 界定，应用在指针按下与松开时调用；
+ * 不同手势中的命令即使间隔很短也各自成为一步
+ */
+export class History {
+    /**
+     * @param {Object} options - 配置
+     * @param {number} [options.limit] - 最大历史步数
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || 200;
+
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // 最近一次入栈的命令及其所属手势（撤销/重做后失效，不再参与合并）
+        this.lastCommand = null;
+        this.lastGesture = null;
+
+        // 进行中的手势编号，null 表示没有手势
+        this.gesture = null;
+        this.gestureCounter = 0;
+
+        // 正在执行撤销/重做时忽略新命令，避免回放过程被重复记录
+        this.isApplying = false;
+    }
+
+    /**
+     * 开始一次手势（指针按下），此后相同 mergeKey 的命令合并到手势中的第一步
+     */
+    beginGesture() {
+        this.gestureCounter++;
+        this.gesture = this.gestureCounter;
+    }
+
+    /**
+     * 结束手势（指针松开或取消）
+     */
+    endGesture() {
+        this.gesture = null;
+    }
+
+    /**
+     * 记录已经执行过的命令
+     * @param {Object} command - 命令对象
+     */
+    push(command) {
+        if (this.isApplying) return;
+
+        const top = this.undoStack[this.undoStack.length - 1];
+
+        if (command.mergeKey && this.gesture !== null && this.lastGesture === this.gesture &&
+            top && top === this.lastCommand && top.mergeKey === command.mergeKey) {
+            // 合并：保留最初的撤销，更新为最新的重做
+            top.redo = command.redo;
+        } else {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+            this.lastCommand = command;
+        }
+
+        this.lastGesture = this.gesture;
+        this.redoStack = [];
+    }
+
+    /**
+     * 撤销（命令执行失败时保留在撤销栈中并抛出错误）
+     * @returns {Promise<boolean>} 是否执行了撤销
+     */
+    async undo() {
+        if (this.isApplying || this.undoStack.length === 0) return false;
+
+        const command = this.undoStack.pop();
+        this.lastCommand = null;
+        this.isApplying = true;
+        try {
+            await command.undo();
+        } catch (error) {
+            // 执行失败时放回原栈，命令不会丢失
+            this.undoStack.push(command);
+            throw error;
+        } finally {
+            this.isApplying = false;
+        }
+        this.redoStack.push(command);
+
+        console.log(`↩️ 撤销: ${command.label}`);
+        return true;
+    }
+
+    /**
+     * 重做（命令执行失败时保留在重做栈中并抛出错误）
+     * @returns {Promise<boolean>} 是否执行了重做
+     */
+    async redo() {
+        if (this.isApplying || this.redoStack.length === 0) return false;
+
+        const command = this.redoStack.pop();
+        this.lastCommand = null;
+        this.isApplying = true;
+        try {
+            await command.redo();
+        } catch (error) {
+            // 执行失败时放回原栈，命令不会丢失
+            this.redoStack.push(command);
+            throw error;
+        } finally {
+            this.isApplying = false;
+        }
+        this.undoStack.push(command);
+
+        console.log(`↪️ 重做: ${command.label}`);
+        return true;
+    }
+
+    /**
+     * 清空历史
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastCommand = null;
+    }
+}
+
+// 创建单例实例
+export const history = new History();
@@ -0,0 +1,152 @@
+/**
+ * Metronome - 节拍器
+ * 在音频图中合成咔哒声（不依赖采样），按速度轨的小节与拍精确调度；小节首拍为重音
+ */
+
+// 咔哒声参数：频率（Hz）与时长（秒）
+const ACCENT_FREQUENCY = 1600;
+const BEAT_FREQUENCY = 1000;
+const CLICK_DURATION = 0.05;
+
+export class Metronome {
+    constructor() {
+        this.enabled = false;
+        this.volume = 0.6;
+        this.countInBars = 0; // 0（关）、1 或 2 小节预备拍
+
+        this.context = null;
+        this.output = null;
+
+        // 已调度但尚未结束的振荡器
+        this.clicks = [];
+    }
+
+    /**
+     * 连接到音频上下文
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出目标（不经过主音量，也不进入导出）
+     */
+    connect(context, destination) {
+        this.context = context;
+        this.output = context.createGain();
+        this.output.gain.value = this.volume;
+        this.output.connect(destination);
+    }
+
+    /**
+     * 开启/关闭节拍器（关闭时停止已调度的咔哒声）
+     * @param {boolean} enabled - 是否开启
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        if (!this.enabled) {
+            this.stop();
+        }
+    }
+
+    /**
+     * 设置音量
+     * @param {number} volume - 音量 (0-1)
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        if (this.output) {
+            this.output.gain.value = this.volume;
+        }
+    }
+
+    /**
+     * 设置预备拍小节数
+     * @param {number} bars - 0、1 或 2
+     */
+    setCountInBars(bars) {
+        this.countInBars = Math.max(0, Math.min(2, Math.round(bars) || 0));
+    }
+
+    /**
+     * 调度单个咔哒声：短促的正弦波，指数衰减包络
+     * @param {number} when - 上下文时间（秒）
+     * @param {boolean} accent - 是否为重音（小节首拍）
+     */
+    scheduleClick(when, accent) {
+        const context = this.context;
+        const osc = context.createOscillator();
+        const envelope = context.createGain();
+
+        osc.frequency.value = accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY;
+        envelope.gain.setValueAtTime(accent ? 1 : 0.6, when);
+        envelope.gain.exponentialRampToValueAtTime(0.001, when + CLICK_DURATION);
+
+        osc.connect(envelope);
+        envelope.connect(this.output);
+        osc.start(when);
+        osc.stop(when + CLICK_DURATION);
+
+        this.clicks.push(osc);
+        osc.addEventListener('ended', () => {
+            envelope.disconnect();
+            const index = this.clicks.indexOf(osc);
+            if (index !== -1) {
+                this.clicks.splice(index, 1);
+            }
+        });
+    }
+
+    /**
+     * 调度歌曲时间范围 [fromTime, toTime) 内的所有拍子
+     * @param {number} fromTime - 起点歌曲时间（秒）
+     * @param {number} toTime - 终点歌曲时间（秒）
+     * @param {number} contextTime - fromTime 对应的上下文时间（秒）
+     * @param {TempoMap} tempoMap - 速度轨
+     */
+    scheduleBeats(fromTime, toTime, contextTime, tempoMap) {
+        if (!this.output || toTime <= fromTime) return;
+
+        tempoMap.forEachGridLine(fromTime, toTime, null, (time, { isBar }) => {
+            this.scheduleClick(contextTime + (time - fromTime), isBar);
+        });
+    }
+
+    /**
+     * 获取预备拍时长（按播放起点处的速度与拍号）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @param {number} time - 播放起点（秒）
+     * @returns {number} 时长（秒），未开启时为 0
+     */
+    getCountInDuration(tempoMap, time) {
+        if (!this.output) return 0;
+        const { meter } = tempoMap.getBarAt(time);
+        return this.countInBars * meter.barLength * 60 / tempoMap.getTempoAt(time);
+    }
+
+    /**
+     * 调度预备拍（无论节拍器是否开启都会发声）
+     * @param {number} contextTime - 预备拍开始的上下文时间（秒）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @param {number} time - 播放起点（秒）
+     */
+    scheduleCountIn(contextTime, tempoMap, time) {
+        if (!this.output) return;
+
+        const { meter } = tempoMap.getBarAt(time);
+        const secondsPerBeat = meter.beatLength * 60 / tempoMap.getTempoAt(time);
+        const beats = this.countInBars * meter.numerator;
+        for (let beat = 0; beat < beats; beat++) {
+            this.scheduleClick(contextTime + beat * secondsPerBeat, beat % meter.numerator === 0);
+        }
+    }
+
+    /**
+     * 停止所有已调度的咔哒声
+     */
+    stop() {
+        this.clicks.forEach(osc => {
+            try {
+                osc.stop();
+            } catch (e) {
+                // 忽略已停止的振荡器
+            }
+        });
+        this.clicks = [];
+    }
+}
@@ -0,0 +1,292 @@
+/**
+ * MidiClip - MIDI 片段类
+ * 代表 MIDI 音轨上的一段音符，与音频片段共用时间线上的位置、修剪、滑动与分割规则
+ *
+ * 音符的起点与长度以拍为单位，相对片段内容起点（startTime - offset）所在的拍，
+ * 按速度轨换算为秒，速度变化时音符随之伸缩、始终对齐网格；
+ * 修剪与分割只改变片段显示的范围，范围之外的音符保留但不播放
+ */
+
+let clipCounter = 0;
+
+// 片段最短时长（秒）
+const MIN_CLIP_DURATION = 0.1;
+
+// 音符最短时长（拍）
+export const MIN_NOTE_DURATION = 1 / 64;
+
+// MIDI 音高与力度范围
+export const MIN_PITCH = 0;
+export const MAX_PITCH = 127;
+export const MAX_VELOCITY = 127;
+
+// 新音符的默认力度
+export const DEFAULT_VELOCITY = 100;
+
+/**
+ * 校验音符字段并返回新对象
+ * @param {Object} note - 音符 { pitch, start, duration, velocity }
+ * @returns {{ pitch: number, start: number, duration: number, velocity: number }}
+ */
+export function normalizeNote(note) {
+    return {
+        pitch: Math.max(MIN_PITCH, Math.min(MAX_PITCH, Math.round(note.pitch))),
+        start: Math.max(0, note.start || 0),
+        duration: Math.max(MIN_NOTE_DURATION, note.duration || 0),
+        velocity: Math.max(1, Math.min(MAX_VELOCITY, Math.round(note.velocity ?? DEFAULT_VELOCITY)))
+    };
+}
+
+export class MidiClip {
+    /**
+     * @param {Object} options - 片段配置
+     * @param {string} [options.name] - 片段名称
+     * @param {number} [options.startTime] - 在时间线上的起始位置（秒）
+     * @param {number} [options.offset] - 内容偏移（秒）
+     * @param {number} [options.duration] - 持续时间（秒）
+     * @param {Array<Object>} [options.notes] - 音符列表 { pitch, start, duration, velocity }（拍）
+     * @param {string} [options.id] - 片段 ID（从工程恢复时使用）
+     */
+    constructor(options = {}) {
+        ++clipCounter;
+        this.id = options.id || `midi_${Date.now()}_${clipCounter}`;
+        this.name = options.name || 'MIDI Clip';
+        this.trackId = null;
+
+        // 时间参数
+        this.startTime = options.startTime || 0;
+        this.offset = options.offset || 0;
+        this.duration = Math.max(MIN_CLIP_DURATION, options.duration || 0);
+
+        // 音符（按开始时间排序）
+        this.notes = [];
+        this.setNotes(options.notes || []);
+
+        // 选中状态
+        this.selected = false;
+    }
+
+    /**
+     * 片段内容起点在时间线上的位置
+     * @returns {number}
+     */
+    getContentStart() {
+        return this.startTime - this.offset;
+    }
+
+    /**
+     * 片段内容起点在速度轨上的位置（拍）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @returns {number}
+     */
+    getContentBeat(tempoMap) {
+        return tempoMap.secondsToBeats(this.getContentStart());
+    }
+
+    /**
+     * 将音符时间（拍）换算为歌曲时间（秒）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @param {number} beat - 相对内容起点的拍
+     * @returns {number}
+     */
+    beatToTime(tempoMap, beat) {
+        return tempoMap.beatsToSeconds(this.getContentBeat(tempoMap) + beat);
+    }
+
+    /**
+     * 将歌曲时间（秒）换算为音符时间（拍）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @param {number} time - 歌曲时间（秒）
+     * @returns {number}
+     */
+    timeToBeat(tempoMap, time) {
+        return tempoMap.secondsToBeats(time) - this.getContentBeat(tempoMap);
+    }
+
+    /**
+     * 替换全部音符
+     * @param {Array<Object>} notes - 音符列表
+     */
+    setNotes(notes) {
+        this.notes = notes.map(normalizeNote);
+        this.sortNotes();
+    }
+
+    /**
+     * 获取音符副本（用于撤销历史）
+     * @returns {Array<Object>}
+     */
+    getNotes() {
+        return this.notes.map(note => ({ ...note }));
+    }
+
+    /**
+     * 添加音符
+     * @param {Object} note - 音符
+     * @returns {Object} 添加后的音符对象
+     */
+    addNote(note) {
+        const added = normalizeNote(note);
+        this.notes.push(added);
+        this.sortNotes();
+        return added;
+    }
+
+    /**
+     * 移除音符
+     * @param {Object} note - 音符对象
+     */
+    removeNote(note) {
+        const index = this.notes.indexOf(note);
+        if (index !== -1) {
+            this.notes.splice(index, 1);
+        }
+    }
+
+    /**
+     * 按开始时间（相同时按音高）排序音符
+     */
+    sortNotes() {
+        this.notes.sort((a, b) => a.start - b.start || a.pitch - b.pitch);
+    }
+
+    /**
+     * 获取在片段范围内开始的音符（可播放的音符）
+     * @param {TempoMap} tempoMap - 速度轨
+     * @returns {Array<Object>}
+     */
+    getPlayableNotes(tempoMap) {
+        const from = this.timeToBeat(tempoMap, this.startTime);
+        const to = this.timeToBeat(tempoMap, this.startTime + this.duration);
+        return this.notes.filter(note => note.start >= from && note.start < to);
+    }
+
+    /**
+     * 设置开始时间
+     * @param {number} time - 开始时间（秒）
+     */
+    setStartTime(time) {
+        this.startTime = Math.max(0, time);
+    }
+
+    /**
+     * 移动片段
+     * @param {number} deltaTime - 时间偏移量（秒）
+     */
+    move(deltaTime) {
+        this.setStartTime(this.startTime + deltaTime);
+    }
+
+    /**
+     * 设置持续时间（MIDI 片段可以延长到任意长度）
+     * @param {number} duration - 持续时间（秒）
+     */
+    setDuration(duration) {
+        this.duration = Math.max(MIN_CLIP_DURATION, duration);
+    }
+
+    /**
+     * 设置内容偏移（滑动编辑），片段位置与长度不变
+     * @param {number} offset - 偏移（秒）
+     */
+    setOffset(offset) {
+        this.offset = Math.max(0, offset);
+    }
+
+    /**
+     * 修剪片段起点（同时调整 startTime 与 offset，终点保持不变）
+     * @param {number} time - 新的起点时间（秒）
+     */
+    trimStart(time) {
+        const end = this.startTime + this.duration;
+        const minStart = Math.max(0, this.startTime - this.offset);
+        const newStart = Math.max(minStart, Math.min(end - MIN_CLIP_DURATION, time));
+
+        this.offset += newStart - this.startTime;
+        this.startTime = newStart;
+        this.duration = end - newStart;
+    }
+
+    /**
+     * 修剪片段终点
+     * @param {number} time - 新的终点时间（秒）
+     */
+    trimEnd(time) {
+        this.setDuration(time - this.startTime);
+    }
+
+    /**
+     * 在指定时间处分割片段：本片段保留左半部分，返回右半部分
+     * 两部分都保留全部音符，只是显示范围不同，撤销时恢复范围即可
+     * @param {number} time - 分割点（时间线上的时间，秒）
+     * @returns {MidiClip|null} 右半部分；分割点不在片段内部时返回 null
+     */
+    split(time) {
+        const end = this.startTime + this.duration;
+        if (time - this.startTime < MIN_CLIP_DURATION || end - time < MIN_CLIP_DURATION) {
+            return null;
+        }
+
+        const right = this.clone();
+        right.startTime = time;
+        right.offset = this.offset + (time - this.startTime);
+        right.duration = end - time;
+
+        this.duration = time - this.startTime;
+
+        return right;
+    }
+
+    /**
+     * 复制片段（音符深拷贝，编辑副本不影响原片段）
+     * @returns {MidiClip}
+     */
+    clone() {
+        return new MidiClip({
+            name: this.name,
+            startTime: this.startTime,
+            offset: this.offset,
+            duration: this.duration,
+            notes: this.notes
+        });
+    }
+
+    /**
+     * 序列化为 JSON（音符以拍保存）
+     * @returns {Object}
+     */
+    toJSON() {
+        const round = (beats) => Math.round(beats * 1e6) / 1e6;
+        return {
+            id: this.id,
+            type: 'midi',
+            name: this.name,
+            trackId: this.trackId,
+            startTime: this.startTime,
+            offset: this.offset,
+            duration: this.duration,
+            notes: this.notes.map(note => ({
+                pitch: note.pitch,
+                start: round(note.start),
+                duration: round(note.duration),
+                velocity: note.velocity
+            }))
+        };
+    }
+
+    /**
+     * 从 JSON 恢复片段
+     * @param {Object} data - toJSON() 的输出
+     * @returns {MidiClip}
+     */
+    static fromJSON(data) {
+        return new MidiClip({
+            id: data.id,
+            name: data.name,
+            startTime: data.startTime,
+            offset: data.offset,
+            duration: data.duration,
+            notes: data.notes
+        });
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * MidiTrack - MIDI 音轨类
+ * 承载 MIDI 片段的音轨，由内置合成器发声，混音、效果链与自动化与音频轨相同
+ */
+import { Track } from './Track.js';
+import { MidiClip } from './MidiClip.js';
+import { Synth } from './Synth.js';
+
+export class MidiTrack extends Track {
+    // 未指定名称时的前缀
+    static defaultName = 'MIDI';
+
+    /**
+     * @param {Object} options - 音轨配置（同 Track）
+     * @param {Object} [options.synth] - 合成器参数
+     */
+    constructor(options = {}) {
+        super(options);
+
+        // 音源（发声器由 AudioEngine 绑定到音轨输入）
+        this.synth = new Synth(options.synth);
+    }
+
+    /**
+     * 是否可以放置指定片段（只接受 MIDI 片段）
+     * @param {AudioClip|MidiClip} clip - 片段
+     * @returns {boolean}
+     */
+    acceptsClip(clip) {
+        return clip instanceof MidiClip;
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            type: 'midi',
+            synth: this.synth.toJSON()
+        };
+    }
+
+    /**
+     * 从 JSON 恢复音轨及其 MIDI 片段（音符保存在工程中，无需等待音频解码）
+     * @param {Object} data - toJSON() 的输出
+     * @returns {MidiTrack}
+     */
+    static fromJSON(data) {
+        const track = new MidiTrack({
+            id: data.id,
+            name: data.name,
+            color: data.color,
+            volume: data.volume,
+            pan: data.pan,
+            muted: data.muted,
+            solo: data.solo,
+            effects: data.effects,
+            automation: data.automation,
+            synth: data.synth
+        });
+        (data.clips || []).forEach(clipData => track.addClip(MidiClip.fromJSON(clipData)));
+        return track;
+    }
+}
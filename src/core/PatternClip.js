@@ -0,0 +1,364 @@
+/**
+ * PatternClip - 节奏片段类
+ * 步进音序器（通道架）的一个节奏型：每个通道对应一个采样，每一步记录力度（0 为不触发）
+ * 与 MIDI 片段共用时间线上的位置、修剪、滑动与分割规则
+ *
+ * 步长固定为十六分音符，按速度轨换算为秒，速度变化时节奏型随之伸缩；
+ * 片段长于节奏型时从内容起点（startTime - offset）开始循环播放
+ */
+import { MAX_VELOCITY, DEFAULT_VELOCITY } from './MidiClip.js';
+
+let clipCounter = 0;
+let channelCounter = 0;
+
+// 片段最短时长（秒）
+const MIN_CLIP_DURATION = 0.1;
+
+// 可选步数；通道始终保存最大步数，缩短后再加长时原有的步仍然保留
+export const STEP_COUNTS = [16, 32];
+export const MAX_STEPS = 32;
+
+// 每步的长度（拍，十六分音符）
+export const STEP_BEATS = 0.25;
+
+// 摇摆 100% 时偶数步（每拍的第 2、4 个十六分音符）推迟的步长比例
+const MAX_SWING_DELAY = 0.5;
+
+// 新通道的默认音量
+const DEFAULT_CHANNEL_VOLUME = 0.8;
+
+/**
+ * 校验通道字段并返回新对象（步数组补齐到 MAX_STEPS，共享采样的 AudioBuffer）
+ * @param {Object} channel - 通道 { id, name, audioBuffer, volume, muted, steps }
+ * @returns {{ id: string, name: string, audioBuffer: AudioBuffer|null, volume: number, muted: boolean, steps: number[] }}
+ */
+export function normalizeChannel(channel = {}) {
+    const steps = [];
+    for (let i = 0; i < MAX_STEPS; i++) {
+        const velocity = Math.round(channel.steps?.[i] || 0);
+        steps.push(Math.max(0, Math.min(MAX_VELOCITY, velocity)));
+    }
+
+    return {
+        id: channel.id || `channel_${Date.now()}_${++channelCounter}`,
+        name: channel.name || 'Sample',
+        audioBuffer: channel.audioBuffer || null,
+        volume: typeof channel.volume === 'number' ? Math.max(0, Math.min(1, channel.volume)) : DEFAULT_CHANNEL_VOLUME,
+        muted: Boolean(channel.muted),
+        steps
+    };
+}
+
+export class PatternClip {
+    /**
+     * @param {Object} options - 片段配置
+     * @param {string} [options.name] - 片段名称
+     * @param {number} [options.startTime] - 在时间线上的起始位置（秒）
+     * @param {number} [options.offset] - 内容偏移（秒）
+     * @param {number} [options.duration] - 持续时间（秒）
+     * @param {number} [options.stepCount] - 节奏型步数（16 或 32）
+     * @param {number} [options.swing] - 摇摆量 (0-1)
+     * @param {Array<Object>} [options.channels] - 通道列表
+     * @param {string} [options.id] - 片段 ID（从工程恢复时使用）
+     */
+    constructor(options = {}) {
+        ++clipCounter;
+        this.id = options.id || `pattern_${Date.now()}_${clipCounter}`;
+        this.name = options.name || 'Pattern';
+        this.trackId = null;
+
+        // 时间参数
+        this.startTime = options.startTime || 0;
+        this.offset = options.offset || 0;
+        this.duration = Math.max(MIN_CLIP_DURATION, options.duration || 0);
+
+        // 节奏型
+        this.stepCount = STEP_COUNTS[0];
+        this.swing = 0;
+        this.channels = [];
+        this.setPattern({
+            stepCount: options.stepCount,
+            swing: options.swing,
+            channels: options.channels || []
+        });
+
+        // 选中状态
+        this.selected = false;
+    }
+
+    /**
+     * 片段内容起点在时间线上的位置
+     * @returns {number}
+     */
+    getContentStart() {
+        return this.startTime - this.offset;
+    }
+
+    /**
+     * 设置步数
+     * @param {number} count - 步数（16 或 32）
+     */
+    setStepCount(count) {
+        this.stepCount = STEP_COUNTS.includes(count) ? count : STEP_COUNTS[0];
+    }
+
+    /**
+     * 设置摇摆量
+     * @param {number} swing - 摇摆量 (0-1)
+     */
+    setSwing(swing) {
+        this.swing = Math.max(0, Math.min(1, swing || 0));
+    }
+
+    /**
+     * 添加通道
+     * @param {Object} channel - 通道
+     * @returns {Object} 添加后的通道对象
+     */
+    addChannel(channel) {
+        const added = normalizeChannel(channel);
+        this.channels.push(added);
+        return added;
+    }
+
+    /**
+     * 移除通道
+     * @param {Object} channel - 通道对象
+     */
+    removeChannel(channel) {
+        const index = this.channels.indexOf(channel);
+        if (index !== -1) {
+            this.channels.splice(index, 1);
+        }
+    }
+
+    /**
+     * 设置某一步的力度
+     * @param {Object} channel - 通道对象
+     * @param {number} step - 步序号
+     * @param {number} velocity - 力度（0 为关闭）
+     */
+    setStep(channel, step, velocity) {
+        if (step < 0 || step >= MAX_STEPS) return;
+        channel.steps[step] = Math.max(0, Math.min(MAX_VELOCITY, Math.round(velocity)));
+    }
+
+    /**
+     * 切换某一步的开关（打开时使用默认力度）
+     * @param {Object} channel - 通道对象
+     * @param {number} step - 步序号
+     */
+    toggleStep(channel, step) {
+        this.setStep(channel, step, channel.steps[step] > 0 ? 0 : DEFAULT_VELOCITY);
+    }
+
+    /**
+     * 获取节奏型副本（用于撤销历史，采样 AudioBuffer 共享）
+     * @returns {{ stepCount: number, swing: number, channels: Array<Object> }}
+     */
+    getPattern() {
+        return {
+            stepCount: this.stepCount,
+            swing: this.swing,
+            channels: this.channels.map(channel => ({ ...channel, steps: channel.steps.slice() }))
+        };
+    }
+
+    /**
+     * 替换节奏型
+     * @param {{ stepCount: number, swing: number, channels: Array<Object> }} pattern - 节奏型
+     */
+    setPattern(pattern) {
+        this.setStepCount(pattern.stepCount);
+        this.setSwing(pattern.swing);
+        this.channels = pattern.channels.map(normalizeChannel);
+    }
+
+    /**
+     * 节奏型一遍的时长（秒），按内容起点处的速度轨换算
+     * @param {TempoMap} tempoMap - 速度轨
+     * @returns {number}
+     */
+    getPatternDuration(tempoMap) {
+        const contentStart = this.getContentStart();
+        const beat = tempoMap.secondsToBeats(contentStart);
+        return tempoMap.beatsToSeconds(beat + this.stepCount * STEP_BEATS) - contentStart;
+    }
+
+    /**
+     * 遍历 [fromTime, toTime) 内且在片段范围内触发的步（已跳过静音通道与缺少采样的通道）
+     * 实时播放、离线渲染与时间线预览共用此时间规则
+     * @param {TempoMap} tempoMap - 速度轨
+     * @param {number} fromTime - 起点歌曲时间（秒）
+     * @param {number} toTime - 终点歌曲时间（秒）
+     * @param {Function} callback - (time, channel, velocity, step) => void
+     */
+    forEachHit(tempoMap, fromTime, toTime, callback) {
+        const from = Math.max(fromTime, this.startTime);
+        const to = Math.min(toTime, this.startTime + this.duration);
+        if (to <= from) return;
+
+        const contentBeat = tempoMap.secondsToBeats(this.getContentStart());
+        const swingDelay = this.swing * MAX_SWING_DELAY * STEP_BEATS;
+
+        // 摇摆推迟不超过半步，从前一步开始检查即可
+        const firstIndex = Math.floor((tempoMap.secondsToBeats(from) - contentBeat) / STEP_BEATS) - 1;
+
+        for (let index = Math.max(0, firstIndex); ; index++) {
+            const step = index % this.stepCount;
+            const beat = contentBeat + index * STEP_BEATS + (step % 2 === 1 ? swingDelay : 0);
+            const time = tempoMap.beatsToSeconds(beat);
+            if (time >= to) break;
+            if (time < from) continue;
+
+            this.channels.forEach(channel => {
+                const velocity = channel.steps[step];
+                if (velocity > 0 && !channel.muted && channel.audioBuffer) {
+                    callback(time, channel, velocity, step);
+                }
+            });
+        }
+    }
+
+    /**
+     * 设置开始时间
+     * @param {number} time - 开始时间（秒）
+     */
+    setStartTime(time) {
+        this.startTime = Math.max(0, time);
+    }
+
+    /**
+     * 移动片段
+     * @param {number} deltaTime - 时间偏移量（秒）
+     */
+    move(deltaTime) {
+        this.setStartTime(this.startTime + deltaTime);
+    }
+
+    /**
+     * 设置持续时间（节奏片段可以延长到任意长度，节奏型循环播放）
+     * @param {number} duration - 持续时间（秒）
+     */
+    setDuration(duration) {
+        this.duration = Math.max(MIN_CLIP_DURATION, duration);
+    }
+
+    /**
+     * 设置内容偏移（滑动编辑），片段位置与长度不变
+     * @param {number} offset - 偏移（秒）
+     */
+    setOffset(offset) {
+        this.offset = Math.max(0, offset);
+    }
+
+    /**
+     * 修剪片段起点（同时调整 startTime 与 offset，终点保持不变）
+     * @param {number} time - 新的起点时间（秒）
+     */
+    trimStart(time) {
+        const end = this.startTime + this.duration;
+        const minStart = Math.max(0, this.startTime - this.offset);
+        const newStart = Math.max(minStart, Math.min(end - MIN_CLIP_DURATION, time));
+
+        this.offset += newStart - this.startTime;
+        this.startTime = newStart;
+        this.duration = end - newStart;
+    }
+
+    /**
+     * 修剪片段终点
+     * @param {number} time - 新的终点时间（秒）
+     */
+    trimEnd(time) {
+        this.setDuration(time - this.startTime);
+    }
+
+    /**
+     * 在指定时间处分割片段：本片段保留左半部分，返回右半部分
+     * 两部分保留相同的节奏型与内容起点，分割后节奏不会错位
+     * @param {number} time - 分割点（时间线上的时间，秒）
+     * @returns {PatternClip|null} 右半部分；分割点不在片段内部时返回 null
+     */
+    split(time) {
+        const end = this.startTime + this.duration;
+        if (time - this.startTime < MIN_CLIP_DURATION || end - time < MIN_CLIP_DURATION) {
+            return null;
+        }
+
+        const right = this.clone();
+        right.startTime = time;
+        right.offset = this.offset + (time - this.startTime);
+        right.duration = end - time;
+
+        this.duration = time - this.startTime;
+
+        return right;
+    }
+
+    /**
+     * 复制片段（步深拷贝，编辑副本不影响原片段；采样 AudioBuffer 共享）
+     * @returns {PatternClip}
+     */
+    clone() {
+        return new PatternClip({
+            name: this.name,
+            startTime: this.startTime,
+            offset: this.offset,
+            duration: this.duration,
+            stepCount: this.stepCount,
+            swing: this.swing,
+            channels: this.channels.map(channel => ({ ...channel, id: null }))
+        });
+    }
+
+    /**
+     * 序列化为 JSON（不含采样数据，由 Project 为各通道补充 sourceId）
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            type: 'pattern',
+            name: this.name,
+            trackId: this.trackId,
+            startTime: this.startTime,
+            offset: this.offset,
+            duration: this.duration,
+            stepCount: this.stepCount,
+            swing: this.swing,
+            channels: this.channels.map(channel => ({
+                id: channel.id,
+                name: channel.name,
+                volume: channel.volume,
+                muted: channel.muted,
+                steps: channel.steps.slice()
+            }))
+        };
+    }
+
+    /**
+     * 从 JSON 恢复片段
+     * @param {Object} data - toJSON() 的输出（通道含 sourceId）
+     * @param {Map<string, AudioBuffer>} [buffers] - sourceId 到已解码采样的映射
+     * @returns {PatternClip}
+     */
+    static fromJSON(data, buffers = new Map()) {
+        return new PatternClip({
+            id: data.id,
+            name: data.name,
+            startTime: data.startTime,
+            offset: data.offset,
+            duration: data.duration,
+            stepCount: data.stepCount,
+            swing: data.swing,
+            channels: (data.channels || []).map(channel => {
+                const audioBuffer = buffers.get(channel.sourceId) || null;
+                if (!audioBuffer) {
+                    console.warn(`⚠️ 通道缺少采样: ${channel.name}`);
+                }
+                return { ...channel, audioBuffer };
+            })
+        });
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * PatternTrack - 节奏音轨类
+ * 承载节奏片段（步进音序器）的音轨，采样直接送入音轨输入，混音、效果链与自动化与音频轨相同
+ */
+import { Track } from './Track.js';
+import { PatternClip } from './PatternClip.js';
+
+export class PatternTrack extends Track {
+    // 未指定名称时的前缀
+    static defaultName = 'Drums';
+
+    /**
+     * 是否可以放置指定片段（只接受节奏片段）
+     * @param {AudioClip|MidiClip|PatternClip} clip - 片段
+     * @returns {boolean}
+     */
+    acceptsClip(clip) {
+        return clip instanceof PatternClip;
+    }
+
+    /**
+     * 获取片段中最长的采样时长（秒），采样在片段结束后继续发声，导出时追加到末尾
+     * @returns {number}
+     */
+    getSampleTail() {
+        return this.clips.reduce((max, clip) => clip.channels.reduce((longest, channel) => {
+            return channel.audioBuffer ? Math.max(longest, channel.audioBuffer.duration) : longest;
+        }, max), 0);
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            type: 'pattern'
+        };
+    }
+
+    /**
+     * 从 JSON 恢复音轨及其节奏片段
+     * @param {Object} data - toJSON() 的输出（通道含 sourceId）
+     * @param {Map<string, AudioBuffer>} [buffers] - sourceId 到已解码采样的映射
+     * @returns {PatternTrack}
+     */
+    static fromJSON(data, buffers) {
+        const track = new PatternTrack({
+            id: data.id,
+            name: data.name,
+            color: data.color,
+            volume: data.volume,
+            pan: data.pan,
+            muted: data.muted,
+            solo: data.solo,
+            effects: data.effects,
+            automation: data.automation
+        });
+        (data.clips || []).forEach(clipData => track.addClip(PatternClip.fromJSON(clipData, buffers)));
+        return track;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * PeakCache - 多级波形峰值缓存
+ * 音频解码后在 Worker 中构建多级最小/最大值峰值，按 AudioBuffer 共享，
+ * 所有引用同一音频的片段在任意缩放级别下绘制波形都无需重新扫描采样
+ */
+import { buildPeakLevels, readPeaks, PEAK_LEVEL_SIZES } from '../utils/peaks.js';
+
+export class PeakCache {
+    constructor() {
+        // AudioBuffer -> 多级峰值
+        this.levels = new WeakMap();
+        // AudioBuffer -> 进行中的计算
+        this.pending = new WeakMap();
+
+        this.worker = null;
+        this.requests = new Map();
+        this.requestCounter = 0;
+    }
+
+    /**
+     * 获取 Worker（首次调用时创建），不支持 Worker 时返回 null
+     * @returns {Worker|null}
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (typeof Worker === 'undefined') return null;
+
+        this.worker = new Worker(new URL('./workers/peak-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => {
+            const { id, levels } = e.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            request.resolve(levels);
+        };
+        this.worker.onerror = (e) => {
+            const error = new Error(`Peak worker failed: ${e.message}`);
+            this.requests.forEach(request => request.reject(error));
+            this.requests.clear();
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * 获取已计算好的多级峰值
+     * @param {AudioBuffer} audioBuffer - 音频数据
+     * @returns {Array|null}
+     */
+    get(audioBuffer) {
+        return this.levels.get(audioBuffer) || null;
+    }
+
+    /**
+     * 请求计算音频的多级峰值（同一 AudioBuffer 只计算一次）
+     * @param {AudioBuffer} audioBuffer - 音频数据
+     * @returns {Promise<Array>} 多级峰值
+     */
+    request(audioBuffer) {
+        const cached = this.levels.get(audioBuffer);
+        if (cached) return Promise.resolve(cached);
+
+        const pending = this.pending.get(audioBuffer);
+        if (pending) return pending;
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        const worker = this.getWorker();
+        let promise;
+
+        if (worker) {
+            // 复制采样后转移给 Worker，原 AudioBuffer 仍可用于播放
+            const copies = channels.map(data => data.slice());
+            const id = ++this.requestCounter;
+            promise = new Promise((resolve, reject) => {
+                this.requests.set(id, { resolve, reject });
+                worker.postMessage(
+                    { id, channels: copies, levelSizes: PEAK_LEVEL_SIZES },
+                    copies.map(data => data.buffer)
+                );
+            });
+        } else {
+            promise = Promise.resolve(buildPeakLevels(channels, PEAK_LEVEL_SIZES));
+        }
+
+        promise = promise.then(levels => {
+            this.levels.set(audioBuffer, levels);
+            this.pending.delete(audioBuffer);
+            console.log(`📈 波形峰值已生成 (${audioBuffer.duration.toFixed(2)}秒，${levels.length} 级)`);
+            return levels;
+        }, error => {
+            this.pending.delete(audioBuffer);
+            throw error;
+        });
+
+        this.pending.set(audioBuffer, promise);
+        return promise;
+    }
+
+    /**
+     * 读取音频某一时间范围的波形
+     * @param {AudioBuffer} audioBuffer - 音频数据
+     * @param {number} startTime - 起始时间（秒，音频内部时间）
+     * @param {number} endTime - 结束时间（秒）
+     * @param {number} points - 每个声道的点数
+     * @returns {Array<{min: Float32Array, max: Float32Array}>|null} 各声道波形；峰值尚未生成时为 null
+     */
+    getWaveform(audioBuffer, startTime, endTime, points) {
+        const levels = this.levels.get(audioBuffer);
+        if (!levels) return null;
+
+        const sampleRate = audioBuffer.sampleRate;
+        const start = Math.floor(startTime * sampleRate);
+        const end = Math.max(start + 1, Math.min(audioBuffer.length, Math.floor(endTime * sampleRate)));
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+
+        return readPeaks(levels, channels, start, end, points);
+    }
+}
+
+// 创建单例实例
+export const peakCache = new PeakCache();
@@ -0,0 +1,260 @@
+/**
+ * Project - 工程类
+ * 负责整个工程（速度、音轨、片段、混音状态及音频源）的保存与恢复
+ *
+ * 工程文件为仅存储的 ZIP：project.json 保存工程结构，音频源以 32 位浮点 WAV 存放在 sources/ 目录，
+ * 片段通过 sourceId 引用 sources 中的条目（source.file 为 ZIP 内的路径）
+ * 版本 1 的工程是单个 JSON 文件，音频以 Base64 编码内嵌在 source.data 中，仍可打开
+ * MIDI 音轨（type 为 'midi'）的片段直接保存音符（拍），不引用音频源；版本 3 之前的音符以秒保存，加载时按速度轨换算
+ * 节奏音轨（type 为 'pattern'）的片段保存步与通道设置，各通道的采样同样通过 sourceId 引用
+ */
+import { audioEngine } from './AudioEngine.js';
+import { Track } from './Track.js';
+import { MidiTrack } from './MidiTrack.js';
+import { PatternTrack } from './PatternTrack.js';
+import { AudioClip } from './AudioClip.js';
+import { TempoMap } from './TempoMap.js';
+import { encodeWav } from '../utils/wav.js';
+import { createZip, readZip, isZip } from '../utils/zip.js';
+import { base64ToArrayBuffer } from '../utils/helpers.js';
+
+export const PROJECT_FORMAT = 'qanyi-project';
+export const PROJECT_VERSION = 3;
+export const PROJECT_FILE_EXTENSION = '.qanyi';
+
+// ZIP 内工程结构文件的名称
+const PROJECT_ENTRY = 'project.json';
+
+// 音频源的 WAV 位深（32 位浮点，保留超出 [-1, 1] 的采样）
+const SOURCE_BIT_DEPTH = 32;
+
+/**
+ * 将旧版 MIDI 音轨中以秒保存的音符（相对片段内容起点）换算为拍
+ * @param {Object} trackData - MidiTrack.toJSON() 的输出
+ * @param {TempoMap} tempoMap - 工程的速度轨
+ * @returns {Object} 换算后的音轨数据
+ */
+function convertNotesToBeats(trackData, tempoMap) {
+    return {
+        ...trackData,
+        clips: (trackData.clips || []).map(clipData => {
+            const contentStart = (clipData.startTime || 0) - (clipData.offset || 0);
+            const contentBeat = tempoMap.secondsToBeats(contentStart);
+            return {
+                ...clipData,
+                notes: (clipData.notes || []).map(note => {
+                    const start = tempoMap.secondsToBeats(contentStart + (note.start || 0));
+                    const end = tempoMap.secondsToBeats(contentStart + (note.start || 0) + (note.duration || 0));
+                    return { ...note, start: start - contentBeat, duration: end - start };
+                })
+            };
+        })
+    };
+}
+
+export class Project {
+    /**
+     * @param {Object} options - 工程配置
+     * @param {string} [options.name] - 工程名称
+     * @param {number} [options.tempo] - BPM
+     * @param {Object} [options.tempoMap] - 速度轨（TempoMap.toJSON() 的输出）
+     * @param {number} [options.masterVolume] - 主音量 (0-1)
+     * @param {Track[]} [options.tracks] - 音轨列表
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Untitled';
+        this.tempo = typeof options.tempo === 'number' ? options.tempo : 120;
+        this.tempoMap = options.tempoMap || null;
+        this.masterVolume = typeof options.masterVolume === 'number' ? options.masterVolume : 0.8;
+        this.tracks = options.tracks || [];
+    }
+
+    /**
+     * 从音频引擎的当前状态创建工程
+     * @param {AudioEngine} engine - 音频引擎
+     * @param {string} [name] - 工程名称
+     * @returns {Project}
+     */
+    static fromEngine(engine = audioEngine, name) {
+        return new Project({
+            name,
+            tempo: engine.getTempo(),
+            tempoMap: engine.tempoMap.toJSON(),
+            masterVolume: engine.masterVolume,
+            tracks: engine.tracks.slice()
+        });
+    }
+
+    /**
+     * 序列化为 JSON（音频源编码为 WAV 追加到 files，JSON 中只保存其路径）
+     * @param {Array<{name: string, data: ArrayBuffer}>} [files] - 接收音频源文件的列表
+     * @returns {Object}
+     */
+    toJSON(files = []) {
+        const sources = [];
+        const sourceIds = new Map();
+
+        // 共享同一 AudioBuffer 的片段与通道（复制、粘贴产生）只保存一份音频
+        const getSourceId = (audioBuffer, name) => {
+            if (!audioBuffer) return null;
+            if (sourceIds.has(audioBuffer)) {
+                return sourceIds.get(audioBuffer);
+            }
+
+            const id = `source_${sources.length + 1}`;
+            const file = `sources/${id}.wav`;
+            files.push({ name: file, data: encodeWav(audioBuffer, { bitDepth: SOURCE_BIT_DEPTH }) });
+            sources.push({ id, name, file });
+            sourceIds.set(audioBuffer, id);
+            return id;
+        };
+
+        const tracks = this.tracks.map(track => {
+            const trackData = track.toJSON();
+            if (track instanceof MidiTrack) return trackData;
+
+            if (track instanceof PatternTrack) {
+                trackData.clips.forEach((clipData, i) => {
+                    clipData.channels.forEach((channelData, j) => {
+                        channelData.sourceId = getSourceId(track.clips[i].channels[j].audioBuffer, channelData.name);
+                    });
+                });
+                return trackData;
+            }
+
+            trackData.clips = track.clips.map(clip => ({
+                ...clip.toJSON(),
+                sourceId: getSourceId(clip.audioBuffer, clip.name)
+            }));
+            return trackData;
+        });
+
+        return {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            name: this.name,
+            tempo: this.tempo,
+            tempoMap: this.tempoMap,
+            masterVolume: this.masterVolume,
+            tracks,
+            sources
+        };
+    }
+
+    /**
+     * 导出为工程文件（ZIP）
+     * @returns {Blob}
+     */
+    toBlob() {
+        const files = [];
+        const data = this.toJSON(files);
+        return createZip([
+            { name: PROJECT_ENTRY, data: new TextEncoder().encode(JSON.stringify(data)) },
+            ...files
+        ]);
+    }
+
+    /**
+     * 从 JSON 恢复工程，重建音轨和片段并解码音频
+     * @param {Object} data - toJSON() 的输出
+     * @param {AudioEngine} [engine] - 用于解码音频的引擎
+     * @param {Map<string, Uint8Array>} [files] - 工程 ZIP 中的文件
+     * @returns {Promise<Project>}
+     */
+    static async fromJSON(data, engine = audioEngine, files = new Map()) {
+        if (!data || data.format !== PROJECT_FORMAT) {
+            throw new Error('Invalid project file');
+        }
+        if (data.version > PROJECT_VERSION) {
+            throw new Error(`Unsupported project version: ${data.version}`);
+        }
+
+        const buffers = new Map();
+        for (const source of data.sources || []) {
+            try {
+                buffers.set(source.id, await Project.loadSource(source, engine, files));
+            } catch (error) {
+                console.error(`❌ 音频源加载失败: ${source.name || source.id}`, error);
+            }
+        }
+
+        const tempoMap = TempoMap.fromJSON(data.tempoMap || { tempos: [{ beat: 0, bpm: data.tempo }] });
+
+        const tracks = (data.tracks || []).map(trackData => {
+            // MIDI 音轨的音符直接保存在工程中
+            if (trackData.type === 'midi') {
+                return MidiTrack.fromJSON(data.version < 3 ? convertNotesToBeats(trackData, tempoMap) : trackData);
+            }
+            if (trackData.type === 'pattern') {
+                return PatternTrack.fromJSON(trackData, buffers);
+            }
+
+            const track = Track.fromJSON(trackData);
+
+            (trackData.clips || []).forEach(clipData => {
+                const audioBuffer = buffers.get(clipData.sourceId);
+                if (!audioBuffer) {
+                    console.warn(`⚠️ 片段缺少音频源，已跳过: ${clipData.name}`);
+                    return;
+                }
+                track.addClip(AudioClip.fromJSON(clipData, audioBuffer));
+            });
+
+            return track;
+        });
+
+        return new Project({
+            name: data.name,
+            tempo: data.tempo,
+            tempoMap: data.tempoMap,
+            masterVolume: data.masterVolume,
+            tracks
+        });
+    }
+
+    /**
+     * 从工程文件加载
+     * @param {File} file - 工程文件
+     * @param {AudioEngine} [engine] - 用于解码音频的引擎
+     * @returns {Promise<Project>}
+     */
+    static async fromFile(file, engine = audioEngine) {
+        const buffer = await file.arrayBuffer();
+        let data;
+        let files;
+
+        if (isZip(buffer)) {
+            files = readZip(buffer);
+            const entry = files.get(PROJECT_ENTRY);
+            if (!entry) {
+                throw new Error('Invalid project file');
+            }
+            data = JSON.parse(new TextDecoder().decode(entry));
+        } else {
+            // 版本 1：单个 JSON 文件
+            data = JSON.parse(new TextDecoder().decode(buffer));
+        }
+
+        const project = await Project.fromJSON(data, engine, files);
+        project.name = data.name || file.name.replace(/\.[^/.]+$/, '');
+        return project;
+    }
+
+    /**
+     * 加载单个音频源
+     * @param {Object} source - 音频源描述
+     * @param {AudioEngine} engine - 音频引擎
+     * @param {Map<string, Uint8Array>} files - 工程 ZIP 中的文件
+     * @returns {Promise<AudioBuffer>}
+     */
+    static async loadSource(source, engine, files) {
+        if (source.file && files.has(source.file)) {
+            return engine.decodeAudioData(files.get(source.file).buffer);
+        }
+        // 版本 1 的 Base64 内嵌音频
+        if (source.data) {
+            return engine.decodeAudioData(base64ToArrayBuffer(source.data));
+        }
+        throw new Error(`Audio source has no data: ${source.id}`);
+    }
+}
@@ -0,0 +1,281 @@
+/**
+ * Recorder - 音频录制
+ * 通过 getUserMedia 获取麦克风/线路输入，经 AudioWorklet 逐块采集，停止后合成 AudioBuffer
+ */
+import { audioEngine } from './AudioEngine.js';
+import { peakCache } from './PeakCache.js';
+
+const PROCESSOR_URL = new URL('./worklets/recorder-processor.js', import.meta.url);
+
+// 实时波形中每个峰值覆盖的帧数
+const PEAK_FRAMES = 512;
+
+export class Recorder {
+    /**
+     * @param {AudioEngine} engine - 音频引擎
+     */
+    constructor(engine = audioEngine) {
+        this.engine = engine;
+        this.isRecording = false;
+
+        // 输入流；streamProvider 为 null 时使用 getUserMedia
+        this.stream = null;
+        this.streamProvider = null;
+
+        // 手动延迟补偿（秒），叠加在测得的输入/输出延迟之上
+        this.latencyOffset = 0;
+        this.inputLatency = 0;
+
+        // 音频节点
+        this.moduleLoaded = false;
+        this.sourceNode = null;
+        this.workletNode = null;
+
+        // 当前录音数据
+        this.channelCount = 1;
+        this.chunks = [];
+        this.length = 0;
+        this.peaks = [];
+        this.peakValue = 0;
+        this.peakFrames = 0;
+        this.startTime = 0;
+        this.stopResolver = null;
+
+        // 事件回调
+        this.onData = null;
+    }
+
+    /**
+     * 设置输入流来源（如测试用的模拟输入）
+     * @param {Function|null} provider - (context) => MediaStream | Promise<MediaStream>
+     */
+    setStreamProvider(provider) {
+        this.releaseStream();
+        this.streamProvider = provider;
+    }
+
+    /**
+     * 获取输入流（首次调用时请求权限）
+     * @returns {Promise<MediaStream>}
+     */
+    async getStream() {
+        if (this.stream) return this.stream;
+
+        if (this.streamProvider) {
+            this.stream = await this.streamProvider(this.engine.audioContext);
+        } else {
+            if (!navigator.mediaDevices?.getUserMedia) {
+                throw new Error('Audio input is not supported in this browser');
+            }
+            // 关闭语音处理，保留原始信号
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+        }
+
+        return this.stream;
+    }
+
+    /**
+     * 释放输入流
+     */
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * 获取录音延迟补偿：输出延迟（听到伴奏的时间）+ 输入延迟（信号到达采集的时间）
+     * @returns {number} 延迟（秒）
+     */
+    getLatency() {
+        const context = this.engine.audioContext;
+        const outputLatency = (context.baseLatency || 0) + (context.outputLatency || 0);
+        return Math.max(0, outputLatency + this.inputLatency + this.latencyOffset);
+    }
+
+    /**
+     * 开始录音并启动播放（含预备拍），从播放头位置开始采集
+     */
+    async start() {
+        if (this.isRecording) return;
+
+        await this.engine.init();
+        const context = this.engine.audioContext;
+        const stream = await this.getStream();
+
+        if (!this.moduleLoaded) {
+            await context.audioWorklet.addModule(PROCESSOR_URL);
+            this.moduleLoaded = true;
+        }
+
+        const settings = stream.getAudioTracks()[0]?.getSettings() || {};
+        this.channelCount = Math.min(2, settings.channelCount || 1);
+        this.inputLatency = settings.latency || 0;
+
+        this.sourceNode = context.createMediaStreamSource(stream);
+        this.workletNode = new AudioWorkletNode(context, 'recorder-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: this.channelCount,
+            channelCountMode: 'explicit',
+            processorOptions: { channelCount: this.channelCount }
+        });
+        this.workletNode.port.onmessage = (e) => this.handleMessage(e.data);
+
+        // 处理器输出为静音，连接到输出端只是为了让其持续运行
+        this.sourceNode.connect(this.workletNode);
+        this.workletNode.connect(context.destination);
+
+        this.chunks = [];
+        this.length = 0;
+        this.peaks = [];
+        this.peakValue = 0;
+        this.peakFrames = 0;
+        this.isRecording = true;
+
+        // 录音可以越过歌曲末尾，期间不自动停止传输
+        this.engine.stopAtSongEnd = false;
+
+        // 已在播放时从当前位置接着录，否则从播放头开始播放
+        let captureTime;
+        if (this.engine.isPlaying && !this.engine.isPaused) {
+            this.startTime = this.engine.getPlaybackTime();
+            captureTime = context.currentTime;
+        } else {
+            this.startTime = this.engine.currentTime;
+            await this.engine.play();
+            captureTime = this.engine.playbackStartContextTime;
+        }
+
+        this.workletNode.port.postMessage({ command: 'start', time: captureTime });
+        console.log(`🎙️ 开始录音 (${this.channelCount} 声道，延迟补偿 ${(this.getLatency() * 1000).toFixed(1)}ms)`);
+    }
+
+    /**
+     * 处理来自处理器的消息
+     * @param {Object} message - { type, channels }
+     */
+    handleMessage(message) {
+        if (message.type === 'stopped') {
+            if (this.stopResolver) {
+                this.stopResolver();
+                this.stopResolver = null;
+            }
+            return;
+        }
+
+        if (message.type !== 'data') return;
+
+        const { channels } = message;
+        this.chunks.push(channels);
+        this.length += channels[0].length;
+
+        // 计算实时波形峰值
+        for (let i = 0; i < channels[0].length; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const value = Math.abs(channels[c][i]);
+                if (value > this.peakValue) this.peakValue = value;
+            }
+            if (++this.peakFrames === PEAK_FRAMES) {
+                this.peaks.push(this.peakValue);
+                this.peakValue = 0;
+                this.peakFrames = 0;
+            }
+        }
+
+        if (this.onData) {
+            this.onData(this.peaks, this.length / this.engine.audioContext.sampleRate);
+        }
+    }
+
+    /**
+     * 停止录音
+     * @returns {Promise<{audioBuffer: AudioBuffer, startTime: number, offset: number, duration: number}|null>}
+     * 录音结果（已按延迟补偿设置偏移），没有采集到数据时为 null
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+        this.isRecording = false;
+        this.engine.stopAtSongEnd = true;
+
+        // 等待处理器发送剩余数据
+        await new Promise(resolve => {
+            this.stopResolver = resolve;
+            this.workletNode.port.postMessage({ command: 'stop' });
+        });
+
+        this.sourceNode.disconnect();
+        this.workletNode.disconnect();
+        this.workletNode.port.onmessage = null;
+        this.sourceNode = null;
+        this.workletNode = null;
+
+        const context = this.engine.audioContext;
+        const offset = this.getLatency();
+        const duration = this.length / context.sampleRate - offset;
+        if (duration <= 0) {
+            this.chunks = [];
+            return null;
+        }
+
+        const audioBuffer = context.createBuffer(this.channelCount, this.length, context.sampleRate);
+        for (let c = 0; c < this.channelCount; c++) {
+            const channelData = audioBuffer.getChannelData(c);
+            let position = 0;
+            this.chunks.forEach(chunk => {
+                channelData.set(chunk[c], position);
+                position += chunk[c].length;
+            });
+        }
+        this.chunks = [];
+        peakCache.request(audioBuffer).catch(error => console.error('波形峰值生成失败:', error));
+
+        console.log(`⏹️ 录音结束: ${audioBuffer.duration.toFixed(2)}秒`);
+
+        return { audioBuffer, startTime: this.startTime, offset, duration };
+    }
+}
+
+/**
+ * 创建模拟输入流（脉冲式正弦音），用于无麦克风环境或无头测试
+ * @param {AudioContext} context - 音频上下文
+ * @param {Object} [options] - 配置
+ * @param {number} [options.frequency] - 频率（Hz）
+ * @param {number} [options.rate] - 每秒脉冲次数
+ * @returns {MediaStream}
+ */
+export function createFakeMediaStream(context, options = {}) {
+    const { frequency = 440, rate = 2 } = options;
+
+    const oscillator = context.createOscillator();
+    oscillator.frequency.value = frequency;
+
+    // 用低频方波调制音量，使波形起伏可见
+    const pulse = context.createGain();
+    pulse.gain.value = 0.25;
+    const lfo = context.createOscillator();
+    lfo.type = 'square';
+    lfo.frequency.value = rate;
+    const lfoDepth = context.createGain();
+    lfoDepth.gain.value = 0.25;
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(pulse.gain);
+
+    const destination = context.createMediaStreamDestination();
+    oscillator.connect(pulse);
+    pulse.connect(destination);
+    oscillator.start();
+    lfo.start();
+
+    return destination.stream;
+}
+
+// 创建单例实例
+export const recorder = new Recorder();
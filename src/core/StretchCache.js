@@ -0,0 +1,157 @@
+/**
+ * StretchCache - 时间伸缩与变调结果缓存
+ * 在 Worker 中离线渲染伸缩/变调后的音频，按 (AudioBuffer, 伸缩倍数, 半音) 缓存，
+ * 引用同一音频且设置相同的片段共享渲染结果
+ */
+import { stretchChannels } from '../utils/timeStretch.js';
+
+// 每个音频保留的渲染结果数，超出时丢弃最早使用的
+const MAX_RENDERS_PER_BUFFER = 4;
+
+/**
+ * 生成缓存键
+ * @param {number} stretch - 时长倍数
+ * @param {number} semitones - 变调半音数
+ * @returns {string}
+ */
+function getKey(stretch, semitones) {
+    return `${stretch.toFixed(6)}|${semitones}`;
+}
+
+export class StretchCache {
+    constructor() {
+        // AudioBuffer -> Map<键, 渲染结果>
+        this.renders = new WeakMap();
+        // AudioBuffer -> Map<键, 进行中的渲染>
+        this.pending = new WeakMap();
+
+        this.worker = null;
+        this.requests = new Map();
+        this.requestCounter = 0;
+    }
+
+    /**
+     * 获取 Worker（首次调用时创建），不支持 Worker 时返回 null
+     * @returns {Worker|null}
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+        if (typeof Worker === 'undefined') return null;
+
+        this.worker = new Worker(new URL('./workers/stretch-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => {
+            const { id, channels } = e.data;
+            const request = this.requests.get(id);
+            if (!request) return;
+            this.requests.delete(id);
+            request.resolve(channels);
+        };
+        this.worker.onerror = (e) => {
+            const error = new Error(`Stretch worker failed: ${e.message}`);
+            this.requests.forEach(request => request.reject(error));
+            this.requests.clear();
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * 获取已渲染的音频
+     * @param {AudioBuffer} audioBuffer - 原始音频
+     * @param {number} stretch - 时长倍数
+     * @param {number} semitones - 变调半音数
+     * @returns {AudioBuffer|null}
+     */
+    get(audioBuffer, stretch, semitones) {
+        const renders = this.renders.get(audioBuffer);
+        const key = getKey(stretch, semitones);
+        const rendered = renders?.get(key);
+        if (!rendered) return null;
+
+        // 移到末尾，标记为最近使用
+        renders.delete(key);
+        renders.set(key, rendered);
+        return rendered;
+    }
+
+    /**
+     * 请求渲染伸缩/变调后的音频（相同参数只渲染一次）
+     * @param {AudioBuffer} audioBuffer - 原始音频
+     * @param {number} stretch - 时长倍数
+     * @param {number} semitones - 变调半音数
+     * @returns {Promise<AudioBuffer>}
+     */
+    request(audioBuffer, stretch, semitones) {
+        const cached = this.get(audioBuffer, stretch, semitones);
+        if (cached) return Promise.resolve(cached);
+
+        const key = getKey(stretch, semitones);
+        if (!this.pending.has(audioBuffer)) {
+            this.pending.set(audioBuffer, new Map());
+        }
+        const pendingRenders = this.pending.get(audioBuffer);
+        if (pendingRenders.has(key)) return pendingRenders.get(key);
+
+        const channels = [];
+        for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+            channels.push(audioBuffer.getChannelData(c));
+        }
+        const options = { stretch, semitones, sampleRate: audioBuffer.sampleRate };
+
+        const worker = this.getWorker();
+        let promise;
+
+        if (worker) {
+            // 复制采样后转移给 Worker，原 AudioBuffer 仍可用于播放
+            const copies = channels.map(data => data.slice());
+            const id = ++this.requestCounter;
+            promise = new Promise((resolve, reject) => {
+                this.requests.set(id, { resolve, reject });
+                worker.postMessage({ id, channels: copies, options }, copies.map(data => data.buffer));
+            });
+        } else {
+            promise = Promise.resolve(stretchChannels(channels, options));
+        }
+
+        promise = promise.then(output => {
+            const rendered = new AudioBuffer({
+                length: output[0].length,
+                numberOfChannels: output.length,
+                sampleRate: audioBuffer.sampleRate
+            });
+            output.forEach((data, c) => rendered.copyToChannel(data, c));
+
+            this.store(audioBuffer, key, rendered);
+            pendingRenders.delete(key);
+            console.log(`⏱️ 时间伸缩已完成 (×${stretch.toFixed(3)}，${semitones >= 0 ? '+' : ''}${semitones} 半音)`);
+            return rendered;
+        }, error => {
+            pendingRenders.delete(key);
+            throw error;
+        });
+
+        pendingRenders.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * 保存渲染结果，超出数量时丢弃最早使用的
+     * @param {AudioBuffer} audioBuffer - 原始音频
+     * @param {string} key - 缓存键
+     * @param {AudioBuffer} rendered - 渲染结果
+     */
+    store(audioBuffer, key, rendered) {
+        if (!this.renders.has(audioBuffer)) {
+            this.renders.set(audioBuffer, new Map());
+        }
+        const renders = this.renders.get(audioBuffer);
+        renders.set(key, rendered);
+
+        while (renders.size > MAX_RENDERS_PER_BUFFER) {
+            renders.delete(renders.keys().next().value);
+        }
+    }
+}
+
+// 创建单例实例
+export const stretchCache = new StretchCache();
@@ -0,0 +1,448 @@
+/**
+ * Synth - 内置减法合成器（MIDI 音轨的音源）
+ * 每个声部：两个振荡器 → 滤波器（截止频率受 ADSR 包络调制）→ 音量 ADSR；
+ * 全局 LFO 可调制音高、截止频率或音量；同时发声的声部超过复音数时抢占最早开始的声部
+ *
+ * Synth 保存参数并维护一个绑定到实时音频上下文的发声器（与 EffectChain 相同），
+ * 离线导出时通过 render() 在独立上下文中创建参数相同的发声器
+ */
+import { clamp } from '../utils/helpers.js';
+
+const WAVE_OPTIONS = [
+    { value: 'sawtooth', label: '锯齿波' },
+    { value: 'square', label: '方波' },
+    { value: 'triangle', label: '三角波' },
+    { value: 'sine', label: '正弦波' }
+];
+
+const FILTER_OPTIONS = [
+    { value: 'lowpass', label: '低通' },
+    { value: 'highpass', label: '高通' },
+    { value: 'bandpass', label: '带通' }
+];
+
+const LFO_TARGET_OPTIONS = [
+    { value: 'pitch', label: '音高' },
+    { value: 'filter', label: '截止频率' },
+    { value: 'amp', label: '音量' }
+];
+
+// LFO 深度为 1 时的调制范围：音高与截止频率（音分）
+const LFO_PITCH_RANGE = 100;
+const LFO_FILTER_RANGE = 2400;
+
+// 抢占或提前停止声部时的淡出时间常数（秒），避免爆音
+const STOP_TIME_CONSTANT = 0.005;
+
+/**
+ * MIDI 音高转换为频率（A4 = 69 = 440 Hz）
+ * @param {number} pitch - MIDI 音高
+ * @returns {number} 频率（Hz）
+ */
+function pitchToFrequency(pitch) {
+    return 440 * Math.pow(2, (pitch - 69) / 12);
+}
+
+/**
+ * 将 ADSR 包络写入参数，音符结束时从当时的包络值开始释放
+ * 各段均为线性，任意时刻的包络值都可以直接算出，因此整个音符可以提前调度
+ * @param {AudioParam} param - 目标参数
+ * @param {{ attack: number, decay: number, sustain: number, release: number }} envelope - 包络（秒 / 0-1）
+ * @param {number} when - 音符开始的上下文时间（秒）
+ * @param {number} duration - 按住时长（秒）
+ * @param {number} base - 包络为 0 时的参数值
+ * @param {number} peak - 包络为 1 时的参数值
+ * @returns {number} 释放结束的上下文时间（秒）
+ */
+function scheduleEnvelope(param, envelope, when, duration, base, peak) {
+    const { attack, decay, sustain, release } = envelope;
+    const level = (value) => base + (peak - base) * value;
+    const end = when + duration;
+
+    param.setValueAtTime(base, when);
+    if (duration <= attack) {
+        param.linearRampToValueAtTime(level(duration / attack), end);
+    } else if (duration <= attack + decay) {
+        param.linearRampToValueAtTime(level(1), when + attack);
+        param.linearRampToValueAtTime(level(1 - (1 - sustain) * (duration - attack) / decay), end);
+    } else {
+        param.linearRampToValueAtTime(level(1), when + attack);
+        param.linearRampToValueAtTime(level(sustain), when + attack + decay);
+        param.setValueAtTime(level(sustain), end);
+    }
+    param.linearRampToValueAtTime(base, end + release);
+
+    return end + release;
+}
+
+/**
+ * SynthPlayer - 合成器在某个音频上下文中的发声器
+ * 参数对象与 Synth 共享，参数修改对之后调度的音符生效；LFO 与音量即时生效
+ */
+class SynthPlayer {
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出目标
+     * @param {Object} params - 合成器参数
+     */
+    constructor(context, destination, params) {
+        this.context = context;
+        this.params = params;
+
+        // 发声中（含已调度未开始）的声部 [{ pitch, start, end, oscillators, nodes, amp, ... }]
+        this.voices = [];
+
+        this.output = context.createGain();
+        this.output.connect(destination);
+
+        // 音量调制：tremolo.gain = (1 - depth / 2) + LFO × depth / 2
+        this.tremolo = context.createGain();
+        this.tremolo.connect(this.output);
+
+        // 全局 LFO，通过三个深度增益分别送往各声部的音高、截止频率与 tremolo
+        this.lfo = context.createOscillator();
+        this.lfoPitch = context.createGain();
+        this.lfoFilter = context.createGain();
+        this.lfoAmp = context.createGain();
+        this.lfo.connect(this.lfoPitch);
+        this.lfo.connect(this.lfoFilter);
+        this.lfo.connect(this.lfoAmp);
+        this.lfoAmp.connect(this.tremolo.gain);
+        this.lfo.start();
+
+        Object.keys(params).forEach(name => this.applyParam(name));
+    }
+
+    /**
+     * 将参数应用到全局节点（声部参数在调度音符时读取）
+     * @param {string} name - 参数名
+     */
+    applyParam(name) {
+        const params = this.params;
+        switch (name) {
+            case 'lfoWave':
+                this.lfo.type = params.lfoWave;
+                break;
+            case 'lfoRate':
+                this.lfo.frequency.value = params.lfoRate;
+                break;
+            case 'lfoTarget':
+            case 'lfoDepth': {
+                const depth = params.lfoDepth;
+                this.lfoPitch.gain.value = params.lfoTarget === 'pitch' ? depth * LFO_PITCH_RANGE : 0;
+                this.lfoFilter.gain.value = params.lfoTarget === 'filter' ? depth * LFO_FILTER_RANGE : 0;
+                this.lfoAmp.gain.value = params.lfoTarget === 'amp' ? depth / 2 : 0;
+                this.tremolo.gain.value = params.lfoTarget === 'amp' ? 1 - depth / 2 : 1;
+                break;
+            }
+            case 'volume':
+                this.output.gain.value = params.volume;
+                break;
+        }
+    }
+
+    /**
+     * 调度一个完整的音符（开始、按住与释放）
+     * @param {number} pitch - MIDI 音高
+     * @param {number} velocity - 力度 (1-127)
+     * @param {number} when - 开始的上下文时间（秒）
+     * @param {number} duration - 按住时长（秒）
+     * @returns {Object} 声部
+     */
+    playNote(pitch, velocity, when, duration) {
+        const context = this.context;
+        const params = this.params;
+
+        // 复音数已满时抢占最早开始的声部
+        const sounding = this.voices.filter(voice => voice.start <= when && voice.end > when);
+        sounding.sort((a, b) => a.start - b.start);
+        for (let i = 0; i <= sounding.length - params.voices; i++) {
+            this.releaseVoice(sounding[i], when);
+        }
+
+        const filter = context.createBiquadFilter();
+        filter.type = params.filterType;
+        filter.frequency.value = params.cutoff;
+        filter.Q.value = params.resonance;
+        this.lfoFilter.connect(filter.detune);
+
+        const amp = context.createGain();
+        amp.gain.value = 0;
+        filter.connect(amp);
+        amp.connect(this.tremolo);
+
+        const oscillators = [];
+        const nodes = [filter, amp];
+        [1, 2].forEach(index => {
+            const level = params[`osc${index}Level`];
+            if (level <= 0) return;
+
+            const osc = context.createOscillator();
+            osc.type = params[`osc${index}Wave`];
+            osc.frequency.value = pitchToFrequency(pitch) * Math.pow(2, params[`osc${index}Octave`]);
+            osc.detune.value = index === 2 ? params.osc2Detune : 0;
+            this.lfoPitch.connect(osc.detune);
+
+            const gain = context.createGain();
+            gain.gain.value = level;
+            osc.connect(gain);
+            gain.connect(filter);
+
+            oscillators.push(osc);
+            nodes.push(osc, gain);
+        });
+
+        const amplitude = velocity / 127;
+        const end = scheduleEnvelope(amp.gain, {
+            attack: params.attack,
+            decay: params.decay,
+            sustain: params.sustain,
+            release: params.release
+        }, when, duration, 0, amplitude);
+
+        // 滤波包络以音分调制截止频率
+        scheduleEnvelope(filter.detune, {
+            attack: params.filterAttack,
+            decay: params.filterDecay,
+            sustain: params.filterSustain,
+            release: params.filterRelease
+        }, when, duration, 0, params.filterEnvAmount * 1200);
+
+        const voice = { pitch, start: when, end, oscillators, nodes, filter, amp, ended: false };
+        this.voices.push(voice);
+
+        if (oscillators.length === 0) {
+            // 两个振荡器都关闭时不发声
+            this.cleanupVoice(voice);
+            return voice;
+        }
+
+        oscillators.forEach(osc => {
+            osc.start(when);
+            osc.stop(end);
+        });
+        oscillators[0].addEventListener('ended', () => this.cleanupVoice(voice));
+
+        return voice;
+    }
+
+    /**
+     * 提前停止声部：从指定时间快速淡出
+     * @param {Object} voice - 声部
+     * @param {number} when - 上下文时间（秒）
+     */
+    releaseVoice(voice, when) {
+        const time = Math.max(when, this.context.currentTime);
+        if (voice.ended || voice.end <= time) return;
+
+        const gain = voice.amp.gain;
+        if (gain.cancelAndHoldAtTime) {
+            gain.cancelAndHoldAtTime(time);
+        } else {
+            gain.cancelScheduledValues(time);
+        }
+        gain.setTargetAtTime(0, time, STOP_TIME_CONSTANT);
+
+        voice.end = time + STOP_TIME_CONSTANT * 6;
+        voice.oscillators.forEach(osc => osc.stop(voice.end));
+    }
+
+    /**
+     * 提前停止多个声部
+     * @param {Array<Object>} voices - 声部列表
+     * @param {number} [when] - 上下文时间（秒），默认立即
+     */
+    releaseVoices(voices, when = this.context.currentTime) {
+        voices.forEach(voice => this.releaseVoice(voice, when));
+    }
+
+    /**
+     * 立即停止所有声部（包括释放中的尾音与已调度未开始的音符）
+     */
+    stopAll() {
+        this.releaseVoices(this.voices.slice());
+    }
+
+    /**
+     * 声部结束后断开节点
+     * @param {Object} voice - 声部
+     */
+    cleanupVoice(voice) {
+        voice.ended = true;
+        voice.oscillators.forEach(osc => {
+            try {
+                this.lfoPitch.disconnect(osc.detune);
+            } catch (e) {
+                // 忽略已断开的连接
+            }
+        });
+        try {
+            this.lfoFilter.disconnect(voice.filter.detune);
+        } catch (e) {
+            // 忽略已断开的连接
+        }
+        voice.nodes.forEach(node => node.disconnect());
+
+        const index = this.voices.indexOf(voice);
+        if (index !== -1) {
+            this.voices.splice(index, 1);
+        }
+    }
+
+    /**
+     * 停止发声并释放所有节点
+     */
+    dispose() {
+        this.voices.slice().forEach(voice => {
+            voice.oscillators.forEach(osc => {
+                try {
+                    osc.stop();
+                } catch (e) {
+                    // 忽略已停止的振荡器
+                }
+            });
+            this.cleanupVoice(voice);
+        });
+        this.lfo.stop();
+        [this.lfo, this.lfoPitch, this.lfoFilter, this.lfoAmp, this.tremolo, this.output].forEach(node => node.disconnect());
+    }
+}
+
+export class Synth {
+    // 参数定义 [{ name, label, group, min, max, step, default, unit }]，选项类参数用 options 代替范围
+    static params = [
+        { name: 'osc1Wave', label: '波形', group: '振荡器 1', options: WAVE_OPTIONS, default: 'sawtooth' },
+        { name: 'osc1Octave', label: '八度', group: '振荡器 1', min: -2, max: 2, step: 1, default: 0, unit: '' },
+        { name: 'osc1Level', label: '电平', group: '振荡器 1', min: 0, max: 1, step: 0.01, default: 0.8, unit: '' },
+        { name: 'osc2Wave', label: '波形', group: '振荡器 2', options: WAVE_OPTIONS, default: 'square' },
+        { name: 'osc2Octave', label: '八度', group: '振荡器 2', min: -2, max: 2, step: 1, default: 0, unit: '' },
+        { name: 'osc2Detune', label: '微调', group: '振荡器 2', min: -100, max: 100, step: 1, default: 7, unit: 'ct' },
+        { name: 'osc2Level', label: '电平', group: '振荡器 2', min: 0, max: 1, step: 0.01, default: 0.4, unit: '' },
+        { name: 'filterType', label: '类型', group: '滤波器', options: FILTER_OPTIONS, default: 'lowpass' },
+        { name: 'cutoff', label: '截止频率', group: '滤波器', min: 20, max: 20000, step: 1, default: 1200, unit: 'Hz' },
+        { name: 'resonance', label: '共振', group: '滤波器', min: 0.1, max: 20, step: 0.1, default: 2, unit: '' },
+        { name: 'filterEnvAmount', label: '包络深度', group: '滤波器', min: -4, max: 6, step: 0.1, default: 2, unit: 'oct' },
+        { name: 'filterAttack', label: '起音', group: '滤波包络', min: 0.001, max: 5, step: 0.001, default: 0.01, unit: 's' },
+        { name: 'filterDecay', label: '衰减', group: '滤波包络', min: 0.001, max: 5, step: 0.001, default: 0.4, unit: 's' },
+        { name: 'filterSustain', label: '持续', group: '滤波包络', min: 0, max: 1, step: 0.01, default: 0.2, unit: '' },
+        { name: 'filterRelease', label: '释放', group: '滤波包络', min: 0.001, max: 5, step: 0.001, default: 0.3, unit: 's' },
+        { name: 'attack', label: '起音', group: '音量包络', min: 0.001, max: 5, step: 0.001, default: 0.005, unit: 's' },
+        { name: 'decay', label: '衰减', group: '音量包络', min: 0.001, max: 5, step: 0.001, default: 0.2, unit: 's' },
+        { name: 'sustain', label: '持续', group: '音量包络', min: 0, max: 1, step: 0.01, default: 0.7, unit: '' },
+        { name: 'release', label: '释放', group: '音量包络', min: 0.001, max: 5, step: 0.001, default: 0.3, unit: 's' },
+        { name: 'lfoWave', label: '波形', group: 'LFO', options: WAVE_OPTIONS, default: 'sine' },
+        { name: 'lfoRate', label: '速率', group: 'LFO', min: 0.1, max: 20, step: 0.1, default: 5, unit: 'Hz' },
+        { name: 'lfoTarget', label: '目标', group: 'LFO', options: LFO_TARGET_OPTIONS, default: 'pitch' },
+        { name: 'lfoDepth', label: '深度', group: 'LFO', min: 0, max: 1, step: 0.01, default: 0, unit: '' },
+        { name: 'voices', label: '复音数', group: '全局', min: 1, max: 16, step: 1, default: 8, unit: '' },
+        { name: 'volume', label: '音量', group: '全局', min: 0, max: 1, step: 0.01, default: 0.5, unit: '' }
+    ];
+
+    /**
+     * 获取参数默认值
+     * @returns {Object}
+     */
+    static getDefaultParams() {
+        const defaults = {};
+        this.params.forEach(def => {
+            defaults[def.name] = def.default;
+        });
+        return defaults;
+    }
+
+    /**
+     * 获取参数定义
+     * @param {string} name - 参数名
+     * @returns {Object|undefined}
+     */
+    static getParamDef(name) {
+        return this.params.find(def => def.name === name);
+    }
+
+    /**
+     * @param {Object} [params] - 参数值（从工程恢复时使用），缺省的参数使用默认值
+     */
+    constructor(params = {}) {
+        this.params = Synth.getDefaultParams();
+        this.setParams(params);
+
+        // 实时发声器
+        this.player = null;
+    }
+
+    /**
+     * 在实时上下文中创建发声器
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出目标（音轨输入）
+     */
+    connect(context, destination) {
+        this.disconnect();
+        this.player = new SynthPlayer(context, destination, this.params);
+    }
+
+    /**
+     * 停止发声并释放实时发声器
+     */
+    disconnect() {
+        if (this.player) {
+            this.player.dispose();
+            this.player = null;
+        }
+    }
+
+    /**
+     * 在独立上下文中创建发声器（离线导出使用），不影响实时绑定
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {AudioNode} destination - 输出目标
+     * @returns {SynthPlayer}
+     */
+    render(context, destination) {
+        return new SynthPlayer(context, destination, this.params);
+    }
+
+    /**
+     * 设置参数（数值参数限制在范围内，选项参数忽略无效值）
+     * @param {string} name - 参数名
+     * @param {number|string} value - 参数值
+     */
+    setParam(name, value) {
+        const def = Synth.getParamDef(name);
+        if (!def) return;
+
+        if (def.options) {
+            if (!def.options.some(option => option.value === value)) return;
+            this.params[name] = value;
+        } else {
+            if (!Number.isFinite(value)) return;
+            this.params[name] = clamp(value, def.min, def.max);
+        }
+
+        if (this.player) {
+            this.player.applyParam(name);
+        }
+    }
+
+    /**
+     * 批量设置参数（撤销/重做时使用）
+     * @param {Object} params - 参数值
+     */
+    setParams(params) {
+        Object.keys(params).forEach(name => this.setParam(name, params[name]));
+    }
+
+    /**
+     * 音符结束后的释放时长（秒），离线导出时追加到末尾
+     * @returns {number}
+     */
+    getTailTime() {
+        return this.params.release;
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return { ...this.params };
+    }
+}
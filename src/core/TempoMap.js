@@ -0,0 +1,418 @@
+/**
+ * TempoMap - 速度与拍号轨
+ * 速度事件以四分音符拍（beat）定位，拍号事件以小节定位；
+ * 时间线上的片段仍以秒定位，速度变化不会移动片段
+ */
+
+// 速度范围（BPM，以四分音符计）
+export const MIN_TEMPO = 20;
+export const MAX_TEMPO = 300;
+
+// 拍号分子范围与可用的分母
+export const MAX_METER_NUMERATOR = 32;
+export const METER_DENOMINATORS = [2, 4, 8, 16];
+
+// 浮点容差（拍），避免恰好落在小节线上的位置被算进前一小节
+const EPSILON = 1e-9;
+
+/**
+ * 限制速度范围
+ * @param {number} bpm - 每分钟节拍数
+ * @returns {number}
+ */
+function clampTempo(bpm) {
+    return Math.max(MIN_TEMPO, Math.min(MAX_TEMPO, bpm));
+}
+
+export class TempoMap {
+    /**
+     * @param {Object} [options] - 配置
+     * @param {number} [options.tempo] - 初始速度（BPM）
+     * @param {number} [options.numerator] - 初始拍号分子
+     * @param {number} [options.denominator] - 初始拍号分母
+     */
+    constructor(options = {}) {
+        // 速度事件 { beat, bpm }，按 beat 排序，第一项固定在第 0 拍
+        this.tempos = [{ beat: 0, bpm: clampTempo(options.tempo || 120) }];
+        // 拍号事件 { bar, numerator, denominator }，按 bar 排序，第一项固定在第 0 小节
+        this.meters = [{ bar: 0, numerator: options.numerator || 4, denominator: options.denominator || 4 }];
+
+        // 缓存：各速度事件的起始秒数、各拍号事件的起始拍与小节长度
+        this.tempoSegments = [];
+        this.meterSegments = [];
+        this.rebuild();
+    }
+
+    /**
+     * 重新计算缓存（事件变化后调用）
+     */
+    rebuild() {
+        this.tempos.sort((a, b) => a.beat - b.beat);
+        this.meters.sort((a, b) => a.bar - b.bar);
+
+        let seconds = 0;
+        this.tempoSegments = this.tempos.map((event, i) => {
+            if (i > 0) {
+                const previous = this.tempos[i - 1];
+                seconds += (event.beat - previous.beat) * 60 / previous.bpm;
+            }
+            return { beat: event.beat, bpm: event.bpm, seconds, event };
+        });
+
+        const meterSegments = [];
+        let beat = 0;
+        this.meters.forEach((event, i) => {
+            if (i > 0) {
+                const previous = meterSegments[i - 1];
+                beat += (event.bar - previous.bar) * previous.barLength;
+            }
+            meterSegments.push({
+                bar: event.bar,
+                beat,
+                numerator: event.numerator,
+                denominator: event.denominator,
+                beatLength: 4 / event.denominator,
+                barLength: event.numerator * 4 / event.denominator,
+                event
+            });
+        });
+        this.meterSegments = meterSegments;
+    }
+
+    /**
+     * 查找最后一个满足条件的缓存项
+     * @param {Array} segments - 缓存列表
+     * @param {Function} predicate - 条件
+     * @returns {Object}
+     */
+    findSegment(segments, predicate) {
+        let found = segments[0];
+        for (const segment of segments) {
+            if (!predicate(segment)) break;
+            found = segment;
+        }
+        return found;
+    }
+
+    /**
+     * 秒转换为拍（四分音符）
+     * @param {number} seconds - 时间（秒）
+     * @returns {number}
+     */
+    secondsToBeats(seconds) {
+        const segment = this.findSegment(this.tempoSegments, s => s.seconds <= seconds);
+        return segment.beat + (seconds - segment.seconds) * segment.bpm / 60;
+    }
+
+    /**
+     * 拍（四分音符）转换为秒
+     * @param {number} beats - 拍数
+     * @returns {number}
+     */
+    beatsToSeconds(beats) {
+        const segment = this.findSegment(this.tempoSegments, s => s.beat <= beats);
+        return segment.seconds + (beats - segment.beat) * 60 / segment.bpm;
+    }
+
+    /**
+     * 获取指定时间的速度
+     * @param {number} [seconds] - 时间（秒）
+     * @returns {number} BPM
+     */
+    getTempoAt(seconds = 0) {
+        return this.findSegment(this.tempoSegments, s => s.seconds <= seconds).bpm;
+    }
+
+    /**
+     * 获取指定拍所在的拍号
+     * @param {number} beats - 拍数
+     * @returns {{ bar: number, beat: number, numerator: number, denominator: number, beatLength: number, barLength: number }}
+     */
+    getMeterAtBeat(beats) {
+        return this.findSegment(this.meterSegments, s => s.beat <= beats + EPSILON);
+    }
+
+    /**
+     * 获取指定小节的拍号
+     * @param {number} bar - 小节序号（从 0 开始）
+     * @returns {Object}
+     */
+    getMeterAtBar(bar) {
+        return this.findSegment(this.meterSegments, s => s.bar <= bar);
+    }
+
+    /**
+     * 获取包含指定拍的小节
+     * @param {number} beats - 拍数
+     * @returns {{ bar: number, start: number, meter: Object }} 小节序号与起始拍
+     */
+    getBarAtBeat(beats) {
+        const meter = this.getMeterAtBeat(beats);
+        const offset = Math.floor((beats - meter.beat) / meter.barLength + EPSILON);
+        return { bar: meter.bar + offset, start: meter.beat + offset * meter.barLength, meter };
+    }
+
+    /**
+     * 小节起点转换为拍
+     * @param {number} bar - 小节序号（从 0 开始）
+     * @returns {number}
+     */
+    barToBeats(bar) {
+        const meter = this.getMeterAtBar(bar);
+        return meter.beat + (bar - meter.bar) * meter.barLength;
+    }
+
+    /**
+     * 小节起点转换为秒
+     * @param {number} bar - 小节序号（从 0 开始）
+     * @returns {number}
+     */
+    barToSeconds(bar) {
+        return this.beatsToSeconds(this.barToBeats(bar));
+    }
+
+    /**
+     * 获取包含指定时间的小节
+     * @param {number} seconds - 时间（秒）
+     * @returns {{ bar: number, start: number, meter: Object }}
+     */
+    getBarAt(seconds) {
+        return this.getBarAtBeat(this.secondsToBeats(seconds));
+    }
+
+    /**
+     * 将秒转换为 小节:拍:tick 格式（拍以拍号分母为单位）
+     * @param {number} seconds - 秒数
+     * @returns {string}
+     */
+    formatTime(seconds) {
+        const beats = this.secondsToBeats(Math.max(0, seconds));
+        const { bar, start, meter } = this.getBarAtBeat(beats);
+        const position = (beats - start) / meter.beatLength;
+
+        const beat = Math.min(meter.numerator - 1, Math.floor(position + EPSILON));
+        const ticks = Math.max(0, Math.floor((position - beat) * 1000));
+
+        return `${String(bar + 1).padStart(3, '0')}:${String(beat + 1).padStart(2, '0')}:${String(ticks).padStart(3, '0')}`;
+    }
+
+    /**
+     * 遍历时间范围 [fromSeconds, toSeconds) 内的网格线
+     * @param {number} fromSeconds - 起点（秒）
+     * @param {number} toSeconds - 终点（秒）
+     * @param {number|null} step - 网格间隔（拍），null 表示按拍号的拍
+     * @param {Function} callback - (seconds, { bar, isBar, isBeat, meter })
+     */
+    forEachGridLine(fromSeconds, toSeconds, step, callback) {
+        const fromBeats = this.secondsToBeats(fromSeconds);
+        const toBeats = this.secondsToBeats(toSeconds);
+        let { bar } = this.getBarAtBeat(fromBeats);
+
+        for (let start = this.barToBeats(bar); start < toBeats; start = this.barToBeats(++bar)) {
+            const meter = this.getMeterAtBar(bar);
+            const interval = step || meter.beatLength;
+
+            for (let i = 0; i * interval < meter.barLength - EPSILON; i++) {
+                const beats = start + i * interval;
+                if (beats < fromBeats - EPSILON) continue;
+                if (beats >= toBeats) return;
+
+                const beatPosition = i * interval / meter.beatLength;
+                callback(this.beatsToSeconds(beats), {
+                    bar,
+                    isBar: i === 0,
+                    isBeat: Math.abs(beatPosition - Math.round(beatPosition)) < 1e-6,
+                    meter
+                });
+            }
+        }
+    }
+
+    /**
+     * 吸附拍位置到网格：网格从每个小节的起点开始计算，整小节吸附传入 Infinity
+     * @param {number} beats - 位置（拍）
+     * @param {number} step - 网格间隔（拍）
+     * @returns {number} 吸附后的位置（拍）
+     */
+    snapBeats(beats, step) {
+        const { bar, start, meter } = this.getBarAtBeat(beats);
+        const barEnd = this.barToBeats(bar + 1);
+
+        if (step >= meter.barLength) {
+            return beats - start < (barEnd - start) / 2 ? start : barEnd;
+        }
+        return Math.min(barEnd, start + Math.round((beats - start) / step) * step);
+    }
+
+    /**
+     * 吸附时间到网格
+     * @param {number} seconds - 时间（秒）
+     * @param {number} step - 网格间隔（拍），整小节吸附传入 Infinity
+     * @returns {number} 吸附后的时间（秒）
+     */
+    snap(seconds, step) {
+        return this.beatsToSeconds(this.snapBeats(this.secondsToBeats(seconds), step));
+    }
+
+    /**
+     * 设置第一个速度事件（工程的基础速度）
+     * @param {number} bpm - 每分钟节拍数
+     */
+    setBaseTempo(bpm) {
+        this.tempos[0].bpm = clampTempo(bpm);
+        this.rebuild();
+    }
+
+    /**
+     * 在指定拍添加速度变化（该拍已有事件时修改其速度）
+     * @param {number} beat - 位置（拍）
+     * @param {number} bpm - 每分钟节拍数
+     * @returns {Object} 速度事件
+     */
+    addTempo(beat, bpm) {
+        const position = Math.max(0, beat);
+        let event = this.tempos.find(e => Math.abs(e.beat - position) < 1e-6);
+        if (event) {
+            event.bpm = clampTempo(bpm);
+        } else {
+            event = { beat: position, bpm: clampTempo(bpm) };
+            this.tempos.push(event);
+        }
+        this.rebuild();
+        return event;
+    }
+
+    /**
+     * 修改速度事件的速度
+     * @param {Object} event - 速度事件
+     * @param {number} bpm - 每分钟节拍数
+     */
+    updateTempo(event, bpm) {
+        event.bpm = clampTempo(bpm);
+        this.rebuild();
+    }
+
+    /**
+     * 将速度事件移动到指定时间
+     * 位置按去掉该事件后的速度换算（事件只影响其后的时间），第一个事件不可移动
+     * @param {Object} event - 速度事件
+     * @param {number} seconds - 目标时间（秒）
+     * @param {number|null} [step] - 吸附间隔（拍），null 表示不吸附
+     */
+    moveTempo(event, seconds, step = null) {
+        const index = this.tempos.indexOf(event);
+        if (index <= 0) return;
+
+        this.tempos.splice(index, 1);
+        this.rebuild();
+
+        let beats = this.secondsToBeats(seconds);
+        if (step) {
+            beats = this.snapBeats(beats, step);
+        }
+
+        // 不能与其他速度事件重合
+        if (!this.tempos.some(e => Math.abs(e.beat - beats) < 1e-6)) {
+            event.beat = Math.max(EPSILON, beats);
+        }
+        this.tempos.push(event);
+        this.rebuild();
+    }
+
+    /**
+     * 删除速度事件（第一个事件不可删除）
+     * @param {Object} event - 速度事件
+     */
+    removeTempo(event) {
+        const index = this.tempos.indexOf(event);
+        if (index > 0) {
+            this.tempos.splice(index, 1);
+            this.rebuild();
+        }
+    }
+
+    /**
+     * 在指定小节设置拍号（该小节已有事件时修改）
+     * @param {number} bar - 小节序号（从 0 开始）
+     * @param {number} numerator - 分子
+     * @param {number} denominator - 分母
+     * @returns {Object} 拍号事件
+     */
+    setMeter(bar, numerator, denominator) {
+        if (!METER_DENOMINATORS.includes(denominator)) {
+            throw new Error(`Invalid time signature denominator: ${denominator}`);
+        }
+
+        const position = Math.max(0, Math.round(bar));
+        const value = Math.max(1, Math.min(MAX_METER_NUMERATOR, Math.round(numerator)));
+        let event = this.meters.find(e => e.bar === position);
+        if (event) {
+            event.numerator = value;
+            event.denominator = denominator;
+        } else {
+            event = { bar: position, numerator: value, denominator };
+            this.meters.push(event);
+        }
+        this.rebuild();
+        return event;
+    }
+
+    /**
+     * 删除拍号事件（第一个事件不可删除）
+     * @param {Object} event - 拍号事件
+     */
+    removeMeter(event) {
+        const index = this.meters.indexOf(event);
+        if (index > 0) {
+            this.meters.splice(index, 1);
+            this.rebuild();
+        }
+    }
+
+    /**
+     * 序列化为 JSON
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            tempos: this.tempos.map(({ beat, bpm }) => ({ beat, bpm })),
+            meters: this.meters.map(({ bar, numerator, denominator }) => ({ bar, numerator, denominator }))
+        };
+    }
+
+    /**
+     * 用 JSON 数据替换全部事件（用于撤销与加载工程）
+     * @param {Object} data - toJSON() 的输出
+     */
+    load(data) {
+        const tempos = (data?.tempos || [])
+            .filter(e => typeof e.beat === 'number' && typeof e.bpm === 'number')
+            .map(e => ({ beat: Math.max(0, e.beat), bpm: clampTempo(e.bpm) }))
+            .sort((a, b) => a.beat - b.beat);
+        const meters = (data?.meters || [])
+            .filter(e => Number.isInteger(e.bar) && e.numerator > 0 && METER_DENOMINATORS.includes(e.denominator))
+            .map(e => ({ bar: Math.max(0, e.bar), numerator: Math.min(MAX_METER_NUMERATOR, e.numerator), denominator: e.denominator }))
+            .sort((a, b) => a.bar - b.bar);
+
+        // 保证第 0 拍与第 0 小节始终有事件
+        if (tempos.length === 0) tempos.push({ beat: 0, bpm: 120 });
+        tempos[0].beat = 0;
+        if (meters.length === 0) meters.push({ bar: 0, numerator: 4, denominator: 4 });
+        meters[0].bar = 0;
+
+        this.tempos = tempos;
+        this.meters = meters;
+        this.rebuild();
+    }
+
+    /**
+     * 从 JSON 创建速度轨
+     * @param {Object} data - toJSON() 的输出
+     * @returns {TempoMap}
+     */
+    static fromJSON(data) {
+        const map = new TempoMap();
+        map.load(data);
+        return map;
+    }
+}
@@ -2,6 +2,8 @@
  * Track - 音轨类
  * 代表 DAW 中的一个音轨，包含音频片段和控制参数
  */
+import { EffectChain } from './EffectChain.js';
+import { createAutomationLanes } from './Automation.js';
 
 // 预定义的音轨颜色
 const TRACK_COLORS = [
@@ -18,28 +20,50 @@ const TRACK_COLORS = [
 let trackCounter = 0;
 
 export class Track {
+    // 未指定名称时的前缀
+    static defaultName = 'Track';
+
     /**
      * @param {Object} options - 音轨配置
      * @param {string} [options.name] - 音轨名称
      * @param {string} [options.color] - 音轨颜色
+     * @param {string} [options.id] - 音轨 ID（从工程恢复时使用）
+     * @param {number} [options.volume] - 音量 (0-1)
+     * @param {number} [options.pan] - 声像 (-1 到 1)
+     * @param {boolean} [options.muted] - 是否静音
+     * @param {boolean} [options.solo] - 是否独奏
+     * @param {Array} [options.effects] - 插入效果链插槽数据
+     * @param {Object} [options.automation] - 自动化断点数据 { volume: [...], pan: [...] }
      */
     constructor(options = {}) {
         trackCounter++;
-        this.id = `track_${Date.now()}_${trackCounter}`;
-        this.name = options.name || `Track ${trackCounter}`;
+        this.id = options.id || `track_${Date.now()}_${trackCounter}`;
+        this.name = options.name || `${this.constructor.defaultName} ${trackCounter}`;
         this.color = options.color || TRACK_COLORS[(trackCounter - 1) % TRACK_COLORS.length];
 
         // 音频控制参数
-        this.volume = 0.8;
-        this.pan = 0; // -1 (左) 到 1 (右)
-        this.muted = false;
-        this.solo = false;
+        this.volume = typeof options.volume === 'number' ? options.volume : 0.8;
+        this.pan = typeof options.pan === 'number' ? options.pan : 0; // -1 (左) 到 1 (右)
+        this.muted = Boolean(options.muted);
+        this.solo = Boolean(options.solo);
+
+        // 录音待命（不保存到工程）
+        this.armed = false;
 
         // 音频片段列表
         this.clips = [];
 
+        // 插入效果链（位于音量推子之前）
+        this.effects = new EffectChain(options.effects);
+
+        // 自动化包络（音量包络作用于推子之后，声像包络有断点时取代声像旋钮）
+        this.automation = createAutomationLanes(options.automation);
+
         // Web Audio 节点（由 AudioEngine 创建）
+        this.inputNode = null;
         this.gainNode = null;
+        this.automationNode = null;
+        this.panNode = null;
     }
 
     /**
@@ -50,6 +74,14 @@ export class Track {
         this.name = name || this.name;
     }
 
+    /**
+     * 设置录音待命
+     * @param {boolean} armed - 是否待命
+     */
+    setArmed(armed) {
+        this.armed = Boolean(armed);
+    }
+
     /**
      * 设置音量
      * @param {number} volume - 音量 (0-1)
@@ -61,6 +93,17 @@ export class Track {
         }
     }
 
+    /**
+     * 设置声像
+     * @param {number} pan - 声像 (-1 左 到 1 右)
+     */
+    setPan(pan) {
+        this.pan = Math.max(-1, Math.min(1, pan));
+        if (this.panNode && !this.automation.pan.isActive()) {
+            this.panNode.pan.value = this.pan;
+        }
+    }
+
     /**
      * 设置静音状态
      * @param {boolean} muted - 是否静音
@@ -94,6 +137,15 @@ export class Track {
         this.setSolo(!this.solo);
     }
 
+    /**
+     * 是否可以放置指定片段（音频轨只接受音频片段）
+     * @param {AudioClip|MidiClip} clip - 片段
+     * @returns {boolean}
+     */
+    acceptsClip(clip) {
+        return Boolean(clip.audioBuffer);
+    }
+
     /**
      * 添加音频片段
      * @param {AudioClip} clip - 音频片段
@@ -131,6 +183,46 @@ export class Track {
         this.clips.sort((a, b) => a.startTime - b.startTime);
     }
 
+    /**
+     * 获取片段实际生效的淡入淡出（含自动交叉淡化）
+     * 与前一片段部分重叠时，重叠区域作为等功率淡入；与后一片段部分重叠时作为等功率淡出
+     * @param {AudioClip} clip - 音频片段
+     * @returns {{ fadeIn: number, fadeOut: number, fadeInCurve: string, fadeOutCurve: string }}
+     */
+    getClipFades(clip) {
+        const fades = clip.getFades();
+        const start = clip.startTime;
+        const end = clip.startTime + clip.duration;
+
+        this.clips.forEach(other => {
+            if (other === clip) return;
+            const otherEnd = other.startTime + other.duration;
+
+            if (other.startTime < start && otherEnd > start && otherEnd < end) {
+                const overlap = otherEnd - start;
+                if (overlap > fades.fadeIn) {
+                    fades.fadeIn = overlap;
+                    fades.fadeInCurve = 'equal-power';
+                }
+            } else if (other.startTime > start && other.startTime < end && otherEnd > end) {
+                const overlap = end - other.startTime;
+                if (overlap > fades.fadeOut) {
+                    fades.fadeOut = overlap;
+                    fades.fadeOutCurve = 'equal-power';
+                }
+            }
+        });
+
+        // 两端交叉淡化相加超过片段时长时按比例缩短
+        const total = fades.fadeIn + fades.fadeOut;
+        if (total > clip.duration) {
+            fades.fadeIn *= clip.duration / total;
+            fades.fadeOut *= clip.duration / total;
+        }
+
+        return fades;
+    }
+
     /**
      * 获取音轨总时长
      * @returns {number} 最后一个片段的结束时间
@@ -160,7 +252,31 @@ export class Track {
             pan: this.pan,
             muted: this.muted,
             solo: this.solo,
+            effects: this.effects.toJSON(),
+            automation: {
+                volume: this.automation.volume.toJSON(),
+                pan: this.automation.pan.toJSON()
+            },
             clips: this.clips.map(c => c.toJSON())
         };
     }
+
+    /**
+     * 从 JSON 恢复音轨（不包含片段，片段需在音频解码后单独添加）
+     * @param {Object} data - toJSON() 的输出
+     * @returns {Track}
+     */
+    static fromJSON(data) {
+        return new Track({
+            id: data.id,
+            name: data.name,
+            color: data.color,
+            volume: data.volume,
+            pan: data.pan,
+            muted: data.muted,
+            solo: data.solo,
+            effects: data.effects,
+            automation: data.automation
+        });
+    }
 }
@@ -0,0 +1,41 @@
+/**
+ * CompressorEffect - 压缩器
+ * 基于 DynamicsCompressorNode，附带补偿增益
+ */
+import { Effect } from './Effect.js';
+import { dbToLinear } from '../../utils/helpers.js';
+
+export class CompressorEffect extends Effect {
+    static type = 'compressor';
+    static label = '压缩器';
+    static params = [
+        { name: 'threshold', label: '阈值', min: -100, max: 0, step: 0.1, default: -24, unit: 'dB' },
+        { name: 'knee', label: '拐点', min: 0, max: 40, step: 0.1, default: 30, unit: 'dB' },
+        { name: 'ratio', label: '比率', min: 1, max: 20, step: 0.1, default: 4, unit: ':1' },
+        { name: 'attack', label: '启动', min: 0, max: 1, step: 0.001, default: 0.003, unit: 's' },
+        { name: 'release', label: '释放', min: 0, max: 1, step: 0.01, default: 0.25, unit: 's' },
+        { name: 'makeup', label: '补偿增益', min: 0, max: 24, step: 0.1, default: 0, unit: 'dB' }
+    ];
+
+    constructor(context, params) {
+        super(context, params);
+
+        this.compressor = context.createDynamicsCompressor();
+        this.makeupGain = context.createGain();
+
+        this.input.connect(this.compressor);
+        this.compressor.connect(this.makeupGain);
+        this.makeupGain.connect(this.output);
+
+        this.nodes.push(this.compressor, this.makeupGain);
+        this.applyAllParams();
+    }
+
+    applyParam(name, value) {
+        if (name === 'makeup') {
+            this.makeupGain.gain.value = dbToLinear(value);
+        } else if (this.compressor[name]) {
+            this.compressor[name].value = value;
+        }
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * DelayEffect - 反馈延迟
+ * 反馈回路中带低通滤波，使重复逐渐变暗
+ */
+import { Effect } from './Effect.js';
+
+// 最大延迟时间（秒）
+const MAX_DELAY_TIME = 2;
+
+export class DelayEffect extends Effect {
+    static type = 'delay';
+    static label = '延迟';
+    static params = [
+        { name: 'time', label: '时间', min: 0.01, max: MAX_DELAY_TIME, step: 0.01, default: 0.375, unit: 's' },
+        { name: 'feedback', label: '反馈', min: 0, max: 0.95, step: 0.01, default: 0.35, unit: '' },
+        { name: 'tone', label: '音色', min: 200, max: 20000, step: 1, default: 6000, unit: 'Hz' },
+        { name: 'mix', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.3, unit: '' }
+    ];
+
+    /**
+     * 反馈衰减到 -60 dB 所需的时间
+     */
+    static getTailTime(params) {
+        if (params.feedback <= 0) return params.time;
+        const repeats = Math.log(0.001) / Math.log(params.feedback);
+        return Math.min(params.time * (repeats + 1), 30);
+    }
+
+    constructor(context, params) {
+        super(context, params);
+
+        this.dryGain = context.createGain();
+        this.wetGain = context.createGain();
+        this.delay = context.createDelay(MAX_DELAY_TIME);
+        this.feedbackGain = context.createGain();
+        this.toneFilter = context.createBiquadFilter();
+        this.toneFilter.type = 'lowpass';
+
+        // 干声
+        this.input.connect(this.dryGain);
+        this.dryGain.connect(this.output);
+
+        // 湿声与反馈回路
+        this.input.connect(this.delay);
+        this.delay.connect(this.toneFilter);
+        this.toneFilter.connect(this.feedbackGain);
+        this.feedbackGain.connect(this.delay);
+        this.toneFilter.connect(this.wetGain);
+        this.wetGain.connect(this.output);
+
+        this.nodes.push(this.dryGain, this.wetGain, this.delay, this.feedbackGain, this.toneFilter);
+        this.applyAllParams();
+    }
+
+    applyParam(name, value) {
+        switch (name) {
+            case 'time':
+                this.delay.delayTime.value = value;
+                break;
+            case 'feedback':
+                this.feedbackGain.gain.value = value;
+                break;
+            case 'tone':
+                this.toneFilter.frequency.value = value;
+                break;
+            case 'mix':
+                this.dryGain.gain.value = 1 - value;
+                this.wetGain.gain.value = value;
+                break;
+        }
+    }
+}
@@ -0,0 +1,68 @@
+/**
+ * EQEffect - 参数均衡器
+ * 低架 + 两段峰值 + 高架，共四段 BiquadFilter
+ */
+import { Effect } from './Effect.js';
+
+// 频段定义：参数前缀与滤波器类型
+const BANDS = [
+    { prefix: 'low', type: 'lowshelf' },
+    { prefix: 'mid1', type: 'peaking' },
+    { prefix: 'mid2', type: 'peaking' },
+    { prefix: 'high', type: 'highshelf' }
+];
+
+export class EQEffect extends Effect {
+    static type = 'eq';
+    static label = '均衡器';
+    static params = [
+        { name: 'lowFreq', label: '低频', min: 20, max: 1000, step: 1, default: 100, unit: 'Hz' },
+        { name: 'lowGain', label: '低频增益', min: -24, max: 24, step: 0.1, default: 0, unit: 'dB' },
+        { name: 'mid1Freq', label: '中频 1', min: 100, max: 8000, step: 1, default: 500, unit: 'Hz' },
+        { name: 'mid1Gain', label: '中频 1 增益', min: -24, max: 24, step: 0.1, default: 0, unit: 'dB' },
+        { name: 'mid1Q', label: '中频 1 Q', min: 0.1, max: 18, step: 0.1, default: 1, unit: '' },
+        { name: 'mid2Freq', label: '中频 2', min: 200, max: 16000, step: 1, default: 2500, unit: 'Hz' },
+        { name: 'mid2Gain', label: '中频 2 增益', min: -24, max: 24, step: 0.1, default: 0, unit: 'dB' },
+        { name: 'mid2Q', label: '中频 2 Q', min: 0.1, max: 18, step: 0.1, default: 1, unit: '' },
+        { name: 'highFreq', label: '高频', min: 1000, max: 20000, step: 1, default: 8000, unit: 'Hz' },
+        { name: 'highGain', label: '高频增益', min: -24, max: 24, step: 0.1, default: 0, unit: 'dB' }
+    ];
+
+    constructor(context, params) {
+        super(context, params);
+
+        this.filters = {};
+        let previous = this.input;
+
+        BANDS.forEach(band => {
+            const filter = context.createBiquadFilter();
+            filter.type = band.type;
+            previous.connect(filter);
+            previous = filter;
+
+            this.filters[band.prefix] = filter;
+            this.nodes.push(filter);
+        });
+
+        previous.connect(this.output);
+        this.applyAllParams();
+    }
+
+    applyParam(name, value) {
+        const match = /^(low|mid1|mid2|high)(Freq|Gain|Q)$/.exec(name);
+        if (!match) return;
+
+        const filter = this.filters[match[1]];
+        switch (match[2]) {
+            case 'Freq':
+                filter.frequency.value = value;
+                break;
+            case 'Gain':
+                filter.gain.value = value;
+                break;
+            case 'Q':
+                filter.Q.value = value;
+                break;
+        }
+    }
+}
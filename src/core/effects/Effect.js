@@ -0,0 +1,107 @@
+/**
+ * Effect - 效果器基类
+ * 每个实例绑定一个音频上下文，提供 input/output 节点供效果链串联
+ *
+ * 子类通过静态属性描述自身：
+ * - type: 类型标识（用于序列化）
+ * - label: 显示名称
+ * - params: 参数定义 [{ name, label, min, max, step, default, unit }]
+ */
+import { clamp } from '../../utils/helpers.js';
+
+export class Effect {
+    static type = 'effect';
+    static label = 'Effect';
+    static params = [];
+
+    /**
+     * @param {BaseAudioContext} context - 音频上下文
+     * @param {Object} [params] - 参数值，缺省的参数使用默认值
+     */
+    constructor(context, params = {}) {
+        this.context = context;
+        this.params = this.constructor.getDefaultParams();
+        Object.keys(params).forEach(name => {
+            if (name in this.params) {
+                this.params[name] = params[name];
+            }
+        });
+
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        // 子类创建的内部节点，销毁时统一断开
+        this.nodes = [];
+    }
+
+    /**
+     * 获取参数默认值
+     * @returns {Object}
+     */
+    static getDefaultParams() {
+        const defaults = {};
+        this.params.forEach(def => {
+            defaults[def.name] = def.default;
+        });
+        return defaults;
+    }
+
+    /**
+     * 获取参数定义
+     * @param {string} name - 参数名
+     * @returns {Object|undefined}
+     */
+    static getParamDef(name) {
+        return this.params.find(def => def.name === name);
+    }
+
+    /**
+     * 根据参数估算尾音长度（秒），用于离线导出
+     * @param {Object} params - 参数值
+     * @returns {number}
+     */
+    static getTailTime(params) {
+        return 0;
+    }
+
+    /**
+     * 设置参数
+     * @param {string} name - 参数名
+     * @param {number} value - 参数值
+     */
+    setParam(name, value) {
+        const def = this.constructor.getParamDef(name);
+        if (!def) return;
+
+        this.params[name] = clamp(value, def.min, def.max);
+        this.applyParam(name, this.params[name]);
+    }
+
+    /**
+     * 将所有参数应用到节点（子类在创建节点后调用）
+     */
+    applyAllParams() {
+        Object.keys(this.params).forEach(name => this.applyParam(name, this.params[name]));
+    }
+
+    /**
+     * 将参数应用到音频节点（由子类实现）
+     * @param {string} name - 参数名
+     * @param {number} value - 参数值
+     */
+    applyParam(name, value) {}
+
+    /**
+     * 断开并释放所有节点
+     */
+    dispose() {
+        [this.input, this.output, ...this.nodes].forEach(node => {
+            try {
+                node.disconnect();
+            } catch (e) {
+                // 忽略未连接的节点
+            }
+        });
+        this.nodes = [];
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * ReverbEffect - 卷积混响
+ * 脉冲响应由指数衰减的立体声噪声生成，无需外部文件
+ */
+import { Effect } from './Effect.js';
+
+export class ReverbEffect extends Effect {
+    static type = 'reverb';
+    static label = '混响';
+    static params = [
+        { name: 'decay', label: '衰减', min: 0.1, max: 10, step: 0.1, default: 2, unit: 's' },
+        { name: 'preDelay', label: '预延迟', min: 0, max: 0.2, step: 0.001, default: 0.02, unit: 's' },
+        { name: 'damping', label: '阻尼', min: 1000, max: 20000, step: 1, default: 8000, unit: 'Hz' },
+        { name: 'mix', label: '干湿比', min: 0, max: 1, step: 0.01, default: 0.25, unit: '' }
+    ];
+
+    static getTailTime(params) {
+        return params.decay + params.preDelay;
+    }
+
+    constructor(context, params) {
+        super(context, params);
+
+        this.dryGain = context.createGain();
+        this.wetGain = context.createGain();
+        this.preDelay = context.createDelay(1);
+        this.convolver = context.createConvolver();
+        this.dampingFilter = context.createBiquadFilter();
+        this.dampingFilter.type = 'lowpass';
+
+        // 干声
+        this.input.connect(this.dryGain);
+        this.dryGain.connect(this.output);
+
+        // 湿声
+        this.input.connect(this.preDelay);
+        this.preDelay.connect(this.convolver);
+        this.convolver.connect(this.dampingFilter);
+        this.dampingFilter.connect(this.wetGain);
+        this.wetGain.connect(this.output);
+
+        this.nodes.push(this.dryGain, this.wetGain, this.preDelay, this.convolver, this.dampingFilter);
+        this.applyAllParams();
+    }
+
+    applyParam(name, value) {
+        switch (name) {
+            case 'decay':
+                this.convolver.buffer = createImpulseResponse(this.context, value);
+                break;
+            case 'preDelay':
+                this.preDelay.delayTime.value = value;
+                break;
+            case 'damping':
+                this.dampingFilter.frequency.value = value;
+                break;
+            case 'mix':
+                this.dryGain.gain.value = 1 - value;
+                this.wetGain.gain.value = value;
+                break;
+        }
+    }
+}
+
+/**
+ * 生成立体声脉冲响应
+ * @param {BaseAudioContext} context - 音频上下文
+ * @param {number} decay - 衰减时间（秒），约为衰减到 -60 dB 的时间
+ * @returns {AudioBuffer}
+ */
+export function createImpulseResponse(context, decay) {
+    const sampleRate = context.sampleRate;
+    const length = Math.max(1, Math.floor(sampleRate * decay));
+    const impulse = context.createBuffer(2, length, sampleRate);
+
+    // exp(-6.9) ≈ 0.001，即在 decay 秒处衰减到 -60 dB
+    const rate = 6.9 / length;
+
+    for (let c = 0; c < 2; c++) {
+        const data = impulse.getChannelData(c);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-rate * i);
+        }
+    }
+
+    return impulse;
+}
@@ -0,0 +1,34 @@
+/**
+ * 内置效果器注册表
+ */
+import { EQEffect } from './EQEffect.js';
+import { CompressorEffect } from './CompressorEffect.js';
+import { DelayEffect } from './DelayEffect.js';
+import { ReverbEffect } from './ReverbEffect.js';
+
+// 按显示顺序排列
+export const EFFECT_CLASSES = [EQEffect, CompressorEffect, DelayEffect, ReverbEffect];
+
+/**
+ * 获取效果器类
+ * @param {string} type - 类型标识
+ * @returns {typeof Effect|undefined}
+ */
+export function getEffectClass(type) {
+    return EFFECT_CLASSES.find(EffectClass => EffectClass.type === type);
+}
+
+/**
+ * 创建效果器实例
+ * @param {string} type - 类型标识
+ * @param {BaseAudioContext} context - 音频上下文
+ * @param {Object} [params] - 参数值
+ * @returns {Effect}
+ */
+export function createEffect(type, context, params) {
+    const EffectClass = getEffectClass(type);
+    if (!EffectClass) {
+        throw new Error(`Unknown effect type: ${type}`);
+    }
+    return new EffectClass(context, params);
+}
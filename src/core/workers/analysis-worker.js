@@ -0,0 +1,10 @@
+/**
+ * 节拍分析 Worker
+ * 在后台线程检测速度、强拍与瞬态，避免长音频阻塞界面
+ */
+import { detectBeats } from '../../utils/beatDetection.js';
+
+self.onmessage = (e) => {
+    const { id, channels, sampleRate } = e.data;
+    self.postMessage({ id, analysis: detectBeats(channels, sampleRate) });
+};
@@ -0,0 +1,17 @@
+/**
+ * 峰值计算 Worker
+ * 在后台线程构建多级峰值，避免长音频阻塞界面
+ */
+import { buildPeakLevels } from '../../utils/peaks.js';
+
+self.onmessage = (e) => {
+    const { id, channels, levelSizes } = e.data;
+    const levels = buildPeakLevels(channels, levelSizes);
+
+    const transfer = [];
+    levels.forEach(level => level.channels.forEach(({ min, max }) => {
+        transfer.push(min.buffer, max.buffer);
+    }));
+
+    self.postMessage({ id, levels }, transfer);
+};
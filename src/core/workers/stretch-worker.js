@@ -0,0 +1,11 @@
+/**
+ * 时间伸缩 Worker
+ * 在后台线程进行伸缩与变调，避免长音频阻塞界面
+ */
+import { stretchChannels } from '../../utils/timeStretch.js';
+
+self.onmessage = (e) => {
+    const { id, channels, options } = e.data;
+    const output = stretchChannels(channels, options);
+    self.postMessage({ id, channels: output }, output.map(data => data.buffer));
+};
@@ -0,0 +1,91 @@
+/**
+ * RecorderProcessor - 录音 AudioWorklet 处理器
+ * 从指定帧开始采集输入，按块通过 port 发送给主线程
+ */
+
+// 每次向主线程发送的帧数（约 46ms @ 44.1kHz）
+const CHUNK_FRAMES = 2048;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    /**
+     * @param {Object} options - 节点配置
+     * @param {Object} options.processorOptions - { channelCount }
+     */
+    constructor(options) {
+        super();
+        this.channelCount = options.processorOptions?.channelCount || 1;
+        this.recording = false;
+        this.startFrame = 0;
+        this.pending = [];
+        this.pendingFrames = 0;
+
+        this.port.onmessage = (e) => {
+            const { command } = e.data;
+            if (command === 'start') {
+                this.recording = true;
+                this.startFrame = Math.round(e.data.time * sampleRate);
+                this.pending = [];
+                this.pendingFrames = 0;
+            } else if (command === 'stop') {
+                this.flush();
+                this.recording = false;
+                this.port.postMessage({ type: 'stopped' });
+            }
+        };
+    }
+
+    /**
+     * 处理一个渲染块
+     * @param {Float32Array[][]} inputs - 输入数据
+     * @returns {boolean}
+     */
+    process(inputs) {
+        if (!this.recording) return true;
+
+        const input = inputs[0];
+        const blockFrames = input.length > 0 ? input[0].length : 128;
+        const skip = this.startFrame - currentFrame;
+        if (skip >= blockFrames) return true;
+
+        // 首个块只保留起始帧之后的部分；输入断开时以静音补齐，保证时间对齐
+        const from = Math.max(0, skip);
+        const block = [];
+        for (let c = 0; c < this.channelCount; c++) {
+            const channel = input[Math.min(c, input.length - 1)];
+            block.push(channel ? channel.slice(from) : new Float32Array(blockFrames - from));
+        }
+
+        this.pending.push(block);
+        this.pendingFrames += blockFrames - from;
+
+        if (this.pendingFrames >= CHUNK_FRAMES) {
+            this.flush();
+        }
+
+        return true;
+    }
+
+    /**
+     * 将已采集的数据合并为一块发送给主线程
+     */
+    flush() {
+        if (this.pendingFrames === 0) return;
+
+        const channels = [];
+        for (let c = 0; c < this.channelCount; c++) {
+            const data = new Float32Array(this.pendingFrames);
+            let position = 0;
+            this.pending.forEach(block => {
+                data.set(block[c], position);
+                position += block[c].length;
+            });
+            channels.push(data);
+        }
+
+        this.port.postMessage({ type: 'data', channels }, channels.map(data => data.buffer));
+        this.pending = [];
+        this.pendingFrames = 0;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
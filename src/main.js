@@ -5,11 +5,29 @@
 import './styles/index.css';
 import { audioEngine } from './core/AudioEngine.js';
 import { Track } from './core/Track.js';
-import { AudioClip } from './core/AudioClip.js';
+import { AudioClip, MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE, MAX_TRANSPOSE } from './core/AudioClip.js';
+import { MidiClip } from './core/MidiClip.js';
+import { MidiTrack } from './core/MidiTrack.js';
+import { PatternClip } from './core/PatternClip.js';
+import { PatternTrack } from './core/PatternTrack.js';
+import { Project, PROJECT_FILE_EXTENSION } from './core/Project.js';
+import { history } from './core/History.js';
+import { exporter } from './core/Exporter.js';
+import { recorder, createFakeMediaStream } from './core/Recorder.js';
+import { downloadBlob } from './utils/helpers.js';
 import { Toolbar } from './ui/Toolbar.js';
 import { TrackList } from './ui/TrackList.js';
 import { Timeline } from './ui/Timeline.js';
 import { Mixer } from './ui/Mixer.js';
+import { ExportDialog } from './ui/ExportDialog.js';
+import { EffectsPanel } from './ui/EffectsPanel.js';
+import { PianoRoll } from './ui/PianoRoll.js';
+import { SynthPanel } from './ui/SynthPanel.js';
+import { ChannelRack } from './ui/ChannelRack.js';
+import { audioAnalyzer } from './core/AudioAnalyzer.js';
+
+// 检测到的速度置信度不低于此值时才采用（作为原始速度并提示设置工程速度）
+const MIN_TEMPO_CONFIDENCE = 0.2;
 
 class DAWApp {
     constructor() {
@@ -17,6 +35,11 @@ class DAWApp {
         this.trackList = null;
         this.timeline = null;
         this.mixer = null;
+        this.exportDialog = null;
+        this.effectsPanel = null;
+        this.pianoRoll = null;
+        this.synthPanel = null;
+        this.channelRack = null;
 
         // 拖放状态
         this.dropOverlay = document.getElementById('drop-overlay');
@@ -27,6 +50,13 @@ class DAWApp {
         // 剪贴板
         this.clipboard = null;
 
+        // 当前工程名称
+        this.projectName = 'Untitled';
+
+        // 录音状态
+        this.recordingTracks = [];
+        this.takeCounter = 0;
+
         this.init();
     }
 
@@ -41,10 +71,24 @@ class DAWApp {
         this.trackList = new TrackList();
         this.timeline = new Timeline();
         this.mixer = new Mixer();
+        this.exportDialog = new ExportDialog();
+        this.effectsPanel = new EffectsPanel();
+        this.pianoRoll = new PianoRoll(this.timeline);
+        this.synthPanel = new SynthPanel();
+        this.channelRack = new ChannelRack(this.timeline);
 
         // 设置组件间的回调
         this.setupCallbacks();
 
+        // 以指针按下到松开为一次手势，拖动中的连续编辑合并为一步撤销
+        this.setupHistoryGestures();
+
+        // 开发构建中可用模拟输入代替麦克风（?fake-input，用于无头测试），生产构建不包含此入口
+        if (import.meta.env.DEV && new URLSearchParams(window.location.search).has('fake-input')) {
+            recorder.setStreamProvider((context) => createFakeMediaStream(context));
+            console.log('🎙️ 使用模拟音频输入');
+        }
+
         // 设置拖放处理
         this.setupDragDrop();
 
@@ -66,16 +110,218 @@ class DAWApp {
             this.importAudioFiles(files);
         };
 
+        // 工程保存/打开
+        this.toolbar.onProjectSave = () => {
+            this.saveProject();
+        };
+
+        this.toolbar.onProjectOpen = (file) => {
+            this.openProject(file);
+        };
+
+        // 速度变化后重绘刻度、网格与速度轨道，跟随速度的片段重新伸缩
+        this.toolbar.onTempoChange = () => {
+            this.timeline.refreshTempo();
+            this.syncTempoLockedClips();
+        };
+
+        // 吸附网格
+        this.toolbar.onSnapChange = (division) => {
+            this.timeline.setGrid(division);
+        };
+
+        // 循环区域
+        this.toolbar.onLoopToggle = () => {
+            this.timeline.drawRuler();
+        };
+
+        this.timeline.onLoopRegionChange = (previousState) => {
+            const state = { region: audioEngine.loopRegion, enabled: audioEngine.loopEnabled };
+            this.toolbar.updateLoopState();
+            history.push({
+                label: '设置循环区域',
+                undo: () => this.setLoopState(previousState),
+                redo: () => this.setLoopState(state)
+            });
+        };
+
+        // 录音
+        this.toolbar.onRecordToggle = () => {
+            this.toggleRecording();
+        };
+
+        recorder.onData = (peaks, duration) => {
+            this.timeline.updateRecordingPreview(peaks, duration);
+        };
+
+        // 传输停止或暂停时结束录音
+        const prevPlayStateHandler = audioEngine.onPlayStateChange;
+        audioEngine.onPlayStateChange = (state) => {
+            if (typeof prevPlayStateHandler === 'function') {
+                prevPlayStateHandler(state);
+            }
+            if (state !== 'playing') {
+                this.finishRecording();
+            }
+        };
+
+        // 导出
+        this.toolbar.onExport = () => {
+            this.exportDialog.open();
+        };
+
+        this.exportDialog.onExport = (options) => this.handleExport(options);
+
         // 音轨列表回调
-        this.trackList.onTrackAdd = (track) => {
-            this.timeline.addTrack(track);
-            this.mixer.addChannel(track);
+        this.trackList.onTrackAdd = (track, index) => {
+            this.timeline.addTrack(track, index);
+            this.mixer.addChannel(track, index);
+        };
+
+        this.trackList.onTrackAddRequest = (type) => {
+            this.addTrack(type);
+        };
+
+        this.trackList.onTrackUpdate = (track) => {
+            this.mixer.updateChannel(track);
+        };
+
+        // 音量推子（音轨列表与混音器）
+        this.trackList.onVolumeChange = (track, previousVolume) => {
+            this.recordVolumeChange(track, previousVolume);
+        };
+
+        this.mixer.onVolumeChange = (track, previousVolume) => {
+            this.trackList.updateTrackDisplay(track);
+            this.trackList.handleSoloLogic();
+            this.recordVolumeChange(track, previousVolume);
+        };
+
+        // 声像旋钮（音轨列表与混音器）
+        this.trackList.onPanChange = (track, previousPan) => {
+            this.mixer.updateChannel(track);
+            this.timeline.drawAutomation(track.id);
+            this.recordPanChange(track, previousPan);
+        };
+
+        this.mixer.onPanChange = (track, previousPan) => {
+            this.trackList.updateTrackDisplay(track);
+            this.timeline.drawAutomation(track.id);
+            this.recordPanChange(track, previousPan);
+        };
+
+        // 自动化轨道
+        this.trackList.onAutomationToggle = (track, visible) => {
+            this.timeline.setAutomationVisible(track.id, visible);
+        };
+
+        this.trackList.onAutomationParamChange = (track, param) => {
+            this.timeline.setAutomationParam(track.id, param);
+        };
+
+        this.timeline.onAutomationChange = (track, param, previousPoints, label) => {
+            const points = track.automation[param].toJSON();
+            history.push({
+                label,
+                undo: () => this.setTrackAutomation(track, param, previousPoints),
+                redo: () => this.setTrackAutomation(track, param, points)
+            });
+        };
+
+        // 速度与拍号轨道
+        this.timeline.onTempoMapChange = (previousState, label) => {
+            const state = audioEngine.tempoMap.toJSON();
+            this.toolbar.updateBpmDisplay();
+            this.syncTempoLockedClips();
+            history.push({
+                label,
+                undo: () => this.setTempoMap(previousState),
+                redo: () => this.setTempoMap(state)
+            });
+        };
+
+        // 插入效果链
+        this.mixer.onEffectsClick = (track) => {
+            this.effectsPanel.open(track);
+        };
+
+        this.effectsPanel.onChange = (track, previousSlots, label, mergeKey) => {
+            this.mixer.updateChannel(track);
+            const slots = track.effects.toJSON();
+            history.push({
+                label,
+                mergeKey,
+                undo: () => this.setTrackEffects(track, previousSlots),
+                redo: () => this.setTrackEffects(track, slots)
+            });
+        };
+
+        this.mixer.onMasterVolumeChange = (previousVolume) => {
+            const volume = audioEngine.masterVolume;
+            history.push({
+                label: '主音量',
+                mergeKey: 'master-volume',
+                undo: () => this.mixer.setMasterVolume(previousVolume),
+                redo: () => this.mixer.setMasterVolume(volume)
+            });
         };
 
         this.trackList.onTrackSelect = (track) => {
             console.log('选中音轨:', track.name);
         };
 
+        // MIDI 片段与钢琴卷帘
+        this.timeline.onMidiClipCreate = (track, time) => {
+            this.createMidiClip(track, time);
+        };
+
+        this.timeline.onMidiClipOpen = (clip) => {
+            this.pianoRoll.open(clip);
+        };
+
+        this.pianoRoll.onChange = (clip, previousNotes, label) => {
+            const notes = clip.getNotes();
+            history.push({
+                label,
+                undo: () => this.setMidiClipNotes(clip, previousNotes),
+                redo: () => this.setMidiClipNotes(clip, notes)
+            });
+        };
+
+        // 节奏片段与通道架
+        this.timeline.onPatternClipCreate = (track, time) => {
+            this.createPatternClip(track, time);
+        };
+
+        this.timeline.onPatternClipOpen = (clip) => {
+            this.channelRack.open(clip);
+        };
+
+        this.channelRack.onChange = (clip, previousPattern, label, mergeKey) => {
+            const pattern = clip.getPattern();
+            history.push({
+                label,
+                mergeKey,
+                undo: () => this.setPatternClip(clip, previousPattern),
+                redo: () => this.setPatternClip(clip, pattern)
+            });
+        };
+
+        // MIDI 音轨合成器
+        this.trackList.onSynthClick = (track) => {
+            this.synthPanel.open(track);
+        };
+
+        this.synthPanel.onChange = (track, previousParams, label, mergeKey) => {
+            const params = track.synth.toJSON();
+            history.push({
+                label,
+                mergeKey,
+                undo: () => this.setTrackSynth(track, previousParams),
+                redo: () => this.setTrackSynth(track, params)
+            });
+        };
+
         // 时间线文件拖放
         this.timeline.onFileDrop = (files, trackId, time) => {
             this.importAudioFilesToTrack(files, trackId, time);
@@ -86,20 +332,112 @@ class DAWApp {
             console.log('选中片段:', clip.name);
         };
 
+        // 片段拖动（含跨轨道移动，多选时整组作为一步操作）
+        this.timeline.onClipsMove = (moves) => {
+            const changes = moves
+                .map(({ clip, from }) => ({ clip, from, to: { startTime: clip.startTime, trackId: clip.trackId } }))
+                .filter(({ from, to }) => to.startTime !== from.startTime || to.trackId !== from.trackId);
+            if (changes.length === 0) return;
+
+            // 跟随速度的片段按新位置的速度伸缩
+            this.syncTempoLockedClips();
+
+            history.push({
+                label: '移动片段',
+                undo: () => {
+                    changes.forEach(({ clip, from }) => this.timeline.setClipPosition(clip, from.trackId, from.startTime));
+                    this.syncTempoLockedClips();
+                },
+                redo: () => {
+                    changes.forEach(({ clip, to }) => this.timeline.setClipPosition(clip, to.trackId, to.startTime));
+                    this.syncTempoLockedClips();
+                }
+            });
+        };
+
+        // 片段修剪与滑动编辑
+        this.timeline.onClipTrim = (clip, previous, label) => {
+            const bounds = this.timeline.getClipBounds(clip);
+            if (bounds.startTime === previous.startTime &&
+                bounds.offset === previous.offset &&
+                bounds.duration === previous.duration) return;
+
+            history.push({
+                label,
+                undo: () => this.timeline.setClipBounds(clip, previous),
+                redo: () => this.timeline.setClipBounds(clip, bounds)
+            });
+        };
+
+        // 片段淡入淡出
+        this.timeline.onClipFadeChange = (clip, previous, label) => {
+            const fades = clip.getFades();
+            if (JSON.stringify(fades) === JSON.stringify(previous)) return;
+
+            history.push({
+                label,
+                undo: () => this.timeline.setClipFades(clip, previous),
+                redo: () => this.timeline.setClipFades(clip, fades)
+            });
+        };
+
+        // 片段增益
+        this.timeline.onClipGainChange = (clip, previousGain) => {
+            const gain = clip.gain;
+            if (gain === previousGain) return;
+
+            history.push({
+                label: '片段增益',
+                undo: () => this.timeline.setClipGain(clip, previousGain),
+                redo: () => this.timeline.setClipGain(clip, gain)
+            });
+        };
+
+        // 片段重命名
+        this.timeline.onClipRename = (clip, oldName) => {
+            const newName = clip.name;
+            history.push({
+                label: '重命名片段',
+                undo: () => this.timeline.setClipName(clip, oldName),
+                redo: () => this.timeline.setClipName(clip, newName)
+            });
+        };
+
         // 右键菜单操作
-        this.timeline.onContextMenuAction = (action, clip) => {
+        this.timeline.onContextMenuAction = (action, clip, time) => {
             switch (action) {
+                case 'split':
+                    this.splitClips(this.timeline.getSelectedClips(), time);
+                    break;
                 case 'copy':
-                    this.copySelectedClip();
+                    this.copySelectedClips();
                     break;
                 case 'cut':
-                    this.cutSelectedClip();
+                    this.cutSelectedClips();
                     break;
                 case 'duplicate':
-                    this.duplicateSelectedClip();
+                    this.duplicateSelectedClips();
                     break;
                 case 'delete':
-                    this.timeline.deleteSelectedClip();
+                    this.deleteSelectedClips();
+                    break;
+                case 'edit-notes':
+                    this.pianoRoll.open(clip);
+                    break;
+                case 'edit-pattern':
+                    this.channelRack.open(clip);
+                    break;
+                case 'tempo-lock':
+                    this.toggleTempoLock(this.getSelectedAudioClips());
+                    break;
+                case 'original-bpm':
+                    this.promptOriginalBpm(this.getSelectedAudioClips());
+                    break;
+                case 'playback-rate':
+                    this.promptPlaybackRate(this.getSelectedAudioClips());
+                    break;
+                case 'transpose':
+                    this.promptTranspose(this.getSelectedAudioClips());
                     break;
             }
         };
@@ -108,10 +446,25 @@ class DAWApp {
         this.timeline.onTrackContextMenuAction = (action, track, clickTime) => {
             switch (action) {
                 case 'paste':
-                    this.pasteClipToTrack(track.id, clickTime);
+                    this.pasteClipsToTrack(track.id, clickTime);
                     break;
                 case 'add-track':
-                    this.trackList.addNewTrack();
+                    this.addTrack();
+                    break;
+                case 'add-midi-track':
+                    this.addTrack('midi');
+                    break;
+                case 'add-midi-clip':
+                    this.createMidiClip(track, clickTime);
+                    break;
+                case 'add-pattern-track':
+                    this.addTrack('pattern');
+                    break;
+                case 'add-pattern-clip':
+                    this.createPatternClip(track, clickTime);
+                    break;
+                case 'edit-synth':
+                    this.synthPanel.open(track);
                     break;
                 case 'rename-track':
                     this.renameTrack(track);
@@ -123,6 +476,17 @@ class DAWApp {
         };
     }
 
+    /**
+     * 设置撤销历史的手势边界
+     * 在捕获阶段监听，先于各组件的处理开始手势；窗口失焦时结束手势，避免松开事件丢失后一直合并
+     */
+    setupHistoryGestures() {
+        document.addEventListener('pointerdown', () => history.beginGesture(), true);
+        document.addEventListener('pointerup', () => history.endGesture(), true);
+        document.addEventListener('pointercancel', () => history.endGesture(), true);
+        window.addEventListener('blur', () => history.endGesture());
+    }
+
     /**
      * 设置拖放处理
      */
@@ -167,7 +531,7 @@ class DAWApp {
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // 如果焦点在输入框上，不处理快捷键
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
 
             switch (e.code) {
                 case 'Space':
@@ -184,11 +548,60 @@ class DAWApp {
                     audioEngine.stop();
                     break;
 
+                case 'KeyL':
+                    if (!e.ctrlKey && !e.metaKey) {
+                        e.preventDefault();
+                        this.toolbar.handleLoopToggle();
+                    }
+                    break;
+
+                case 'KeyR':
+                    if (!e.ctrlKey && !e.metaKey) {
+                        e.preventDefault();
+                        this.toggleRecording();
+                    }
+                    break;
+
+                case 'KeyM':
+                    if (!e.ctrlKey && !e.metaKey) {
+                        e.preventDefault();
+                        this.toolbar.handleMetronomeToggle();
+                    }
+                    break;
+
                 case 'Delete':
                 case 'Backspace':
-                    if (this.timeline.selectedClip) {
+                    if (this.timeline.selectedClips.size > 0) {
+                        e.preventDefault();
+                        this.deleteSelectedClips();
+                    }
+                    break;
+
+                case 'KeyA':
+                    if (e.ctrlKey || e.metaKey) {
+                        // Ctrl+A 全选片段
+                        e.preventDefault();
+                        this.timeline.selectAll();
+                    }
+                    break;
+
+                case 'KeyZ':
+                    if (e.ctrlKey || e.metaKey) {
+                        // Ctrl+Z 撤销，Ctrl+Shift+Z 重做
                         e.preventDefault();
-                        this.timeline.deleteSelectedClip();
+                        if (e.shiftKey) {
+                            this.redo();
+                        } else {
+                            this.undo();
+                        }
+                    }
+                    break;
+
+                case 'KeyY':
+                    if (e.ctrlKey || e.metaKey) {
+                        // Ctrl+Y 重做
+                        e.preventDefault();
+                        this.redo();
                     }
                     break;
 
@@ -196,7 +609,7 @@ class DAWApp {
                     if (e.ctrlKey || e.metaKey) {
                         // Ctrl+C 复制
                         e.preventDefault();
-                        this.copySelectedClip();
+                        this.copySelectedClips();
                     }
                     break;
 
@@ -204,7 +617,7 @@ class DAWApp {
                     if (e.ctrlKey || e.metaKey) {
                         // Ctrl+V 粘贴
                         e.preventDefault();
-                        this.pasteClip();
+                        this.pasteClips();
                     }
                     break;
 
@@ -212,7 +625,7 @@ class DAWApp {
                     if (e.ctrlKey || e.metaKey) {
                         // Ctrl+X 剪切
                         e.preventDefault();
-                        this.cutSelectedClip();
+                        this.cutSelectedClips();
                     }
                     break;
 
@@ -220,7 +633,31 @@ class DAWApp {
                     if (e.ctrlKey || e.metaKey) {
                         // Ctrl+D 复制片段
                         e.preventDefault();
-                        this.duplicateSelectedClip();
+                        this.duplicateSelectedClips();
+                    }
+                    break;
+
+                case 'KeyS':
+                    if (e.ctrlKey || e.metaKey) {
+                        // Ctrl+S 保存工程
+                        e.preventDefault();
+                        this.saveProject();
+                    } else if (e.shiftKey) {
+                        // Shift+S 在播放头处分割所有音轨
+                        e.preventDefault();
+                        this.splitAllClipsAtPlayhead();
+                    } else {
+                        // S 在播放头处分割选中的片段
+                        e.preventDefault();
+                        this.splitSelectedClips();
+                    }
+                    break;
+
+                case 'KeyO':
+                    if (e.ctrlKey || e.metaKey) {
+                        // Ctrl+O 打开工程
+                        e.preventDefault();
+                        this.toolbar.openProjectDialog();
                     }
                     break;
             }
@@ -228,67 +665,465 @@ class DAWApp {
     }
 
     /**
-     * 复制选中的片段
+     * 撤销上一步编辑
      */
-    copySelectedClip() {
-        if (this.timeline.selectedClip) {
-            this.clipboard = this.timeline.selectedClip.clone();
-            console.log('📋 已复制:', this.clipboard.name);
+    async undo() {
+        try {
+            await history.undo();
+        } catch (error) {
+            console.error('❌ 撤销失败:', error);
+            alert('撤销失败！');
         }
     }
 
+    /**
+     * 重做上一步撤销的编辑
+     */
+    async redo() {
+        try {
+            await history.redo();
+        } catch (error) {
+            console.error('❌ 重做失败:', error);
+            alert('重做失败！');
+        }
+    }
+
+    /**
+     * 复制选中的片段（记录各片段相对整组的时间与音轨偏移）
+     * @returns {boolean} 是否有片段被复制
+     */
+    copySelectedClips() {
+        const clips = this.timeline.getSelectedClips();
+        if (clips.length === 0) return false;
+
+        const groupStart = clips[0].startTime;
+        const trackIndices = clips.map(clip => audioEngine.tracks.findIndex(t => t.id === clip.trackId));
+        const minTrackIndex = Math.min(...trackIndices);
+
+        this.clipboard = clips.map((clip, i) => ({
+            clip: clip.clone(),
+            timeOffset: clip.startTime - groupStart,
+            trackOffset: trackIndices[i] - minTrackIndex
+        }));
+
+        console.log(`📋 已复制 ${clips.length} 个片段`);
+        return true;
+    }
+
     /**
      * 剪切选中的片段
      */
-    cutSelectedClip() {
-        if (this.timeline.selectedClip) {
-            this.clipboard = this.timeline.selectedClip.clone();
-            this.timeline.deleteSelectedClip();
-            console.log('✂️ 已剪切:', this.clipboard.name);
+    cutSelectedClips() {
+        if (this.copySelectedClips()) {
+            this.deleteSelectedClips('剪切片段');
+            console.log(`✂️ 已剪切 ${this.clipboard.length} 个片段`);
         }
     }
 
     /**
-     * 粘贴片段
+     * 删除选中的片段（可撤销，多选时作为一步操作）
+     * @param {string} [label] - 历史记录名称
      */
-    pasteClip() {
-        if (!this.clipboard) {
-            console.log('❌ 剪贴板为空');
+    deleteSelectedClips(label = '删除片段') {
+        const entries = this.timeline.getSelectedClips()
+            .map(clip => ({ clip, track: audioEngine.getTrack(clip.trackId) }))
+            .filter(({ track }) => track);
+        if (entries.length === 0) return;
+
+        entries.forEach(({ clip }) => this.removeClip(clip));
+        history.push({
+            label,
+            undo: () => entries.forEach(({ clip, track }) => this.insertClip(clip, track)),
+            redo: () => entries.forEach(({ clip }) => this.removeClip(clip))
+        });
+    }
+
+    /**
+     * 在指定时间分割片段，作为一步操作记录
+     * @param {AudioClip[]} clips - 要分割的片段（不包含分割点的片段会被跳过）
+     * @param {number} time - 分割点（秒）
+     * @param {string} [label] - 历史记录名称
+     */
+    splitClips(clips, time, label = '分割片段') {
+        const splits = [];
+
+        clips.forEach(clip => {
+            const track = audioEngine.getTrack(clip.trackId);
+            if (!track) return;
+
+            const previous = this.timeline.getClipBounds(clip);
+            const right = clip.split(time);
+            if (!right) return;
+
+            const bounds = this.timeline.getClipBounds(clip);
+            this.timeline.setClipBounds(clip, bounds);
+            this.insertClip(right, track);
+            splits.push({ clip, right, track, previous, bounds });
+        });
+
+        if (splits.length === 0) return;
+
+        history.push({
+            label,
+            undo: () => splits.forEach(({ clip, right, previous }) => {
+                this.removeClip(right);
+                this.timeline.setClipBounds(clip, previous);
+            }),
+            redo: () => splits.forEach(({ clip, right, track, bounds }) => {
+                this.timeline.setClipBounds(clip, bounds);
+                this.insertClip(right, track);
+            })
+        });
+
+        console.log(`✂️ 已分割 ${splits.length} 个片段`);
+    }
+
+    /**
+     * 在播放头处分割选中的片段
+     */
+    splitSelectedClips() {
+        this.splitClips(this.timeline.getSelectedClips(), audioEngine.currentTime);
+    }
+
+    /**
+     * 在播放头处分割所有音轨上的片段
+     */
+    splitAllClipsAtPlayhead() {
+        const clips = audioEngine.tracks.flatMap(track => track.clips);
+        this.splitClips(clips, audioEngine.currentTime, '分割所有音轨');
+    }
+
+    /**
+     * 选中的音频片段（时间伸缩等设置不适用于 MIDI 片段）
+     * @returns {AudioClip[]}
+     */
+    getSelectedAudioClips() {
+        return this.timeline.getSelectedClips().filter(clip => clip instanceof AudioClip);
+    }
+
+    /**
+     * 修改片段的时间伸缩设置并记录为一步撤销操作
+     * @param {AudioClip[]} clips - 片段列表
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} update - (clip) => 要修改的设置字段
+     */
+    changeClipStretch(clips, label, update) {
+        const changes = clips.map(clip => {
+            const from = clip.getStretch();
+            return { clip, from, to: { ...from, ...update(clip) } };
+        });
+        if (changes.length === 0) return;
+
+        changes.forEach(({ clip, to }) => this.timeline.setClipStretch(clip, to));
+        history.push({
+            label,
+            undo: () => changes.forEach(({ clip, from }) => this.timeline.setClipStretch(clip, from)),
+            redo: () => changes.forEach(({ clip, to }) => this.timeline.setClipStretch(clip, to))
+        });
+    }
+
+    /**
+     * 开启跟随速度的片段按所在位置的工程速度重新伸缩（速度变化是撤销历史的一部分，此处不单独记录）
+     */
+    syncTempoLockedClips() {
+        audioEngine.tracks.forEach(track => {
+            track.clips.forEach(clip => {
+                if (!clip.tempoLock) return;
+                const playbackRate = audioEngine.getTempo(clip.startTime) / clip.originalBpm;
+                if (Math.abs(playbackRate - clip.playbackRate) < 1e-9) return;
+                this.timeline.setClipStretch(clip, { ...clip.getStretch(), playbackRate });
+            });
+        });
+    }
+
+    /**
+     * 切换片段的速度跟随；缺少原始速度的片段先询问原始速度
+     * @param {AudioClip[]} clips - 片段列表
+     */
+    toggleTempoLock(clips) {
+        if (clips.length === 0) return;
+
+        if (clips.every(clip => clip.tempoLock)) {
+            this.changeClipStretch(clips, '取消跟随速度', () => ({ tempoLock: false, playbackRate: 1 }));
             return;
         }
 
+        let fallbackBpm = null;
+        if (clips.some(clip => !clip.originalBpm)) {
+            fallbackBpm = this.askBpm('请输入音频的原始速度 (BPM):', audioEngine.getTempo());
+            if (fallbackBpm === null) return;
+        }
+
+        this.changeClipStretch(clips, '跟随工程速度', clip => {
+            const originalBpm = clip.originalBpm || fallbackBpm;
+            return {
+                originalBpm,
+                tempoLock: true,
+                playbackRate: audioEngine.getTempo(clip.startTime) / originalBpm
+            };
+        });
+        console.log(`🔒 ${clips.length} 个片段已跟随工程速度`);
+    }
+
+    /**
+     * 设置片段的原始速度（跟随速度的片段随之重新伸缩）
+     * @param {AudioClip[]} clips - 片段列表
+     */
+    promptOriginalBpm(clips) {
+        if (clips.length === 0) return;
+
+        const originalBpm = this.askBpm('请输入音频的原始速度 (BPM):', clips[0].originalBpm || audioEngine.getTempo());
+        if (originalBpm === null) return;
+
+        this.changeClipStretch(clips, '设置原始速度', clip => (clip.tempoLock
+            ? { originalBpm, playbackRate: audioEngine.getTempo(clip.startTime) / originalBpm }
+            : { originalBpm }));
+    }
+
+    /**
+     * 手动设置片段的播放速率（取消速度跟随）
+     * @param {AudioClip[]} clips - 片段列表
+     */
+    promptPlaybackRate(clips) {
+        if (clips.length === 0) return;
+
+        const input = prompt(`请输入播放速率 (${MIN_PLAYBACK_RATE} - ${MAX_PLAYBACK_RATE})，音高不变:`, String(clips[0].playbackRate));
+        if (input === null) return;
+
+        const playbackRate = parseFloat(input);
+        if (!Number.isFinite(playbackRate) || playbackRate < MIN_PLAYBACK_RATE || playbackRate > MAX_PLAYBACK_RATE) {
+            alert('无效的播放速率！');
+            return;
+        }
+
+        this.changeClipStretch(clips, '修改播放速率', () => ({ playbackRate, tempoLock: false }));
+    }
+
+    /**
+     * 设置片段移调（时长不变）
+     * @param {AudioClip[]} clips - 片段列表
+     */
+    promptTranspose(clips) {
+        if (clips.length === 0) return;
+
+        const input = prompt(`请输入移调半音数 (-${MAX_TRANSPOSE} 到 +${MAX_TRANSPOSE}):`, String(clips[0].pitch));
+        if (input === null) return;
+
+        const pitch = parseInt(input, 10);
+        if (Number.isNaN(pitch) || Math.abs(pitch) > MAX_TRANSPOSE) {
+            alert('无效的移调！');
+            return;
+        }
+
+        this.changeClipStretch(clips, '移调', () => ({ pitch }));
+    }
+
+    /**
+     * 询问速度
+     * @param {string} message - 提示文字
+     * @param {number} defaultBpm - 默认值
+     * @returns {number|null} 取消或无效时为 null
+     */
+    askBpm(message, defaultBpm) {
+        const input = prompt(message, String(defaultBpm));
+        if (input === null) return null;
+
+        const bpm = parseFloat(input);
+        if (!Number.isFinite(bpm) || bpm <= 0) {
+            alert('无效的速度！');
+            return null;
+        }
+        return bpm;
+    }
+
+    /**
+     * 将片段添加到音轨并显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {Track} track - 目标音轨
+     */
+    insertClip(clip, track) {
+        track.addClip(clip);
+        this.timeline.addClip(clip, track.id);
+    }
+
+    /**
+     * 从音轨和时间线移除片段
+     * @param {AudioClip} clip - 音频片段
+     */
+    removeClip(clip) {
+        if (this.pianoRoll.isShowing(clip)) {
+            this.pianoRoll.close();
+        }
+        if (this.channelRack.isShowing(clip)) {
+            this.channelRack.close();
+        }
+
+        const track = audioEngine.getTrack(clip.trackId);
+        if (track) {
+            track.removeClip(clip.id);
+        }
+        this.timeline.removeClip(clip);
+    }
+
+    /**
+     * 添加片段并记录历史
+     * @param {AudioClip} clip - 音频片段
+     * @param {Track} track - 目标音轨
+     * @param {string} label - 历史记录名称
+     */
+    insertClipWithHistory(clip, track, label) {
+        this.insertClipsWithHistory([{ clip, track }], label);
+    }
+
+    /**
+     * 添加多个片段并作为一步操作记录历史
+     * @param {Array<{clip: AudioClip, track: Track}>} entries - 片段与目标音轨
+     * @param {string} label - 历史记录名称
+     */
+    insertClipsWithHistory(entries, label) {
+        entries.forEach(({ clip, track }) => this.insertClip(clip, track));
+        history.push({
+            label,
+            undo: () => entries.forEach(({ clip }) => this.removeClip(clip)),
+            redo: () => entries.forEach(({ clip, track }) => this.insertClip(clip, track))
+        });
+    }
+
+    /**
+     * 粘贴片段到选中音轨的播放头位置
+     */
+    pasteClips() {
         const targetTrack = this.trackList.getSelectedTrack() || audioEngine.tracks[0];
         if (!targetTrack) return;
 
-        const newClip = this.clipboard.clone();
-        // 粘贴到当前播放位置或音轨末尾
-        newClip.setStartTime(audioEngine.currentTime ?? targetTrack.getDuration());
+        this.pasteClipsToTrack(targetTrack.id, audioEngine.currentTime ?? targetTrack.getDuration());
+    }
+
+    /**
+     * 粘贴片段到指定音轨，整组保持复制时的相对时间与音轨间隔
+     * @param {string} trackId - 最上方片段的目标音轨 ID
+     * @param {number} time - 最早片段的粘贴位置时间
+     */
+    pasteClipsToTrack(trackId, time) {
+        if (!this.clipboard) {
+            console.log('⚠️ 剪贴板为空');
+            return;
+        }
+
+        const tracks = audioEngine.tracks;
+        const trackIndex = tracks.findIndex(t => t.id === trackId);
+        if (trackIndex === -1) return;
+
+        // 音轨不够时整组上移，仍超出的片段放到最后一条音轨
+        const maxTrackOffset = Math.max(...this.clipboard.map(item => item.trackOffset));
+        const baseIndex = Math.max(0, Math.min(trackIndex, tracks.length - 1 - maxTrackOffset));
 
-        targetTrack.addClip(newClip);
-        this.timeline.addClip(newClip, targetTrack.id);
-        this.timeline.selectClip(newClip);
+        // 跳过目标音轨不接受的片段（音频片段不能放到 MIDI 音轨，反之亦然）
+        const entries = this.clipboard.map(({ clip, timeOffset, trackOffset }) => {
+            const newClip = clip.clone();
+            newClip.setStartTime(time + timeOffset);
+            return { clip: newClip, track: tracks[Math.min(baseIndex + trackOffset, tracks.length - 1)] };
+        }).filter(({ clip, track }) => track.acceptsClip(clip));
 
-        console.log('📄 已粘贴:', newClip.name);
+        if (entries.length === 0) {
+            console.log('⚠️ 目标音轨不接受剪贴板中的片段');
+            return;
+        }
+
+        this.insertClipsWithHistory(entries, '粘贴片段');
+        this.timeline.setSelection(entries.map(({ clip }) => clip));
+
+        console.log(`📄 已粘贴 ${entries.length} 个片段到 ${tracks[baseIndex].name}`);
     }
 
     /**
-     * 复制片段（在原位置后面）
+     * 在 MIDI 音轨上新建一小节长的空白片段并打开钢琴卷帘
+     * @param {MidiTrack} track - 目标音轨
+     * @param {number} time - 起始时间（秒）
      */
-    duplicateSelectedClip() {
-        if (!this.timeline.selectedClip) return;
+    createMidiClip(track, time) {
+        const tempoMap = audioEngine.tempoMap;
+        const beats = tempoMap.secondsToBeats(time);
+        const { barLength } = tempoMap.getMeterAtBeat(beats);
+        const clip = new MidiClip({
+            startTime: time,
+            duration: tempoMap.beatsToSeconds(beats + barLength) - time
+        });
 
-        const originalClip = this.timeline.selectedClip;
-        const track = audioEngine.tracks.find(t => t.id === originalClip.trackId);
-        if (!track) return;
+        this.insertClipWithHistory(clip, track, '新建 MIDI 片段');
+        this.timeline.setSelection([clip]);
+        this.pianoRoll.open(clip);
+    }
 
-        const newClip = originalClip.clone();
-        newClip.setStartTime(originalClip.startTime + originalClip.duration);
+    /**
+     * 替换 MIDI 片段的音符并刷新显示（撤销 / 重做）
+     * @param {MidiClip} clip - MIDI 片段
+     * @param {Array<Object>} notes - 音符列表
+     */
+    setMidiClipNotes(clip, notes) {
+        this.timeline.setMidiClipNotes(clip, notes);
+        if (this.pianoRoll.isShowing(clip)) {
+            this.pianoRoll.refresh();
+        }
+    }
 
-        track.addClip(newClip);
-        this.timeline.addClip(newClip, track.id);
-        this.timeline.selectClip(newClip);
+    /**
+     * 在节奏音轨上新建一个节奏型长度（16 步）的片段并打开通道架
+     * 沿用同一音轨上前一个节奏片段的通道（采样、音量与静音，不含步），方便继续编写
+     * @param {PatternTrack} track - 目标音轨
+     * @param {number} time - 起始时间（秒）
+     */
+    createPatternClip(track, time) {
+        const previous = track.clips.filter(clip => clip.startTime <= time).pop() || track.clips[0];
+        const clip = new PatternClip({
+            startTime: time,
+            channels: previous
+                ? previous.channels.map(({ name, audioBuffer, volume, muted }) => ({ name, audioBuffer, volume, muted }))
+                : []
+        });
+        clip.setDuration(clip.getPatternDuration(audioEngine.tempoMap));
 
-        console.log('📑 已复制:', newClip.name);
+        this.insertClipWithHistory(clip, track, '新建节奏片段');
+        this.timeline.setSelection([clip]);
+        this.channelRack.open(clip);
+    }
+
+    /**
+     * 替换节奏片段的节奏型并刷新显示（撤销 / 重做）
+     * @param {PatternClip} clip - 节奏片段
+     * @param {Object} pattern - 节奏型
+     */
+    setPatternClip(clip, pattern) {
+        this.timeline.setPatternClip(clip, pattern);
+        if (this.channelRack.isShowing(clip)) {
+            this.channelRack.refresh();
+        }
+    }
+
+    /**
+     * 复制选中的片段到整组之后（各自保持原音轨）
+     */
+    duplicateSelectedClips() {
+        const clips = this.timeline.getSelectedClips();
+        if (clips.length === 0) return;
+
+        const groupStart = clips[0].startTime;
+        const groupEnd = Math.max(...clips.map(clip => clip.startTime + clip.duration));
+
+        const entries = clips
+            .map(clip => ({ original: clip, track: audioEngine.getTrack(clip.trackId) }))
+            .filter(({ track }) => track)
+            .map(({ original, track }) => {
+                const clip = original.clone();
+                clip.setStartTime(original.startTime + groupEnd - groupStart);
+                return { clip, track };
+            });
+        if (entries.length === 0) return;
+
+        this.insertClipsWithHistory(entries, '复制片段');
+        this.timeline.setSelection(entries.map(({ clip }) => clip));
+
+        console.log(`📑 已复制 ${entries.length} 个片段`);
     }
 
     /**
@@ -308,14 +1143,15 @@ class DAWApp {
     }
 
     /**
-     * 导入音频文件
+     * 导入音频文件（全部解码后一次放入，整批记为一步撤销）
      * @param {File[]} files - 音频文件列表
      */
     async importAudioFiles(files) {
         // 获取选中的音轨或第一个音轨
+        // MIDI / 节奏音轨不能放置音频，改用第一条音频轨
         let targetTrack = this.trackList.getSelectedTrack();
-        if (!targetTrack && audioEngine.tracks.length > 0) {
-            targetTrack = audioEngine.tracks[0];
+        if (!targetTrack || !this.isAudioTrack(targetTrack)) {
+            targetTrack = audioEngine.tracks.find(track => this.isAudioTrack(track));
         }
 
         if (!targetTrack) {
@@ -324,6 +1160,7 @@ class DAWApp {
 
         // 计算起始时间（在现有片段之后）
         let startTime = targetTrack.getDuration();
+        const entries = [];
 
         for (const file of files) {
             try {
@@ -335,9 +1172,7 @@ class DAWApp {
                     name: file.name.replace(/\.[^/.]+$/, ''),
                     startTime
                 });
-
-                targetTrack.addClip(clip);
-                this.timeline.addClip(clip, targetTrack.id);
+                entries.push({ clip, track: targetTrack });
 
                 startTime += clip.duration + 0.5; // 片段之间留 0.5 秒间隔
 
@@ -346,10 +1181,23 @@ class DAWApp {
                 console.error(`❌ 加载失败: ${file.name}`, error);
             }
         }
+
+        if (entries.length === 0) return;
+        this.insertClipsWithHistory(entries, '导入音频');
+        this.analyzeImportedClips(entries.map(({ clip }) => clip));
+    }
+
+    /**
+     * 是否为音频轨（MIDI 音轨与节奏音轨不放置音频片段）
+     * @param {Track} track - 音轨对象
+     * @returns {boolean}
+     */
+    isAudioTrack(track) {
+        return !(track instanceof MidiTrack || track instanceof PatternTrack);
     }
 
     /**
-     * 导入音频文件到指定音轨
+     * 导入音频文件到指定音轨（整批记为一步撤销）
      * @param {File[]} files - 音频文件列表
      * @param {string} trackId - 目标音轨 ID
      * @param {number} time - 起始时间
@@ -358,7 +1206,13 @@ class DAWApp {
         const track = audioEngine.getTrack(trackId);
         if (!track) return;
 
+        if (!this.isAudioTrack(track)) {
+            alert('MIDI 音轨和节奏音轨不能放置音频文件！');
+            return;
+        }
+
         let startTime = time;
+        const entries = [];
 
         for (const file of files) {
             try {
@@ -368,9 +1222,7 @@ class DAWApp {
                     name: file.name.replace(/\.[^/.]+$/, ''),
                     startTime
                 });
-
-                track.addClip(clip);
-                this.timeline.addClip(clip, track.id);
+                entries.push({ clip, track });
 
                 startTime += clip.duration;
 
@@ -379,6 +1231,127 @@ class DAWApp {
                 console.error(`❌ 加载失败: ${file.name}`, error);
             }
         }
+
+        if (entries.length === 0) return;
+        this.insertClipsWithHistory(entries, '导入音频');
+        this.analyzeImportedClips(entries.map(({ clip }) => clip));
+    }
+
+    /**
+     * 分析导入的音频：保存瞬态与强拍并显示为片段上的标记，
+     * 检测到可靠的速度时作为片段的原始速度，并询问是否设为工程速度
+     * @param {AudioClip[]} clips - 导入的片段
+     */
+    async analyzeImportedClips(clips) {
+        const results = await Promise.all(clips.map(async clip => {
+            try {
+                const analysis = await audioAnalyzer.analyze(clip.audioBuffer);
+                const hasTempo = analysis.bpm !== null && analysis.confidence >= MIN_TEMPO_CONFIDENCE;
+
+                // 分析期间切分或复制出的片段共享同一音频，一并更新
+                audioEngine.tracks.forEach(track => {
+                    track.clips.forEach(other => {
+                        if (other.audioBuffer !== clip.audioBuffer) return;
+                        other.setAnalysis(analysis);
+                        if (hasTempo && !other.originalBpm) {
+                            other.setOriginalBpm(analysis.bpm);
+                        }
+                    });
+                    this.timeline.drawTrackFades(track.id);
+                });
+
+                return hasTempo ? { clip, analysis } : null;
+            } catch (error) {
+                console.error('节拍分析失败:', error);
+                return null;
+            }
+        }));
+
+        const detected = results.find(result => result);
+        if (!detected) return;
+
+        const { clip, analysis } = detected;
+        const bpm = Math.round(analysis.bpm);
+        if (bpm === audioEngine.getTempo()) return;
+
+        const downbeat = analysis.downbeat === null ? '' : `，第一个强拍位于 ${analysis.downbeat.toFixed(2)} 秒`;
+        if (confirm(`检测到「${clip.name}」的速度约为 ${analysis.bpm} BPM${downbeat}。\n是否将工程速度设为 ${bpm} BPM？`)) {
+            this.toolbar.setBpm(bpm);
+            console.log(`🥁 工程速度已设为 ${bpm} BPM`);
+        }
+    }
+
+    /**
+     * 开始/结束录音
+     */
+    toggleRecording() {
+        if (recorder.isRecording) {
+            this.finishRecording();
+        } else {
+            this.startRecording();
+        }
+    }
+
+    /**
+     * 开始录音（录制到所有待命的音轨）
+     */
+    async startRecording() {
+        const tracks = audioEngine.tracks.filter(track => track.armed);
+        if (tracks.length === 0) {
+            alert('请先点击音轨上的 R 按钮启用录音待命！');
+            return;
+        }
+
+        try {
+            await recorder.start();
+        } catch (error) {
+            console.error('❌ 无法开始录音:', error);
+            alert('无法访问音频输入设备！');
+            return;
+        }
+
+        this.recordingTracks = tracks;
+        this.timeline.showRecordingPreview(tracks.map(track => track.id), recorder.startTime);
+        this.toolbar.updateRecordState(true);
+    }
+
+    /**
+     * 结束录音并将录音片段放置到待命音轨上
+     */
+    async finishRecording() {
+        if (!recorder.isRecording) return;
+
+        const stopping = recorder.stop();
+        if (audioEngine.isPlaying && !audioEngine.isPaused) {
+            audioEngine.pause();
+        }
+        this.timeline.hideRecordingPreview();
+        this.toolbar.updateRecordState(false);
+
+        const take = await stopping;
+        const tracks = this.recordingTracks.filter(track => audioEngine.tracks.includes(track));
+        this.recordingTracks = [];
+        if (!take || tracks.length === 0) return;
+
+        // 所有待命音轨共享同一份录音数据，作为一步操作记录
+        const takeNumber = ++this.takeCounter;
+        const entries = tracks.map(track => {
+            const clip = new AudioClip({
+                audioBuffer: take.audioBuffer,
+                name: `${track.name} 录音 ${takeNumber}`,
+                startTime: take.startTime,
+                offset: take.offset,
+                duration: take.duration
+            });
+            this.insertClip(clip, track);
+            return { clip, track };
+        });
+
+        history.push({
+            label: '录音',
+            undo: () => entries.forEach(({ clip }) => this.removeClip(clip)),
+            redo: () => entries.forEach(({ clip, track }) => this.insertClip(clip, track))
+        });
     }
 
     /**
@@ -388,13 +1361,138 @@ class DAWApp {
     renameTrack(track) {
         const newName = prompt('请输入新的音轨名称:', track.name);
         if (newName && newName.trim()) {
-            track.setName(newName.trim());
-            this.trackList.updateTrackDisplay(track);
-            this.mixer.updateChannel(track);
+            const oldName = track.name;
+            this.setTrackName(track, newName.trim());
+            history.push({
+                label: '重命名音轨',
+                undo: () => this.setTrackName(track, oldName),
+                redo: () => this.setTrackName(track, newName.trim())
+            });
             console.log(`📝 音轨已重命名为: ${track.name}`);
         }
     }
 
+    /**
+     * 设置音轨名称并同步显示
+     * @param {Track} track - 音轨对象
+     * @param {string} name - 新名称
+     */
+    setTrackName(track, name) {
+        track.setName(name);
+        this.trackList.updateTrackDisplay(track);
+        this.mixer.updateChannel(track);
+    }
+
+    /**
+     * 设置音轨音量并同步所有推子
+     * @param {Track} track - 音轨对象
+     * @param {number} volume - 音量 (0-1)
+     */
+    setTrackVolume(track, volume) {
+        track.setVolume(volume);
+        this.trackList.updateTrackDisplay(track);
+        this.trackList.handleSoloLogic();
+        this.mixer.updateChannel(track);
+    }
+
+    /**
+     * 记录音量推子变化（连续拖动合并为一步）
+     * @param {Track} track - 音轨对象
+     * @param {number} previousVolume - 变化前的音量
+     */
+    recordVolumeChange(track, previousVolume) {
+        const volume = track.volume;
+        history.push({
+            label: '调整音量',
+            mergeKey: `volume:${track.id}`,
+            undo: () => this.setTrackVolume(track, previousVolume),
+            redo: () => this.setTrackVolume(track, volume)
+        });
+    }
+
+    /**
+     * 设置音轨声像并同步所有旋钮
+     * @param {Track} track - 音轨对象
+     * @param {number} pan - 声像 (-1 到 1)
+     */
+    setTrackPan(track, pan) {
+        track.setPan(pan);
+        this.trackList.updateTrackDisplay(track);
+        this.mixer.updateChannel(track);
+        this.timeline.drawAutomation(track.id);
+    }
+
+    /**
+     * 记录声像变化（连续拖动合并为一步）
+     * @param {Track} track - 音轨对象
+     * @param {number} previousPan - 变化前的声像
+     */
+    recordPanChange(track, previousPan) {
+        const pan = track.pan;
+        history.push({
+            label: '调整声像',
+            mergeKey: `pan:${track.id}`,
+            undo: () => this.setTrackPan(track, previousPan),
+            redo: () => this.setTrackPan(track, pan)
+        });
+    }
+
+    /**
+     * 替换音轨的自动化断点并同步显示与播放
+     * @param {Track} track - 音轨对象
+     * @param {string} param - 参数名（volume 或 pan）
+     * @param {Array} points - 断点数据
+     */
+    setTrackAutomation(track, param, points) {
+        track.automation[param].setPoints(points);
+        audioEngine.updateAutomation(track);
+        this.timeline.drawAutomation(track.id);
+    }
+
+    /**
+     * 替换音轨效果链并同步面板与混音器
+     * @param {Track} track - 音轨对象
+     * @param {Array} slots - 效果链插槽数据
+     */
+    setTrackEffects(track, slots) {
+        track.effects.setSlots(slots);
+        this.mixer.updateChannel(track);
+        if (this.effectsPanel.isShowing(track)) {
+            this.effectsPanel.refresh();
+        }
+    }
+
+    /**
+     * 恢复 MIDI 音轨的合成器参数并同步面板
+     * @param {MidiTrack} track - MIDI 音轨
+     * @param {Object} params - 合成器参数
+     */
+    setTrackSynth(track, params) {
+        track.synth.setParams(params);
+        if (this.synthPanel.isShowing(track)) {
+            this.synthPanel.refresh();
+        }
+    }
+
+    /**
+     * 添加新音轨（可撤销）
+     * @param {string} [type='audio'] - 音轨类型：'audio'、'midi' 或 'pattern'
+     * @returns {Promise<Track>}
+     */
+    async addTrack(type = 'audio') {
+        const track = await this.trackList.addNewTrack(type);
+        const index = audioEngine.tracks.indexOf(track);
+        const labels = { midi: '添加 MIDI 音轨', pattern: '添加节奏音轨' };
+
+        history.push({
+            label: labels[type] || '添加音轨',
+            undo: () => this.detachTrack(track),
+            redo: () => this.attachTrack(track, index)
+        });
+
+        return track;
+    }
+
     /**
      * 删除音轨
      * @param {Track} track - 音轨对象
@@ -405,47 +1503,166 @@ class DAWApp {
             return;
         }
 
-        if (confirm(`确定要删除音轨 "${track.name}" 吗？\n音轨上的所有音频片段也将被删除。`)) {
-            // 从时间线移除所有片段
-            track.clips.forEach(clip => {
-                const clipEl = this.timeline.clipElements.get(clip.id);
-                if (clipEl) {
-                    clipEl.remove();
-                    this.timeline.clipElements.delete(clip.id);
-                }
+        if (confirm(`确定要删除音轨 "${track.name}" 吗？\n音轨上的所有片段也将被删除。`)) {
+            const index = audioEngine.tracks.indexOf(track);
+            this.detachTrack(track);
+            history.push({
+                label: '删除音轨',
+                undo: () => this.attachTrack(track, index),
+                redo: () => this.detachTrack(track)
             });
+            console.log(`🗑️ 已删除音轨: ${track.name}`);
+        }
+    }
 
-            // 移除音轨
-            this.timeline.removeTrack(track.id);
-            this.trackList.removeTrack(track.id);
-            this.mixer.removeChannel(track.id);
-            audioEngine.removeTrack(track.id);
+    /**
+     * 将音轨（连同其片段）重新加入引擎和所有 UI 组件
+     * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置
+     * @returns {Promise<void>}
+     */
+    async attachTrack(track, index) {
+        await this.trackList.addTrack(track, index);
+        track.clips.forEach(clip => this.timeline.addClip(clip, track.id));
+        this.trackList.handleSoloLogic();
+    }
 
-            console.log(`🗑️ 已删除音轨: ${track.name}`);
+    /**
+     * 从引擎和所有 UI 组件中移除音轨
+     * @param {Track} track - 音轨对象
+     */
+    detachTrack(track) {
+        if (this.effectsPanel.isShowing(track)) {
+            this.effectsPanel.close();
+        }
+        if (track.clips.some(clip => this.pianoRoll.isShowing(clip))) {
+            this.pianoRoll.close();
         }
+        if (this.synthPanel.isShowing(track)) {
+            this.synthPanel.close();
+        }
+        if (track.clips.some(clip => this.channelRack.isShowing(clip))) {
+            this.channelRack.close();
+        }
+
+        // 从时间线移除所有片段
+        track.clips.forEach(clip => this.timeline.removeClip(clip));
+
+        // 移除音轨
+        this.timeline.removeTrack(track.id);
+        this.trackList.removeTrack(track.id);
+        this.mixer.removeChannel(track.id);
+        audioEngine.removeTrack(track.id);
     }
 
     /**
-     * 粘贴片段到指定音轨
-     * @param {string} trackId - 目标音轨 ID
-     * @param {number} time - 粘贴位置时间
+     * 保存工程（下载 .qanyi 文件）
      */
-    pasteClipToTrack(trackId, time) {
-        if (!this.clipboard) {
-            console.log('⚠️ 剪贴板为空');
+    saveProject() {
+        try {
+            const project = Project.fromEngine(audioEngine, this.projectName);
+            downloadBlob(project.toBlob(), `${project.name}${PROJECT_FILE_EXTENSION}`);
+            console.log(`💾 工程已保存: ${project.name}`);
+        } catch (error) {
+            console.error('❌ 工程保存失败', error);
+            alert('工程保存失败！');
+        }
+    }
+
+    /**
+     * 导出主混音（WAV）或分轨（ZIP）并下载
+     * @param {Object} options - 导出选项
+     * @returns {Promise<void>}
+     */
+    async handleExport(options) {
+        let blob;
+        let filename;
+
+        if (options.mode === 'stems') {
+            blob = await exporter.exportStems(options);
+            filename = `${this.projectName}-stems.zip`;
+        } else {
+            blob = await exporter.exportWav(options);
+            filename = `${this.projectName}.wav`;
+        }
+
+        downloadBlob(blob, filename);
+        console.log(`📤 已导出: ${filename}`);
+    }
+
+    /**
+     * 打开工程文件
+     * @param {File} file - 工程文件
+     */
+    async openProject(file) {
+        let project;
+        try {
+            project = await Project.fromFile(file);
+        } catch (error) {
+            console.error(`❌ 工程加载失败: ${file.name}`, error);
+            alert('无法打开工程文件！');
             return;
         }
 
-        const track = audioEngine.getTrack(trackId);
-        if (!track) return;
+        await this.loadProject(project);
+        console.log(`📂 已打开工程: ${project.name}`);
+    }
 
-        const newClip = this.clipboard.clone();
-        newClip.setStartTime(time);
+    /**
+     * 恢复速度轨并刷新相关界面
+     * @param {Object} state - TempoMap.toJSON() 的输出
+     */
+    setTempoMap(state) {
+        audioEngine.tempoMap.load(state);
+        this.toolbar.updateBpmDisplay();
+        this.timeline.refreshTempo();
+        this.pianoRoll.refresh();
+        this.syncTempoLockedClips();
+    }
+
+    /**
+     * 恢复循环区域与循环开关
+     * @param {{ region: Object|null, enabled: boolean }} state - 循环状态
+     */
+    setLoopState({ region, enabled }) {
+        if (region) {
+            audioEngine.setLoopRegion(region.start, region.end);
+        } else {
+            audioEngine.clearLoopRegion();
+        }
+        audioEngine.setLoopEnabled(enabled);
+        this.toolbar.updateLoopState();
+        this.timeline.drawRuler();
+    }
 
-        track.addClip(newClip);
-        this.timeline.addClip(newClip, track.id);
+    /**
+     * 用工程内容替换当前会话
+     * @param {Project} project - 工程对象
+     */
+    async loadProject(project) {
+        audioEngine.stop();
+        this.timeline.deselectClip();
+        history.clear();
+
+        // 清空当前会话
+        audioEngine.tracks.slice().forEach(track => this.detachTrack(track));
+
+        this.projectName = project.name;
+        // 旧工程只有单一速度
+        this.setTempoMap(project.tempoMap || { tempos: [{ beat: 0, bpm: project.tempo }] });
+        this.mixer.setMasterVolume(project.masterVolume);
+
+        for (const track of project.tracks) {
+            await this.trackList.addTrack(track);
+            track.clips.forEach(clip => this.timeline.addClip(clip, track.id));
+        }
+
+        if (audioEngine.tracks.length === 0) {
+            await this.trackList.addNewTrack();
+        }
 
-        console.log(`📋 已粘贴: ${newClip.name} 到 ${track.name}`);
+        this.trackList.handleSoloLogic();
+        this.trackList.selectTrack(audioEngine.tracks[0].id);
     }
 }
 
@@ -0,0 +1,376 @@
+/**
+ * AutomationEditor - 自动化包络编辑器
+ * 显示在音轨下方的自动化轨道，支持添加、拖动、删除断点和切换曲线形状
+ */
+import { audioEngine } from '../core/AudioEngine.js';
+import { linearToDb, formatPan } from '../utils/helpers.js';
+
+// 断点半径与点击判定范围（像素）
+const POINT_RADIUS = 4;
+const HIT_RADIUS = 7;
+
+// 上下留白（像素），避免断点贴边
+const PADDING = 6;
+
+export class AutomationEditor {
+    /**
+     * @param {Track} track - 音轨对象
+     * @param {Timeline} timeline - 所属时间线（提供缩放与吸附）
+     */
+    constructor(track, timeline) {
+        this.track = track;
+        this.timeline = timeline;
+        this.param = 'volume';
+        this.visible = false;
+        this.hoverPoint = null;
+        this.dragPoint = null;
+
+        // 事件回调 (previousPoints, label)，每次编辑完成后触发
+        this.onChange = null;
+        // 事件回调 (x, y, point)，右键断点时触发
+        this.onPointMenu = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'automation-lane';
+        this.element.dataset.automationTrackId = track.id;
+        this.element.hidden = true;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'automation-canvas';
+        this.element.appendChild(this.canvas);
+
+        this.ctx = this.canvas.getContext('2d');
+        this.init();
+    }
+
+    /**
+     * 当前编辑的包络
+     * @returns {AutomationLane}
+     */
+    get lane() {
+        return this.track.automation[this.param];
+    }
+
+    /**
+     * 绑定交互事件
+     */
+    init() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragPoint) return;
+            const { x, y } = this.getLocalPosition(e);
+            const point = this.hitTest(x, y);
+            if (point !== this.hoverPoint) {
+                this.hoverPoint = point;
+                this.canvas.style.cursor = point ? 'move' : 'crosshair';
+                this.draw();
+            }
+            this.canvas.title = point ? this.formatValue(point.value) : this.formatValue(this.yToValue(y));
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.hoverPoint && !this.dragPoint) {
+                this.hoverPoint = null;
+                this.draw();
+            }
+        });
+
+        // 双击删除断点
+        this.canvas.addEventListener('dblclick', (e) => {
+            const { x, y } = this.getLocalPosition(e);
+            const point = this.hitTest(x, y);
+            if (point) {
+                this.edit('删除自动化断点', () => this.lane.removePoint(point));
+            }
+        });
+
+        // 右键断点：曲线形状与删除
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const { x, y } = this.getLocalPosition(e);
+            const point = this.hitTest(x, y);
+            if (point && this.onPointMenu) {
+                this.onPointMenu(e.clientX, e.clientY, point);
+            }
+        });
+    }
+
+    /**
+     * 按下鼠标：命中断点则拖动，否则在该位置添加断点并拖动
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+
+        const previousPoints = this.lane.toJSON();
+        const { x, y } = this.getLocalPosition(e);
+        let point = this.hitTest(x, y);
+        let label = '移动自动化断点';
+
+        if (!point) {
+            point = this.lane.addPoint(this.xToTime(x, e), this.yToValue(y));
+            label = '添加自动化断点';
+            audioEngine.updateAutomation(this.track);
+        }
+
+        this.dragPoint = point;
+        this.hoverPoint = point;
+        this.draw();
+
+        const startX = e.clientX;
+        const startY = e.clientY;
+        const startTime = point.time;
+        const startValue = point.value;
+        const range = this.lane.range;
+
+        const onMouseMove = (moveEvent) => {
+            const time = this.timeline.snap(startTime + (moveEvent.clientX - startX) / this.timeline.pixelsPerSecond, moveEvent);
+
+            const valueDelta = (startY - moveEvent.clientY) / this.getValueHeight() * (range.max - range.min);
+            this.lane.movePoint(point, time, startValue + valueDelta);
+            this.canvas.title = this.formatValue(point.value);
+
+            audioEngine.updateAutomation(this.track);
+            this.draw();
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            this.dragPoint = null;
+            this.draw();
+
+            const moved = point.time !== startTime || point.value !== startValue;
+            if ((label !== '移动自动化断点' || moved) && this.onChange) {
+                this.onChange(previousPoints, label);
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 执行一次编辑、重绘并触发变更回调
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} apply - 修改包络的函数
+     */
+    edit(label, apply) {
+        const previousPoints = this.lane.toJSON();
+        apply();
+        this.hoverPoint = null;
+
+        audioEngine.updateAutomation(this.track);
+        this.draw();
+
+        if (this.onChange) {
+            this.onChange(previousPoints, label);
+        }
+    }
+
+    /**
+     * 切换编辑的参数
+     * @param {string} param - 参数名
+     */
+    setParam(param) {
+        this.param = param;
+        this.hoverPoint = null;
+        this.draw();
+    }
+
+    /**
+     * 显示/隐藏自动化轨道
+     * @param {boolean} visible - 是否显示
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.element.hidden = !visible;
+        if (visible) {
+            this.draw();
+        }
+    }
+
+    /**
+     * 获取鼠标在 canvas 内的坐标
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {{ x: number, y: number }}
+     */
+    getLocalPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    /**
+     * 查找坐标附近的断点
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @returns {Object|null}
+     */
+    hitTest(x, y) {
+        let closest = null;
+        let closestDistance = HIT_RADIUS;
+
+        this.lane.points.forEach(point => {
+            const distance = Math.hypot(this.timeToX(point.time) - x, this.valueToY(point.value) - y);
+            if (distance <= closestDistance) {
+                closest = point;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * 时间转换为 X 坐标
+     * @param {number} time - 时间（秒）
+     * @returns {number}
+     */
+    timeToX(time) {
+        return time * this.timeline.pixelsPerSecond;
+    }
+
+    /**
+     * X 坐标转换为时间（按时间线设置吸附）
+     * @param {number} x - X 坐标
+     * @param {MouseEvent} [event] - 鼠标事件（按住 Shift 临时关闭吸附）
+     * @returns {number}
+     */
+    xToTime(x, event) {
+        const time = Math.max(0, x / this.timeline.pixelsPerSecond);
+        return this.timeline.snap(time, event);
+    }
+
+    /**
+     * 可用于绘制数值的高度（扣除上下留白）
+     * @returns {number}
+     */
+    getValueHeight() {
+        return Math.max(1, this.element.clientHeight - PADDING * 2);
+    }
+
+    /**
+     * 参数值转换为 Y 坐标
+     * @param {number} value - 参数值
+     * @returns {number}
+     */
+    valueToY(value) {
+        const { min, max } = this.lane.range;
+        return PADDING + (1 - (value - min) / (max - min)) * this.getValueHeight();
+    }
+
+    /**
+     * Y 坐标转换为参数值
+     * @param {number} y - Y 坐标
+     * @returns {number}
+     */
+    yToValue(y) {
+        const { min, max } = this.lane.range;
+        const ratio = 1 - (y - PADDING) / this.getValueHeight();
+        return this.lane.clampValue(min + ratio * (max - min));
+    }
+
+    /**
+     * 格式化参数值用于提示
+     * @param {number} value - 参数值
+     * @returns {string}
+     */
+    formatValue(value) {
+        if (this.param === 'pan') {
+            return `声像 ${formatPan(value)}`;
+        }
+        const db = linearToDb(value);
+        return `音量 ${db === -Infinity ? '-∞' : db.toFixed(1)} dB`;
+    }
+
+    /**
+     * 绘制包络
+     */
+    draw() {
+        if (!this.visible) return;
+
+        const width = this.element.clientWidth;
+        const height = this.element.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        // 参考线（声像居中线 / 音量 0 dB 线）
+        const referenceValue = this.param === 'pan' ? 0 : 1;
+        ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(0, Math.round(this.valueToY(referenceValue)) + 0.5);
+        ctx.lineTo(width, Math.round(this.valueToY(referenceValue)) + 0.5);
+        ctx.stroke();
+
+        const lane = this.lane;
+        const color = this.track.color;
+
+        if (!lane.isActive()) {
+            // 无断点时以虚线显示当前静态值
+            const fallback = this.param === 'pan' ? this.track.pan : lane.range.default;
+            const y = this.valueToY(fallback);
+            ctx.strokeStyle = color;
+            ctx.globalAlpha = 0.5;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.globalAlpha = 1;
+            return;
+        }
+
+        // 按像素采样曲线，所有曲线形状统一处理
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x += 2) {
+            const y = this.valueToY(lane.getValueAt(x / this.timeline.pixelsPerSecond));
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+
+        // 断点
+        lane.points.forEach(point => {
+            const x = this.timeToX(point.time);
+            if (x < -POINT_RADIUS || x > width + POINT_RADIUS) return;
+
+            const isActive = point === this.hoverPoint || point === this.dragPoint;
+            ctx.fillStyle = isActive ? '#ffffff' : color;
+            ctx.strokeStyle = '#12121a';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.arc(x, this.valueToY(point.value), isActive ? POINT_RADIUS + 1 : POINT_RADIUS, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        });
+    }
+
+    /**
+     * 销毁组件
+     */
+    destroy() {
+        this.element.remove();
+        this.onChange = null;
+        this.onPointMenu = null;
+    }
+}
@@ -0,0 +1,438 @@
+/**
+ * ChannelRack - 通道架（步进音序器）
+ * 双击节奏片段打开：每行一个采样通道，单击格子切换该步，在格子上上下拖动调整力度，右键关闭该步；
+ * 单击通道名称试听采样，工具条设置步数（16 / 32）与摇摆
+ */
+import { audioEngine } from '../core/AudioEngine.js';
+import { STEP_COUNTS } from '../core/PatternClip.js';
+import { MAX_VELOCITY, DEFAULT_VELOCITY } from '../core/MidiClip.js';
+
+// 每拍的步数（十六分音符），用于格子分组着色
+const STEPS_PER_BEAT = 4;
+
+// 按下格子后移动超过多少像素视为拖动力度
+const DRAG_THRESHOLD = 3;
+
+export class ChannelRack {
+    /**
+     * @param {Timeline} timeline - 时间线（同步片段上的步预览）
+     */
+    constructor(timeline) {
+        this.timeline = timeline;
+        this.overlay = null;
+        this.rowsEl = null;
+        this.stepSelect = null;
+        this.swingSlider = null;
+        this.swingValue = null;
+        this.clip = null;
+
+        // 事件回调 (clip, previousPattern, label, mergeKey)，每次编辑后触发，用于记录撤销历史
+        this.onChange = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * 打开节奏片段的通道架
+     * @param {PatternClip} clip - 节奏片段
+     */
+    open(clip) {
+        this.close();
+        this.clip = clip;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal channel-rack';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = `通道架 - ${clip.name}`;
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        body.appendChild(this.createToolbar());
+
+        this.rowsEl = document.createElement('div');
+        this.rowsEl.className = 'channel-rack-rows';
+        body.appendChild(this.rowsEl);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        // 添加采样（可多选，每个文件一个通道）
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = 'audio/*';
+        fileInput.multiple = true;
+        fileInput.style.display = 'none';
+        fileInput.addEventListener('change', () => {
+            const files = Array.from(fileInput.files);
+            fileInput.value = '';
+            this.addSamples(files);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'modal-btn primary';
+        addBtn.textContent = '添加采样…';
+        addBtn.addEventListener('click', () => fileInput.click());
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'modal-btn';
+        closeBtn.textContent = '关闭';
+        closeBtn.addEventListener('click', () => this.close());
+
+        footer.appendChild(fileInput);
+        footer.appendChild(addBtn);
+        footer.appendChild(closeBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+
+        // 点击遮罩关闭
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', this.handleKeydown);
+        this.overlay = overlay;
+        this.refresh();
+    }
+
+    /**
+     * 创建顶部工具条：步数与摇摆
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'channel-rack-toolbar';
+
+        const stepLabel = document.createElement('label');
+        stepLabel.className = 'form-label';
+        stepLabel.textContent = '步数';
+
+        this.stepSelect = document.createElement('select');
+        this.stepSelect.className = 'form-select';
+        STEP_COUNTS.forEach(count => {
+            const option = document.createElement('option');
+            option.value = String(count);
+            option.textContent = String(count);
+            this.stepSelect.appendChild(option);
+        });
+        this.stepSelect.addEventListener('change', () => {
+            const count = parseInt(this.stepSelect.value, 10);
+            this.edit('修改步数', () => this.clip.setStepCount(count));
+        });
+
+        const swingLabel = document.createElement('label');
+        swingLabel.className = 'form-label';
+        swingLabel.textContent = '摇摆';
+
+        this.swingSlider = document.createElement('input');
+        this.swingSlider.type = 'range';
+        this.swingSlider.className = 'effect-param-slider channel-rack-swing';
+        this.swingSlider.min = '0';
+        this.swingSlider.max = '100';
+        this.swingSlider.step = '1';
+
+        this.swingValue = document.createElement('span');
+        this.swingValue.className = 'effect-param-value';
+
+        // 连续拖动合并为一步撤销
+        this.swingSlider.addEventListener('input', () => {
+            const swing = parseInt(this.swingSlider.value, 10) / 100;
+            this.edit('调整摇摆', () => this.clip.setSwing(swing), `swing:${this.clip.id}`, false);
+            this.swingValue.textContent = `${this.swingSlider.value}%`;
+        });
+
+        // 双击复位
+        this.swingSlider.addEventListener('dblclick', () => {
+            this.edit('重置摇摆', () => this.clip.setSwing(0));
+        });
+
+        const hint = document.createElement('span');
+        hint.className = 'piano-roll-hint';
+        hint.textContent = '单击切换 · 上下拖动调整力度 · 右键关闭 · 单击名称试听';
+
+        toolbar.appendChild(stepLabel);
+        toolbar.appendChild(this.stepSelect);
+        toolbar.appendChild(swingLabel);
+        toolbar.appendChild(this.swingSlider);
+        toolbar.appendChild(this.swingValue);
+        toolbar.appendChild(hint);
+        return toolbar;
+    }
+
+    /**
+     * 关闭通道架
+     */
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.rowsEl = null;
+        this.stepSelect = null;
+        this.swingSlider = null;
+        this.swingValue = null;
+        this.clip = null;
+    }
+
+    /**
+     * 判断通道架是否正在显示指定片段
+     * @param {PatternClip} clip - 节奏片段
+     * @returns {boolean}
+     */
+    isShowing(clip) {
+        return this.overlay !== null && this.clip === clip;
+    }
+
+    /**
+     * 根据片段的节奏型重新渲染工具条与通道行
+     */
+    refresh() {
+        if (!this.rowsEl) return;
+
+        const clip = this.clip;
+        this.stepSelect.value = String(clip.stepCount);
+        this.swingSlider.value = String(Math.round(clip.swing * 100));
+        this.swingValue.textContent = `${this.swingSlider.value}%`;
+
+        this.rowsEl.innerHTML = '';
+        if (clip.channels.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'effects-empty';
+            empty.textContent = '暂无通道，点击“添加采样”载入音频文件';
+            this.rowsEl.appendChild(empty);
+            return;
+        }
+
+        clip.channels.forEach(channel => {
+            this.rowsEl.appendChild(this.renderChannel(channel));
+        });
+    }
+
+    /**
+     * 渲染单个通道行
+     * @param {Object} channel - 通道
+     * @returns {HTMLElement}
+     */
+    renderChannel(channel) {
+        const row = document.createElement('div');
+        row.className = `channel-row${channel.muted ? ' muted' : ''}`;
+
+        const muteBtn = document.createElement('button');
+        muteBtn.type = 'button';
+        muteBtn.className = `track-ctrl-btn mute-btn${channel.muted ? ' active' : ''}`;
+        muteBtn.textContent = 'M';
+        muteBtn.title = channel.muted ? '取消静音' : '静音';
+        muteBtn.addEventListener('click', () => {
+            this.edit(channel.muted ? '取消通道静音' : '静音通道', () => {
+                channel.muted = !channel.muted;
+            });
+        });
+
+        const nameBtn = document.createElement('button');
+        nameBtn.type = 'button';
+        nameBtn.className = `channel-name${channel.audioBuffer ? '' : ' missing'}`;
+        nameBtn.textContent = channel.name;
+        nameBtn.title = channel.audioBuffer ? `${channel.name}（单击试听）` : `${channel.name}（缺少采样）`;
+        nameBtn.addEventListener('click', () => this.previewChannel(channel));
+
+        // 通道音量（连续拖动合并为一步撤销）
+        const volumeSlider = document.createElement('input');
+        volumeSlider.type = 'range';
+        volumeSlider.className = 'volume-slider channel-volume';
+        volumeSlider.min = '0';
+        volumeSlider.max = '100';
+        volumeSlider.value = String(Math.round(channel.volume * 100));
+        volumeSlider.title = `音量 ${volumeSlider.value}%`;
+        volumeSlider.addEventListener('input', () => {
+            const volume = parseInt(volumeSlider.value, 10) / 100;
+            this.edit('调整通道音量', () => {
+                channel.volume = volume;
+            }, `channel:${channel.id}:volume`, false);
+            volumeSlider.title = `音量 ${volumeSlider.value}%`;
+        });
+
+        const stepsEl = document.createElement('div');
+        stepsEl.className = 'channel-steps';
+        for (let step = 0; step < this.clip.stepCount; step++) {
+            stepsEl.appendChild(this.renderStep(channel, step));
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'effect-slot-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = '移除通道';
+        removeBtn.addEventListener('click', () => {
+            this.edit('移除通道', () => this.clip.removeChannel(channel));
+        });
+
+        row.appendChild(muteBtn);
+        row.appendChild(nameBtn);
+        row.appendChild(volumeSlider);
+        row.appendChild(stepsEl);
+        row.appendChild(removeBtn);
+        return row;
+    }
+
+    /**
+     * 渲染单个步格子（每拍一组，相邻两组底色不同）
+     * @param {Object} channel - 通道
+     * @param {number} step - 步序号
+     * @returns {HTMLElement}
+     */
+    renderStep(channel, step) {
+        const stepEl = document.createElement('div');
+        stepEl.className = 'channel-step';
+        stepEl.classList.toggle('alt', Math.floor(step / STEPS_PER_BEAT) % 2 === 1);
+
+        const fill = document.createElement('div');
+        fill.className = 'channel-step-fill';
+        stepEl.appendChild(fill);
+        this.updateStep(stepEl, channel.steps[step]);
+
+        stepEl.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            this.startStepDrag(e, channel, step, stepEl);
+        });
+
+        stepEl.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            if (channel.steps[step] === 0) return;
+            this.edit('关闭步', () => this.clip.setStep(channel, step, 0), undefined, false);
+            this.updateStep(stepEl, 0);
+        });
+
+        return stepEl;
+    }
+
+    /**
+     * 按力度更新格子的开关状态与填充高度
+     * @param {HTMLElement} stepEl - 格子元素
+     * @param {number} velocity - 力度（0 为关闭）
+     */
+    updateStep(stepEl, velocity) {
+        stepEl.classList.toggle('on', velocity > 0);
+        stepEl.title = velocity > 0 ? `力度 ${velocity}` : '';
+        stepEl.firstChild.style.height = `${velocity / MAX_VELOCITY * 100}%`;
+    }
+
+    /**
+     * 在格子上按下鼠标：未拖动视为单击切换，上下拖动调整力度（关闭的步从默认力度开始）
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {Object} channel - 通道
+     * @param {number} step - 步序号
+     * @param {HTMLElement} stepEl - 格子元素
+     */
+    startStepDrag(e, channel, step, stepEl) {
+        const clip = this.clip;
+        const previousPattern = clip.getPattern();
+        const startY = e.clientY;
+        const startVelocity = channel.steps[step] || DEFAULT_VELOCITY;
+        let dragging = false;
+
+        const onMouseMove = (moveEvent) => {
+            const deltaY = startY - moveEvent.clientY;
+            if (!dragging && Math.abs(deltaY) < DRAG_THRESHOLD) return;
+            dragging = true;
+
+            clip.setStep(channel, step, Math.max(1, startVelocity + deltaY));
+            this.updateStep(stepEl, channel.steps[step]);
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+            if (!this.isShowing(clip)) return;
+
+            if (!dragging) {
+                clip.toggleStep(channel, step);
+                this.updateStep(stepEl, channel.steps[step]);
+            }
+            this.commit(previousPattern, dragging ? '调整步力度' : '切换步');
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 通过片段所在音轨试听通道采样
+     * @param {Object} channel - 通道
+     */
+    previewChannel(channel) {
+        const track = audioEngine.getTrack(this.clip.trackId);
+        if (!track || !channel.audioBuffer) return;
+        audioEngine.previewSample(track, channel.audioBuffer, channel.volume);
+    }
+
+    /**
+     * 加载音频文件并为每个文件添加一个通道
+     * @param {File[]} files - 音频文件列表
+     */
+    async addSamples(files) {
+        const clip = this.clip;
+        const channels = [];
+
+        for (const file of files) {
+            try {
+                const audioBuffer = await audioEngine.loadAudioFile(file);
+                channels.push({ name: file.name.replace(/\.[^/.]+$/, ''), audioBuffer });
+                console.log(`✅ 已加载采样: ${file.name}`);
+            } catch (error) {
+                console.error(`❌ 采样加载失败: ${file.name}`, error);
+            }
+        }
+
+        if (channels.length === 0 || !this.isShowing(clip)) return;
+        this.edit('添加采样', () => channels.forEach(channel => clip.addChannel(channel)));
+    }
+
+    /**
+     * 执行一次编辑并触发变更回调
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} apply - 修改节奏型的函数
+     * @param {string} [mergeKey] - 合并键
+     * @param {boolean} [rerender=true] - 是否重新渲染（拖动滑块时跳过以保持焦点）
+     */
+    edit(label, apply, mergeKey, rerender = true) {
+        const previousPattern = this.clip.getPattern();
+        apply();
+
+        if (rerender) {
+            this.refresh();
+        }
+        this.commit(previousPattern, label, mergeKey);
+    }
+
+    /**
+     * 完成一次编辑：刷新时间线上的预览并触发变更回调
+     * @param {Object} previousPattern - 编辑前的节奏型
+     * @param {string} label - 撤销历史中的描述
+     * @param {string} [mergeKey] - 合并键
+     */
+    commit(previousPattern, label, mergeKey) {
+        this.timeline.drawPatternClipSteps(this.clip);
+        if (this.onChange) {
+            this.onChange(this.clip, previousPattern, label, mergeKey);
+        }
+    }
+}
@@ -0,0 +1,337 @@
+/**
+ * EffectsPanel - 插入效果链面板
+ * 显示音轨的效果器插槽，支持添加、移除、排序、旁通和调整参数
+ */
+import { EFFECT_CLASSES, getEffectClass } from '../core/effects/index.js';
+
+// 对数滑块的分辨率（用于频率类参数）
+export const LOG_SLIDER_STEPS = 1000;
+
+export class EffectsPanel {
+    constructor() {
+        this.overlay = null;
+        this.listEl = null;
+        this.track = null;
+
+        // 事件回调 (track, previousSlots, label, mergeKey)，每次编辑后触发，用于记录撤销历史
+        this.onChange = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * 打开音轨的效果链面板
+     * @param {Track} track - 音轨对象
+     */
+    open(track) {
+        this.close();
+        this.track = track;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal effects-panel';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = `效果器 - ${track.name}`;
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        this.listEl = document.createElement('div');
+        this.listEl.className = 'effects-list';
+        body.appendChild(this.listEl);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'form-select';
+        EFFECT_CLASSES.forEach(EffectClass => {
+            const option = document.createElement('option');
+            option.value = EffectClass.type;
+            option.textContent = EffectClass.label;
+            typeSelect.appendChild(option);
+        });
+
+        const addBtn = document.createElement('button');
+        addBtn.type = 'button';
+        addBtn.className = 'modal-btn primary';
+        addBtn.textContent = '添加';
+        addBtn.addEventListener('click', () => {
+            this.edit('添加效果器', () => this.track.effects.addEffect(typeSelect.value));
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'modal-btn';
+        closeBtn.textContent = '关闭';
+        closeBtn.addEventListener('click', () => this.close());
+
+        footer.appendChild(typeSelect);
+        footer.appendChild(addBtn);
+        footer.appendChild(closeBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+
+        // 点击遮罩关闭
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', this.handleKeydown);
+        this.overlay = overlay;
+        this.refresh();
+    }
+
+    /**
+     * 关闭面板
+     */
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.listEl = null;
+        this.track = null;
+    }
+
+    /**
+     * 判断面板是否正在显示指定音轨
+     * @param {Track} track - 音轨对象
+     * @returns {boolean}
+     */
+    isShowing(track) {
+        return this.overlay !== null && this.track === track;
+    }
+
+    /**
+     * 根据效果链重新渲染插槽列表
+     */
+    refresh() {
+        if (!this.listEl) return;
+
+        this.listEl.innerHTML = '';
+        const slots = this.track.effects.slots;
+
+        if (slots.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'effects-empty';
+            empty.textContent = '暂无效果器';
+            this.listEl.appendChild(empty);
+            return;
+        }
+
+        slots.forEach((slot, index) => {
+            this.listEl.appendChild(this.renderSlot(slot, index, slots.length));
+        });
+    }
+
+    /**
+     * 渲染单个插槽
+     * @param {Object} slot - 插槽数据
+     * @param {number} index - 插槽位置
+     * @param {number} count - 插槽总数
+     * @returns {HTMLElement}
+     */
+    renderSlot(slot, index, count) {
+        const EffectClass = getEffectClass(slot.type);
+        const chain = this.track.effects;
+
+        const slotEl = document.createElement('div');
+        slotEl.className = `effect-slot${slot.bypassed ? ' bypassed' : ''}`;
+        slotEl.dataset.slotId = slot.id;
+
+        const headerEl = document.createElement('div');
+        headerEl.className = 'effect-slot-header';
+
+        const bypassBtn = this.createButton('⏻', slot.bypassed ? '启用' : '旁通', () => {
+            this.edit(slot.bypassed ? '启用效果器' : '旁通效果器', () => {
+                chain.setBypassed(slot.id, !slot.bypassed);
+            });
+        });
+        bypassBtn.classList.toggle('active', !slot.bypassed);
+
+        const nameEl = document.createElement('span');
+        nameEl.className = 'effect-slot-name';
+        nameEl.textContent = `${index + 1}. ${EffectClass.label}`;
+
+        const upBtn = this.createButton('▲', '上移', () => {
+            this.edit('移动效果器', () => chain.moveEffect(slot.id, index - 1));
+        });
+        upBtn.disabled = index === 0;
+
+        const downBtn = this.createButton('▼', '下移', () => {
+            this.edit('移动效果器', () => chain.moveEffect(slot.id, index + 1));
+        });
+        downBtn.disabled = index === count - 1;
+
+        const removeBtn = this.createButton('✕', '移除', () => {
+            this.edit('移除效果器', () => chain.removeEffect(slot.id));
+        });
+
+        headerEl.appendChild(bypassBtn);
+        headerEl.appendChild(nameEl);
+        headerEl.appendChild(upBtn);
+        headerEl.appendChild(downBtn);
+        headerEl.appendChild(removeBtn);
+        slotEl.appendChild(headerEl);
+
+        const paramsEl = document.createElement('div');
+        paramsEl.className = 'effect-params';
+        EffectClass.params.forEach(def => {
+            paramsEl.appendChild(this.renderParam(slot, def));
+        });
+        slotEl.appendChild(paramsEl);
+
+        return slotEl;
+    }
+
+    /**
+     * 渲染参数滑块（频率参数使用对数刻度）
+     * @param {Object} slot - 插槽数据
+     * @param {Object} def - 参数定义
+     * @returns {HTMLElement}
+     */
+    renderParam(slot, def) {
+        const isLog = def.unit === 'Hz';
+
+        const row = document.createElement('label');
+        row.className = 'effect-param';
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'effect-param-label';
+        labelEl.textContent = def.label;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'effect-param-slider';
+        if (isLog) {
+            slider.min = '0';
+            slider.max = String(LOG_SLIDER_STEPS);
+            slider.step = '1';
+            slider.value = String(Math.round(valueToLog(slot.params[def.name], def) * LOG_SLIDER_STEPS));
+        } else {
+            slider.min = String(def.min);
+            slider.max = String(def.max);
+            slider.step = String(def.step);
+            slider.value = String(slot.params[def.name]);
+        }
+
+        const valueEl = document.createElement('span');
+        valueEl.className = 'effect-param-value';
+        valueEl.textContent = formatParam(slot.params[def.name], def);
+
+        slider.addEventListener('input', () => {
+            const raw = parseFloat(slider.value);
+            const value = isLog ? logToValue(raw / LOG_SLIDER_STEPS, def) : raw;
+
+            // 连续拖动合并为一步撤销
+            this.edit('调整效果器参数', () => {
+                this.track.effects.setParam(slot.id, def.name, value);
+            }, `fx:${slot.id}:${def.name}`, false);
+
+            valueEl.textContent = formatParam(slot.params[def.name], def);
+        });
+
+        // 双击恢复默认值
+        slider.addEventListener('dblclick', () => {
+            this.edit('重置效果器参数', () => {
+                this.track.effects.setParam(slot.id, def.name, def.default);
+            });
+        });
+
+        row.appendChild(labelEl);
+        row.appendChild(slider);
+        row.appendChild(valueEl);
+        return row;
+    }
+
+    /**
+     * 执行一次编辑并触发变更回调
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} apply - 修改效果链的函数
+     * @param {string} [mergeKey] - 合并键
+     * @param {boolean} [rerender=true] - 是否重新渲染列表（拖动滑块时跳过以保持焦点）
+     */
+    edit(label, apply, mergeKey, rerender = true) {
+        const track = this.track;
+        const previousSlots = track.effects.toJSON();
+        apply();
+
+        if (rerender) {
+            this.refresh();
+        }
+        if (this.onChange) {
+            this.onChange(track, previousSlots, label, mergeKey);
+        }
+    }
+
+    /**
+     * 创建小按钮
+     * @param {string} text - 按钮文本
+     * @param {string} title - 提示文本
+     * @param {Function} onClick - 点击回调
+     * @returns {HTMLButtonElement}
+     */
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'effect-slot-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+/**
+ * 参数值映射到对数刻度 (0-1)
+ * @param {number} value - 参数值
+ * @param {Object} def - 参数定义
+ * @returns {number}
+ */
+export function valueToLog(value, def) {
+    return Math.log(value / def.min) / Math.log(def.max / def.min);
+}
+
+/**
+ * 对数刻度 (0-1) 映射回参数值（按参数步长取整）
+ * @param {number} position - 刻度位置
+ * @param {Object} def - 参数定义
+ * @returns {number}
+ */
+export function logToValue(position, def) {
+    const value = def.min * Math.pow(def.max / def.min, position);
+    return Number((Math.round(value / def.step) * def.step).toFixed(6));
+}
+
+/**
+ * 格式化参数显示
+ * @param {number} value - 参数值
+ * @param {Object} def - 参数定义
+ * @returns {string}
+ */
+export function formatParam(value, def) {
+    if (def.unit === 'Hz' && value >= 1000) {
+        return `${(value / 1000).toFixed(1)} kHz`;
+    }
+
+    const decimals = def.step >= 1 ? 0 : Math.min(3, String(def.step).split('.')[1].length);
+    const text = value.toFixed(decimals);
+    if (!def.unit) return text;
+    return def.unit.startsWith(':') ? `${text}${def.unit}` : `${text} ${def.unit}`;
+}
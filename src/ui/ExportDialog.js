@@ -0,0 +1,279 @@
+/**
+ * ExportDialog - 导出对话框组件
+ * 负责选择导出内容（主混音或分轨）、格式、采样率、范围和标准化选项
+ */
+import { audioEngine } from '../core/AudioEngine.js';
+import { EXPORT_SAMPLE_RATES } from '../core/Exporter.js';
+
+// 位深选项
+const BIT_DEPTH_OPTIONS = [
+    { value: 16, label: '16 位整数' },
+    { value: 24, label: '24 位整数' },
+    { value: 32, label: '32 位浮点' }
+];
+
+export class ExportDialog {
+    constructor() {
+        this.overlay = null;
+        this.fields = {};
+        this.statusEl = null;
+        this.exportBtn = null;
+        this.isExporting = false;
+
+        // 事件回调，返回 Promise 时对话框在完成前保持忙碌状态
+        this.onExport = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape' && !this.isExporting) {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * 打开对话框
+     */
+    open() {
+        if (this.overlay) return;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = '导出音频';
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        this.fields.mode = this.createSelect([
+            { value: 'mix', label: '主混音 (WAV)' },
+            { value: 'stems', label: '分轨 (ZIP)' }
+        ], 'mix');
+        this.fields.mode.addEventListener('change', () => this.updateModeRows());
+        body.appendChild(this.createRow('内容', this.fields.mode));
+
+        this.fields.bitDepth = this.createSelect(BIT_DEPTH_OPTIONS, 16);
+        body.appendChild(this.createRow('格式', this.fields.bitDepth));
+
+        this.fields.sampleRate = this.createSelect(
+            EXPORT_SAMPLE_RATES.map(rate => ({ value: rate, label: `${rate} Hz` })),
+            44100
+        );
+        body.appendChild(this.createRow('采样率', this.fields.sampleRate));
+
+        const region = audioEngine.loopRegion;
+        const hasLoop = Boolean(region && region.end > region.start);
+        this.fields.range = this.createSelect([
+            { value: 'song', label: '整首歌曲' },
+            { value: 'loop', label: '循环区域', disabled: !hasLoop }
+        ], 'song');
+        body.appendChild(this.createRow('范围', this.fields.range, 'mix-only'));
+
+        this.fields.normalize = document.createElement('input');
+        this.fields.normalize.type = 'checkbox';
+        body.appendChild(this.createRow('标准化', this.fields.normalize, 'mix-only'));
+
+        // 分轨选项
+        this.fields.prefader = this.createSelect([
+            { value: 'post', label: '推子后' },
+            { value: 'pre', label: '推子前' }
+        ], 'post');
+        body.appendChild(this.createRow('信号', this.fields.prefader, 'stems-only'));
+
+        this.fields.tracks = this.createTrackList();
+        body.appendChild(this.createRow('音轨', this.fields.tracks, 'stems-only'));
+
+        this.statusEl = document.createElement('div');
+        this.statusEl.className = 'modal-status';
+        body.appendChild(this.statusEl);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'modal-btn';
+        cancelBtn.textContent = '取消';
+        cancelBtn.addEventListener('click', () => {
+            if (!this.isExporting) this.close();
+        });
+
+        this.exportBtn = document.createElement('button');
+        this.exportBtn.type = 'button';
+        this.exportBtn.className = 'modal-btn primary';
+        this.exportBtn.textContent = '导出';
+        this.exportBtn.addEventListener('click', () => this.handleExport());
+
+        footer.appendChild(cancelBtn);
+        footer.appendChild(this.exportBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+
+        // 点击遮罩关闭
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay && !this.isExporting) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', this.handleKeydown);
+        this.overlay = overlay;
+        this.updateModeRows();
+    }
+
+    /**
+     * 根据导出内容显示对应选项
+     */
+    updateModeRows() {
+        if (!this.overlay) return;
+
+        const isStems = this.fields.mode.value === 'stems';
+        this.overlay.querySelectorAll('.mix-only').forEach(row => {
+            row.hidden = isStems;
+        });
+        this.overlay.querySelectorAll('.stems-only').forEach(row => {
+            row.hidden = !isStems;
+        });
+    }
+
+    /**
+     * 创建音轨勾选列表（默认全选）
+     * @returns {HTMLElement}
+     */
+    createTrackList() {
+        const list = document.createElement('div');
+        list.className = 'form-track-list';
+
+        audioEngine.tracks.forEach(track => {
+            const item = document.createElement('label');
+            item.className = 'form-track-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = track.id;
+            checkbox.checked = true;
+
+            const name = document.createElement('span');
+            name.textContent = track.name;
+
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            list.appendChild(item);
+        });
+
+        return list;
+    }
+
+    /**
+     * 关闭对话框
+     */
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.fields = {};
+    }
+
+    /**
+     * 读取当前选项
+     * @returns {Object}
+     */
+    getOptions() {
+        const trackIds = Array.from(this.fields.tracks.querySelectorAll('input:checked'))
+            .map(checkbox => checkbox.value);
+
+        return {
+            mode: this.fields.mode.value,
+            bitDepth: parseInt(this.fields.bitDepth.value, 10),
+            sampleRate: parseInt(this.fields.sampleRate.value, 10),
+            range: this.fields.range.value,
+            normalize: this.fields.normalize.checked,
+            prefader: this.fields.prefader.value === 'pre',
+            trackIds
+        };
+    }
+
+    /**
+     * 处理导出按钮
+     */
+    async handleExport() {
+        if (this.isExporting || !this.onExport) return;
+
+        this.setBusy(true, '正在渲染...');
+        try {
+            await this.onExport(this.getOptions());
+            this.setBusy(false);
+            this.close();
+        } catch (error) {
+            console.error('❌ 导出失败', error);
+            this.setBusy(false, '导出失败，请检查设置后重试');
+        }
+    }
+
+    /**
+     * 设置忙碌状态
+     * @param {boolean} busy - 是否忙碌
+     * @param {string} [message] - 状态文本
+     */
+    setBusy(busy, message = '') {
+        this.isExporting = busy;
+        if (this.exportBtn) {
+            this.exportBtn.disabled = busy;
+        }
+        if (this.statusEl) {
+            this.statusEl.textContent = message;
+        }
+    }
+
+    /**
+     * 创建表单行
+     * @param {string} label - 标签文本
+     * @param {HTMLElement} control - 控件
+     * @param {string} [extraClass] - 额外的类名
+     * @returns {HTMLElement}
+     */
+    createRow(label, control, extraClass) {
+        const row = document.createElement(control.tagName === 'DIV' ? 'div' : 'label');
+        row.className = extraClass ? `form-row ${extraClass}` : 'form-row';
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'form-label';
+        labelEl.textContent = label;
+
+        row.appendChild(labelEl);
+        row.appendChild(control);
+        return row;
+    }
+
+    /**
+     * 创建下拉框
+     * @param {Array<{value: *, label: string, disabled?: boolean}>} options - 选项
+     * @param {*} selected - 默认值
+     * @returns {HTMLSelectElement}
+     */
+    createSelect(options, selected) {
+        const select = document.createElement('select');
+        select.className = 'form-select';
+
+        options.forEach(option => {
+            const optionEl = document.createElement('option');
+            optionEl.value = String(option.value);
+            optionEl.textContent = option.label;
+            optionEl.disabled = Boolean(option.disabled);
+            optionEl.selected = option.value === selected;
+            select.appendChild(optionEl);
+        });
+
+        return select;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Knob - 旋钮控件
+ * 上下拖动或滚轮调整数值，双击恢复默认值
+ */
+import { clamp } from '../utils/helpers.js';
+
+// 旋转角度范围（度）
+const MIN_ANGLE = -135;
+const MAX_ANGLE = 135;
+
+// 拖动完整范围所需的像素数
+const DRAG_RANGE_PX = 150;
+
+export class Knob {
+    /**
+     * @param {Object} options - 配置选项
+     * @param {number} [options.min=0] - 最小值
+     * @param {number} [options.max=1] - 最大值
+     * @param {number} [options.value] - 初始值
+     * @param {number} [options.defaultValue] - 双击恢复的默认值
+     * @param {number} [options.size=24] - 直径（像素）
+     * @param {string} [options.className] - 额外的类名
+     * @param {Function} [options.format] - 数值格式化函数（用于提示）
+     */
+    constructor(options = {}) {
+        this.min = typeof options.min === 'number' ? options.min : 0;
+        this.max = typeof options.max === 'number' ? options.max : 1;
+        this.defaultValue = typeof options.defaultValue === 'number' ? options.defaultValue : this.min;
+        this.value = typeof options.value === 'number' ? options.value : this.defaultValue;
+        this.format = options.format || ((value) => value.toFixed(2));
+
+        // 事件回调 (value, previousValue)
+        this.onInput = null;
+
+        this.element = document.createElement('div');
+        this.element.className = options.className ? `knob ${options.className}` : 'knob';
+        this.element.style.width = `${options.size || 24}px`;
+        this.element.style.height = `${options.size || 24}px`;
+        this.element.tabIndex = 0;
+        this.element.setAttribute('role', 'slider');
+        this.element.setAttribute('aria-valuemin', String(this.min));
+        this.element.setAttribute('aria-valuemax', String(this.max));
+
+        this.indicator = document.createElement('div');
+        this.indicator.className = 'knob-indicator';
+        this.element.appendChild(this.indicator);
+
+        this.init();
+        this.render();
+    }
+
+    /**
+     * 绑定交互事件
+     */
+    init() {
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const startY = e.clientY;
+            const startValue = this.value;
+            const range = this.max - this.min;
+
+            const onMouseMove = (moveEvent) => {
+                // 按住 Shift 精细调整
+                const scale = moveEvent.shiftKey ? 0.1 : 1;
+                const delta = (startY - moveEvent.clientY) / DRAG_RANGE_PX * range * scale;
+                this.update(startValue + delta);
+            };
+
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+            };
+
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+
+        this.element.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const step = (this.max - this.min) / 100;
+            this.update(this.value + (e.deltaY < 0 ? step : -step));
+        }, { passive: false });
+
+        this.element.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.update(this.defaultValue);
+        });
+
+        this.element.addEventListener('click', (e) => e.stopPropagation());
+    }
+
+    /**
+     * 用户交互更新数值并触发回调
+     * @param {number} value - 新值
+     */
+    update(value) {
+        const previousValue = this.value;
+        this.setValue(value);
+
+        if (this.value !== previousValue && this.onInput) {
+            this.onInput(this.value, previousValue);
+        }
+    }
+
+    /**
+     * 设置数值（不触发回调）
+     * @param {number} value - 新值
+     */
+    setValue(value) {
+        this.value = clamp(value, this.min, this.max);
+        this.render();
+    }
+
+    /**
+     * 更新旋钮外观
+     */
+    render() {
+        const ratio = (this.value - this.min) / (this.max - this.min);
+        const angle = MIN_ANGLE + ratio * (MAX_ANGLE - MIN_ANGLE);
+        const text = this.format(this.value);
+
+        this.indicator.style.transform = `rotate(${angle}deg)`;
+        this.element.title = text;
+        this.element.setAttribute('aria-valuenow', String(this.value));
+        this.element.setAttribute('aria-valuetext', text);
+    }
+}
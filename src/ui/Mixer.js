@@ -3,6 +3,8 @@
  * 负责显示各轨道的推子和电平表
  */
 import { audioEngine } from '../core/AudioEngine.js';
+import { Knob } from './Knob.js';
+import { formatPan } from '../utils/helpers.js';
 
 export class Mixer {
     constructor() {
@@ -30,6 +32,13 @@ export class Mixer {
 
         // 通道元素映射
         this.channelElements = new Map();
+        this.panKnobs = new Map();
+
+        // 事件回调
+        this.onVolumeChange = null;
+        this.onPanChange = null;
+        this.onMasterVolumeChange = null;
+        this.onEffectsClick = null;
 
         // 状态
         this.isCollapsed = false;
@@ -53,10 +62,15 @@ export class Mixer {
             if (!this.analyser) {
                 await this.initAnalyser();
             }
+            const previousVolume = audioEngine.masterVolume;
             const value = parseInt(e.target.value, 10);
             const volume = value / 100;
             audioEngine.setMasterVolume(volume);
             this.updateMasterValue(volume);
+
+            if (this.onMasterVolumeChange) {
+                this.onMasterVolumeChange(previousVolume);
+            }
         });
 
         // 点击混音器区域时初始化分析器（用户手势）
@@ -150,8 +164,9 @@ export class Mixer {
     /**
      * 添加轨道通道
      * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置，省略时插入到主通道之前
      */
-    addChannel(track) {
+    addChannel(track, index) {
         const channelEl = document.createElement('div');
         channelEl.className = 'mixer-channel';
         channelEl.dataset.trackId = track.id;
@@ -186,21 +201,79 @@ export class Mixer {
                 valueDisplay.className = 'channel-value';
                 valueDisplay.textContent = this.volumeToDb(track.volume);
 
+                const fxBtn = document.createElement('button');
+                fxBtn.type = 'button';
+                fxBtn.className = 'channel-fx-btn';
+                fxBtn.textContent = 'FX';
+                fxBtn.title = '插入效果器';
+
+                const panEl = document.createElement('div');
+                panEl.className = 'channel-pan';
+
+                const panKnob = new Knob({
+                    min: -1,
+                    max: 1,
+                    value: track.pan,
+                    defaultValue: 0,
+                    size: 24,
+                    className: 'pan-knob',
+                    format: (value) => `声像 ${formatPan(value)}`
+                });
+
+                const panValue = document.createElement('div');
+                panValue.className = 'channel-pan-value';
+                panValue.textContent = formatPan(track.pan);
+
+                panEl.appendChild(panKnob.element);
+                panEl.appendChild(panValue);
+
+                const controlsEl = document.createElement('div');
+                controlsEl.className = 'channel-controls';
+                controlsEl.appendChild(panEl);
+                controlsEl.appendChild(fader);
+
                 channelEl.appendChild(labelEl);
+                channelEl.appendChild(fxBtn);
                 channelEl.appendChild(meterEl);
-                channelEl.appendChild(fader);
+                channelEl.appendChild(controlsEl);
                 channelEl.appendChild(valueDisplay);
 
         fader.addEventListener('input', (e) => {
+            const previousVolume = track.volume;
             const value = parseInt(e.target.value, 10);
             const volume = value / 100;
             track.setVolume(volume);
             valueDisplay.textContent = this.volumeToDb(volume);
+
+            if (this.onVolumeChange) {
+                this.onVolumeChange(track, previousVolume);
+            }
         });
 
+        fxBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onEffectsClick) {
+                this.onEffectsClick(track);
+            }
+        });
+
+        // 声像旋钮（双击居中）
+        panKnob.onInput = (pan, previousPan) => {
+            track.setPan(pan);
+            panValue.textContent = formatPan(pan);
+
+            if (this.onPanChange) {
+                this.onPanChange(track, previousPan);
+            }
+        };
+        this.panKnobs.set(track.id, panKnob);
+        this.updateEffectsButton(channelEl, track);
+
         // 插入到主通道之前
         const masterChannel = this.channelsContainer.querySelector('.master-channel');
-        this.channelsContainer.insertBefore(channelEl, masterChannel);
+        const channels = this.channelsContainer.querySelectorAll('.mixer-channel:not(.master-channel)');
+        const nextEl = typeof index === 'number' ? channels[index] : null;
+        this.channelsContainer.insertBefore(channelEl, nextEl || masterChannel);
 
         this.channelElements.set(track.id, channelEl);
     }
@@ -215,6 +288,7 @@ export class Mixer {
             channelEl.remove();
             this.channelElements.delete(trackId);
         }
+        this.panKnobs.delete(trackId);
     }
 
     /**
@@ -229,9 +303,36 @@ export class Mixer {
         const fader = channelEl.querySelector('.channel-fader');
         const valueDisplay = channelEl.querySelector('.channel-value');
 
+        const panValue = channelEl.querySelector('.channel-pan-value');
+
         label.textContent = track.name;
         fader.value = Math.round(track.volume * 100);
         valueDisplay.textContent = this.volumeToDb(track.volume);
+        panValue.textContent = formatPan(track.pan);
+        this.panKnobs.get(track.id)?.setValue(track.pan);
+        this.updateEffectsButton(channelEl, track);
+    }
+
+    /**
+     * 更新效果器按钮状态（有未旁通的效果器时高亮）
+     * @param {HTMLElement} channelEl - 通道元素
+     * @param {Track} track - 音轨对象
+     */
+    updateEffectsButton(channelEl, track) {
+        const fxBtn = channelEl.querySelector('.channel-fx-btn');
+        const activeCount = track.effects.slots.filter(slot => !slot.bypassed).length;
+        fxBtn.classList.toggle('active', activeCount > 0);
+        fxBtn.title = activeCount > 0 ? `插入效果器 (${activeCount})` : '插入效果器';
+    }
+
+    /**
+     * 设置主音量（同步推子和引擎）
+     * @param {number} volume - 音量 (0-1)
+     */
+    setMasterVolume(volume) {
+        audioEngine.setMasterVolume(volume);
+        this.masterFader.value = String(Math.round(audioEngine.masterVolume * 100));
+        this.updateMasterValue(audioEngine.masterVolume);
     }
 
     /**
@@ -0,0 +1,844 @@
+/**
+ * PianoRoll - 钢琴卷帘编辑器
+ * 双击 MIDI 片段打开：单击空白处绘制音符（拖动调整长度），拖动音符移动，拖动右边缘调整长度，
+ * 右键删除，底部力度条上下拖动调整力度，量化按钮将音符起点对齐到网格。
+ * 网格按速度轨计算，按住 Shift 临时关闭吸附，Ctrl 点击切换选中；绘制、移动音符与点击琴键时用音轨的合成器试听
+ */
+import { audioEngine } from '../core/AudioEngine.js';
+import { GRID_DIVISIONS } from './Timeline.js';
+import { MIN_PITCH, MAX_PITCH, MAX_VELOCITY, MIN_NOTE_DURATION, DEFAULT_VELOCITY } from '../core/MidiClip.js';
+
+// 琴键宽度与每个半音的行高（像素）
+const KEY_WIDTH = 56;
+const ROW_HEIGHT = 12;
+
+// 力度条区域高度（像素）
+const VELOCITY_LANE_HEIGHT = 64;
+
+// 音符右边缘多少像素内拖动为调整长度
+const RESIZE_EDGE = 6;
+
+// 力度条的点击判定半径（像素）
+const VELOCITY_HIT_RADIUS = 4;
+
+// 网格线的最小间距（像素），更密时只画拍线
+const MIN_GRID_SPACING = 6;
+
+// 缩放范围（像素/秒）
+const MIN_PIXELS_PER_SECOND = 20;
+const MAX_PIXELS_PER_SECOND = 2000;
+
+// 打开时片段两侧留出的边距（像素）
+const FIT_MARGIN = 24;
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const BLACK_KEYS = new Set([1, 3, 6, 8, 10]);
+
+/**
+ * 音名（C4 = 60）
+ * @param {number} pitch - MIDI 音高
+ * @returns {string}
+ */
+function getNoteName(pitch) {
+    return `${NOTE_NAMES[pitch % 12]}${Math.floor(pitch / 12) - 1}`;
+}
+
+/**
+ * 网格选项的显示名称
+ * @param {string} division - 网格选项
+ * @returns {string}
+ */
+function getGridLabel(division) {
+    if (division === 'bar') return '小节';
+    if (division === 'off') return '关';
+    return division.replace('T', ' 三连音');
+}
+
+export class PianoRoll {
+    /**
+     * @param {Timeline} timeline - 时间线（同步片段上的音符预览）
+     */
+    constructor(timeline) {
+        this.timeline = timeline;
+        this.overlay = null;
+        this.clip = null;
+
+        this.scrollEl = null;
+        this.spacer = null;
+        this.gridCanvas = null;
+        this.keysCanvas = null;
+        this.velocityCanvas = null;
+
+        this.gridDivision = '1/16';
+        this.pixelsPerSecond = 100;
+        this.selectedNotes = new Set();
+
+        // 新音符沿用最近绘制或调整的长度（拍）与最近点选的力度
+        this.lastDuration = null;
+        this.lastVelocity = DEFAULT_VELOCITY;
+
+        // 事件回调 (clip, previousNotes, label)，每次编辑后触发，用于记录撤销历史
+        this.onChange = null;
+
+        // 在捕获阶段处理按键，避免 Delete 等快捷键同时作用于时间线上的片段
+        this.handleKeydown = (e) => {
+            const tag = e.target.tagName;
+            if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+
+            // 播放与撤销 / 重做交给全局快捷键
+            const isUndo = (e.ctrlKey || e.metaKey) && (e.code === 'KeyZ' || e.code === 'KeyY');
+            if (e.code === 'Space' || e.code === 'Enter' || isUndo) return;
+
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteNotes([...this.selectedNotes]);
+            } else if ((e.ctrlKey || e.metaKey) && e.code === 'KeyA') {
+                e.preventDefault();
+                this.selectedNotes = new Set(this.clip.notes);
+                this.draw();
+            }
+        };
+
+        this.handleResize = () => this.refresh();
+    }
+
+    /**
+     * 打开 MIDI 片段的钢琴卷帘
+     * @param {MidiClip} clip - MIDI 片段
+     */
+    open(clip) {
+        this.close();
+        this.clip = clip;
+        this.selectedNotes = new Set();
+        this.gridDivision = this.timeline.gridDivision;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal piano-roll';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = `钢琴卷帘 - ${clip.name}`;
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        body.appendChild(this.createToolbar());
+
+        // 琴键 + 可滚动的音符网格（画布固定在可视区域，滚动时重绘）
+        const editor = document.createElement('div');
+        editor.className = 'piano-roll-editor';
+
+        this.keysCanvas = document.createElement('canvas');
+        this.keysCanvas.className = 'piano-roll-keys';
+
+        this.scrollEl = document.createElement('div');
+        this.scrollEl.className = 'piano-roll-scroll';
+
+        this.spacer = document.createElement('div');
+        this.spacer.className = 'piano-roll-spacer';
+
+        this.gridCanvas = document.createElement('canvas');
+        this.gridCanvas.className = 'piano-roll-grid';
+
+        this.spacer.appendChild(this.gridCanvas);
+        this.scrollEl.appendChild(this.spacer);
+        editor.appendChild(this.keysCanvas);
+        editor.appendChild(this.scrollEl);
+        body.appendChild(editor);
+
+        // 力度条
+        const velocityLane = document.createElement('div');
+        velocityLane.className = 'piano-roll-velocity';
+
+        const velocityLabel = document.createElement('span');
+        velocityLabel.className = 'piano-roll-velocity-label';
+        velocityLabel.textContent = '力度';
+
+        this.velocityCanvas = document.createElement('canvas');
+        velocityLane.appendChild(velocityLabel);
+        velocityLane.appendChild(this.velocityCanvas);
+        body.appendChild(velocityLane);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'modal-btn';
+        closeBtn.textContent = '关闭';
+        closeBtn.addEventListener('click', () => this.close());
+        footer.appendChild(closeBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+
+        // 点击遮罩关闭
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        this.bindEditorEvents();
+
+        document.body.appendChild(overlay);
+        window.addEventListener('keydown', this.handleKeydown, true);
+        window.addEventListener('resize', this.handleResize);
+        this.overlay = overlay;
+
+        this.fitToClip();
+    }
+
+    /**
+     * 创建顶部工具条：网格选择与量化
+     * @returns {HTMLElement}
+     */
+    createToolbar() {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'piano-roll-toolbar';
+
+        const gridLabel = document.createElement('label');
+        gridLabel.className = 'form-label';
+        gridLabel.textContent = '网格';
+
+        const gridSelect = document.createElement('select');
+        gridSelect.className = 'form-select';
+        [...Object.keys(GRID_DIVISIONS), 'off'].forEach(division => {
+            const option = document.createElement('option');
+            option.value = division;
+            option.textContent = getGridLabel(division);
+            gridSelect.appendChild(option);
+        });
+        gridSelect.value = this.gridDivision;
+        gridSelect.addEventListener('change', () => {
+            this.gridDivision = gridSelect.value;
+            this.lastDuration = null;
+            this.draw();
+        });
+
+        const quantizeBtn = document.createElement('button');
+        quantizeBtn.type = 'button';
+        quantizeBtn.className = 'modal-btn';
+        quantizeBtn.textContent = '量化';
+        quantizeBtn.title = '将选中的音符（未选中时为全部音符）的起点对齐到网格';
+        quantizeBtn.addEventListener('click', () => this.quantize());
+
+        const hint = document.createElement('span');
+        hint.className = 'piano-roll-hint';
+        hint.textContent = '单击绘制 · 拖动移动 / 调整长度 · 右键删除 · Ctrl 点击多选 · Shift 关闭吸附';
+
+        toolbar.appendChild(gridLabel);
+        toolbar.appendChild(gridSelect);
+        toolbar.appendChild(quantizeBtn);
+        toolbar.appendChild(hint);
+        return toolbar;
+    }
+
+    /**
+     * 绑定网格与力度条的交互事件
+     */
+    bindEditorEvents() {
+        this.scrollEl.addEventListener('scroll', () => this.draw());
+
+        // Ctrl + 滚轮以鼠标位置为中心缩放
+        this.scrollEl.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+
+            const x = e.clientX - this.scrollEl.getBoundingClientRect().left;
+            const time = (x + this.scrollEl.scrollLeft) / this.pixelsPerSecond;
+            this.setZoom(this.pixelsPerSecond * (e.deltaY > 0 ? 0.9 : 1.1));
+            this.scrollEl.scrollLeft = time * this.pixelsPerSecond - x;
+        }, { passive: false });
+
+        this.gridCanvas.addEventListener('mousedown', (e) => this.handleGridMouseDown(e));
+
+        // 点击琴键试听
+        this.keysCanvas.addEventListener('mousedown', (e) => {
+            const { pitch } = this.getPosition(e);
+            this.previewNote({ pitch, velocity: this.lastVelocity });
+        });
+
+        this.gridCanvas.addEventListener('mousemove', (e) => {
+            if (e.buttons !== 0) return;
+            const hit = this.hitTest(this.getPosition(e));
+            this.gridCanvas.style.cursor = hit ? (hit.edge ? 'ew-resize' : 'move') : 'crosshair';
+        });
+
+        // 右键删除音符（属于选中的音符时删除全部选中的音符）
+        this.gridCanvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            const hit = this.hitTest(this.getPosition(e));
+            if (!hit) return;
+            this.deleteNotes(this.selectedNotes.has(hit.note) ? [...this.selectedNotes] : [hit.note]);
+        });
+
+        this.velocityCanvas.addEventListener('mousedown', (e) => this.handleVelocityMouseDown(e));
+    }
+
+    /**
+     * 关闭编辑器
+     */
+    close() {
+        window.removeEventListener('keydown', this.handleKeydown, true);
+        window.removeEventListener('resize', this.handleResize);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.clip = null;
+        this.selectedNotes = new Set();
+    }
+
+    /**
+     * 判断编辑器是否正在显示指定片段
+     * @param {MidiClip} clip - MIDI 片段
+     * @returns {boolean}
+     */
+    isShowing(clip) {
+        return this.overlay !== null && this.clip === clip;
+    }
+
+    /**
+     * 片段音符被外部替换（撤销 / 重做）后刷新，丢弃已不存在的选中音符
+     */
+    refresh() {
+        if (!this.clip) return;
+
+        const notes = new Set(this.clip.notes);
+        this.selectedNotes = new Set([...this.selectedNotes].filter(note => notes.has(note)));
+        this.updateLayout();
+        this.draw();
+    }
+
+    /**
+     * 缩放到整个片段可见，并纵向滚动到音符所在的音域（无音符时为 C4）
+     */
+    fitToClip() {
+        const clip = this.clip;
+        const width = this.scrollEl.clientWidth - FIT_MARGIN * 2;
+        this.pixelsPerSecond = Math.max(MIN_PIXELS_PER_SECOND, Math.min(MAX_PIXELS_PER_SECOND, width / clip.duration));
+        this.updateLayout();
+
+        const notes = clip.getPlayableNotes(audioEngine.tempoMap);
+        const center = notes.length > 0
+            ? notes.reduce((sum, note) => sum + note.pitch, 0) / notes.length
+            : 60;
+
+        this.scrollEl.scrollLeft = clip.offset * this.pixelsPerSecond - FIT_MARGIN;
+        this.scrollEl.scrollTop = (MAX_PITCH - center) * ROW_HEIGHT - this.scrollEl.clientHeight / 2;
+        this.draw();
+    }
+
+    /**
+     * 设置水平缩放
+     * @param {number} pixelsPerSecond - 每秒像素数
+     */
+    setZoom(pixelsPerSecond) {
+        this.pixelsPerSecond = Math.max(MIN_PIXELS_PER_SECOND, Math.min(MAX_PIXELS_PER_SECOND, pixelsPerSecond));
+        this.updateLayout();
+        this.draw();
+    }
+
+    /**
+     * 按片段范围与音符更新可滚动区域的尺寸，末尾留出半屏空间用于绘制新音符
+     */
+    updateLayout() {
+        const clip = this.clip;
+        let end = (clip.offset + clip.duration) * this.pixelsPerSecond;
+        clip.notes.forEach(note => {
+            end = Math.max(end, this.beatToX(note.start + note.duration));
+        });
+
+        const viewWidth = this.scrollEl.clientWidth;
+        this.spacer.style.width = `${Math.max(viewWidth, end + viewWidth / 2)}px`;
+        this.spacer.style.height = `${(MAX_PITCH - MIN_PITCH + 1) * ROW_HEIGHT}px`;
+    }
+
+    /**
+     * 当前网格间隔
+     * @returns {number|undefined} 间隔（拍），整小节为 Infinity，关闭吸附时为 undefined
+     */
+    getGridStep() {
+        return GRID_DIVISIONS[this.gridDivision];
+    }
+
+    /**
+     * 音符时间（拍）在网格中的横坐标（像素，未减去滚动量）
+     * @param {number} beat - 相对片段内容起点的拍
+     * @returns {number}
+     */
+    beatToX(beat) {
+        const clip = this.clip;
+        return (clip.beatToTime(audioEngine.tempoMap, beat) - clip.getContentStart()) * this.pixelsPerSecond;
+    }
+
+    /**
+     * 鼠标位置对应的音符时间与音高
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {{ x: number, y: number, beat: number, pitch: number }}
+     */
+    getPosition(e) {
+        const rect = this.scrollEl.getBoundingClientRect();
+        const x = e.clientX - rect.left + this.scrollEl.scrollLeft;
+        const y = e.clientY - rect.top + this.scrollEl.scrollTop;
+        const clip = this.clip;
+        return {
+            x,
+            y,
+            beat: clip.timeToBeat(audioEngine.tempoMap, clip.getContentStart() + x / this.pixelsPerSecond),
+            pitch: Math.max(MIN_PITCH, Math.min(MAX_PITCH, MAX_PITCH - Math.floor(y / ROW_HEIGHT)))
+        };
+    }
+
+    /**
+     * 查找鼠标位置的音符（后绘制的优先）
+     * @param {{ x: number, pitch: number }} position - getPosition() 的结果
+     * @returns {{ note: Object, edge: boolean }|null} 音符，以及是否位于右边缘（调整长度）
+     */
+    hitTest(position) {
+        for (let i = this.clip.notes.length - 1; i >= 0; i--) {
+            const note = this.clip.notes[i];
+            if (note.pitch !== position.pitch) continue;
+
+            const startX = this.beatToX(note.start);
+            const endX = this.beatToX(note.start + note.duration);
+            if (position.x < startX || position.x > endX) continue;
+
+            const edge = endX - position.x <= Math.min(RESIZE_EDGE, (endX - startX) / 3);
+            return { note, edge };
+        }
+        return null;
+    }
+
+    /**
+     * 按网格吸附音符时间（网格按速度轨计算，与时间线对齐）
+     * @param {number} beat - 相对片段内容起点的拍
+     * @param {MouseEvent} [event] - 鼠标事件（按住 Shift 临时关闭吸附）
+     * @returns {number}
+     */
+    snapBeat(beat, event) {
+        const step = this.getGridStep();
+        if (!step || event?.shiftKey) return beat;
+
+        const tempoMap = audioEngine.tempoMap;
+        const contentBeat = this.clip.getContentBeat(tempoMap);
+        return tempoMap.snapBeats(contentBeat + beat, step) - contentBeat;
+    }
+
+    /**
+     * 指定位置一个网格的长度（整小节时为该小节长度，关闭吸附时为一拍）
+     * @param {number} beat - 相对片段内容起点的拍
+     * @returns {number} 长度（拍）
+     */
+    getStepBeats(beat) {
+        const tempoMap = audioEngine.tempoMap;
+        const meter = tempoMap.getMeterAtBeat(this.clip.getContentBeat(tempoMap) + beat);
+        const step = this.getGridStep();
+        return step === Infinity ? meter.barLength : (step || meter.beatLength);
+    }
+
+    /**
+     * 网格中按下鼠标：空白处绘制音符，音符上移动或调整长度
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleGridMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const position = this.getPosition(e);
+        const hit = this.hitTest(position);
+        const previousNotes = this.clip.getNotes();
+
+        if (!hit) {
+            // 起点落在鼠标所在的网格格子开头
+            const start = Math.max(0, e.shiftKey
+                ? position.beat
+                : this.snapBeat(position.beat - this.getStepBeats(position.beat) / 2));
+            const note = this.clip.addNote({
+                pitch: position.pitch,
+                start,
+                duration: this.lastDuration || this.getStepBeats(start),
+                velocity: this.lastVelocity
+            });
+            this.selectedNotes = new Set([note]);
+            this.updateLayout();
+            this.draw();
+            this.previewNote(note);
+            this.startResize(e, note, previousNotes, '绘制音符');
+            return;
+        }
+
+        if (e.ctrlKey || e.metaKey) {
+            if (this.selectedNotes.has(hit.note)) {
+                this.selectedNotes.delete(hit.note);
+            } else {
+                this.selectedNotes.add(hit.note);
+            }
+            this.draw();
+            return;
+        }
+
+        if (!this.selectedNotes.has(hit.note)) {
+            this.selectedNotes = new Set([hit.note]);
+        }
+        this.lastVelocity = hit.note.velocity;
+        this.draw();
+
+        if (hit.edge) {
+            this.startResize(e, hit.note, previousNotes, '调整音符长度');
+        } else {
+            this.startMove(e, hit.note, previousNotes);
+        }
+    }
+
+    /**
+     * 用音轨的合成器试听音符
+     * @param {Object} note - 音符
+     */
+    previewNote(note) {
+        const track = audioEngine.getTrack(this.clip.trackId);
+        if (track) {
+            audioEngine.previewNote(track, note.pitch, note.velocity);
+        }
+    }
+
+    /**
+     * 拖动移动选中的音符：以按下的音符为吸附基准，整组保持相对位置
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {Object} anchor - 按下的音符
+     * @param {Array<Object>} previousNotes - 编辑前的音符（撤销用）
+     */
+    startMove(e, anchor, previousNotes) {
+        const origin = this.getPosition(e);
+        const group = [...this.selectedNotes].map(note => ({ note, start: note.start, pitch: note.pitch }));
+        const anchorStart = anchor.start;
+        const anchorPitch = anchor.pitch;
+        const groupStart = Math.min(...group.map(g => g.start));
+        const lowest = Math.min(...group.map(g => g.pitch));
+        const highest = Math.max(...group.map(g => g.pitch));
+
+        const onMouseMove = (moveEvent) => {
+            const position = this.getPosition(moveEvent);
+            const newStart = this.snapBeat(anchorStart + position.beat - origin.beat, moveEvent);
+            const deltaBeats = Math.max(-groupStart, newStart - anchorStart);
+            const deltaPitch = Math.max(MIN_PITCH - lowest, Math.min(MAX_PITCH - highest, position.pitch - origin.pitch));
+
+            // 音高变化时试听按下的音符
+            if (anchorPitch + deltaPitch !== anchor.pitch) {
+                this.previewNote({ ...anchor, pitch: anchorPitch + deltaPitch });
+            }
+
+            group.forEach(g => {
+                g.note.start = g.start + deltaBeats;
+                g.note.pitch = g.pitch + deltaPitch;
+            });
+            this.draw();
+            this.timeline.drawMidiClipNotes(this.clip);
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            this.clip.sortNotes();
+            this.updateLayout();
+            this.commit(previousNotes, '移动音符');
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 拖动调整选中音符的长度：以按下的音符终点为吸附基准，整组改变相同的时长
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {Object} anchor - 按下的音符
+     * @param {Array<Object>} previousNotes - 编辑前的音符（撤销用）
+     * @param {string} label - 撤销历史中的描述
+     */
+    startResize(e, anchor, previousNotes, label) {
+        const origin = this.getPosition(e);
+        const group = [...this.selectedNotes].map(note => ({ note, duration: note.duration }));
+        const anchorEnd = anchor.start + anchor.duration;
+
+        const onMouseMove = (moveEvent) => {
+            const position = this.getPosition(moveEvent);
+            const deltaBeats = this.snapBeat(anchorEnd + position.beat - origin.beat, moveEvent) - anchorEnd;
+
+            group.forEach(g => {
+                // 吸附时最短为一个网格
+                const minDuration = moveEvent.shiftKey || !this.getGridStep()
+                    ? MIN_NOTE_DURATION
+                    : this.getStepBeats(g.note.start);
+                g.note.duration = Math.max(minDuration, g.duration + deltaBeats);
+            });
+            this.updateLayout();
+            this.draw();
+            this.timeline.drawMidiClipNotes(this.clip);
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            this.lastDuration = anchor.duration;
+            this.commit(previousNotes, label);
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 力度条中拖动：将鼠标经过的音符设为鼠标高度对应的力度（有选中音符时只修改选中的音符）
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleVelocityMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const previousNotes = this.clip.getNotes();
+        const rect = this.velocityCanvas.getBoundingClientRect();
+
+        const apply = (event) => {
+            const x = event.clientX - rect.left + this.scrollEl.scrollLeft;
+            const level = 1 - (event.clientY - rect.top) / rect.height;
+            const velocity = Math.max(1, Math.min(MAX_VELOCITY, Math.round(level * MAX_VELOCITY)));
+            const targets = this.selectedNotes.size > 0 ? [...this.selectedNotes] : this.clip.notes;
+
+            targets.forEach(note => {
+                if (Math.abs(this.beatToX(note.start) - x) <= VELOCITY_HIT_RADIUS) {
+                    note.velocity = velocity;
+                    this.lastVelocity = velocity;
+                }
+            });
+            this.draw();
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', apply);
+            document.removeEventListener('mouseup', onMouseUp);
+            this.commit(previousNotes, '调整力度');
+        };
+
+        apply(e);
+        document.addEventListener('mousemove', apply);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 量化：将选中的音符（未选中时为全部音符）的起点对齐到网格，长度不变
+     */
+    quantize() {
+        const notes = this.selectedNotes.size > 0 ? [...this.selectedNotes] : this.clip.notes.slice();
+        if (notes.length === 0 || !this.getGridStep()) return;
+
+        const previousNotes = this.clip.getNotes();
+        notes.forEach(note => {
+            note.start = Math.max(0, this.snapBeat(note.start));
+        });
+        this.clip.sortNotes();
+        this.draw();
+        this.commit(previousNotes, '量化音符');
+    }
+
+    /**
+     * 删除音符
+     * @param {Array<Object>} notes - 要删除的音符
+     */
+    deleteNotes(notes) {
+        if (notes.length === 0) return;
+
+        const previousNotes = this.clip.getNotes();
+        notes.forEach(note => {
+            this.clip.removeNote(note);
+            this.selectedNotes.delete(note);
+        });
+        this.draw();
+        this.commit(previousNotes, '删除音符');
+    }
+
+    /**
+     * 完成一次编辑：刷新时间线上的预览，音符有变化时触发变更回调
+     * @param {Array<Object>} previousNotes - 编辑前的音符
+     * @param {string} label - 撤销历史中的描述
+     */
+    commit(previousNotes, label) {
+        this.timeline.drawMidiClipNotes(this.clip);
+        if (JSON.stringify(previousNotes) === JSON.stringify(this.clip.getNotes())) return;
+
+        if (this.onChange) {
+            this.onChange(this.clip, previousNotes, label);
+        }
+    }
+
+    /**
+     * 按显示尺寸设置画布分辨率
+     * @param {HTMLCanvasElement} canvas - 画布
+     * @param {number} width - 宽度（像素）
+     * @param {number} height - 高度（像素）
+     * @returns {CanvasRenderingContext2D}
+     */
+    resizeCanvas(canvas, width, height) {
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = Math.ceil(width * dpr);
+        canvas.height = Math.ceil(height * dpr);
+        canvas.style.width = `${width}px`;
+        canvas.style.height = `${height}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        return ctx;
+    }
+
+    /**
+     * 重绘网格、琴键与力度条
+     */
+    draw() {
+        if (!this.clip) return;
+
+        this.drawGrid();
+        this.drawKeys();
+        this.drawVelocities();
+    }
+
+    /**
+     * 绘制音符网格：半音行、按速度轨计算的网格线、片段范围与音符
+     */
+    drawGrid() {
+        const clip = this.clip;
+        const width = this.scrollEl.clientWidth;
+        const height = this.scrollEl.clientHeight;
+        const left = this.scrollEl.scrollLeft;
+        const top = this.scrollEl.scrollTop;
+        const pps = this.pixelsPerSecond;
+        const ctx = this.resizeCanvas(this.gridCanvas, width, height);
+
+        // 半音行：黑键行更暗，每个八度的 C 下方画分隔线
+        const firstRow = Math.floor(top / ROW_HEIGHT);
+        const lastRow = Math.min(MAX_PITCH - MIN_PITCH, Math.ceil((top + height) / ROW_HEIGHT));
+        for (let row = firstRow; row <= lastRow; row++) {
+            const pitch = MAX_PITCH - row;
+            const y = row * ROW_HEIGHT - top;
+            ctx.fillStyle = BLACK_KEYS.has(pitch % 12) ? '#15151f' : '#1c1c28';
+            ctx.fillRect(0, y, width, ROW_HEIGHT);
+            if (pitch % 12 === 0) {
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+                ctx.fillRect(0, y + ROW_HEIGHT - 1, width, 1);
+            }
+        }
+
+        // 纵向网格线（与时间线使用同一速度轨）
+        const tempoMap = audioEngine.tempoMap;
+        const contentStart = clip.getContentStart();
+        const from = Math.max(0, contentStart + left / pps);
+        const to = contentStart + (left + width) / pps;
+        const step = this.getGridStep();
+        const stepWidth = step * 60 / tempoMap.getTempoAt(from) * pps;
+        const division = Number.isFinite(step) && stepWidth >= MIN_GRID_SPACING ? step : null;
+
+        tempoMap.forEachGridLine(from, to, division, (seconds, { isBar, isBeat }) => {
+            const x = Math.round((seconds - contentStart) * pps - left);
+            ctx.fillStyle = isBar ? 'rgba(255, 255, 255, 0.22)' : (isBeat ? 'rgba(255, 255, 255, 0.1)' : 'rgba(255, 255, 255, 0.04)');
+            ctx.fillRect(x, 0, 1, height);
+        });
+
+        // 片段范围之外加暗（修剪掉的音符不播放）
+        const regionStart = clip.offset * pps - left;
+        const regionEnd = (clip.offset + clip.duration) * pps - left;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(0, 0, Math.max(0, regionStart), height);
+        ctx.fillRect(regionEnd, 0, Math.max(0, width - regionEnd), height);
+        ctx.fillStyle = 'rgba(255, 107, 53, 0.6)';
+        ctx.fillRect(Math.round(regionStart), 0, 1, height);
+        ctx.fillRect(Math.round(regionEnd), 0, 1, height);
+
+        // 音符：透明度表示力度，范围之外的音符更淡
+        const playable = new Set(clip.getPlayableNotes(tempoMap));
+        clip.notes.forEach(note => {
+            const x = this.beatToX(note.start) - left;
+            const w = Math.max(2, this.beatToX(note.start + note.duration) - left - x);
+            const y = (MAX_PITCH - note.pitch) * ROW_HEIGHT - top;
+            if (x > width || x + w < 0 || y > height || y + ROW_HEIGHT < 0) return;
+
+            const selected = this.selectedNotes.has(note);
+            const inRegion = playable.has(note);
+            const alpha = 0.45 + 0.55 * note.velocity / MAX_VELOCITY;
+
+            ctx.globalAlpha = inRegion ? alpha : alpha * 0.4;
+            ctx.fillStyle = selected ? '#ff6b35' : '#818cf8';
+            ctx.fillRect(x, y + 1, w, ROW_HEIGHT - 2);
+            ctx.globalAlpha = 1;
+
+            ctx.strokeStyle = selected ? '#ffffff' : 'rgba(0, 0, 0, 0.5)';
+            ctx.lineWidth = 1;
+            ctx.strokeRect(x + 0.5, y + 1.5, w - 1, ROW_HEIGHT - 3);
+        });
+    }
+
+    /**
+     * 绘制左侧琴键（与网格同步纵向滚动），每个 C 标注音名
+     */
+    drawKeys() {
+        const height = this.scrollEl.clientHeight;
+        const top = this.scrollEl.scrollTop;
+        const ctx = this.resizeCanvas(this.keysCanvas, KEY_WIDTH, height);
+
+        ctx.font = '9px Inter, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        const firstRow = Math.floor(top / ROW_HEIGHT);
+        const lastRow = Math.min(MAX_PITCH - MIN_PITCH, Math.ceil((top + height) / ROW_HEIGHT));
+        for (let row = firstRow; row <= lastRow; row++) {
+            const pitch = MAX_PITCH - row;
+            const y = row * ROW_HEIGHT - top;
+            const isBlack = BLACK_KEYS.has(pitch % 12);
+
+            ctx.fillStyle = isBlack ? '#22222e' : '#d8d8e0';
+            ctx.fillRect(0, y, isBlack ? KEY_WIDTH * 0.65 : KEY_WIDTH, ROW_HEIGHT);
+            if (isBlack) {
+                ctx.fillStyle = '#d8d8e0';
+                ctx.fillRect(KEY_WIDTH * 0.65, y, KEY_WIDTH * 0.35, ROW_HEIGHT);
+            }
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+            ctx.fillRect(0, y + ROW_HEIGHT - 1, KEY_WIDTH, 1);
+
+            if (pitch % 12 === 0) {
+                ctx.fillStyle = '#45456a';
+                ctx.fillText(getNoteName(pitch), KEY_WIDTH - 24, y + ROW_HEIGHT / 2);
+            }
+        }
+    }
+
+    /**
+     * 绘制力度条（与网格同步横向滚动）
+     */
+    drawVelocities() {
+        const width = this.scrollEl.clientWidth;
+        const height = VELOCITY_LANE_HEIGHT;
+        const left = this.scrollEl.scrollLeft;
+        const ctx = this.resizeCanvas(this.velocityCanvas, width, height);
+
+        ctx.fillStyle = '#15151f';
+        ctx.fillRect(0, 0, width, height);
+
+        this.clip.notes.forEach(note => {
+            const x = Math.round(this.beatToX(note.start) - left);
+            if (x < -VELOCITY_HIT_RADIUS || x > width + VELOCITY_HIT_RADIUS) return;
+
+            const barHeight = note.velocity / MAX_VELOCITY * (height - 4);
+            ctx.fillStyle = this.selectedNotes.has(note) ? '#ff6b35' : '#818cf8';
+            ctx.fillRect(x - 1, height - barHeight, 3, barHeight);
+            ctx.fillRect(x - 3, height - barHeight, 7, 2);
+        });
+    }
+}
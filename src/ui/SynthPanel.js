@@ -0,0 +1,271 @@
+/**
+ * SynthPanel - 合成器面板
+ * 按分组显示 MIDI 音轨合成器的参数，支持调整、恢复默认与试听
+ */
+import { Synth } from '../core/Synth.js';
+import { audioEngine } from '../core/AudioEngine.js';
+import { LOG_SLIDER_STEPS, valueToLog, logToValue, formatParam } from './EffectsPanel.js';
+
+// 试听音符：C4，半秒
+const PREVIEW_PITCH = 60;
+const PREVIEW_DURATION = 0.5;
+
+export class SynthPanel {
+    constructor() {
+        this.overlay = null;
+        this.groupsEl = null;
+        this.track = null;
+
+        // 事件回调 (track, previousParams, label, mergeKey)，每次编辑后触发，用于记录撤销历史
+        this.onChange = null;
+
+        this.handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                this.close();
+            }
+        };
+    }
+
+    /**
+     * 打开 MIDI 音轨的合成器面板
+     * @param {MidiTrack} track - MIDI 音轨
+     */
+    open(track) {
+        this.close();
+        this.track = track;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal synth-panel';
+
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        header.textContent = `合成器 - ${track.name}`;
+
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+
+        this.groupsEl = document.createElement('div');
+        this.groupsEl.className = 'synth-groups';
+        body.appendChild(this.groupsEl);
+
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+
+        const previewBtn = document.createElement('button');
+        previewBtn.type = 'button';
+        previewBtn.className = 'modal-btn primary';
+        previewBtn.textContent = '试听';
+        previewBtn.addEventListener('click', () => {
+            audioEngine.previewNote(this.track, PREVIEW_PITCH, 100, PREVIEW_DURATION);
+        });
+
+        const resetBtn = document.createElement('button');
+        resetBtn.type = 'button';
+        resetBtn.className = 'modal-btn';
+        resetBtn.textContent = '恢复默认';
+        resetBtn.addEventListener('click', () => {
+            this.edit('恢复合成器默认值', () => this.track.synth.setParams(Synth.getDefaultParams()));
+        });
+
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'modal-btn';
+        closeBtn.textContent = '关闭';
+        closeBtn.addEventListener('click', () => this.close());
+
+        footer.appendChild(previewBtn);
+        footer.appendChild(resetBtn);
+        footer.appendChild(closeBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        modal.appendChild(footer);
+        overlay.appendChild(modal);
+
+        // 点击遮罩关闭
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) {
+                this.close();
+            }
+        });
+
+        document.body.appendChild(overlay);
+        document.addEventListener('keydown', this.handleKeydown);
+        this.overlay = overlay;
+        this.refresh();
+    }
+
+    /**
+     * 关闭面板
+     */
+    close() {
+        document.removeEventListener('keydown', this.handleKeydown);
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+        this.groupsEl = null;
+        this.track = null;
+    }
+
+    /**
+     * 判断面板是否正在显示指定音轨
+     * @param {MidiTrack} track - MIDI 音轨
+     * @returns {boolean}
+     */
+    isShowing(track) {
+        return this.overlay !== null && this.track === track;
+    }
+
+    /**
+     * 根据合成器参数重新渲染分组
+     */
+    refresh() {
+        if (!this.groupsEl) return;
+
+        this.groupsEl.innerHTML = '';
+        const groups = new Map();
+        Synth.params.forEach(def => {
+            if (!groups.has(def.group)) {
+                groups.set(def.group, []);
+            }
+            groups.get(def.group).push(def);
+        });
+
+        groups.forEach((defs, name) => {
+            const groupEl = document.createElement('div');
+            groupEl.className = 'effect-slot synth-group';
+
+            const headerEl = document.createElement('div');
+            headerEl.className = 'effect-slot-header';
+
+            const nameEl = document.createElement('span');
+            nameEl.className = 'effect-slot-name';
+            nameEl.textContent = name;
+            headerEl.appendChild(nameEl);
+
+            const paramsEl = document.createElement('div');
+            paramsEl.className = 'effect-params';
+            defs.forEach(def => {
+                paramsEl.appendChild(def.options ? this.renderOption(def) : this.renderParam(def));
+            });
+
+            groupEl.appendChild(headerEl);
+            groupEl.appendChild(paramsEl);
+            this.groupsEl.appendChild(groupEl);
+        });
+    }
+
+    /**
+     * 渲染选项参数（波形、滤波器类型等）
+     * @param {Object} def - 参数定义
+     * @returns {HTMLElement}
+     */
+    renderOption(def) {
+        const synth = this.track.synth;
+
+        const row = document.createElement('label');
+        row.className = 'effect-param';
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'effect-param-label';
+        labelEl.textContent = def.label;
+
+        const select = document.createElement('select');
+        select.className = 'form-select synth-param-select';
+        def.options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = synth.params[def.name];
+
+        select.addEventListener('change', () => {
+            this.edit('调整合成器参数', () => synth.setParam(def.name, select.value), undefined, false);
+        });
+
+        row.appendChild(labelEl);
+        row.appendChild(select);
+        return row;
+    }
+
+    /**
+     * 渲染数值参数滑块（频率参数使用对数刻度）
+     * @param {Object} def - 参数定义
+     * @returns {HTMLElement}
+     */
+    renderParam(def) {
+        const synth = this.track.synth;
+        const isLog = def.unit === 'Hz';
+
+        const row = document.createElement('label');
+        row.className = 'effect-param';
+
+        const labelEl = document.createElement('span');
+        labelEl.className = 'effect-param-label';
+        labelEl.textContent = def.label;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'effect-param-slider';
+        if (isLog) {
+            slider.min = '0';
+            slider.max = String(LOG_SLIDER_STEPS);
+            slider.step = '1';
+            slider.value = String(Math.round(valueToLog(synth.params[def.name], def) * LOG_SLIDER_STEPS));
+        } else {
+            slider.min = String(def.min);
+            slider.max = String(def.max);
+            slider.step = String(def.step);
+            slider.value = String(synth.params[def.name]);
+        }
+
+        const valueEl = document.createElement('span');
+        valueEl.className = 'effect-param-value';
+        valueEl.textContent = formatParam(synth.params[def.name], def);
+
+        slider.addEventListener('input', () => {
+            const raw = parseFloat(slider.value);
+            const value = isLog ? logToValue(raw / LOG_SLIDER_STEPS, def) : raw;
+
+            // 连续拖动合并为一步撤销
+            this.edit('调整合成器参数', () => synth.setParam(def.name, value), `synth:${this.track.id}:${def.name}`, false);
+
+            valueEl.textContent = formatParam(synth.params[def.name], def);
+        });
+
+        // 双击恢复默认值
+        slider.addEventListener('dblclick', () => {
+            this.edit('重置合成器参数', () => synth.setParam(def.name, def.default));
+        });
+
+        row.appendChild(labelEl);
+        row.appendChild(slider);
+        row.appendChild(valueEl);
+        return row;
+    }
+
+    /**
+     * 执行一次编辑并触发变更回调
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} apply - 修改合成器参数的函数
+     * @param {string} [mergeKey] - 合并键
+     * @param {boolean} [rerender=true] - 是否重新渲染（拖动滑块时跳过以保持焦点）
+     */
+    edit(label, apply, mergeKey, rerender = true) {
+        const track = this.track;
+        const previousParams = track.synth.toJSON();
+        apply();
+
+        if (rerender) {
+            this.refresh();
+        }
+        if (this.onChange) {
+            this.onChange(track, previousParams, label, mergeKey);
+        }
+    }
+}
@@ -0,0 +1,342 @@
+/**
+ * TempoLane - 速度与拍号轨道
+ * 显示在时间尺下方：上半部分为速度变化，下半部分为拍号变化。
+ * 拖动速度标记移动位置，双击编辑或添加，右键打开菜单
+ */
+import { audioEngine } from '../core/AudioEngine.js';
+import { METER_DENOMINATORS } from '../core/TempoMap.js';
+
+// 标记的点击判定范围（像素）：标记线左侧少许到标签右侧
+const HIT_BEFORE = 4;
+const HIT_AFTER = 40;
+
+export class TempoLane {
+    /**
+     * @param {HTMLElement} element - 轨道容器
+     * @param {Timeline} timeline - 所属时间线（提供缩放、吸附与菜单）
+     */
+    constructor(element, timeline) {
+        this.element = element;
+        this.timeline = timeline;
+        this.hoverMarker = null;
+        this.dragMarker = null;
+
+        // 事件回调 (previousState, label)，每次编辑完成后触发
+        this.onChange = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'tempo-canvas';
+        this.element.appendChild(this.canvas);
+
+        this.ctx = this.canvas.getContext('2d');
+        this.init();
+    }
+
+    /**
+     * 速度轨
+     * @returns {TempoMap}
+     */
+    get tempoMap() {
+        return audioEngine.tempoMap;
+    }
+
+    /**
+     * 绑定交互事件
+     */
+    init() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (this.dragMarker) return;
+            const marker = this.hitTest(e);
+            if (marker?.event !== this.hoverMarker?.event) {
+                this.hoverMarker = marker;
+                this.canvas.style.cursor = marker?.type === 'tempo' && !marker.isFirst ? 'ew-resize' : 'default';
+                this.draw();
+            }
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            if (this.hoverMarker && !this.dragMarker) {
+                this.hoverMarker = null;
+                this.draw();
+            }
+        });
+
+        // 双击标记编辑，双击空白处添加
+        this.canvas.addEventListener('dblclick', (e) => {
+            const marker = this.hitTest(e);
+            if (marker) {
+                this.editMarker(marker);
+            } else if (this.isMeterRow(e)) {
+                this.promptMeter(this.getBarAt(e));
+            } else {
+                this.promptTempo(this.getTimeAt(e));
+            }
+        });
+
+        this.canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            this.showMenu(e);
+        });
+    }
+
+    /**
+     * 按下鼠标：拖动速度标记（第一个速度事件固定在开头）
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleMouseDown(e) {
+        if (e.button !== 0) return;
+
+        const marker = this.hitTest(e);
+        if (!marker || marker.type !== 'tempo' || marker.isFirst) return;
+        e.preventDefault();
+
+        const previousState = this.tempoMap.toJSON();
+        const startBeat = marker.event.beat;
+        const rect = this.canvas.getBoundingClientRect();
+        this.dragMarker = marker;
+
+        const onMouseMove = (moveEvent) => {
+            const time = Math.max(0, (moveEvent.clientX - rect.left) / this.timeline.pixelsPerSecond);
+            this.tempoMap.moveTempo(marker.event, time, this.timeline.getSnapStep(moveEvent));
+            this.timeline.refreshTempo();
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            this.dragMarker = null;
+            this.draw();
+
+            if (marker.event.beat !== startBeat && this.onChange) {
+                this.onChange(previousState, '移动速度变化');
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 执行一次编辑、重绘并触发变更回调
+     * @param {string} label - 撤销历史中的描述
+     * @param {Function} apply - 修改速度轨的函数
+     */
+    edit(label, apply) {
+        const previousState = this.tempoMap.toJSON();
+        apply();
+        this.hoverMarker = null;
+        this.timeline.refreshTempo();
+
+        if (this.onChange) {
+            this.onChange(previousState, label);
+        }
+    }
+
+    /**
+     * 编辑标记
+     * @param {Object} marker - hitTest() 的结果
+     */
+    editMarker(marker) {
+        if (marker.type === 'tempo') {
+            this.promptTempo(this.tempoMap.beatsToSeconds(marker.event.beat), marker.event);
+        } else {
+            this.promptMeter(marker.event.bar);
+        }
+    }
+
+    /**
+     * 输入速度并添加或修改速度事件
+     * @param {number} time - 位置（秒）
+     * @param {Object} [event] - 要修改的速度事件，省略时在该位置添加
+     */
+    promptTempo(time, event) {
+        const current = event ? event.bpm : this.tempoMap.getTempoAt(time);
+        const input = prompt('请输入速度 (BPM):', String(current));
+        if (input === null) return;
+
+        const bpm = parseFloat(input);
+        if (!Number.isFinite(bpm) || bpm <= 0) {
+            alert('无效的速度！');
+            return;
+        }
+
+        if (event) {
+            this.edit('修改速度', () => this.tempoMap.updateTempo(event, bpm));
+        } else {
+            const beat = this.tempoMap.secondsToBeats(time);
+            this.edit('添加速度变化', () => this.tempoMap.addTempo(beat, bpm));
+        }
+    }
+
+    /**
+     * 输入拍号并设置到指定小节
+     * @param {number} bar - 小节序号（从 0 开始）
+     */
+    promptMeter(bar) {
+        const meter = this.tempoMap.getMeterAtBar(bar);
+        const input = prompt(`请输入第 ${bar + 1} 小节起的拍号 (如 3/4):`, `${meter.numerator}/${meter.denominator}`);
+        if (input === null) return;
+
+        const match = input.match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+        const numerator = match ? parseInt(match[1], 10) : 0;
+        const denominator = match ? parseInt(match[2], 10) : 0;
+        if (numerator < 1 || !METER_DENOMINATORS.includes(denominator)) {
+            alert(`无效的拍号！分母可选 ${METER_DENOMINATORS.join(' / ')}`);
+            return;
+        }
+
+        this.edit('设置拍号', () => this.tempoMap.setMeter(bar, numerator, denominator));
+    }
+
+    /**
+     * 显示右键菜单
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    showMenu(e) {
+        const marker = this.hitTest(e);
+        let items;
+
+        if (marker?.type === 'tempo') {
+            items = [{ label: '✏️ 修改速度…', action: () => this.editMarker(marker) }];
+            if (!marker.isFirst) {
+                items.push({ label: '🗑️ 删除速度变化', action: () => this.edit('删除速度变化', () => this.tempoMap.removeTempo(marker.event)) });
+            }
+        } else if (marker?.type === 'meter') {
+            items = [{ label: '✏️ 修改拍号…', action: () => this.editMarker(marker) }];
+            if (!marker.isFirst) {
+                items.push({ label: '🗑️ 删除拍号变化', action: () => this.edit('删除拍号变化', () => this.tempoMap.removeMeter(marker.event)) });
+            }
+        } else {
+            const time = this.getTimeAt(e);
+            const bar = this.getBarAt(e);
+            items = [
+                { label: '➕ 在此添加速度变化…', action: () => this.promptTempo(time) },
+                { label: `➕ 从第 ${bar + 1} 小节设置拍号…`, action: () => this.promptMeter(bar) }
+            ];
+        }
+
+        this.timeline.showMenu(e.clientX, e.clientY, items);
+    }
+
+    /**
+     * 鼠标位置对应的时间（按时间线设置吸附）
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {number}
+     */
+    getTimeAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.timeline.snap(Math.max(0, (e.clientX - rect.left) / this.timeline.pixelsPerSecond), e);
+    }
+
+    /**
+     * 鼠标位置最近的小节线
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {number} 小节序号（从 0 开始）
+     */
+    getBarAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const time = Math.max(0, (e.clientX - rect.left) / this.timeline.pixelsPerSecond);
+        const { bar } = this.tempoMap.getBarAt(this.tempoMap.snap(time, Infinity));
+        return bar;
+    }
+
+    /**
+     * 鼠标是否在下半部分（拍号行）
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {boolean}
+     */
+    isMeterRow(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return e.clientY - rect.top >= rect.height / 2;
+    }
+
+    /**
+     * 获取所有标记及其 X 坐标
+     * @returns {Array<{type: string, event: Object, x: number, isFirst: boolean}>}
+     */
+    getMarkers() {
+        const map = this.tempoMap;
+        const pps = this.timeline.pixelsPerSecond;
+
+        const tempos = map.tempoSegments.map((segment, i) => ({
+            type: 'tempo', event: segment.event, x: segment.seconds * pps, isFirst: i === 0
+        }));
+        const meters = map.meterSegments.map((segment, i) => ({
+            type: 'meter', event: segment.event, x: map.beatsToSeconds(segment.beat) * pps, isFirst: i === 0
+        }));
+
+        return tempos.concat(meters);
+    }
+
+    /**
+     * 查找鼠标所在行的标记
+     * @param {MouseEvent} e - 鼠标事件
+     * @returns {Object|null}
+     */
+    hitTest(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const type = this.isMeterRow(e) ? 'meter' : 'tempo';
+
+        // 标签可能重叠，取最靠右（最后绘制）的标记
+        const markers = this.getMarkers().filter(m => m.type === type && x >= m.x - HIT_BEFORE && x <= m.x + HIT_AFTER);
+        return markers.pop() || null;
+    }
+
+    /**
+     * 格式化速度
+     * @param {number} bpm - 每分钟节拍数
+     * @returns {string}
+     */
+    formatTempo(bpm) {
+        return Number.isInteger(bpm) ? String(bpm) : bpm.toFixed(2).replace(/0+$/, '');
+    }
+
+    /**
+     * 绘制速度与拍号标记
+     */
+    draw() {
+        const width = this.element.clientWidth;
+        const height = this.element.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+
+        const ctx = this.ctx;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const rowHeight = height / 2;
+
+        // 行分隔线
+        ctx.fillStyle = 'rgba(255,255,255,0.06)';
+        ctx.fillRect(0, Math.round(rowHeight), width, 1);
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textBaseline = 'middle';
+
+        this.getMarkers().forEach(marker => {
+            if (marker.x > width) return;
+
+            const isActive = marker.event === this.hoverMarker?.event || marker.event === this.dragMarker?.event;
+            const top = marker.type === 'tempo' ? 0 : rowHeight;
+            const color = marker.type === 'tempo' ? '#f59e0b' : '#22d3ee';
+            const label = marker.type === 'tempo'
+                ? `♩=${this.formatTempo(marker.event.bpm)}`
+                : `${marker.event.numerator}/${marker.event.denominator}`;
+
+            ctx.fillStyle = color;
+            ctx.globalAlpha = isActive ? 1 : 0.75;
+            ctx.fillRect(Math.round(marker.x), top + 2, isActive ? 2 : 1, rowHeight - 4);
+            ctx.fillText(label, marker.x + 4, top + rowHeight / 2);
+            ctx.globalAlpha = 1;
+        });
+    }
+}
@@ -1,10 +1,60 @@
 /**
  * Timeline - 时间线编辑区组件
- * 负责时间刻度尺、播放头、音频片段显示和编辑
+ * 负责时间刻度尺、播放头、音频与 MIDI 片段显示和编辑
  */
 import { audioEngine } from '../core/AudioEngine.js';
-import { AudioClip } from '../core/AudioClip.js';
+import { AudioClip, FADE_CURVES, getFadeGain, CLIP_GAIN_MIN_DB, CLIP_GAIN_MAX_DB } from '../core/AudioClip.js';
+import { dbToLinear, linearToDb } from '../utils/helpers.js';
 import { createWaveformForClip } from './Waveform.js';
+import { AutomationEditor } from './AutomationEditor.js';
+import { AUTOMATION_CURVES } from '../core/Automation.js';
+import { peakCache } from '../core/PeakCache.js';
+import { TempoLane } from './TempoLane.js';
+import { MidiClip, MAX_VELOCITY } from '../core/MidiClip.js';
+import { MidiTrack } from '../core/MidiTrack.js';
+import { PatternClip, STEP_BEATS } from '../core/PatternClip.js';
+import { PatternTrack } from '../core/PatternTrack.js';
+
+// 时间尺上拖动多少像素后视为设置循环区域
+const LOOP_DRAG_THRESHOLD = 4;
+
+// 轨道空白处拖动多少像素后视为框选
+const MARQUEE_DRAG_THRESHOLD = 4;
+
+// 吸附网格选项对应的间隔（四分音符拍），Infinity 表示按当前拍号吸附到整小节
+export const GRID_DIVISIONS = {
+    'bar': Infinity,
+    '1/2': 2,
+    '1/4': 1,
+    '1/8': 0.5,
+    '1/16': 0.25,
+    '1/8T': 1 / 3,
+    '1/16T': 1 / 6
+};
+
+// 网格线的最小间距（像素），更密时省略该级网格线
+const MIN_GRID_SPACING = 8;
+
+// 时间尺小节编号的最小间距（像素）
+const MIN_BAR_LABEL_SPACING = 32;
+
+// 绘制淡入淡出曲线的分段数
+const FADE_DRAW_STEPS = 32;
+
+// 单个片段波形的最大峰值数（每声道）
+const MAX_WAVEFORM_POINTS = 16384;
+
+// 拖动增益手柄时每像素对应的分贝数
+const GAIN_DB_PER_PIXEL = 0.25;
+
+// 伸缩设置停止变化多久后开始渲染（毫秒），连续调整速度时避免重复渲染
+const STRETCH_RENDER_DELAY = 300;
+
+// MIDI 片段音符预览的最少行数（半音）
+const MIN_NOTE_PREVIEW_ROWS = 12;
+
+// 节奏片段步预览的最少行数（通道）
+const MIN_STEP_PREVIEW_ROWS = 4;
 
 export class Timeline {
     constructor() {
@@ -13,6 +63,7 @@ export class Timeline {
         this.rulerCanvas = document.getElementById('ruler-canvas');
         this.playhead = document.getElementById('playhead');
         this.tracksContainer = document.getElementById('timeline-tracks');
+        const tempoLaneElement = document.getElementById('tempo-lane');
 
         const missing = [];
         if (!this.container) missing.push('timeline-container');
@@ -20,6 +71,7 @@ export class Timeline {
         if (!this.rulerCanvas) missing.push('ruler-canvas');
         if (!this.playhead) missing.push('playhead');
         if (!this.tracksContainer) missing.push('timeline-tracks');
+        if (!tempoLaneElement) missing.push('tempo-lane');
         if (missing.length > 0) {
             throw new Error(`Missing DOM element: ${missing.join(', ')}`);
         }
@@ -27,20 +79,44 @@ export class Timeline {
         // 配置
         this.pixelsPerSecond = 50; // 缩放级别
         this.snapToGrid = true;
-        this.gridSize = 0.25; // 四分之一拍
+        this.gridDivision = '1/16';
+        this.gridSize = GRID_DIVISIONS[this.gridDivision]; // 网格间隔（拍）
 
         // 状态
         this.trackElements = new Map();
         this.clipElements = new Map();
         this.clipWaveforms = new Map();
+        this.automationEditors = new Map();
+        this.recordingPreview = null;
+        this.stretchRenderTimers = new Map();
+        // 选中的片段集合；selectedClip 为最近选中的片段（分割等单片段操作的目标）
+        this.selectedClips = new Set();
         this.selectedClip = null;
         this.draggingClip = null;
-        this.dragStartX = 0;
-        this.dragStartTime = 0;
+
+        // 在时间尺上拖动时尚未提交的循环区域（只用于绘制，松开鼠标时才设置到引擎）
+        this.pendingLoopRegion = null;
 
         // 事件回调
         this.onClipSelect = null;
-        this.onClipMove = null;
+        this.onClipsMove = null;
+        this.onClipRename = null;
+        this.onClipTrim = null;
+        this.onClipFadeChange = null;
+        this.onClipGainChange = null;
+        this.onAutomationChange = null;
+        this.onLoopRegionChange = null;
+        this.onTempoMapChange = null;
+        this.onMidiClipCreate = null;
+        this.onMidiClipOpen = null;
+        this.onPatternClipCreate = null;
+        this.onPatternClipOpen = null;
+
+        // 速度与拍号轨道
+        this.tempoLane = new TempoLane(tempoLaneElement, this);
+        this.tempoLane.onChange = (previousState, label) => {
+            if (this.onTempoMapChange) this.onTempoMapChange(previousState, label);
+        };
 
         this.init();
     }
@@ -58,17 +134,12 @@ export class Timeline {
         // 窗口调整大小时重新绘制
         window.addEventListener('resize', () => {
             this.resizeRuler();
-            this.drawRuler();
+            this.refreshTempo();
+            this.drawAutomation();
         });
 
-        // 点击时间尺定位播放头
-        this.timeRuler.addEventListener('click', (e) => {
-            const rect = this.timeRuler.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const time = x / this.pixelsPerSecond;
-            audioEngine.seekTo(time);
-            this.updatePlayhead(time);
-        });
+        // 点击时间尺定位播放头，拖动设置循环区域
+        this.timeRuler.addEventListener('mousedown', (e) => this.handleRulerMouseDown(e));
 
         // 滚轮缩放
         this.container.addEventListener('wheel', (e) => {
@@ -87,7 +158,7 @@ export class Timeline {
         };
 
         // 初始绘制
-        this.drawRuler();
+        this.refreshTempo();
     }
 
     /**
@@ -120,45 +191,195 @@ export class Timeline {
         // 清除
         ctx.clearRect(0, 0, width, height);
 
-        // 计算每小节的像素数
-        const beatsPerBar = 4;
-        const secondsPerBeat = 60 / audioEngine.tempo;
-        const secondsPerBar = secondsPerBeat * beatsPerBar;
-        const pixelsPerBar = secondsPerBar * this.pixelsPerSecond;
-        const pixelsPerBeat = secondsPerBeat * this.pixelsPerSecond;
+        // 循环区域（拖动中绘制待定的区域，松开后会自动开启循环）
+        const region = this.pendingLoopRegion || audioEngine.loopRegion;
+        if (region) {
+            const startX = region.start * this.pixelsPerSecond;
+            const endX = region.end * this.pixelsPerSecond;
+            const color = this.pendingLoopRegion || audioEngine.loopEnabled ? '0, 212, 255' : '176, 176, 192';
+
+            ctx.fillStyle = `rgba(${color}, 0.18)`;
+            ctx.fillRect(startX, 0, endX - startX, height);
+            ctx.fillStyle = `rgba(${color}, 0.8)`;
+            ctx.fillRect(startX, 0, endX - startX, 3);
+            ctx.fillRect(startX, 0, 1, height);
+            ctx.fillRect(endX - 1, 0, 1, height);
+        }
 
-        // 绘制刻度
-        ctx.fillStyle = '#b0b0c0';
+        // 按速度轨绘制小节线与拍子线
+        const tempoMap = audioEngine.tempoMap;
         ctx.font = '11px Inter, sans-serif';
         ctx.textAlign = 'center';
+        ctx.lineWidth = 1;
+
+        let lastLabelX = -Infinity;
 
-        const totalBars = Math.ceil(width / pixelsPerBar) + 1;
+        tempoMap.forEachGridLine(0, width / this.pixelsPerSecond, null, (seconds, { bar, isBar, meter }) => {
+            const x = seconds * this.pixelsPerSecond;
+            const pixelsPerBeat = meter.beatLength * 60 / tempoMap.getTempoAt(seconds) * this.pixelsPerSecond;
 
-        for (let bar = 0; bar < totalBars; bar++) {
-            const x = bar * pixelsPerBar;
+            if (isBar) {
+                // 缩小时每隔 2^n 小节标一次编号，避免文字重叠
+                const pixelsPerBar = pixelsPerBeat * meter.numerator;
+                let labelEvery = 1;
+                while (labelEvery * pixelsPerBar < MIN_BAR_LABEL_SPACING) {
+                    labelEvery *= 2;
+                }
 
-            // 小节标记
-            ctx.fillStyle = '#b0b0c0';
-            ctx.fillText(`${bar + 1}`, x + 12, 14);
+                // 小节标记
+                if (bar % labelEvery === 0 && x - lastLabelX >= MIN_BAR_LABEL_SPACING) {
+                    ctx.fillStyle = '#b0b0c0';
+                    ctx.fillText(`${bar + 1}`, x + 12, 14);
+                    lastLabelX = x;
+                }
 
-            // 小节线
-            ctx.strokeStyle = 'rgba(255,255,255,0.3)';
-            ctx.lineWidth = 1;
-            ctx.beginPath();
-            ctx.moveTo(x, 18);
-            ctx.lineTo(x, height);
-            ctx.stroke();
-
-            // 拍子线
-            ctx.strokeStyle = 'rgba(255,255,255,0.1)';
-            for (let beat = 1; beat < beatsPerBar; beat++) {
-                const beatX = x + beat * pixelsPerBeat;
+                // 小节线
+                ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+                ctx.beginPath();
+                ctx.moveTo(x, 18);
+                ctx.lineTo(x, height);
+                ctx.stroke();
+            } else if (pixelsPerBeat >= MIN_GRID_SPACING) {
+                // 拍子线
+                ctx.strokeStyle = 'rgba(255,255,255,0.1)';
                 ctx.beginPath();
-                ctx.moveTo(beatX, 22);
-                ctx.lineTo(beatX, height);
+                ctx.moveTo(x, 22);
+                ctx.lineTo(x, height);
                 ctx.stroke();
             }
+        });
+    }
+
+    /**
+     * 绘制音轨区域的网格线（小节、拍与吸附网格三级，按缩放省略过密的一级）
+     * 网格绘制在 1 像素高的画布上，作为音轨容器的纵向平铺背景
+     */
+    drawGrid() {
+        const width = this.tracksContainer.clientWidth;
+        if (width === 0) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+
+        const styles = getComputedStyle(this.tracksContainer);
+        const barColor = styles.getPropertyValue('--grid-line-strong').trim();
+        const beatColor = styles.getPropertyValue('--grid-line').trim();
+        const divisionColor = styles.getPropertyValue('--grid-line-faint').trim();
+
+        const tempoMap = audioEngine.tempoMap;
+        const endTime = width / this.pixelsPerSecond;
+        const pixelsAt = (beats, seconds) => beats * 60 / tempoMap.getTempoAt(seconds) * this.pixelsPerSecond;
+
+        // 吸附网格细于一拍时绘制细分线（按所在位置的速度判断是否过密）
+        if (this.snapToGrid && Number.isFinite(this.gridSize)) {
+            ctx.fillStyle = divisionColor;
+            tempoMap.forEachGridLine(0, endTime, this.gridSize, (seconds, { isBeat, meter }) => {
+                if (isBeat || this.gridSize >= meter.beatLength) return;
+                if (pixelsAt(this.gridSize, seconds) < MIN_GRID_SPACING) return;
+                ctx.fillRect(Math.round(seconds * this.pixelsPerSecond), 0, 1, 1);
+            });
+        }
+
+        tempoMap.forEachGridLine(0, endTime, null, (seconds, { isBar, meter }) => {
+            if (!isBar && pixelsAt(meter.beatLength, seconds) < MIN_GRID_SPACING) return;
+            ctx.fillStyle = isBar ? barColor : beatColor;
+            ctx.fillRect(Math.round(seconds * this.pixelsPerSecond), 0, 1, 1);
+        });
+
+        this.tracksContainer.style.backgroundImage = `url(${canvas.toDataURL()})`;
+    }
+
+    /**
+     * 设置吸附网格
+     * @param {string} division - 网格选项（bar、1/2、1/4、1/8、1/16、1/8T、1/16T 或 off）
+     */
+    setGrid(division) {
+        if (division === 'off') {
+            this.snapToGrid = false;
+        } else if (GRID_DIVISIONS[division]) {
+            this.snapToGrid = true;
+            this.gridSize = GRID_DIVISIONS[division];
+        } else {
+            return;
         }
+
+        this.gridDivision = division;
+        this.drawGrid();
+    }
+
+    /**
+     * 速度或拍号变化后重绘时间尺、网格、速度轨道与节奏片段
+     */
+    refreshTempo() {
+        this.drawRuler();
+        this.drawGrid();
+        this.tempoLane.draw();
+
+        // MIDI 片段的音符与节奏片段的步随速度伸缩
+        audioEngine.tracks.forEach(track => {
+            if (track instanceof MidiTrack) {
+                track.clips.forEach(clip => this.drawMidiClipNotes(clip));
+            } else if (track instanceof PatternTrack) {
+                track.clips.forEach(clip => this.drawPatternClipSteps(clip));
+            }
+        });
+    }
+
+    /**
+     * 时间尺按下鼠标：未拖动视为点击定位，拖动超过阈值则设置循环区域
+     * 拖动过程中只绘制待定的区域，松开鼠标时一次性设置到引擎并记录一步历史
+     * @param {MouseEvent} e - 鼠标事件
+     */
+    handleRulerMouseDown(e) {
+        if (e.button !== 0) return;
+        e.preventDefault();
+
+        const rect = this.timeRuler.getBoundingClientRect();
+        const startX = e.clientX - rect.left;
+        const anchorTime = this.snap(startX / this.pixelsPerSecond, e);
+        let isDragging = false;
+
+        const onMouseMove = (moveEvent) => {
+            const x = moveEvent.clientX - rect.left;
+            if (!isDragging && Math.abs(x - startX) < LOOP_DRAG_THRESHOLD) return;
+            isDragging = true;
+
+            const rawTime = Math.max(0, x / this.pixelsPerSecond);
+            const time = this.snap(rawTime, moveEvent);
+            this.pendingLoopRegion = { start: Math.min(anchorTime, time), end: Math.max(anchorTime, time) };
+            this.drawRuler();
+        };
+
+        const onMouseUp = (upEvent) => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (isDragging) {
+                const previousState = { region: audioEngine.loopRegion, enabled: audioEngine.loopEnabled };
+                const { start, end } = this.pendingLoopRegion;
+                this.pendingLoopRegion = null;
+
+                audioEngine.setLoopRegion(start, end);
+                // 拖出新区域时自动开启循环
+                if (audioEngine.loopRegion && !audioEngine.loopEnabled) {
+                    audioEngine.setLoopEnabled(true);
+                }
+                this.drawRuler();
+                if (this.onLoopRegionChange) {
+                    this.onLoopRegionChange(previousState);
+                }
+                return;
+            }
+
+            const time = Math.max(0, (upEvent.clientX - rect.left) / this.pixelsPerSecond);
+            audioEngine.seekTo(time);
+            this.updatePlayhead(time);
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
     }
 
     /**
@@ -176,17 +397,121 @@ export class Timeline {
      */
     setZoom(pixelsPerSecond) {
         this.pixelsPerSecond = Math.max(10, Math.min(200, pixelsPerSecond));
-        this.drawRuler();
+        this.refreshTempo();
         this.updateAllClips();
+        this.drawAutomation();
+        this.drawRecordingPreview();
+    }
+
+    /**
+     * 在录音待命的音轨上显示正在录制的片段
+     * @param {string[]} trackIds - 音轨 ID 列表
+     * @param {number} startTime - 录音起点（秒）
+     */
+    showRecordingPreview(trackIds, startTime) {
+        this.hideRecordingPreview();
+
+        const elements = [];
+        trackIds.forEach(trackId => {
+            const trackEl = this.trackElements.get(trackId);
+            if (!trackEl) return;
+
+            const clipEl = document.createElement('div');
+            clipEl.className = 'recording-clip';
+
+            const canvas = document.createElement('canvas');
+            clipEl.appendChild(canvas);
+            trackEl.appendChild(clipEl);
+            elements.push({ clipEl, canvas });
+        });
+
+        this.recordingPreview = { startTime, elements, peaks: [], duration: 0, frameId: null };
+        this.drawRecordingPreview();
+    }
+
+    /**
+     * 更新正在录制的波形（在下一动画帧绘制）
+     * @param {number[]} peaks - 峰值列表
+     * @param {number} duration - 已录制时长（秒）
+     */
+    updateRecordingPreview(peaks, duration) {
+        const preview = this.recordingPreview;
+        if (!preview) return;
+
+        preview.peaks = peaks;
+        preview.duration = duration;
+
+        if (preview.frameId === null) {
+            preview.frameId = requestAnimationFrame(() => {
+                preview.frameId = null;
+                this.drawRecordingPreview();
+            });
+        }
+    }
+
+    /**
+     * 绘制正在录制的波形
+     */
+    drawRecordingPreview() {
+        const preview = this.recordingPreview;
+        if (!preview) return;
+
+        const { peaks, duration } = preview;
+        const width = Math.max(1, duration * this.pixelsPerSecond);
+        const dpr = window.devicePixelRatio || 1;
+
+        preview.elements.forEach(({ clipEl, canvas }) => {
+            clipEl.style.left = `${preview.startTime * this.pixelsPerSecond}px`;
+            clipEl.style.width = `${width}px`;
+
+            const height = clipEl.clientHeight;
+            canvas.width = Math.ceil(width * dpr);
+            canvas.height = Math.ceil(height * dpr);
+
+            const ctx = canvas.getContext('2d');
+            ctx.scale(dpr, dpr);
+            ctx.fillStyle = 'rgba(239, 68, 68, 0.8)';
+
+            // 每个像素列取该范围内的最大峰值
+            const centerY = height / 2;
+            const peaksPerPixel = peaks.length / width;
+            for (let x = 0; x < width; x++) {
+                const from = Math.floor(x * peaksPerPixel);
+                const to = Math.max(from + 1, Math.floor((x + 1) * peaksPerPixel));
+                let peak = 0;
+                for (let i = from; i < to && i < peaks.length; i++) {
+                    if (peaks[i] > peak) peak = peaks[i];
+                }
+                const amplitude = Math.min(1, peak) * height * 0.45;
+                ctx.fillRect(x, centerY - amplitude, 1, Math.max(1, amplitude * 2));
+            }
+        });
+    }
+
+    /**
+     * 移除正在录制的片段
+     */
+    hideRecordingPreview() {
+        const preview = this.recordingPreview;
+        if (!preview) return;
+
+        if (preview.frameId !== null) {
+            cancelAnimationFrame(preview.frameId);
+        }
+        preview.elements.forEach(({ clipEl }) => clipEl.remove());
+        this.recordingPreview = null;
     }
 
     /**
      * 添加轨道到时间线
      * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置，省略时追加到末尾
      */
-    addTrack(track) {
+    addTrack(track, index) {
         const trackEl = document.createElement('div');
         trackEl.className = 'timeline-track';
+        trackEl.classList.toggle('midi', track instanceof MidiTrack);
+        trackEl.classList.toggle('pattern', track instanceof PatternTrack);
         trackEl.dataset.trackId = track.id;
 
         // 外部文件拖放处理
@@ -202,7 +527,7 @@ export class Timeline {
             if (files.length > 0) {
                 const rect = trackEl.getBoundingClientRect();
                 const x = e.clientX - rect.left;
-                const time = this.snapToGrid ? this.snapTime(x / this.pixelsPerSecond) : x / this.pixelsPerSecond;
+                const time = this.snap(x / this.pixelsPerSecond, e);
 
                 // 触发文件导入事件
                 if (this.onFileDrop) {
@@ -211,6 +536,24 @@ export class Timeline {
             }
         });
 
+        // 空白区域拖动框选，单击取消选择
+        trackEl.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target !== trackEl) return;
+            e.preventDefault();
+            this.startMarqueeSelection(e);
+        });
+
+        // MIDI / 节奏音轨空白处双击新建片段
+        trackEl.addEventListener('dblclick', (e) => {
+            if (e.target !== trackEl) return;
+            const time = this.snap((e.clientX - trackEl.getBoundingClientRect().left) / this.pixelsPerSecond, e);
+            if (track instanceof MidiTrack && this.onMidiClipCreate) {
+                this.onMidiClipCreate(track, time);
+            } else if (track instanceof PatternTrack && this.onPatternClipCreate) {
+                this.onPatternClipCreate(track, time);
+            }
+        });
+
         // 轨道右键菜单（空白区域）
         trackEl.addEventListener('contextmenu', (e) => {
             // 只有点击空白区域才显示轨道菜单
@@ -221,8 +564,121 @@ export class Timeline {
             }
         });
 
-        this.tracksContainer.appendChild(trackEl);
+        const trackEls = this.tracksContainer.querySelectorAll(':scope > .timeline-track');
+        const nextEl = typeof index === 'number' ? trackEls[index] : null;
+        this.tracksContainer.insertBefore(trackEl, nextEl || null);
         this.trackElements.set(track.id, trackEl);
+
+        // 自动化轨道紧跟在音轨之后
+        const editor = new AutomationEditor(track, this);
+        editor.onChange = (previousPoints, label) => {
+            if (this.onAutomationChange) {
+                this.onAutomationChange(track, editor.param, previousPoints, label);
+            }
+        };
+        editor.onPointMenu = (x, y, point) => {
+            this.showAutomationPointMenu(x, y, editor, point);
+        };
+        trackEl.after(editor.element);
+        this.automationEditors.set(track.id, editor);
+    }
+
+    /**
+     * 显示/隐藏音轨的自动化轨道
+     * @param {string} trackId - 音轨 ID
+     * @param {boolean} visible - 是否显示
+     */
+    setAutomationVisible(trackId, visible) {
+        this.automationEditors.get(trackId)?.setVisible(visible);
+    }
+
+    /**
+     * 切换自动化轨道编辑的参数
+     * @param {string} trackId - 音轨 ID
+     * @param {string} param - 参数名（volume 或 pan）
+     */
+    setAutomationParam(trackId, param) {
+        this.automationEditors.get(trackId)?.setParam(param);
+    }
+
+    /**
+     * 重绘自动化轨道
+     * @param {string} [trackId] - 音轨 ID，省略时重绘全部
+     */
+    drawAutomation(trackId) {
+        if (trackId) {
+            this.automationEditors.get(trackId)?.draw();
+            return;
+        }
+        this.automationEditors.forEach(editor => editor.draw());
+    }
+
+    /**
+     * 显示自动化断点右键菜单
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {AutomationEditor} editor - 自动化编辑器
+     * @param {Object} point - 断点
+     */
+    showAutomationPointMenu(x, y, editor, point) {
+        const items = AUTOMATION_CURVES.map(curve => ({
+            label: `${point.curve === curve.value ? '✓' : '\u2003'} ${curve.label}`,
+            action: () => editor.edit('修改曲线形状', () => editor.lane.setCurve(point, curve.value))
+        }));
+        items.push({
+            label: '🗑️ 删除断点',
+            action: () => editor.edit('删除自动化断点', () => editor.lane.removePoint(point))
+        });
+
+        this.showMenu(x, y, items);
+    }
+
+    /**
+     * 显示由菜单项组成的右键菜单
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {Array<{label: string, action: Function, shortcut?: string}>} items - 菜单项（shortcut 显示在右侧）
+     */
+    showMenu(x, y, items) {
+        // 移除已有的菜单
+        this.hideContextMenu();
+
+        const menu = document.createElement('div');
+        menu.className = 'context-menu';
+        menu.style.left = `${x}px`;
+        menu.style.top = `${y}px`;
+
+        items.forEach(item => {
+            const menuItem = document.createElement('div');
+            menuItem.className = 'context-menu-item';
+            if (item.shortcut) {
+                const label = document.createElement('span');
+                label.textContent = item.label;
+                const shortcut = document.createElement('span');
+                shortcut.className = 'shortcut';
+                shortcut.textContent = item.shortcut;
+                menuItem.append(label, shortcut);
+            } else {
+                menuItem.textContent = item.label;
+            }
+            menuItem.addEventListener('click', () => {
+                this.hideContextMenu();
+                item.action();
+            });
+            menu.appendChild(menuItem);
+        });
+
+        document.body.appendChild(menu);
+        this.contextMenu = menu;
+
+        // 点击其他地方关闭菜单
+        const closeHandler = (e) => {
+            if (!menu.contains(e.target)) {
+                this.hideContextMenu();
+            }
+        };
+        this.contextMenuCloseHandler = closeHandler;
+        setTimeout(() => document.addEventListener('click', closeHandler), 0);
     }
 
     /**
@@ -237,9 +693,11 @@ export class Timeline {
             }
         });
 
-        if (this.selectedClip && (this.selectedClip.trackId === trackId || clipIds.includes(this.selectedClip.id))) {
-            this.deselectClip();
-        }
+        this.getSelectedClips().forEach(clip => {
+            if (clip.trackId === trackId || clipIds.includes(clip.id)) {
+                this.deselectClip(clip);
+            }
+        });
 
         clipIds.forEach((clipId) => {
             const clipEl = this.clipElements.get(clipId);
@@ -263,19 +721,29 @@ export class Timeline {
             trackEl.remove();
             this.trackElements.delete(trackId);
         }
+
+        const editor = this.automationEditors.get(trackId);
+        if (editor) {
+            editor.destroy();
+            this.automationEditors.delete(trackId);
+        }
     }
 
     /**
-     * 添加音频片段到时间线
-     * @param {AudioClip} clip - 音频片段
+     * 添加片段到时间线（音频片段显示波形，MIDI 片段显示音符，节奏片段显示步）
+     * @param {AudioClip|MidiClip|PatternClip} clip - 片段
      * @param {string} trackId - 音轨 ID
      */
     addClip(clip, trackId) {
         const trackEl = this.trackElements.get(trackId);
         if (!trackEl) return;
 
+        const isMidi = clip instanceof MidiClip;
+        const isPattern = clip instanceof PatternClip;
         const clipEl = document.createElement('div');
         clipEl.className = 'audio-clip';
+        clipEl.classList.toggle('midi-clip', isMidi);
+        clipEl.classList.toggle('pattern-clip', isPattern);
         clipEl.dataset.clipId = clip.id;
         clipEl.dataset.trackId = trackId;
 
@@ -287,7 +755,7 @@ export class Timeline {
         header.className = 'audio-clip-header';
 
         const iconSpan = document.createElement('span');
-        iconSpan.textContent = '🎵';
+        iconSpan.textContent = isMidi ? '🎹' : isPattern ? '🥁' : '🎵';
         header.appendChild(iconSpan);
 
         const nameSpan = document.createElement('span');
@@ -295,6 +763,14 @@ export class Timeline {
         nameSpan.textContent = clip.name;
         header.appendChild(nameSpan);
 
+        // 伸缩 / 移调标记
+        if (!isMidi && !isPattern) {
+            const stretchBadge = document.createElement('span');
+            stretchBadge.className = 'clip-stretch-badge';
+            header.appendChild(stretchBadge);
+            this.updateClipStretchBadge(clip, stretchBadge);
+        }
+
         // 双击编辑名称
         nameSpan.addEventListener('dblclick', (e) => {
             e.stopPropagation();
@@ -303,196 +779,1043 @@ export class Timeline {
 
         clipEl.appendChild(header);
 
-        // 波形容器
-        const waveformContainer = document.createElement('div');
-        waveformContainer.style.height = 'calc(100% - 24px)';
-        waveformContainer.style.position = 'relative';
-        clipEl.appendChild(waveformContainer);
+        if (isMidi) {
+            this.addMidiClipContent(clip, clipEl);
+        } else if (isPattern) {
+            this.addPatternClipContent(clip, clipEl);
+        } else {
+            this.addAudioClipContent(clip, clipEl);
+        }
 
-        // 创建波形
-        setTimeout(() => {
-            if (!waveformContainer.isConnected || !this.clipElements.has(clip.id)) {
-                return;
-            }
-            const waveform = createWaveformForClip(clip, waveformContainer, {
-                fillColor: 'rgba(99, 102, 241, 0.6)',
-                lineColor: '#a5b4fc'
+        // 左右边缘修剪手柄
+        ['start', 'end'].forEach(edge => {
+            const handle = document.createElement('div');
+            handle.className = `clip-trim-handle ${edge}`;
+            handle.title = edge === 'start' ? '修剪起点' : '修剪终点';
+            handle.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.startClipTrim(e, clip, clipEl, edge);
             });
-            this.clipWaveforms.set(clip.id, waveform);
-        }, 0);
+            clipEl.appendChild(handle);
+        });
 
-        // 点击选择
+        // 点击选择（修剪、淡入淡出等手柄不会触发 mousedown 选择，在这里补上）
         clipEl.addEventListener('click', (e) => {
             e.stopPropagation();
-            this.selectClip(clip);
+            if (!e.shiftKey && !e.ctrlKey && !e.metaKey && !this.selectedClips.has(clip)) {
+                this.selectClip(clip);
+            }
         });
 
-        // 右键菜单
+        // 右键菜单（右键已选中的片段时保留多选）
         clipEl.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             e.stopPropagation();
-            this.selectClip(clip);
+            if (!this.selectedClips.has(clip)) {
+                this.selectClip(clip);
+            }
             this.showContextMenu(e.clientX, e.clientY, clip);
         });
 
-        // 拖动移动（支持跨轨道）
+        // 拖动移动（支持跨轨道，多选时整组移动），按住 Alt 拖动为滑动编辑，Shift/Ctrl 点击切换选中
         clipEl.addEventListener('mousedown', (e) => {
             if (e.button !== 0) return;
             e.preventDefault();
 
-            this.draggingClip = clip;
-            this.dragStartX = e.clientX;
-            this.dragStartY = e.clientY;
-            this.dragStartTime = clip.startTime;
-            this.dragStartTrackId = clip.trackId;
-
-            clipEl.style.cursor = 'grabbing';
-            clipEl.style.zIndex = '100';
-            clipEl.style.pointerEvents = 'none'; // 让片段不挡住轨道检测
-
-            const onMouseMove = (moveEvent) => {
-                // 水平移动 - 时间
-                const deltaX = moveEvent.clientX - this.dragStartX;
-                const deltaTime = deltaX / this.pixelsPerSecond;
-                let newTime = this.dragStartTime + deltaTime;
-
-                if (this.snapToGrid) {
-                    newTime = this.snapTime(newTime);
-                }
-
-                newTime = Math.max(0, newTime);
-
-                clip.setStartTime(newTime);
-                this.updateClipPosition(clip, clipEl);
-
-                // 垂直移动 - 检测目标轨道
-                const targetTrackEl = this.getTrackAtPosition(moveEvent.clientX, moveEvent.clientY);
-                if (targetTrackEl) {
-                    targetTrackEl.classList.add('drag-hover');
-                }
-                // 清除其他轨道的高亮
-                this.trackElements.forEach((el, id) => {
-                    if (el !== targetTrackEl) {
-                        el.classList.remove('drag-hover');
-                    }
-                });
-            };
-
-            const onMouseUp = (upEvent) => {
-                clipEl.style.cursor = 'grab';
-                clipEl.style.zIndex = '';
-                clipEl.style.pointerEvents = '';
-
-                // 清除所有轨道高亮
-                this.trackElements.forEach(el => el.classList.remove('drag-hover'));
-
-                // 检测目标轨道
-                const targetTrackEl = this.getTrackAtPosition(upEvent.clientX, upEvent.clientY);
-                if (targetTrackEl) {
-                    const targetTrackId = targetTrackEl.dataset.trackId;
-                    if (targetTrackId !== this.dragStartTrackId) {
-                        // 跨轨道移动
-                        this.moveClipToTrack(clip, this.dragStartTrackId, targetTrackId);
-                    }
-                }
-
-                this.draggingClip = null;
-                document.removeEventListener('mousemove', onMouseMove);
-                document.removeEventListener('mouseup', onMouseUp);
+            if (e.altKey) {
+                this.startClipSlip(e, clip, clipEl);
+                return;
+            }
 
-                if (this.onClipMove) {
-                    this.onClipMove(clip);
-                }
-            };
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                this.selectClip(clip, true);
+                return;
+            }
 
-            document.addEventListener('mousemove', onMouseMove);
-            document.addEventListener('mouseup', onMouseUp);
+            this.startClipDrag(e, clip);
         });
 
         trackEl.appendChild(clipEl);
         this.clipElements.set(clip.id, clipEl);
+        this.drawTrackFades(trackId);
+        if (isMidi) {
+            this.drawMidiClipNotes(clip);
+        } else if (isPattern) {
+            this.drawPatternClipSteps(clip);
+        }
     }
 
     /**
-     * 更新片段位置
+     * 创建音频片段的波形、淡入淡出曲线与增益 / 淡变手柄
      * @param {AudioClip} clip - 音频片段
      * @param {HTMLElement} clipEl - 片段元素
      */
-    updateClipPosition(clip, clipEl) {
-        const left = clip.startTime * this.pixelsPerSecond;
-        const width = clip.duration * this.pixelsPerSecond;
+    addAudioClipContent(clip, clipEl) {
+        // 波形容器
+        const waveformContainer = document.createElement('div');
+        waveformContainer.style.height = 'calc(100% - 24px)';
+        waveformContainer.style.position = 'relative';
+        clipEl.appendChild(waveformContainer);
 
-        clipEl.style.left = `${left}px`;
-        clipEl.style.width = `${Math.max(20, width)}px`;
-    }
+        // 淡入淡出曲线（覆盖在波形上方）
+        const fadeOverlay = document.createElement('canvas');
+        fadeOverlay.className = 'clip-fade-overlay';
+        waveformContainer.appendChild(fadeOverlay);
 
-    /**
-     * 更新所有片段位置
-     */
-    updateAllClips() {
-        audioEngine.tracks.forEach(track => {
-            track.clips.forEach(clip => {
-                const clipEl = this.clipElements.get(clip.id);
-                if (clipEl) {
-                    this.updateClipPosition(clip, clipEl);
-                }
-            });
-        });
-    }
+        // 创建波形
+        setTimeout(() => {
+            if (!waveformContainer.isConnected || !this.clipElements.has(clip.id)) {
+                return;
+            }
+            const waveform = createWaveformForClip(clip, waveformContainer, {
+                fillColor: 'rgba(99, 102, 241, 0.6)',
+                lineColor: '#a5b4fc',
+                samples: this.getWaveformResolution(clip)
+            });
+            this.clipWaveforms.set(clip.id, waveform);
+
+            // 峰值仍在后台生成时，完成后再绘制
+            if (clip.audioBuffer && !peakCache.get(clip.audioBuffer)) {
+                peakCache.request(clip.audioBuffer)
+                    .then(() => this.refreshClipWaveform(clip))
+                    .catch(error => console.error('波形峰值生成失败:', error));
+            }
+        }, 0);
+
+        this.scheduleStretchRender(clip);
+
+        // 增益手柄：上下拖动调整，双击复位为 0 dB
+        const gainHandle = document.createElement('div');
+        gainHandle.className = 'clip-gain-handle';
+        gainHandle.title = '片段增益（上下拖动，双击复位）';
+        gainHandle.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.startClipGainDrag(e, clip);
+        });
+        gainHandle.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            const previousGain = clip.gain;
+            this.setClipGain(clip, 1);
+            if (this.onClipGainChange) {
+                this.onClipGainChange(clip, previousGain);
+            }
+        });
+        clipEl.appendChild(gainHandle);
+        this.updateClipGainHandle(clip, gainHandle);
+
+        // 淡入/淡出手柄：拖动调整时长，右键切换曲线
+        ['in', 'out'].forEach(edge => {
+            const handle = document.createElement('div');
+            handle.className = `clip-fade-handle ${edge}`;
+            handle.title = edge === 'in' ? '淡入（右键切换曲线）' : '淡出（右键切换曲线）';
+            handle.addEventListener('mousedown', (e) => {
+                if (e.button !== 0) return;
+                e.preventDefault();
+                e.stopPropagation();
+                this.startClipFade(e, clip, clipEl, edge);
+            });
+            handle.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.showFadeCurveMenu(e.clientX, e.clientY, clip, edge);
+            });
+            clipEl.appendChild(handle);
+        });
+    }
 
     /**
-     * 选择片段
+     * 创建 MIDI 片段的音符预览，双击打开钢琴卷帘
+     * @param {MidiClip} clip - MIDI 片段
+     * @param {HTMLElement} clipEl - 片段元素
+     */
+    addMidiClipContent(clip, clipEl) {
+        const notesContainer = document.createElement('div');
+        notesContainer.className = 'midi-clip-notes';
+        notesContainer.appendChild(document.createElement('canvas'));
+        clipEl.appendChild(notesContainer);
+
+        clipEl.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.clip-trim-handle')) return;
+            if (this.onMidiClipOpen) {
+                this.onMidiClipOpen(clip);
+            }
+        });
+    }
+
+    /**
+     * 创建节奏片段的步预览，双击打开通道架
+     * @param {PatternClip} clip - 节奏片段
+     * @param {HTMLElement} clipEl - 片段元素
+     */
+    addPatternClipContent(clip, clipEl) {
+        const stepsContainer = document.createElement('div');
+        stepsContainer.className = 'pattern-clip-steps';
+        stepsContainer.appendChild(document.createElement('canvas'));
+        clipEl.appendChild(stepsContainer);
+
+        clipEl.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.clip-trim-handle')) return;
+            if (this.onPatternClipOpen) {
+                this.onPatternClipOpen(clip);
+            }
+        });
+    }
+
+    /**
+     * 拖动移动选中的片段：整组保持相对时间与音轨间隔，以按下的片段为吸附基准
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {AudioClip} clip - 按下的片段
+     */
+    startClipDrag(e, clip) {
+        const wasSelected = this.selectedClips.has(clip);
+        if (!wasSelected) {
+            this.selectClip(clip);
+        }
+
+        const tracks = audioEngine.tracks;
+        const getTrackIndex = (trackId) => tracks.findIndex(t => t.id === trackId);
+        const group = this.getSelectedClips().map(c => ({
+            clip: c,
+            clipEl: this.clipElements.get(c.id),
+            startTime: c.startTime,
+            trackId: c.trackId,
+            trackIndex: getTrackIndex(c.trackId)
+        }));
+
+        const anchorTime = clip.startTime;
+        const anchorIndex = getTrackIndex(clip.trackId);
+        const groupStart = Math.min(...group.map(g => g.startTime));
+        const minIndex = Math.min(...group.map(g => g.trackIndex));
+        const maxIndex = Math.max(...group.map(g => g.trackIndex));
+        const sourceTrackIds = new Set(group.map(g => g.trackId));
+        const startX = e.clientX;
+        let trackDelta = 0;
+
+        this.draggingClip = clip;
+        group.forEach(({ clipEl }) => {
+            if (!clipEl) return;
+            clipEl.style.cursor = 'grabbing';
+            clipEl.style.zIndex = '100';
+            clipEl.style.pointerEvents = 'none'; // 让片段不挡住轨道检测
+        });
+
+        // 鼠标所在音轨决定整组的音轨偏移，并限制在已有音轨范围内
+        const updateTrackDelta = (x, y) => {
+            const targetTrackEl = this.getTrackAtPosition(x, y);
+            if (!targetTrackEl) {
+                trackDelta = 0;
+                return null;
+            }
+            const delta = getTrackIndex(targetTrackEl.dataset.trackId) - anchorIndex;
+            const clamped = Math.max(-minIndex, Math.min(tracks.length - 1 - maxIndex, delta));
+            // 音频片段只能放在音频轨，MIDI 片段只能放在 MIDI 轨；有片段放不下时整组留在原音轨
+            trackDelta = group.every(g => tracks[g.trackIndex + clamped].acceptsClip(g.clip)) ? clamped : 0;
+            return targetTrackEl;
+        };
+
+        const onMouseMove = (moveEvent) => {
+            // 水平移动 - 时间（起点或终点吸附到网格）
+            const newTime = this.snapClipStart(anchorTime + (moveEvent.clientX - startX) / this.pixelsPerSecond, clip.duration, moveEvent);
+            const deltaTime = Math.max(-groupStart, newTime - anchorTime);
+
+            group.forEach(g => {
+                g.clip.setStartTime(g.startTime + deltaTime);
+                if (g.clipEl) this.updateClipPosition(g.clip, g.clipEl);
+            });
+            sourceTrackIds.forEach(trackId => this.drawTrackFades(trackId));
+
+            // 垂直移动 - 高亮整组的目标音轨
+            const hovered = updateTrackDelta(moveEvent.clientX, moveEvent.clientY);
+            const targetIds = new Set(hovered ? group.map(g => tracks[g.trackIndex + trackDelta].id) : []);
+            this.trackElements.forEach((el, id) => el.classList.toggle('drag-hover', targetIds.has(id)));
+        };
+
+        const onMouseUp = (upEvent) => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+            this.draggingClip = null;
+
+            group.forEach(({ clipEl }) => {
+                if (!clipEl) return;
+                clipEl.style.cursor = 'grab';
+                clipEl.style.zIndex = '';
+                clipEl.style.pointerEvents = '';
+            });
+
+            // 清除所有轨道高亮
+            this.trackElements.forEach(el => el.classList.remove('drag-hover'));
+
+            // 跨轨道移动
+            updateTrackDelta(upEvent.clientX, upEvent.clientY);
+            if (trackDelta !== 0) {
+                group.forEach(g => {
+                    this.moveClipToTrack(g.clip, g.trackId, tracks[g.trackIndex + trackDelta].id);
+                });
+            }
+
+            const moved = trackDelta !== 0 || group.some(g => g.clip.startTime !== g.startTime);
+            if (!moved) {
+                // 未移动的单击：在多选中点击某个片段时只保留它
+                if (wasSelected && group.length > 1) {
+                    this.selectClip(clip);
+                }
+                return;
+            }
+
+            new Set(group.map(g => g.clip.trackId)).forEach(trackId => {
+                audioEngine.getTrack(trackId)?.sortClips();
+            });
+
+            if (this.onClipsMove) {
+                this.onClipsMove(group.map(g => ({
+                    clip: g.clip,
+                    from: { startTime: g.startTime, trackId: g.trackId }
+                })));
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 在轨道空白处拖动框选片段（可跨音轨），按住 Shift/Ctrl 时追加到已有选择；未拖动的单击取消选择
+     * @param {MouseEvent} e - 鼠标按下事件
+     */
+    startMarqueeSelection(e) {
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+        const initial = additive ? this.getSelectedClips() : [];
+        const startX = e.clientX;
+        const startY = e.clientY;
+        let marquee = null;
+
+        const onMouseMove = (moveEvent) => {
+            const dx = moveEvent.clientX - startX;
+            const dy = moveEvent.clientY - startY;
+            if (!marquee && Math.hypot(dx, dy) < MARQUEE_DRAG_THRESHOLD) return;
+
+            if (!marquee) {
+                marquee = document.createElement('div');
+                marquee.className = 'selection-marquee';
+                document.body.appendChild(marquee);
+            }
+
+            const left = Math.min(startX, moveEvent.clientX);
+            const top = Math.min(startY, moveEvent.clientY);
+            const right = Math.max(startX, moveEvent.clientX);
+            const bottom = Math.max(startY, moveEvent.clientY);
+            marquee.style.left = `${left}px`;
+            marquee.style.top = `${top}px`;
+            marquee.style.width = `${right - left}px`;
+            marquee.style.height = `${bottom - top}px`;
+
+            // 与框相交的片段
+            const hits = [];
+            audioEngine.tracks.forEach(track => track.clips.forEach(clip => {
+                const rect = this.clipElements.get(clip.id)?.getBoundingClientRect();
+                if (rect && rect.left < right && rect.right > left && rect.top < bottom && rect.bottom > top) {
+                    hits.push(clip);
+                }
+            }));
+
+            this.setSelection([...new Set([...initial, ...hits])]);
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (marquee) {
+                marquee.remove();
+            } else if (!additive) {
+                this.deselectClip();
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 拖动边缘修剪片段（非破坏性，只改变 startTime/offset/duration）
+     * @param {MouseEvent} e - 鼠标按下事件
      * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} clipEl - 片段元素
+     * @param {string} edge - 'start'（起点）或 'end'（终点）
      */
-    selectClip(clip) {
-        // 取消之前的选择
-        if (this.selectedClip) {
-            this.selectedClip.selected = false;
-            const prevEl = this.clipElements.get(this.selectedClip.id);
-            if (prevEl) {
-                prevEl.classList.remove('selected');
+    startClipTrim(e, clip, clipEl, edge) {
+        const previous = this.getClipBounds(clip);
+        const startX = e.clientX;
+        const edgeTime = edge === 'start' ? clip.startTime : clip.startTime + clip.duration;
+
+        clipEl.classList.add('trimming');
+
+        const onMouseMove = (moveEvent) => {
+            const time = this.snap(edgeTime + (moveEvent.clientX - startX) / this.pixelsPerSecond, moveEvent);
+
+            if (edge === 'start') {
+                clip.trimStart(time);
+            } else {
+                clip.trimEnd(time);
+            }
+
+            this.updateClipPosition(clip, clipEl);
+            this.refreshClipWaveform(clip);
+            this.drawTrackFades(clip.trackId);
+        };
+
+        const onMouseUp = () => {
+            clipEl.classList.remove('trimming');
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            audioEngine.getTrack(clip.trackId)?.sortClips();
+
+            if (this.onClipTrim) {
+                this.onClipTrim(clip, previous, '修剪片段');
             }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 滑动编辑：拖动片段内的音频而不移动片段
+     * 吸附时对齐的是音频开头在时间线上的位置（startTime - offset）
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} clipEl - 片段元素
+     */
+    startClipSlip(e, clip, clipEl) {
+        const previous = this.getClipBounds(clip);
+        const startX = e.clientX;
+        const sourceStart = clip.startTime - clip.offset;
+
+        clipEl.classList.add('slipping');
+
+        const onMouseMove = (moveEvent) => {
+            const time = this.snap(sourceStart + (moveEvent.clientX - startX) / this.pixelsPerSecond, moveEvent);
+
+            clip.setOffset(clip.startTime - time);
+            this.refreshClipWaveform(clip);
+        };
+
+        const onMouseUp = () => {
+            clipEl.classList.remove('slipping');
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (this.onClipTrim) {
+                this.onClipTrim(clip, previous, '滑动编辑');
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 获取片段的时间范围
+     * @param {AudioClip} clip - 音频片段
+     * @returns {{ startTime: number, offset: number, duration: number }}
+     */
+    getClipBounds(clip) {
+        return { startTime: clip.startTime, offset: clip.offset, duration: clip.duration };
+    }
+
+    /**
+     * 设置片段的时间范围，并同步显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {{ startTime: number, offset: number, duration: number }} bounds - 时间范围
+     */
+    setClipBounds(clip, bounds) {
+        clip.startTime = bounds.startTime;
+        clip.offset = bounds.offset;
+        clip.duration = bounds.duration;
+        clip.waveformData = null;
+
+        audioEngine.getTrack(clip.trackId)?.sortClips();
+
+        const clipEl = this.clipElements.get(clip.id);
+        if (clipEl) {
+            this.updateClipPosition(clip, clipEl);
         }
+        this.refreshClipWaveform(clip);
+        this.drawTrackFades(clip.trackId);
+    }
 
-        // 设置新选择
-        this.selectedClip = clip;
-        clip.selected = true;
+    /**
+     * 上下拖动增益手柄调整片段增益
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {AudioClip} clip - 音频片段
+     */
+    startClipGainDrag(e, clip) {
+        const previousGain = clip.gain;
+        const startY = e.clientY;
+        const startDb = clip.gain > 0 ? linearToDb(clip.gain) : CLIP_GAIN_MIN_DB;
+
+        const onMouseMove = (moveEvent) => {
+            const db = Math.max(CLIP_GAIN_MIN_DB, Math.min(CLIP_GAIN_MAX_DB,
+                startDb + (startY - moveEvent.clientY) * GAIN_DB_PER_PIXEL));
+            this.setClipGain(clip, db <= CLIP_GAIN_MIN_DB ? 0 : dbToLinear(db));
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (this.onClipGainChange) {
+                this.onClipGainChange(clip, previousGain);
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 设置片段增益，同步波形、读数与正在播放的声音
+     * @param {AudioClip} clip - 音频片段
+     * @param {number} gain - 线性增益
+     */
+    setClipGain(clip, gain) {
+        clip.setGain(gain);
+        audioEngine.updateClipGain(clip);
+
+        this.clipWaveforms.get(clip.id)?.setGain(clip.gain);
+
+        const gainHandle = this.clipElements.get(clip.id)?.querySelector('.clip-gain-handle');
+        if (gainHandle) {
+            this.updateClipGainHandle(clip, gainHandle);
+        }
+    }
+
+    /**
+     * 更新增益手柄的分贝读数
+     * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} gainHandle - 增益手柄元素
+     */
+    updateClipGainHandle(clip, gainHandle) {
+        const db = linearToDb(clip.gain);
+        gainHandle.textContent = Number.isFinite(db) ? `${db > 0 ? '+' : ''}${db.toFixed(1)} dB` : '-∞ dB';
+        gainHandle.classList.toggle('modified', clip.gain !== 1);
+    }
+
+    /**
+     * 拖动手柄调整淡入/淡出时长
+     * @param {MouseEvent} e - 鼠标按下事件
+     * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} clipEl - 片段元素
+     * @param {string} edge - 'in'（淡入）或 'out'（淡出）
+     */
+    startClipFade(e, clip, clipEl, edge) {
+        const previous = clip.getFades();
+        const rect = clipEl.getBoundingClientRect();
+
+        const onMouseMove = (moveEvent) => {
+            const time = this.snap(clip.startTime + (moveEvent.clientX - rect.left) / this.pixelsPerSecond, moveEvent);
+
+            if (edge === 'in') {
+                clip.setFadeIn(time - clip.startTime);
+            } else {
+                clip.setFadeOut(clip.startTime + clip.duration - time);
+            }
+            this.drawTrackFades(clip.trackId);
+        };
+
+        const onMouseUp = () => {
+            document.removeEventListener('mousemove', onMouseMove);
+            document.removeEventListener('mouseup', onMouseUp);
+
+            if (this.onClipFadeChange) {
+                this.onClipFadeChange(clip, previous, edge === 'in' ? '调整淡入' : '调整淡出');
+            }
+        };
+
+        document.addEventListener('mousemove', onMouseMove);
+        document.addEventListener('mouseup', onMouseUp);
+    }
+
+    /**
+     * 显示淡入/淡出曲线菜单
+     * @param {number} x - X 坐标
+     * @param {number} y - Y 坐标
+     * @param {AudioClip} clip - 音频片段
+     * @param {string} edge - 'in' 或 'out'
+     */
+    showFadeCurveMenu(x, y, clip, edge) {
+        const edit = (label, apply) => {
+            const previous = clip.getFades();
+            apply();
+            this.drawTrackFades(clip.trackId);
+            if (this.onClipFadeChange) {
+                this.onClipFadeChange(clip, previous, label);
+            }
+        };
+
+        const current = edge === 'in' ? clip.fadeInCurve : clip.fadeOutCurve;
+        const items = FADE_CURVES.map(curve => ({
+            label: `${current === curve.value ? '✓' : '\u2003'} ${curve.label}`,
+            action: () => edit('修改淡变曲线', () => clip.setFadeCurve(edge, curve.value))
+        }));
+        items.push({
+            label: edge === 'in' ? '🗑️ 移除淡入' : '🗑️ 移除淡出',
+            action: () => edit(edge === 'in' ? '移除淡入' : '移除淡出', () => {
+                if (edge === 'in') {
+                    clip.setFadeIn(0);
+                } else {
+                    clip.setFadeOut(0);
+                }
+            })
+        });
+
+        this.showMenu(x, y, items);
+    }
+
+    /**
+     * 设置片段的淡入淡出，并同步显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {Object} fades - AudioClip.getFades() 的输出
+     */
+    setClipFades(clip, fades) {
+        clip.fadeIn = fades.fadeIn;
+        clip.fadeOut = fades.fadeOut;
+        clip.fadeInCurve = fades.fadeInCurve;
+        clip.fadeOutCurve = fades.fadeOutCurve;
+        this.drawTrackFades(clip.trackId);
+    }
+
+    /**
+     * 设置片段的时间伸缩与移调，并更新显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {Object} stretch - AudioClip.getStretch() 格式的设置
+     */
+    setClipStretch(clip, stretch) {
+        clip.setStretch(stretch);
 
         const clipEl = this.clipElements.get(clip.id);
         if (clipEl) {
-            clipEl.classList.add('selected');
+            this.updateClipPosition(clip, clipEl);
+            this.updateClipStretchBadge(clip, clipEl.querySelector('.clip-stretch-badge'));
         }
+        this.refreshClipWaveform(clip);
+        this.drawTrackFades(clip.trackId);
+        this.scheduleStretchRender(clip);
+    }
+
+    /**
+     * 延迟渲染片段的伸缩结果；渲染完成前播放使用变速的原始音频
+     * @param {AudioClip} clip - 音频片段
+     */
+    scheduleStretchRender(clip) {
+        clearTimeout(this.stretchRenderTimers.get(clip.id));
+        if (!clip.isStretched()) {
+            this.stretchRenderTimers.delete(clip.id);
+            return;
+        }
+
+        this.stretchRenderTimers.set(clip.id, setTimeout(() => {
+            this.stretchRenderTimers.delete(clip.id);
+            if (!this.clipElements.has(clip.id)) return;
+            clip.renderStretch().catch(error => console.error('时间伸缩失败:', error));
+        }, STRETCH_RENDER_DELAY));
+    }
+
+    /**
+     * 更新片段头部的伸缩 / 移调标记
+     * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} badge - 标记元素
+     */
+    updateClipStretchBadge(clip, badge) {
+        if (!badge) return;
+
+        const parts = [];
+        if (clip.tempoLock) {
+            parts.push(`🔒 ${clip.originalBpm} BPM`);
+        } else if (clip.playbackRate !== 1) {
+            parts.push(`×${parseFloat(clip.playbackRate.toFixed(3))}`);
+        }
+        if (clip.pitch !== 0) {
+            parts.push(`${clip.pitch > 0 ? '+' : ''}${clip.pitch} st`);
+        }
+
+        badge.textContent = parts.join(' ');
+        badge.hidden = parts.length === 0;
+        badge.title = clip.tempoLock
+            ? `跟随工程速度（原始速度 ${clip.originalBpm} BPM，当前 ×${parseFloat(clip.playbackRate.toFixed(3))}）`
+            : '';
+    }
+
+    /**
+     * 重新绘制音轨上所有片段的淡入淡出（重叠关系变化会影响相邻片段的交叉淡化）
+     * @param {string} trackId - 音轨 ID
+     */
+    drawTrackFades(trackId) {
+        const track = audioEngine.getTrack(trackId);
+        if (!track) return;
+
+        track.clips.forEach(clip => this.drawClipFades(clip, track));
+    }
+
+    /**
+     * 绘制片段的节拍标记与生效的淡入淡出曲线（含自动交叉淡化），并定位手柄
+     * @param {AudioClip} clip - 音频片段
+     * @param {Track} track - 所在音轨
+     */
+    drawClipFades(clip, track) {
+        const clipEl = this.clipElements.get(clip.id);
+        const canvas = clipEl?.querySelector('.clip-fade-overlay');
+        if (!canvas) return;
+
+        const fades = track.getClipFades(clip);
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+
+        canvas.width = Math.ceil(width * dpr);
+        canvas.height = Math.ceil(height * dpr);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+
+        this.drawBeatMarkers(ctx, clip, height);
+
+        const fadeInWidth = fades.fadeIn * this.pixelsPerSecond;
+        const fadeOutWidth = fades.fadeOut * this.pixelsPerSecond;
+        this.drawFadeShape(ctx, fades.fadeInCurve, true, 0, fadeInWidth, height);
+        this.drawFadeShape(ctx, fades.fadeOutCurve, false, width - fadeOutWidth, width, height);
+
+        // 手柄位置对应片段自身的淡入淡出设置
+        clipEl.querySelector('.clip-fade-handle.in').style.left = `${clip.fadeIn * this.pixelsPerSecond}px`;
+        clipEl.querySelector('.clip-fade-handle.out').style.right = `${clip.fadeOut * this.pixelsPerSecond}px`;
+    }
+
+    /**
+     * 绘制导入时检测到的瞬态（细线）与第一个强拍（带三角标记）
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {AudioClip} clip - 音频片段
+     * @param {number} height - 画布高度
+     */
+    drawBeatMarkers(ctx, clip, height) {
+        const { transients, downbeat } = clip.getBeatMarkers();
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.22)';
+        transients.forEach(time => {
+            ctx.fillRect(Math.round(time * this.pixelsPerSecond), 0, 1, height);
+        });
+
+        if (downbeat !== null) {
+            const x = Math.round(downbeat * this.pixelsPerSecond);
+            ctx.fillStyle = 'rgba(245, 158, 11, 0.9)';
+            ctx.fillRect(x, 0, 1, height);
+            ctx.beginPath();
+            ctx.moveTo(x - 4, 0);
+            ctx.lineTo(x + 5, 0);
+            ctx.lineTo(x + 0.5, 6);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+
+    /**
+     * 绘制单段淡变曲线，并加暗曲线上方被衰减的区域
+     * @param {CanvasRenderingContext2D} ctx - 绘图上下文
+     * @param {string} curve - 曲线形状
+     * @param {boolean} isFadeIn - 是否为淡入
+     * @param {number} x0 - 起点 X
+     * @param {number} x1 - 终点 X
+     * @param {number} height - 高度
+     */
+    drawFadeShape(ctx, curve, isFadeIn, x0, x1, height) {
+        if (x1 - x0 <= 0) return;
+
+        const points = [];
+        for (let i = 0; i <= FADE_DRAW_STEPS; i++) {
+            const x = i / FADE_DRAW_STEPS;
+            const gain = getFadeGain(curve, isFadeIn ? x : 1 - x);
+            points.push([x0 + (x1 - x0) * x, height * (1 - gain)]);
+        }
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.35)';
+        ctx.beginPath();
+        ctx.moveTo(x0, 0);
+        points.forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.lineTo(x1, 0);
+        ctx.closePath();
+        ctx.fill();
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+    }
+
+    /**
+     * 按片段当前的尺寸与范围重新绘制波形（MIDI 片段重新绘制音符，节奏片段重新绘制步）
+     * @param {AudioClip|MidiClip|PatternClip} clip - 片段
+     */
+    refreshClipWaveform(clip) {
+        if (clip instanceof MidiClip) {
+            this.drawMidiClipNotes(clip);
+            return;
+        }
+        if (clip instanceof PatternClip) {
+            this.drawPatternClipSteps(clip);
+            return;
+        }
+
+        const waveform = this.clipWaveforms.get(clip.id);
+        if (!waveform) return;
+
+        waveform.resize();
+        waveform.setData(clip.getWaveformData(this.getWaveformResolution(clip)));
+    }
+
+    /**
+     * 绘制 MIDI 片段范围内的音符预览，纵向按音符的音域缩放
+     * @param {MidiClip} clip - MIDI 片段
+     */
+    drawMidiClipNotes(clip) {
+        const canvas = this.clipElements.get(clip.id)?.querySelector('.midi-clip-notes canvas');
+        if (!canvas) return;
+
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+
+        canvas.width = Math.ceil(width * dpr);
+        canvas.height = Math.ceil(height * dpr);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+
+        const tempoMap = audioEngine.tempoMap;
+        const notes = clip.getPlayableNotes(tempoMap);
+        if (notes.length === 0) return;
+
+        // 音域不足一个八度时上下补齐，避免少量音符被拉得过高
+        let low = Infinity;
+        let high = -Infinity;
+        notes.forEach(note => {
+            low = Math.min(low, note.pitch);
+            high = Math.max(high, note.pitch);
+        });
+        const rows = Math.max(MIN_NOTE_PREVIEW_ROWS, high - low + 1);
+        low -= Math.floor((rows - (high - low + 1)) / 2);
+        const rowHeight = height / rows;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        notes.forEach(note => {
+            const start = clip.beatToTime(tempoMap, note.start);
+            const end = clip.beatToTime(tempoMap, note.start + note.duration);
+            const x = (start - clip.startTime) * this.pixelsPerSecond;
+            const y = height - (note.pitch - low + 1) * rowHeight;
+            ctx.fillRect(x, y, Math.max(1, (end - start) * this.pixelsPerSecond - 1), Math.max(1, rowHeight - 1));
+        });
+    }
+
+    /**
+     * 绘制节奏片段范围内触发的步，每个通道一行，不透明度表示力度
+     * @param {PatternClip} clip - 节奏片段
+     */
+    drawPatternClipSteps(clip) {
+        const canvas = this.clipElements.get(clip.id)?.querySelector('.pattern-clip-steps canvas');
+        if (!canvas) return;
+
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const dpr = window.devicePixelRatio || 1;
+
+        canvas.width = Math.ceil(width * dpr);
+        canvas.height = Math.ceil(height * dpr);
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+
+        const rowHeight = height / Math.max(MIN_STEP_PREVIEW_ROWS, clip.channels.length);
+        const tempoMap = audioEngine.tempoMap;
+
+        clip.forEachHit(tempoMap, clip.startTime, clip.startTime + clip.duration, (time, channel, velocity) => {
+            const stepWidth = STEP_BEATS * 60 / tempoMap.getTempoAt(time) * this.pixelsPerSecond;
+            const x = (time - clip.startTime) * this.pixelsPerSecond;
+            const y = clip.channels.indexOf(channel) * rowHeight;
+            ctx.fillStyle = `rgba(255, 255, 255, ${0.35 + 0.6 * velocity / MAX_VELOCITY})`;
+            ctx.fillRect(x, y, Math.max(1, stepWidth - 1), Math.max(1, rowHeight - 1));
+        });
+    }
+
+    /**
+     * 替换节奏片段的节奏型，并同步显示
+     * @param {PatternClip} clip - 节奏片段
+     * @param {Object} pattern - 节奏型
+     */
+    setPatternClip(clip, pattern) {
+        clip.setPattern(pattern);
+        this.drawPatternClipSteps(clip);
+    }
+
+    /**
+     * 替换 MIDI 片段的音符，并同步显示
+     * @param {MidiClip} clip - MIDI 片段
+     * @param {Array<Object>} notes - 音符列表
+     */
+    setMidiClipNotes(clip, notes) {
+        clip.setNotes(notes);
+        this.drawMidiClipNotes(clip);
+    }
+
+    /**
+     * 获取片段波形的峰值数：当前缩放下每像素一个峰值
+     * @param {AudioClip} clip - 音频片段
+     * @returns {number}
+     */
+    getWaveformResolution(clip) {
+        const width = Math.round(clip.duration * this.pixelsPerSecond);
+        return Math.max(1, Math.min(MAX_WAVEFORM_POINTS, width));
+    }
+
+    /**
+     * 更新片段位置
+     * @param {AudioClip} clip - 音频片段
+     * @param {HTMLElement} clipEl - 片段元素
+     */
+    updateClipPosition(clip, clipEl) {
+        const left = clip.startTime * this.pixelsPerSecond;
+        const width = clip.duration * this.pixelsPerSecond;
+
+        clipEl.style.left = `${left}px`;
+        clipEl.style.width = `${Math.max(20, width)}px`;
+    }
+
+    /**
+     * 更新所有片段位置
+     */
+    updateAllClips() {
+        audioEngine.tracks.forEach(track => {
+            track.clips.forEach(clip => {
+                const clipEl = this.clipElements.get(clip.id);
+                if (clipEl) {
+                    this.updateClipPosition(clip, clipEl);
+                    this.refreshClipWaveform(clip);
+                }
+            });
+            this.drawTrackFades(track.id);
+        });
+    }
+
+    /**
+     * 设置片段的选中状态与样式
+     * @param {AudioClip} clip - 音频片段
+     * @param {boolean} selected - 是否选中
+     */
+    setClipSelected(clip, selected) {
+        clip.selected = selected;
+        if (selected) {
+            this.selectedClips.add(clip);
+        } else {
+            this.selectedClips.delete(clip);
+        }
+
+        const clipEl = this.clipElements.get(clip.id);
+        if (clipEl) {
+            clipEl.classList.toggle('selected', selected);
+        }
+    }
+
+    /**
+     * 选择片段
+     * @param {AudioClip} clip - 音频片段
+     * @param {boolean} [toggle] - 为 true 时切换该片段的选中状态并保留其他选择（Shift/Ctrl 点击）
+     */
+    selectClip(clip, toggle = false) {
+        if (toggle && this.selectedClips.has(clip)) {
+            this.deselectClip(clip);
+            return;
+        }
+
+        if (!toggle) {
+            this.getSelectedClips().forEach(c => this.setClipSelected(c, false));
+        }
+
+        this.setClipSelected(clip, true);
+        this.selectedClip = clip;
 
         if (this.onClipSelect) {
             this.onClipSelect(clip);
         }
     }
 
+    /**
+     * 用给定片段替换当前选择
+     * @param {AudioClip[]} clips - 音频片段列表
+     */
+    setSelection(clips) {
+        this.getSelectedClips().forEach(c => {
+            if (!clips.includes(c)) this.setClipSelected(c, false);
+        });
+        clips.forEach(c => this.setClipSelected(c, true));
+
+        if (!this.selectedClips.has(this.selectedClip)) {
+            this.selectedClip = clips[clips.length - 1] || null;
+        }
+    }
+
+    /**
+     * 选中所有音轨上的片段
+     */
+    selectAll() {
+        this.setSelection(audioEngine.tracks.flatMap(track => track.clips));
+    }
+
+    /**
+     * 获取选中的片段（按开始时间排序）
+     * @returns {AudioClip[]}
+     */
+    getSelectedClips() {
+        return [...this.selectedClips].sort((a, b) => a.startTime - b.startTime);
+    }
+
     /**
      * 取消选择
+     * @param {AudioClip} [clip] - 要取消选择的片段，省略时取消全部选择
      */
-    deselectClip() {
-        if (this.selectedClip) {
-            const clipEl = this.clipElements.get(this.selectedClip.id);
-            if (clipEl) {
-                clipEl.classList.remove('selected');
-            }
-            this.selectedClip.selected = false;
-            this.selectedClip = null;
+    deselectClip(clip) {
+        const clips = clip ? [clip] : this.getSelectedClips();
+        clips.forEach(c => this.setClipSelected(c, false));
+
+        if (!this.selectedClips.has(this.selectedClip)) {
+            this.selectedClip = [...this.selectedClips].pop() || null;
         }
     }
 
     /**
      * 删除选中的片段
      */
-    deleteSelectedClip() {
-        if (!this.selectedClip) return;
+    deleteSelectedClips() {
+        this.getSelectedClips().forEach(clip => {
+            const track = audioEngine.tracks.find(t => t.id === clip.trackId);
+
+            if (track) {
+                track.removeClip(clip.id);
+            }
 
-        const clip = this.selectedClip;
-        const track = audioEngine.tracks.find(t => t.id === clip.trackId);
+            this.removeClip(clip);
+        });
+    }
 
-        if (track) {
-            track.removeClip(clip.id);
+    /**
+     * 从时间线移除片段元素（不修改音轨数据）
+     * @param {AudioClip} clip - 音频片段
+     */
+    removeClip(clip) {
+        if (this.selectedClips.has(clip)) {
+            this.deselectClip(clip);
         }
 
         const clipEl = this.clipElements.get(clip.id);
@@ -507,18 +1830,90 @@ export class Timeline {
             this.clipWaveforms.delete(clip.id);
         }
         clip.selected = false;
-        this.selectedClip = null;
+        this.drawTrackFades(clip.trackId);
+    }
+
+    /**
+     * 设置片段所在音轨与开始时间，并同步显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {string} trackId - 目标音轨 ID
+     * @param {number} startTime - 开始时间（秒）
+     */
+    setClipPosition(clip, trackId, startTime) {
+        if (clip.trackId !== trackId) {
+            this.moveClipToTrack(clip, clip.trackId, trackId);
+        }
+
+        clip.setStartTime(startTime);
+
+        const track = audioEngine.getTrack(trackId);
+        if (track) {
+            track.sortClips();
+        }
+
+        const clipEl = this.clipElements.get(clip.id);
+        if (clipEl) {
+            this.updateClipPosition(clip, clipEl);
+        }
+        this.drawTrackFades(trackId);
     }
 
     /**
-     * 吸附时间到网格
+     * 设置片段名称，并同步显示
+     * @param {AudioClip} clip - 音频片段
+     * @param {string} name - 新名称
+     */
+    setClipName(clip, name) {
+        clip.name = name;
+
+        const nameSpan = this.clipElements.get(clip.id)?.querySelector('.clip-name');
+        if (nameSpan) {
+            nameSpan.textContent = name;
+        }
+    }
+
+    /**
+     * 吸附时间到网格（按速度轨换算，速度与拍号变化后网格随之变化）
      * @param {number} time - 时间（秒）
      * @returns {number}
      */
     snapTime(time) {
-        const secondsPerBeat = 60 / audioEngine.tempo;
-        const snapInterval = secondsPerBeat * this.gridSize;
-        return Math.round(time / snapInterval) * snapInterval;
+        return audioEngine.tempoMap.snap(time, this.gridSize);
+    }
+
+    /**
+     * 当前生效的吸附间隔
+     * @param {MouseEvent} [event] - 鼠标事件（按住 Shift 临时关闭吸附）
+     * @returns {number|null} 间隔（拍）；不吸附时为 null
+     */
+    getSnapStep(event) {
+        return this.snapToGrid && !event?.shiftKey ? this.gridSize : null;
+    }
+
+    /**
+     * 按当前设置吸附时间：关闭吸附或按住 Shift 时返回原值
+     * @param {number} time - 时间（秒）
+     * @param {MouseEvent} [event] - 鼠标事件（按住 Shift 临时关闭吸附）
+     * @returns {number}
+     */
+    snap(time, event) {
+        if (!this.snapToGrid || event?.shiftKey) return time;
+        return this.snapTime(time);
+    }
+
+    /**
+     * 吸附移动中的片段：起点与终点中离网格更近的一端对齐网格
+     * @param {number} startTime - 片段起点（秒）
+     * @param {number} duration - 片段时长（秒）
+     * @param {MouseEvent} [event] - 鼠标事件（按住 Shift 临时关闭吸附）
+     * @returns {number} 吸附后的起点
+     */
+    snapClipStart(startTime, duration, event) {
+        if (!this.snapToGrid || event?.shiftKey) return startTime;
+
+        const byStart = this.snapTime(startTime);
+        const byEnd = this.snapTime(startTime + duration) - duration;
+        return Math.abs(byStart - startTime) <= Math.abs(byEnd - startTime) ? byStart : byEnd;
     }
 
     /**
@@ -528,45 +1923,40 @@ export class Timeline {
      * @param {AudioClip} clip - 音频片段
      */
     showContextMenu(x, y, clip) {
-        // 移除已有的菜单
-        this.hideContextMenu();
-
-        const menu = document.createElement('div');
-        menu.className = 'context-menu';
-        menu.style.left = `${x}px`;
-        menu.style.top = `${y}px`;
+        // 分割点取鼠标所在位置
+        const clipRect = this.clipElements.get(clip.id)?.getBoundingClientRect();
+        const time = this.snap(clipRect ? clip.startTime + (x - clipRect.left) / this.pixelsPerSecond : clip.startTime);
 
         const items = [
+            { label: '🔪 在此处分割', action: 'split', shortcut: 'S' },
             { label: '📋 复制', action: 'copy', shortcut: 'Ctrl+C' },
             { label: '✂️ 剪切', action: 'cut', shortcut: 'Ctrl+X' },
             { label: '📑 复制到后方', action: 'duplicate', shortcut: 'Ctrl+D' },
             { label: '🗑️ 删除', action: 'delete', shortcut: 'Delete' }
         ];
 
-        items.forEach(item => {
-            const menuItem = document.createElement('div');
-            menuItem.className = 'context-menu-item';
-            menuItem.innerHTML = `<span>${item.label}</span><span class="shortcut">${item.shortcut}</span>`;
-            menuItem.addEventListener('click', () => {
-                this.hideContextMenu();
+        if (clip instanceof MidiClip) {
+            items.push({ label: '🎹 编辑音符…', action: 'edit-notes', shortcut: '双击' });
+        } else if (clip instanceof PatternClip) {
+            items.push({ label: '🥁 编辑节奏…', action: 'edit-pattern', shortcut: '双击' });
+        } else {
+            items.push(
+                { label: `${clip.tempoLock ? '✓' : '\u2003'} 跟随工程速度`, action: 'tempo-lock', shortcut: '' },
+                { label: '⏱️ 原始速度…', action: 'original-bpm', shortcut: clip.originalBpm ? `${clip.originalBpm} BPM` : '' },
+                { label: '↔️ 播放速率…', action: 'playback-rate', shortcut: `×${parseFloat(clip.playbackRate.toFixed(3))}` },
+                { label: '🎼 移调…', action: 'transpose', shortcut: clip.pitch ? `${clip.pitch > 0 ? '+' : ''}${clip.pitch}` : '' }
+            );
+        }
+
+        this.showMenu(x, y, items.map(({ label, action, shortcut }) => ({
+            label,
+            shortcut,
+            action: () => {
                 if (this.onContextMenuAction) {
-                    this.onContextMenuAction(item.action, clip);
+                    this.onContextMenuAction(action, clip, time);
                 }
-            });
-            menu.appendChild(menuItem);
-        });
-
-        document.body.appendChild(menu);
-        this.contextMenu = menu;
-
-        // 点击其他地方关闭菜单
-        const closeHandler = (e) => {
-            if (!menu.contains(e.target)) {
-                this.hideContextMenu();
             }
-        };
-        this.contextMenuCloseHandler = closeHandler;
-        setTimeout(() => document.addEventListener('click', closeHandler), 0);
+        })));
     }
 
     /**
@@ -635,6 +2025,9 @@ export class Timeline {
             toTrackEl.appendChild(clipEl);
             clipEl.dataset.trackId = String(toTrackId);
         }
+
+        this.drawTrackFades(fromTrackId);
+        this.drawTrackFades(toTrackId);
     }
 
     /**
@@ -645,53 +2038,40 @@ export class Timeline {
      * @param {MouseEvent} event - 鼠标事件
      */
     showTrackContextMenu(x, y, track, event) {
-        // 移除已有的菜单
-        this.hideContextMenu();
-
-        const menu = document.createElement('div');
-        menu.className = 'context-menu';
-        menu.style.left = `${x}px`;
-        menu.style.top = `${y}px`;
-
         // 计算点击位置的时间
         const trackEl = this.trackElements.get(track.id);
         if (!trackEl) return;
         const rect = trackEl.getBoundingClientRect();
         const clickX = event.clientX - rect.left;
-        const clickTime = this.snapToGrid ? this.snapTime(clickX / this.pixelsPerSecond) : clickX / this.pixelsPerSecond;
+        const clickTime = this.snap(clickX / this.pixelsPerSecond, event);
 
         const items = [
             { label: '📑 粘贴', action: 'paste', shortcut: 'Ctrl+V' },
             { label: '➕ 添加音轨', action: 'add-track', shortcut: '' },
+            { label: '🎹 添加 MIDI 音轨', action: 'add-midi-track', shortcut: '' },
+            { label: '🥁 添加节奏音轨', action: 'add-pattern-track', shortcut: '' },
             { label: '✏️ 重命名轨道', action: 'rename-track', shortcut: '' },
             { label: '🗑️ 删除轨道', action: 'delete-track', shortcut: '' }
         ];
 
-        items.forEach(item => {
-            const menuItem = document.createElement('div');
-            menuItem.className = 'context-menu-item';
-            const shortcutHtml = item.shortcut ? `<span class="shortcut">${item.shortcut}</span>` : '';
-            menuItem.innerHTML = `<span>${item.label}</span>${shortcutHtml}`;
-            menuItem.addEventListener('click', () => {
-                this.hideContextMenu();
+        if (track instanceof MidiTrack) {
+            items.unshift(
+                { label: '🎹 新建 MIDI 片段', action: 'add-midi-clip', shortcut: '双击' },
+                { label: '🎛️ 合成器…', action: 'edit-synth', shortcut: '' }
+            );
+        } else if (track instanceof PatternTrack) {
+            items.unshift({ label: '🥁 新建节奏片段', action: 'add-pattern-clip', shortcut: '双击' });
+        }
+
+        this.showMenu(x, y, items.map(({ label, action, shortcut }) => ({
+            label,
+            shortcut,
+            action: () => {
                 if (this.onTrackContextMenuAction) {
-                    this.onTrackContextMenuAction(item.action, track, clickTime);
+                    this.onTrackContextMenuAction(action, track, clickTime);
                 }
-            });
-            menu.appendChild(menuItem);
-        });
-
-        document.body.appendChild(menu);
-        this.contextMenu = menu;
-
-        // 点击其他地方关闭菜单
-        const closeHandler = (e) => {
-            if (!menu.contains(e.target)) {
-                this.hideContextMenu();
             }
-        };
-        this.contextMenuCloseHandler = closeHandler;
-        setTimeout(() => document.addEventListener('click', closeHandler), 0);
+        })));
     }
 
     /**
@@ -731,9 +2111,13 @@ export class Timeline {
         const finishEdit = () => {
             const newName = input.value.trim();
             if (newName && newName !== clip.name) {
-                clip.name = newName;
-                nameSpan.textContent = newName;
+                const oldName = clip.name;
+                this.setClipName(clip, newName);
                 console.log(`✏️ 片段已重命名为: ${newName}`);
+
+                if (this.onClipRename) {
+                    this.onClipRename(clip, oldName);
+                }
             }
             nameSpan.style.display = '';
             input.remove();
@@ -10,25 +10,52 @@ export class Toolbar {
         this.btnPlay = document.getElementById('btn-play');
         this.btnPause = document.getElementById('btn-pause');
         this.btnStop = document.getElementById('btn-stop');
+        this.btnRecord = document.getElementById('btn-record');
+        this.btnLoop = document.getElementById('btn-loop');
         this.bpmInput = document.getElementById('bpm-input');
+        this.btnMetronome = document.getElementById('btn-metronome');
+        this.metronomeVolume = document.getElementById('metronome-volume');
+        this.countInSelect = document.getElementById('count-in-select');
+        this.snapSelect = document.getElementById('snap-select');
         this.timeDisplay = document.getElementById('time-display');
         this.btnImport = document.getElementById('btn-import');
         this.fileInput = document.getElementById('file-input');
+        this.btnOpenProject = document.getElementById('btn-open-project');
+        this.btnSaveProject = document.getElementById('btn-save-project');
+        this.projectInput = document.getElementById('project-input');
+        this.btnExport = document.getElementById('btn-export');
 
         const missing = [];
         if (!this.btnPlay) missing.push('btn-play');
         if (!this.btnPause) missing.push('btn-pause');
         if (!this.btnStop) missing.push('btn-stop');
+        if (!this.btnRecord) missing.push('btn-record');
+        if (!this.btnLoop) missing.push('btn-loop');
         if (!this.bpmInput) missing.push('bpm-input');
+        if (!this.btnMetronome) missing.push('btn-metronome');
+        if (!this.metronomeVolume) missing.push('metronome-volume');
+        if (!this.countInSelect) missing.push('count-in-select');
+        if (!this.snapSelect) missing.push('snap-select');
         if (!this.timeDisplay) missing.push('time-display');
         if (!this.btnImport) missing.push('btn-import');
         if (!this.fileInput) missing.push('file-input');
+        if (!this.btnOpenProject) missing.push('btn-open-project');
+        if (!this.btnSaveProject) missing.push('btn-save-project');
+        if (!this.projectInput) missing.push('project-input');
+        if (!this.btnExport) missing.push('btn-export');
         if (missing.length > 0) {
             throw new Error(`Missing toolbar element: ${missing.join(', ')}`);
         }
 
         // 事件回调
         this.onFileImport = null;
+        this.onProjectOpen = null;
+        this.onProjectSave = null;
+        this.onExport = null;
+        this.onLoopToggle = null;
+        this.onRecordToggle = null;
+        this.onTempoChange = null;
+        this.onSnapChange = null;
 
         this.init();
     }
@@ -41,23 +68,41 @@ export class Toolbar {
         this.btnPlay?.addEventListener('click', () => this.handlePlay());
         this.btnPause?.addEventListener('click', () => this.handlePause());
         this.btnStop?.addEventListener('click', () => this.handleStop());
+        this.btnRecord?.addEventListener('click', () => {
+            if (this.onRecordToggle) {
+                this.onRecordToggle();
+            }
+        });
+        this.btnLoop?.addEventListener('click', () => this.handleLoopToggle());
 
         // BPM 输入
         this.bpmInput?.addEventListener('change', (e) => {
-            const bpm = this.validateAndClampBpm(e.target.value);
-            if (bpm === null) return;
-            this.bpmInput.value = bpm;
-            audioEngine.setTempo(bpm);
+            this.setBpm(e.target.value);
         });
 
         this.bpmInput?.addEventListener('wheel', (e) => {
             e.preventDefault();
             const delta = e.deltaY < 0 ? 1 : -1;
             const currentValue = this.validateAndClampBpm(this.bpmInput.value);
-            const nextValue = this.validateAndClampBpm((currentValue ?? 120) + delta);
-            if (nextValue === null) return;
-            this.bpmInput.value = nextValue;
-            audioEngine.setTempo(nextValue);
+            this.setBpm((currentValue ?? 120) + delta);
+        });
+
+        // 节拍器
+        this.btnMetronome?.addEventListener('click', () => this.handleMetronomeToggle());
+
+        this.metronomeVolume?.addEventListener('input', (e) => {
+            audioEngine.metronome.setVolume(parseInt(e.target.value, 10) / 100);
+        });
+
+        this.countInSelect?.addEventListener('change', (e) => {
+            audioEngine.metronome.setCountInBars(parseInt(e.target.value, 10));
+        });
+
+        // 吸附网格
+        this.snapSelect?.addEventListener('change', (e) => {
+            if (this.onSnapChange) {
+                this.onSnapChange(e.target.value);
+            }
         });
 
         // 文件导入
@@ -73,6 +118,32 @@ export class Toolbar {
             e.target.value = '';
         });
 
+        // 工程打开/保存
+        this.btnOpenProject?.addEventListener('click', () => {
+            this.openProjectDialog();
+        });
+
+        this.btnSaveProject?.addEventListener('click', () => {
+            if (this.onProjectSave) {
+                this.onProjectSave();
+            }
+        });
+
+        this.projectInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file && this.onProjectOpen) {
+                this.onProjectOpen(file);
+            }
+            e.target.value = '';
+        });
+
+        // 导出
+        this.btnExport?.addEventListener('click', () => {
+            if (this.onExport) {
+                this.onExport();
+            }
+        });
+
         // 音频引擎回调
         const prevTimeHandler = audioEngine.onTimeUpdate;
         audioEngine.onTimeUpdate = (time) => {
@@ -91,6 +162,13 @@ export class Toolbar {
         };
     }
 
+    /**
+     * 打开工程文件选择框
+     */
+    openProjectDialog() {
+        this.projectInput?.click();
+    }
+
     /**
      * 处理播放
      */
@@ -112,6 +190,60 @@ export class Toolbar {
         audioEngine.stop();
     }
 
+    /**
+     * 切换循环播放
+     * 尚未设置循环区域时，以播放头所在小节为起点创建 4 小节的区域
+     */
+    handleLoopToggle() {
+        const enabled = !audioEngine.loopEnabled;
+
+        if (enabled && !audioEngine.loopRegion) {
+            const { bar } = audioEngine.tempoMap.getBarAt(audioEngine.currentTime);
+            audioEngine.setLoopRegion(audioEngine.tempoMap.barToSeconds(bar), audioEngine.tempoMap.barToSeconds(bar + 4));
+        }
+
+        audioEngine.setLoopEnabled(enabled);
+        this.updateLoopState();
+
+        if (this.onLoopToggle) {
+            this.onLoopToggle(enabled);
+        }
+    }
+
+    /**
+     * 更新循环按钮状态
+     */
+    updateLoopState() {
+        this.btnLoop?.classList.toggle('active', audioEngine.loopEnabled);
+        this.btnLoop?.setAttribute('aria-pressed', String(audioEngine.loopEnabled));
+    }
+
+    /**
+     * 更新录音按钮状态
+     * @param {boolean} recording - 是否正在录音
+     */
+    updateRecordState(recording) {
+        this.btnRecord?.classList.toggle('active', recording);
+        this.btnRecord?.setAttribute('aria-pressed', String(recording));
+    }
+
+    /**
+     * 切换节拍器
+     */
+    handleMetronomeToggle() {
+        audioEngine.metronome.setEnabled(!audioEngine.metronome.enabled);
+        this.updateMetronomeState();
+    }
+
+    /**
+     * 更新节拍器按钮状态
+     */
+    updateMetronomeState() {
+        const enabled = audioEngine.metronome.enabled;
+        this.btnMetronome?.classList.toggle('active', enabled);
+        this.btnMetronome?.setAttribute('aria-pressed', String(enabled));
+    }
+
     /**
      * 更新时间显示
      * @param {number} time - 当前时间（秒）
@@ -154,6 +286,20 @@ export class Toolbar {
             this.bpmInput.value = validatedBpm;
         }
         audioEngine.setTempo(validatedBpm);
+
+        if (this.onTempoChange) {
+            this.onTempoChange(validatedBpm);
+        }
+    }
+
+    /**
+     * 按速度轨的起始速度刷新 BPM 输入框与时间显示（撤销或加载工程后调用）
+     */
+    updateBpmDisplay() {
+        if (this.bpmInput) {
+            this.bpmInput.value = audioEngine.getTempo();
+        }
+        this.updateTimeDisplay(audioEngine.currentTime);
     }
 
     /**
@@ -3,12 +3,19 @@
  * 负责显示和管理音轨列表
  */
 import { Track } from '../core/Track.js';
+import { MidiTrack } from '../core/MidiTrack.js';
+import { PatternTrack } from '../core/PatternTrack.js';
 import { audioEngine } from '../core/AudioEngine.js';
+import { Knob } from './Knob.js';
+import { formatPan } from '../utils/helpers.js';
+import { AUTOMATION_PARAMS } from '../core/Automation.js';
 
 export class TrackList {
     constructor() {
         this.container = document.getElementById('track-items');
         this.btnAddTrack = document.getElementById('btn-add-track');
+        this.btnAddMidiTrack = document.getElementById('btn-add-midi-track');
+        this.btnAddPatternTrack = document.getElementById('btn-add-pattern-track');
 
         if (!this.container) {
             console.error('TrackList: container #track-items not found');
@@ -19,6 +26,18 @@ export class TrackList {
 
         // 事件回调
         this.onTrackAdd = null;
+        this.onTrackAddRequest = null;
+        this.onVolumeChange = null;
+        this.onPanChange = null;
+        this.onAutomationToggle = null;
+        this.onAutomationParamChange = null;
+        this.onSynthClick = null;
+
+        // 声像旋钮映射
+        this.panKnobs = new Map();
+
+        // 自动化轨道头部映射
+        this.automationHeaders = new Map();
         this.onTrackSelect = null;
         this.onTrackUpdate = null;
 
@@ -35,21 +54,56 @@ export class TrackList {
         if (!this.btnAddTrack) return;
 
         this.btnAddTrack.addEventListener('click', () => {
-            this.addNewTrack();
+            if (this.onTrackAddRequest) {
+                this.onTrackAddRequest('audio');
+            } else {
+                this.addNewTrack();
+            }
         });
+
+        if (this.btnAddMidiTrack) {
+            this.btnAddMidiTrack.addEventListener('click', () => {
+                if (this.onTrackAddRequest) {
+                    this.onTrackAddRequest('midi');
+                } else {
+                    this.addNewTrack('midi');
+                }
+            });
+        }
+
+        if (this.btnAddPatternTrack) {
+            this.btnAddPatternTrack.addEventListener('click', () => {
+                if (this.onTrackAddRequest) {
+                    this.onTrackAddRequest('pattern');
+                } else {
+                    this.addNewTrack('pattern');
+                }
+            });
+        }
     }
 
     /**
      * 添加新音轨
+     * @param {string} [type='audio'] - 音轨类型：'audio'、'midi' 或 'pattern'
+     * @returns {Promise<Track>}
+     */
+    async addNewTrack(type = 'audio') {
+        const TrackClass = { midi: MidiTrack, pattern: PatternTrack }[type] || Track;
+        return this.addTrack(new TrackClass());
+    }
+
+    /**
+     * 添加已有音轨（如从工程恢复的音轨）
+     * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置，省略时追加到末尾
      * @returns {Promise<Track>}
      */
-    async addNewTrack() {
-        const track = new Track();
-        await audioEngine.addTrack(track);
-        this.renderTrack(track);
+    async addTrack(track, index) {
+        await audioEngine.addTrack(track, index);
+        this.renderTrack(track, index);
 
         if (this.onTrackAdd) {
-            this.onTrackAdd(track);
+            this.onTrackAdd(track, index);
         }
 
         return track;
@@ -58,12 +112,15 @@ export class TrackList {
     /**
      * 渲染单个音轨项
      * @param {Track} track - 音轨对象
+     * @param {number} [index] - 插入位置，省略时追加到末尾
      */
-    renderTrack(track) {
+    renderTrack(track, index) {
                 if (!this.container) return;
 
         const trackEl = document.createElement('div');
         trackEl.className = 'track-item';
+        trackEl.classList.toggle('midi', track instanceof MidiTrack);
+        trackEl.classList.toggle('pattern', track instanceof PatternTrack);
         trackEl.dataset.trackId = track.id;
 
                 const headerEl = document.createElement('div');
@@ -98,8 +155,38 @@ export class TrackList {
                 soloBtn.type = 'button';
                 soloBtn.textContent = 'S';
 
+                const armBtn = document.createElement('button');
+                armBtn.className = `track-ctrl-btn record-arm-btn${track.armed ? ' active' : ''}`;
+                armBtn.title = '录音待命';
+                armBtn.type = 'button';
+                armBtn.textContent = 'R';
+                armBtn.setAttribute('aria-pressed', String(track.armed));
+
+                const automationBtn = document.createElement('button');
+                automationBtn.className = 'track-ctrl-btn automation-btn';
+                automationBtn.title = '自动化';
+                automationBtn.type = 'button';
+                automationBtn.textContent = 'A';
+
                 controlsEl.appendChild(muteBtn);
                 controlsEl.appendChild(soloBtn);
+                // MIDI 音轨不录制音频，在同一位置显示合成器按钮；节奏音轨同样不录制
+                if (track instanceof MidiTrack) {
+                    const synthBtn = document.createElement('button');
+                    synthBtn.className = 'track-ctrl-btn synth-btn';
+                    synthBtn.title = '合成器';
+                    synthBtn.type = 'button';
+                    synthBtn.textContent = 'I';
+                    synthBtn.addEventListener('click', () => {
+                        if (this.onSynthClick) {
+                            this.onSynthClick(track);
+                        }
+                    });
+                    controlsEl.appendChild(synthBtn);
+                } else if (!(track instanceof PatternTrack)) {
+                    controlsEl.appendChild(armBtn);
+                }
+                controlsEl.appendChild(automationBtn);
 
                 headerEl.appendChild(nameEl);
                 headerEl.appendChild(controlsEl);
@@ -118,6 +205,17 @@ export class TrackList {
                 volumeValue.className = 'volume-value';
                 volumeValue.textContent = `${Math.round(track.volume * 100)}%`;
 
+                const panKnob = new Knob({
+                    min: -1,
+                    max: 1,
+                    value: track.pan,
+                    defaultValue: 0,
+                    size: 18,
+                    className: 'pan-knob',
+                    format: (value) => `声像 ${formatPan(value)}`
+                });
+
+                volumeEl.appendChild(panKnob.element);
                 volumeEl.appendChild(volumeSlider);
                 volumeEl.appendChild(volumeValue);
 
@@ -145,17 +243,103 @@ export class TrackList {
             this.handleSoloLogic();
         });
 
+        // 录音待命
+        armBtn.addEventListener('click', () => {
+            track.setArmed(!track.armed);
+            armBtn.classList.toggle('active', track.armed);
+            armBtn.setAttribute('aria-pressed', String(track.armed));
+        });
+
+        // 自动化轨道开关
+        automationBtn.addEventListener('click', () => {
+            const visible = !automationBtn.classList.contains('active');
+            this.setAutomationVisible(track.id, visible);
+
+            if (this.onAutomationToggle) {
+                this.onAutomationToggle(track, visible);
+            }
+        });
+
         volumeSlider.addEventListener('input', (e) => {
+            const previousVolume = track.volume;
             const volume = parseInt(e.target.value, 10) / 100;
             track.setVolume(volume);
+            this.handleSoloLogic();
             volumeValue.textContent = `${e.target.value}%`;
 
+            if (this.onVolumeChange) {
+                this.onVolumeChange(track, previousVolume);
+            }
+
             if (this.onTrackUpdate) {
                 this.onTrackUpdate(track);
             }
         });
 
-        this.container.appendChild(trackEl);
+        // 声像旋钮（双击居中）
+        panKnob.onInput = (pan, previousPan) => {
+            track.setPan(pan);
+
+            if (this.onPanChange) {
+                this.onPanChange(track, previousPan);
+            }
+        };
+        this.panKnobs.set(track.id, panKnob);
+
+        const trackEls = this.container.querySelectorAll(':scope > .track-item');
+        const nextEl = typeof index === 'number' ? trackEls[index] : null;
+        this.container.insertBefore(trackEl, nextEl || null);
+
+        const automationEl = this.renderAutomationHeader(track);
+        trackEl.after(automationEl);
+        this.automationHeaders.set(track.id, automationEl);
+    }
+
+    /**
+     * 渲染自动化轨道头部（与时间线中的自动化轨道对齐）
+     * @param {Track} track - 音轨对象
+     * @returns {HTMLElement}
+     */
+    renderAutomationHeader(track) {
+        const automationEl = document.createElement('div');
+        automationEl.className = 'track-automation';
+        automationEl.dataset.automationTrackId = track.id;
+        automationEl.hidden = true;
+
+        const paramSelect = document.createElement('select');
+        paramSelect.className = 'automation-param-select';
+        Object.keys(AUTOMATION_PARAMS).forEach(param => {
+            const option = document.createElement('option');
+            option.value = param;
+            option.textContent = AUTOMATION_PARAMS[param].label;
+            paramSelect.appendChild(option);
+        });
+
+        paramSelect.addEventListener('change', () => {
+            if (this.onAutomationParamChange) {
+                this.onAutomationParamChange(track, paramSelect.value);
+            }
+        });
+
+        automationEl.appendChild(paramSelect);
+        return automationEl;
+    }
+
+    /**
+     * 显示/隐藏自动化轨道头部
+     * @param {string} trackId - 音轨 ID
+     * @param {boolean} visible - 是否显示
+     */
+    setAutomationVisible(trackId, visible) {
+        const automationEl = this.automationHeaders.get(trackId);
+        if (automationEl) {
+            automationEl.hidden = !visible;
+        }
+
+        const automationBtn = this.container?.querySelector(`[data-track-id="${trackId}"] .automation-btn`);
+        if (automationBtn) {
+            automationBtn.classList.toggle('active', visible);
+        }
     }
 
     /**
@@ -163,19 +347,10 @@ export class TrackList {
      * 当有音轨启用独奏时，静音其他非独奏音轨
      */
     handleSoloLogic() {
-        const hasSolo = audioEngine.tracks.some(t => t.solo);
-
+        // 静音优先，其次有独奏时仅独奏音轨保留音量
         audioEngine.tracks.forEach(track => {
-            if (hasSolo) {
-                // 有独奏时：静音优先，其次独奏保留音量，其他为 0
-                if (track.gainNode) {
-                    track.gainNode.gain.value = track.muted ? 0 : (track.solo ? track.volume : 0);
-                }
-            } else {
-                // 无独奏时，恢复正常
-                if (track.gainNode) {
-                    track.gainNode.gain.value = track.muted ? 0 : track.volume;
-                }
+            if (track.gainNode) {
+                track.gainNode.gain.value = audioEngine.getTrackOutputGain(track);
             }
         });
     }
@@ -217,6 +392,14 @@ export class TrackList {
             this.selectedTrackId = null;
         }
 
+        this.panKnobs.delete(trackId);
+
+        const automationEl = this.automationHeaders.get(trackId);
+        if (automationEl) {
+            automationEl.remove();
+            this.automationHeaders.delete(trackId);
+        }
+
         this.handleSoloLogic();
     }
 
@@ -239,8 +422,13 @@ export class TrackList {
 
         const nameText = trackEl.querySelector('.track-name-text');
         const colorDot = trackEl.querySelector('.track-color');
+        const volumeSlider = trackEl.querySelector('.volume-slider');
+        const volumeValue = trackEl.querySelector('.volume-value');
 
         if (nameText) nameText.textContent = track.name;
         if (colorDot) colorDot.style.background = track.color;
+        if (volumeSlider) volumeSlider.value = String(Math.round(track.volume * 100));
+        if (volumeValue) volumeValue.textContent = `${Math.round(track.volume * 100)}%`;
+        this.panKnobs.get(track.id)?.setValue(track.pan);
     }
 }
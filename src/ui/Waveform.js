@@ -17,6 +17,9 @@ export class Waveform {
         this.lineColor = options.lineColor || '#818cf8';
         this.centerLineColor = options.centerLineColor || 'rgba(255,255,255,0.1)';
 
+        // 显示增益（片段增益），超过满刻度的部分截顶
+        this.gain = typeof options.gain === 'number' ? options.gain : 1;
+
         // 波形数据
         this.waveformData = null;
 
@@ -53,7 +56,7 @@ export class Waveform {
 
     /**
      * 设置波形数据并绘制
-     * @param {Float32Array} data - 波形数据
+     * @param {Array<{min: Float32Array, max: Float32Array}>|null} data - 各声道的波形数据，null 表示尚未生成
      */
     setData(data) {
         this.waveformData = data;
@@ -61,19 +64,28 @@ export class Waveform {
     }
 
     /**
-     * 绘制波形
-     * @param {Float32Array} data - 波形数据
+     * 设置显示增益并重新绘制
+     * @param {number} gain - 线性增益
+     */
+    setGain(gain) {
+        this.gain = gain;
+        if (this.waveformData) {
+            this.draw(this.waveformData);
+        }
+    }
+
+    /**
+     * 绘制波形，多声道时上下分栏显示（立体声上为左声道、下为右声道）
+     * @param {Array<{min: Float32Array, max: Float32Array}>} data - 各声道的波形数据
      */
     draw(data) {
-        if (!data || data.length === 0) {
+        if (!data || data.length === 0 || data[0].min.length === 0) {
             this.clear();
             return;
         }
 
         const { ctx, width, height } = this;
-        const centerY = height / 2;
-        const samples = data.length;
-        const barWidth = width / samples;
+        const laneHeight = height / data.length;
 
         // 清除画布
         ctx.clearRect(0, 0, width, height);
@@ -84,6 +96,25 @@ export class Waveform {
             ctx.fillRect(0, 0, width, height);
         }
 
+        data.forEach((channel, index) => {
+            this.drawChannel(channel, index * laneHeight, laneHeight);
+        });
+    }
+
+    /**
+     * 在指定高度范围内绘制单个声道（每个点为一段采样的最小/最大值）
+     * @param {{min: Float32Array, max: Float32Array}} data - 波形数据
+     * @param {number} top - 顶部 Y 坐标
+     * @param {number} height - 高度
+     */
+    drawChannel(data, top, height) {
+        const { ctx, width } = this;
+        const centerY = top + height / 2;
+        const samples = data.min.length;
+        const barWidth = width / samples;
+        const scale = height * 0.4;
+        const toY = (value) => centerY - Math.max(-1, Math.min(1, value * this.gain)) * scale;
+
         // 绘制中心线
         ctx.strokeStyle = this.centerLineColor;
         ctx.lineWidth = 1;
@@ -97,48 +128,33 @@ export class Waveform {
 
         for (let i = 0; i < samples; i++) {
             const x = i * barWidth;
-            const amplitude = data[i] * (height * 0.8);
-            const y = centerY - amplitude / 2;
+            const yMax = toY(data.max[i]);
+            const yMin = toY(data.min[i]);
 
-            // 绘制对称的波形条
-            ctx.fillRect(x, y, Math.max(1, barWidth - 0.5), amplitude);
+            // 从最大值画到最小值，至少 1 像素高
+            ctx.fillRect(x, yMax, Math.max(1, barWidth - 0.5), Math.max(1, yMin - yMax));
         }
 
-        // 绘制波形轮廓线
+        // 绘制波形轮廓线（最大值与最小值）
         ctx.strokeStyle = this.lineColor;
         ctx.lineWidth = 1;
-        ctx.beginPath();
-
-        for (let i = 0; i < samples; i++) {
-            const x = i * barWidth + barWidth / 2;
-            const amplitude = data[i] * (height * 0.4);
-            const y = centerY - amplitude;
-
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        }
 
-        ctx.stroke();
+        [data.max, data.min].forEach(values => {
+            ctx.beginPath();
 
-        // 绘制镜像轮廓
-        ctx.beginPath();
+            for (let i = 0; i < samples; i++) {
+                const x = i * barWidth + barWidth / 2;
+                const y = toY(values[i]);
 
-        for (let i = 0; i < samples; i++) {
-            const x = i * barWidth + barWidth / 2;
-            const amplitude = data[i] * (height * 0.4);
-            const y = centerY + amplitude;
-
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
             }
-        }
 
-        ctx.stroke();
+            ctx.stroke();
+        });
     }
 
     /**
@@ -163,7 +179,7 @@ export class Waveform {
  * 为 AudioClip 创建波形
  * @param {AudioClip} clip - 音频片段
  * @param {HTMLElement} container - 容器元素
- * @param {Object} options - 配置选项
+ * @param {Object} options - 配置选项，samples 为每个声道的峰值数（默认与画布像素宽度一致）
  * @returns {Waveform}
  */
 export function createWaveformForClip(clip, container, options = {}) {
@@ -172,8 +188,8 @@ export function createWaveformForClip(clip, container, options = {}) {
     canvas.style.height = '100%';
     container.appendChild(canvas);
 
-    const waveform = new Waveform(canvas, options);
-    const data = clip.getWaveformData(200);
+    const waveform = new Waveform(canvas, { gain: clip.gain, ...options });
+    const data = clip.getWaveformData(options.samples || Math.max(1, Math.round(waveform.width)));
     waveform.setData(data);
 
     return waveform;
@@ -0,0 +1,273 @@
+/**
+ * 节拍检测模块
+ * 由能量包络计算起音强度（onset），自相关估计速度，
+ * 再按节拍相位与强拍位置搜索第一个强拍，并挑出瞬态位置
+ */
+
+// 分析帧的跳跃间隔（秒），即起音强度曲线的时间分辨率
+const HOP_DURATION = 0.01;
+
+// 速度搜索范围（BPM）
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// 速度先验：以 120 BPM 为中心、标准差一个八度的对数高斯，抑制倍速 / 半速误判
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+
+// 去除起音强度缓慢变化的局部平均窗口（秒）
+const MEAN_WINDOW = 0.5;
+
+// 瞬态判定：高于局部平均的倍数与最小间隔（秒）
+const TRANSIENT_THRESHOLD = 1.5;
+const TRANSIENT_MIN_GAP = 0.05;
+
+// 细调节拍周期的搜索范围与步长（帧）
+const PERIOD_SEARCH = 1;
+const PERIOD_STEP = 0.02;
+
+// 帧 k 相对上一帧新增的是 [(k+1)·hop, (k+2)·hop) 的采样，起音时间按此补偿（帧）
+const ONSET_LATENCY = 1;
+
+// 假定每小节拍数（用于强拍位置）
+const BEATS_PER_BAR = 4;
+
+/**
+ * 计算起音强度曲线：全频段与高频（一阶差分）对数能量的正向变化之和
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {number} hop - 跳跃间隔（采样）
+ * @returns {{ onset: Float32Array, accent: Float32Array }} 起音强度与全频段能量的正向变化（用于判断重音）
+ */
+function computeOnsetStrength(channels, hop) {
+    const length = channels[0].length;
+    const frameSize = hop * 2;
+    const frames = Math.max(0, Math.floor((length - frameSize) / hop) + 1);
+
+    const full = new Float32Array(frames);
+    const high = new Float32Array(frames);
+
+    for (let k = 0; k < frames; k++) {
+        const start = k * hop;
+        let energy = 0;
+        let highEnergy = 0;
+        channels.forEach(data => {
+            let previous = start > 0 ? data[start - 1] : 0;
+            for (let i = start; i < start + frameSize; i++) {
+                const value = data[i];
+                const diff = value - previous;
+                energy += value * value;
+                highEnergy += diff * diff;
+                previous = value;
+            }
+        });
+        full[k] = Math.log(1 + 1000 * energy / frameSize);
+        high[k] = Math.log(1 + 1000 * highEnergy / frameSize);
+    }
+
+    const onset = new Float32Array(frames);
+    const accent = new Float32Array(frames);
+    for (let k = 1; k < frames; k++) {
+        accent[k] = Math.max(0, full[k] - full[k - 1]);
+        onset[k] = accent[k] + Math.max(0, high[k] - high[k - 1]);
+    }
+    return { onset, accent };
+}
+
+/**
+ * 减去局部平均并截断负值，突出短促的起音
+ * @param {Float32Array} onset - 起音强度
+ * @param {number} radius - 平均窗口半径（帧）
+ * @returns {{ novelty: Float32Array, mean: Float32Array }}
+ */
+function removeLocalMean(onset, radius) {
+    const frames = onset.length;
+    const prefix = new Float64Array(frames + 1);
+    for (let k = 0; k < frames; k++) {
+        prefix[k + 1] = prefix[k] + onset[k];
+    }
+
+    const mean = new Float32Array(frames);
+    const novelty = new Float32Array(frames);
+    for (let k = 0; k < frames; k++) {
+        const from = Math.max(0, k - radius);
+        const to = Math.min(frames, k + radius + 1);
+        mean[k] = (prefix[to] - prefix[from]) / (to - from);
+        novelty[k] = Math.max(0, onset[k] - mean[k]);
+    }
+    return { novelty, mean };
+}
+
+/**
+ * 自相关估计节拍周期
+ * @param {Float32Array} novelty - 起音强度
+ * @param {number} fps - 每秒帧数
+ * @returns {{ period: number, confidence: number }|null} 周期（帧，含小数）与置信度 (0-1)
+ */
+function estimatePeriod(novelty, fps) {
+    const frames = novelty.length;
+    const minLag = Math.floor(60 * fps / MAX_BPM);
+    const maxLag = Math.ceil(60 * fps / MIN_BPM);
+    if (frames < maxLag * 4) return null;
+
+    const autocorrelation = (lag) => {
+        let sum = 0;
+        for (let k = 0; k + lag < frames; k++) {
+            sum += novelty[k] * novelty[k + lag];
+        }
+        return sum / (frames - lag);
+    };
+
+    const energy = autocorrelation(0);
+    if (energy <= 0) return null;
+
+    // 计算到 4 倍最大周期，用于叠加倍数周期的相关
+    const values = new Float32Array(maxLag * 4 + 2);
+    for (let lag = minLag; lag < values.length && lag < frames; lag++) {
+        values[lag] = autocorrelation(lag);
+    }
+
+    let bestLag = -1;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const bpm = 60 * fps / lag;
+        const octaves = Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES;
+        const prior = Math.exp(-0.5 * octaves * octaves);
+        const score = (values[lag] + 0.5 * values[lag * 2] + 0.25 * values[lag * 4]) * prior;
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+
+    // 抛物线插值得到小数周期
+    const a = values[bestLag - 1] || 0;
+    const b = values[bestLag];
+    const c = values[bestLag + 1] || 0;
+    const denominator = a - 2 * b + c;
+    const shift = denominator < 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+
+    return {
+        period: bestLag + shift,
+        confidence: Math.max(0, Math.min(1, b / energy))
+    };
+}
+
+/**
+ * 寻找节拍网格：在自相关周期附近细调周期，并找出使落在节拍上的起音强度之和最大的相位
+ * 长音频中微小的周期误差会逐拍累积，因此周期与相位一起搜索
+ * @param {Float32Array} novelty - 起音强度
+ * @param {number} period - 初始节拍周期（帧）
+ * @returns {{ period: number, phase: number }} 周期与第一拍所在帧（含小数）
+ */
+function findBeatGrid(novelty, period) {
+    let best = { period, phase: 0 };
+    let bestScore = -Infinity;
+
+    for (let candidate = period - PERIOD_SEARCH; candidate <= period + PERIOD_SEARCH; candidate += PERIOD_STEP) {
+        for (let phase = 0; phase < candidate; phase += 0.5) {
+            let score = 0;
+            for (let position = phase; position < novelty.length; position += candidate) {
+                score += novelty[Math.round(position)] || 0;
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                best = { period: candidate, phase };
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * 在节拍中选出强拍：假定 4/4 拍，重音强度之和最大的一组拍为强拍
+ * @param {Float32Array} onset - 全频段能量的正向变化（低频为主，突出底鼓）
+ * @param {number} phase - 第一拍所在帧
+ * @param {number} period - 节拍周期（帧）
+ * @returns {number} 第一个强拍所在帧
+ */
+function findDownbeat(onset, phase, period) {
+    const scores = new Float32Array(BEATS_PER_BAR);
+    let beat = 0;
+    for (let position = phase; position < onset.length; position += period, beat++) {
+        const k = Math.round(position);
+        // 取节拍附近 ±1 帧的最大值，容忍小的节拍偏差
+        const strength = Math.max(onset[k - 1] || 0, onset[k] || 0, onset[k + 1] || 0);
+        scores[beat % BEATS_PER_BAR] += strength;
+    }
+
+    let best = 0;
+    for (let i = 1; i < BEATS_PER_BAR; i++) {
+        if (scores[i] > scores[best]) best = i;
+    }
+    return phase + best * period;
+}
+
+/**
+ * 挑出瞬态：高于局部平均一定倍数的局部峰值，且间隔不小于最小值
+ * @param {Float32Array} onset - 起音强度
+ * @param {Float32Array} mean - 局部平均
+ * @param {number} fps - 每秒帧数
+ * @returns {number[]} 瞬态时间（秒）
+ */
+function pickTransients(onset, mean, fps) {
+    let peak = 0;
+    for (let k = 0; k < onset.length; k++) {
+        if (onset[k] > peak) peak = onset[k];
+    }
+    const floor = peak * 0.1;
+    const minGap = TRANSIENT_MIN_GAP * fps;
+
+    const transients = [];
+    let last = -Infinity;
+    for (let k = 1; k < onset.length - 1; k++) {
+        const value = onset[k];
+        if (value <= floor || value <= mean[k] * TRANSIENT_THRESHOLD) continue;
+        if (value <= onset[k - 1] || value < onset[k + 1]) continue;
+        if (k - last < minGap) continue;
+
+        transients.push((k + ONSET_LATENCY) / fps);
+        last = k;
+    }
+    return transients;
+}
+
+/**
+ * 分析音频的速度、第一个强拍与瞬态
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {number} sampleRate - 采样率
+ * @returns {{ bpm: number|null, confidence: number, downbeat: number|null, transients: number[] }}
+ * 速度（BPM）、置信度 (0-1)、第一个强拍时间（秒）与瞬态时间（秒）；音频过短或无节奏时速度为 null
+ */
+export function detectBeats(channels, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate * HOP_DURATION));
+    const fps = sampleRate / hop;
+
+    const { onset, accent } = computeOnsetStrength(channels, hop);
+    const { novelty, mean } = removeLocalMean(onset, Math.round(MEAN_WINDOW * fps / 2));
+    const transients = pickTransients(onset, mean, fps);
+
+    const estimate = estimatePeriod(novelty, fps);
+    if (!estimate) {
+        return { bpm: null, confidence: 0, downbeat: null, transients };
+    }
+
+    const { period, phase } = findBeatGrid(novelty, estimate.period);
+    let downbeat = findDownbeat(accent, phase, period);
+
+    // 音频开头有静音时，跳过第一个瞬态之前的整小节
+    if (transients.length > 0) {
+        const firstOnset = transients[0] * fps - ONSET_LATENCY;
+        const barLength = period * BEATS_PER_BAR;
+        while (downbeat < firstOnset - period / 2) {
+            downbeat += barLength;
+        }
+    }
+
+    return {
+        bpm: Math.round(6000 * fps / period) / 100,
+        confidence: estimate.confidence,
+        downbeat: (downbeat + ONSET_LATENCY) / fps,
+        transients
+    };
+}
@@ -113,3 +113,46 @@ export function throttle(func, limit) {
         }
     };
 }
+
+/**
+ * 将 Base64 字符串解码为 ArrayBuffer
+ * @param {string} base64 - Base64 字符串
+ * @returns {ArrayBuffer}
+ */
+export function base64ToArrayBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+}
+
+/**
+ * 触发浏览器下载
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // 延迟释放，确保下载已开始
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * 格式化声像显示（C / L50 / R50）
+ * @param {number} pan - 声像 (-1 到 1)
+ * @returns {string}
+ */
+export function formatPan(pan) {
+    const amount = Math.round(Math.abs(pan) * 100);
+    if (amount === 0) return 'C';
+    return `${pan < 0 ? 'L' : 'R'}${amount}`;
+}
@@ -0,0 +1,111 @@
+/**
+ * 波形峰值模块
+ * 构建多级（mipmap）最小/最大值峰值，并按任意分辨率读取
+ */
+
+/**
+ * 各级峰值每个点覆盖的采样数，相邻两级相差 4 倍
+ */
+export const PEAK_LEVEL_SIZES = [64, 256, 1024, 4096, 16384];
+
+/**
+ * 构建多级峰值
+ * 第一级直接扫描采样，之后每一级由上一级合并得到
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {number[]} [levelSizes] - 各级覆盖的采样数（递增，且为前一级的整数倍）
+ * @returns {Array<{size: number, channels: Array<{min: Float32Array, max: Float32Array}>}>}
+ */
+export function buildPeakLevels(channels, levelSizes = PEAK_LEVEL_SIZES) {
+    const levels = [];
+
+    levelSizes.forEach((size, levelIndex) => {
+        const previous = levels[levelIndex - 1];
+
+        const levelChannels = channels.map((data, c) => {
+            const count = Math.ceil(data.length / size);
+            const min = new Float32Array(count);
+            const max = new Float32Array(count);
+
+            if (!previous) {
+                for (let i = 0; i < count; i++) {
+                    const end = Math.min((i + 1) * size, data.length);
+                    let lo = 0;
+                    let hi = 0;
+                    for (let j = i * size; j < end; j++) {
+                        const value = data[j];
+                        if (value < lo) lo = value;
+                        if (value > hi) hi = value;
+                    }
+                    min[i] = lo;
+                    max[i] = hi;
+                }
+            } else {
+                const ratio = size / previous.size;
+                const source = previous.channels[c];
+                for (let i = 0; i < count; i++) {
+                    const end = Math.min((i + 1) * ratio, source.min.length);
+                    let lo = 0;
+                    let hi = 0;
+                    for (let j = i * ratio; j < end; j++) {
+                        if (source.min[j] < lo) lo = source.min[j];
+                        if (source.max[j] > hi) hi = source.max[j];
+                    }
+                    min[i] = lo;
+                    max[i] = hi;
+                }
+            }
+
+            return { min, max };
+        });
+
+        levels.push({ size, channels: levelChannels });
+    });
+
+    return levels;
+}
+
+/**
+ * 读取采样范围内的峰值，选用不细于目标分辨率的最粗一级；
+ * 目标分辨率比第一级更细时直接扫描采样（此时范围很短）
+ * @param {Array} levels - buildPeakLevels() 的输出
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {number} start - 起始采样
+ * @param {number} end - 结束采样（不含）
+ * @param {number} points - 每个声道输出的点数
+ * @returns {Array<{min: Float32Array, max: Float32Array}>}
+ */
+export function readPeaks(levels, channels, start, end, points) {
+    const samplesPerPoint = (end - start) / points;
+
+    let level = null;
+    for (const candidate of levels) {
+        if (candidate.size <= samplesPerPoint) level = candidate;
+    }
+
+    return channels.map((data, c) => {
+        const min = new Float32Array(points);
+        const max = new Float32Array(points);
+        const source = level ? level.channels[c] : null;
+        const step = level ? level.size : 1;
+
+        for (let i = 0; i < points; i++) {
+            const from = start + Math.floor(i * samplesPerPoint);
+            const to = Math.min(Math.max(from + 1, start + Math.floor((i + 1) * samplesPerPoint)), end);
+
+            let lo = 0;
+            let hi = 0;
+            const first = Math.floor(from / step);
+            const last = Math.ceil(to / step);
+            for (let j = first; j < last; j++) {
+                const low = source ? source.min[j] : data[j];
+                const high = source ? source.max[j] : data[j];
+                if (low < lo) lo = low;
+                if (high > hi) hi = high;
+            }
+            min[i] = lo;
+            max[i] = hi;
+        }
+
+        return { min, max };
+    });
+}
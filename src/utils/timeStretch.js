@@ -0,0 +1,190 @@
+/**
+ * 时间伸缩与变调模块
+ * 使用 WSOLA（波形相似叠加）改变时长而不改变音高；
+ * 变调先伸缩再重采样，时长保持不变
+ */
+
+// 分析帧长（秒），约 40 毫秒，兼顾瞬态与低频
+const FRAME_DURATION = 0.04;
+
+// 寻找最相似位置的搜索范围（秒）
+const SEARCH_DURATION = 0.012;
+
+// 计算互相关时的采样步长，降低搜索开销
+const CORRELATION_STRIDE = 4;
+
+/**
+ * 将半音数换算为频率比
+ * @param {number} semitones - 半音数
+ * @returns {number}
+ */
+export function semitonesToRatio(semitones) {
+    return Math.pow(2, semitones / 12);
+}
+
+/**
+ * 创建 Hann 窗
+ * @param {number} size - 窗长
+ * @returns {Float32Array}
+ */
+function createHannWindow(size) {
+    const hann = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+        hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size);
+    }
+    return hann;
+}
+
+/**
+ * 各声道的平均值，用于寻找拼接位置（所有声道使用同一位置，保持声像）
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @returns {Float32Array}
+ */
+function mixToMono(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach(data => {
+        for (let i = 0; i < data.length; i++) {
+            mono[i] += data[i] / channels.length;
+        }
+    });
+    return mono;
+}
+
+/**
+ * 在搜索范围内寻找与参考片段最相似的起点
+ * @param {Float32Array} mono - 单声道采样
+ * @param {number} reference - 参考片段起点
+ * @param {number} from - 搜索起点
+ * @param {number} to - 搜索终点（含）
+ * @param {number} length - 比较长度
+ * @returns {number}
+ */
+function findBestOffset(mono, reference, from, to, length) {
+    let best = from;
+    let bestScore = -Infinity;
+
+    for (let pos = from; pos <= to; pos += 2) {
+        let score = 0;
+        for (let i = 0; i < length; i += CORRELATION_STRIDE) {
+            score += mono[pos + i] * mono[reference + i];
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            best = pos;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * WSOLA 时间伸缩：输出长度为输入的 stretch 倍，音高不变
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {number} stretch - 时长倍数（大于 1 变慢变长）
+ * @param {number} sampleRate - 采样率
+ * @returns {Float32Array[]}
+ */
+export function wsolaStretch(channels, stretch, sampleRate) {
+    const inputLength = channels[0].length;
+    const outputLength = Math.max(1, Math.round(inputLength * stretch));
+
+    const frameSize = Math.round(sampleRate * FRAME_DURATION / 2) * 2;
+    const hop = frameSize / 2;
+    const tolerance = Math.round(sampleRate * SEARCH_DURATION);
+    const hann = createHannWindow(frameSize);
+    const mono = mixToMono(channels);
+
+    // 输入太短时无法分帧，直接返回副本
+    if (inputLength <= frameSize + tolerance) {
+        return channels.map(data => {
+            const output = new Float32Array(outputLength);
+            output.set(data.subarray(0, Math.min(data.length, outputLength)));
+            return output;
+        });
+    }
+
+    const lastFrame = inputLength - frameSize;
+    const outputs = channels.map(() => new Float32Array(outputLength + frameSize));
+    const norm = new Float32Array(outputLength + frameSize);
+
+    let previous = 0;
+    for (let outputPos = 0; outputPos < outputLength; outputPos += hop) {
+        let inputPos = 0;
+
+        if (outputPos > 0) {
+            // 在名义位置附近寻找与上一帧自然延续最相似的位置
+            const nominal = Math.round(outputPos / stretch);
+            const reference = Math.min(lastFrame, previous + hop);
+            const from = Math.max(0, Math.min(lastFrame, nominal - tolerance));
+            const to = Math.max(from, Math.min(lastFrame, nominal + tolerance));
+            inputPos = findBestOffset(mono, reference, from, to, Math.min(hop, inputLength - reference));
+        }
+
+        channels.forEach((data, c) => {
+            const output = outputs[c];
+            for (let i = 0; i < frameSize; i++) {
+                output[outputPos + i] += data[inputPos + i] * hann[i];
+            }
+        });
+        for (let i = 0; i < frameSize; i++) {
+            norm[outputPos + i] += hann[i];
+        }
+
+        previous = inputPos;
+    }
+
+    return outputs.map(output => {
+        const result = output.subarray(0, outputLength);
+        for (let i = 0; i < outputLength; i++) {
+            if (norm[i] > 1e-3) result[i] /= norm[i];
+        }
+        return result.slice();
+    });
+}
+
+/**
+ * 线性插值重采样：按 ratio 倍速读取，长度变为 1/ratio
+ * @param {Float32Array} data - 采样数据
+ * @param {number} ratio - 读取速度
+ * @param {number} length - 输出长度
+ * @returns {Float32Array}
+ */
+function resample(data, ratio, length) {
+    const output = new Float32Array(length);
+    const last = data.length - 1;
+
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const index = Math.floor(position);
+        if (index >= last) {
+            output[i] = data[last] || 0;
+            continue;
+        }
+        const fraction = position - index;
+        output[i] = data[index] + (data[index + 1] - data[index]) * fraction;
+    }
+
+    return output;
+}
+
+/**
+ * 伸缩并变调：输出时长为输入的 stretch 倍，音高升高 semitones 个半音
+ * @param {Float32Array[]} channels - 各声道采样数据
+ * @param {Object} options - 处理参数
+ * @param {number} options.stretch - 时长倍数
+ * @param {number} options.semitones - 变调半音数
+ * @param {number} options.sampleRate - 采样率
+ * @returns {Float32Array[]}
+ */
+export function stretchChannels(channels, { stretch, semitones, sampleRate }) {
+    const pitchRatio = semitonesToRatio(semitones);
+    const outputLength = Math.max(1, Math.round(channels[0].length * stretch));
+
+    // 先多伸缩 pitchRatio 倍，再以 pitchRatio 倍速重采样回目标时长，音高随之升高
+    const stretched = wsolaStretch(channels, stretch * pitchRatio, sampleRate);
+    if (semitones === 0) return stretched;
+
+    return stretched.map(data => resample(data, pitchRatio, outputLength));
+}
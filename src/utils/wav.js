@@ -0,0 +1,97 @@
+/**
+ * WAV 编码模块
+ * 将 AudioBuffer 编码为 RIFF/WAVE 格式
+ */
+
+/**
+ * 支持的位深
+ * 16/24 为整数 PCM，32 为 IEEE 浮点
+ */
+export const WAV_BIT_DEPTHS = [16, 24, 32];
+
+/**
+ * 将 AudioBuffer 编码为 WAV
+ * @param {AudioBuffer} audioBuffer - 音频缓冲区
+ * @param {Object} [options] - 编码选项
+ * @param {number} [options.bitDepth=16] - 位深（16、24 或 32 浮点）
+ * @returns {ArrayBuffer} WAV 文件数据
+ */
+export function encodeWav(audioBuffer, options = {}) {
+    const bitDepth = options.bitDepth || 16;
+    if (!WAV_BIT_DEPTHS.includes(bitDepth)) {
+        throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+
+    const numChannels = audioBuffer.numberOfChannels;
+    const sampleRate = audioBuffer.sampleRate;
+    const numFrames = audioBuffer.length;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+    const isFloat = bitDepth === 32;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF 头
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt 块
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, isFloat ? 3 : 1, true); // 3 = IEEE float, 1 = PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data 块
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const channels = [];
+    for (let c = 0; c < numChannels; c++) {
+        channels.push(audioBuffer.getChannelData(c));
+    }
+
+    // 交错写入采样
+    let pos = 44;
+    for (let i = 0; i < numFrames; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = channels[c][i];
+
+            if (isFloat) {
+                view.setFloat32(pos, sample, true);
+            } else {
+                const clamped = Math.max(-1, Math.min(1, sample));
+                if (bitDepth === 16) {
+                    view.setInt16(pos, clamped < 0 ? clamped * 0x8000 : clamped * 0x7FFF, true);
+                } else {
+                    const value = Math.round(clamped < 0 ? clamped * 0x800000 : clamped * 0x7FFFFF);
+                    view.setUint8(pos, value & 0xFF);
+                    view.setUint8(pos + 1, (value >> 8) & 0xFF);
+                    view.setUint8(pos + 2, (value >> 16) & 0xFF);
+                }
+            }
+
+            pos += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}
+
+/**
+ * 写入 ASCII 字符串
+ * @param {DataView} view - 目标视图
+ * @param {number} offset - 写入位置
+ * @param {string} str - 字符串
+ */
+function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+        view.setUint8(offset + i, str.charCodeAt(i));
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * ZIP 打包模块
+ * 生成与读取仅存储（不压缩）的 ZIP 文件，适合已编码的音频数据
+ */
+
+let crcTable = null;
+
+/**
+ * 计算 CRC-32
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * 将日期转换为 DOS 时间/日期格式
+ * @param {Date} date - 日期
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * 创建 ZIP 文件
+ * @param {Array<{name: string, data: ArrayBuffer|Uint8Array}>} files - 文件列表
+ * @returns {Blob}
+ */
+export function createZip(files) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = encoder.encode(file.name);
+        const data = file.data instanceof Uint8Array ? file.data : new Uint8Array(file.data);
+        const crc = crc32(data);
+
+        // 本地文件头
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);          // 所需版本
+        header.setUint16(6, 0x0800, true);      // UTF-8 文件名
+        header.setUint16(8, 0, true);           // 仅存储
+        header.setUint16(10, time, true);
+        header.setUint16(12, date, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        parts.push(header, nameBytes, data);
+
+        // 中央目录记录
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true);
+        entry.setUint16(4, 20, true);           // 创建版本
+        entry.setUint16(6, 20, true);           // 所需版本
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, time, true);
+        entry.setUint16(14, date, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);      // 本地文件头偏移
+
+        centralDirectory.push(entry, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+
+    // 中央目录结束记录
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, directorySize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+/**
+ * 判断数据是否为 ZIP 文件（以本地文件头签名开头）
+ * @param {ArrayBuffer} buffer - 文件数据
+ * @returns {boolean}
+ */
+export function isZip(buffer) {
+    return buffer.byteLength >= 4 && new DataView(buffer).getUint32(0, true) === 0x04034B50;
+}
+
+/**
+ * 读取 ZIP 文件（只支持 createZip 生成的仅存储条目）
+ * @param {ArrayBuffer} buffer - 文件数据
+ * @returns {Map<string, Uint8Array>} 文件名到内容的映射（每个条目复制为独立的缓冲区）
+ */
+export function readZip(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+
+    // 从末尾向前查找中央目录结束记录（其后可能跟随最长 65535 字节的注释）
+    let endOffset = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054B50) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Invalid ZIP file');
+    }
+
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const files = new Map();
+
+    for (let i = 0; i < count; i++) {
+        if (view.getUint32(offset, true) !== 0x02014B50) {
+            throw new Error('Invalid ZIP central directory');
+        }
+
+        const method = view.getUint16(offset + 10, true);
+        const size = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const headerOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        if (method !== 0) {
+            throw new Error(`Unsupported ZIP compression method: ${method}`);
+        }
+
+        // 数据位于本地文件头之后，本地头的扩展字段长度可能与中央目录不同
+        const dataStart = headerOffset + 30 +
+            view.getUint16(headerOffset + 26, true) + view.getUint16(headerOffset + 28, true);
+        files.set(name, new Uint8Array(buffer.slice(dataStart, dataStart + size)));
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return files;
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { AudioAnalyzer } from '../../src/core/AudioAnalyzer.js';
+import { FakeAudioBuffer } from '../helpers/FakeAudioContext.js';
+
+describe('AudioAnalyzer', () => {
+    it('没有 Worker 时在主线程分析，同一音频只分析一次', async () => {
+        const analyzer = new AudioAnalyzer();
+        const buffer = new FakeAudioBuffer({ length: 8000, sampleRate: 8000 });
+
+        const first = analyzer.analyze(buffer);
+        expect(analyzer.analyze(buffer)).toBe(first);
+
+        const analysis = await first;
+        expect(analysis).toMatchObject({ bpm: null, transients: [] });
+        expect(analyzer.get(buffer)).toBe(analysis);
+        expect(await analyzer.analyze(buffer)).toBe(analysis);
+    });
+});
@@ -0,0 +1,255 @@
+import { describe, it, expect } from 'vitest';
+import { AudioClip, getFadeGain } from '../../src/core/AudioClip.js';
+import { peakCache } from '../../src/core/PeakCache.js';
+import { FakeAudioBuffer } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建只提供时长的音频缓冲（修剪与分割只用到时长）
+ * @param {number} duration - 时长（秒）
+ * @returns {Object}
+ */
+function createBuffer(duration) {
+    return { duration, numberOfChannels: 1, sampleRate: 48000, length: Math.round(duration * 48000) };
+}
+
+/**
+ * 音频开头在时间线上的位置（startTime - offset），修剪起点时应保持不变
+ * @param {AudioClip} clip - 音频片段
+ * @returns {number}
+ */
+function contentStart(clip) {
+    return clip.startTime - clip.offset;
+}
+
+describe('AudioClip 修剪', () => {
+    it('修剪起点保持终点与音频内容位置不变', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2 });
+        clip.trimStart(3.5);
+
+        expect(clip.startTime).toBe(3.5);
+        expect(clip.offset).toBeCloseTo(1.5);
+        expect(clip.startTime + clip.duration).toBeCloseTo(12);
+        expect(contentStart(clip)).toBeCloseTo(2);
+    });
+
+    it('修剪起点不能越过音频开头、时间线零点与最短时长', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2, offset: 1, duration: 5 });
+
+        clip.trimStart(0);
+        expect(clip.startTime).toBeCloseTo(1);
+        expect(clip.offset).toBeCloseTo(0);
+
+        clip.trimStart(100);
+        expect(clip.startTime + clip.duration).toBeCloseTo(7);
+        expect(clip.duration).toBeCloseTo(0.1);
+    });
+
+    it('修剪终点不能超过音频结尾', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2, offset: 3, duration: 4 });
+
+        clip.trimEnd(20);
+        expect(clip.duration).toBeCloseTo(7);
+        expect(clip.offset + clip.duration).toBeCloseTo(clip.getOriginalDuration());
+    });
+
+    it('修剪后淡入淡出之和不超过片段时长', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), fadeIn: 3, fadeOut: 3 });
+
+        clip.trimEnd(4);
+        expect(clip.fadeIn).toBe(3);
+        expect(clip.fadeIn + clip.fadeOut).toBeCloseTo(4);
+    });
+
+    it('滑动编辑只改变偏移，且保持在音频范围内', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2, duration: 4 });
+
+        clip.setOffset(5);
+        expect(clip.startTime).toBe(2);
+        expect(clip.duration).toBe(4);
+        expect(clip.offset).toBe(5);
+
+        clip.setOffset(9);
+        expect(clip.offset).toBe(6);
+        clip.setOffset(-1);
+        expect(clip.offset).toBe(0);
+    });
+});
+
+describe('AudioClip 分割', () => {
+    it('两部分首尾相接，覆盖原片段的时间与音频范围', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2, offset: 1, duration: 6 });
+        const right = clip.split(5);
+
+        expect(clip.startTime).toBe(2);
+        expect(clip.duration).toBeCloseTo(3);
+        expect(right.startTime).toBe(5);
+        expect(right.duration).toBeCloseTo(3);
+        expect(right.offset).toBeCloseTo(4);
+        expect(contentStart(right)).toBeCloseTo(contentStart(clip));
+        expect(right.audioBuffer).toBe(clip.audioBuffer);
+    });
+
+    it('左半部分保留淡入，右半部分保留淡出', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), fadeIn: 1, fadeOut: 2 });
+        const right = clip.split(5);
+
+        expect([clip.fadeIn, clip.fadeOut]).toEqual([1, 0]);
+        expect([right.fadeIn, right.fadeOut]).toEqual([0, 2]);
+    });
+
+    it('分割点不在片段内部或过于靠近边缘时不分割', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), startTime: 2, duration: 4 });
+
+        expect(clip.split(1)).toBeNull();
+        expect(clip.split(2.05)).toBeNull();
+        expect(clip.split(5.95)).toBeNull();
+        expect(clip.split(7)).toBeNull();
+        expect(clip.duration).toBe(4);
+    });
+
+    it('伸缩后的片段按时间线时间分割', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10) });
+        clip.setPlaybackRate(2);
+        const right = clip.split(2);
+
+        expect(clip.duration).toBeCloseTo(2);
+        expect(right.offset).toBeCloseTo(2);
+        expect(right.offset + right.duration).toBeCloseTo(right.getOriginalDuration());
+        expect(right.playbackRate).toBe(2);
+    });
+});
+
+describe('AudioClip 淡入淡出', () => {
+    it('各曲线从 0 升到 1，等功率曲线在中点为 -3dB', () => {
+        ['linear', 'equal-power', 'exponential', 's-curve'].forEach(curve => {
+            expect(getFadeGain(curve, 0)).toBeCloseTo(0);
+            expect(getFadeGain(curve, 1)).toBeCloseTo(1);
+        });
+        expect(getFadeGain('equal-power', 0.5)).toBeCloseTo(Math.SQRT1_2);
+        expect(getFadeGain('exponential', 0.5)).toBe(0.25);
+    });
+
+    it('淡入与淡出之和不超过片段时长，无效曲线回退为线性', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), duration: 4, fadeInCurve: 'bogus' });
+
+        clip.setFadeIn(3);
+        clip.setFadeOut(3);
+        expect(clip.fadeOut).toBe(1);
+        expect(clip.fadeInCurve).toBe('linear');
+
+        clip.setFadeCurve('out', 's-curve');
+        expect(clip.getFades()).toEqual({ fadeIn: 3, fadeOut: 1, fadeInCurve: 'linear', fadeOutCurve: 's-curve' });
+    });
+});
+
+describe('AudioClip 片段增益', () => {
+    it('增益限制在静音到 +12 dB 之间，并随工程保存', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), gain: 0.5 });
+
+        clip.setGain(-1);
+        expect(clip.gain).toBe(0);
+        clip.setGain(10);
+        expect(clip.gain).toBeCloseTo(Math.pow(10, 12 / 20));
+
+        clip.setGain(0.25);
+        expect(AudioClip.fromJSON(clip.toJSON(), clip.audioBuffer).gain).toBe(0.25);
+    });
+});
+
+describe('AudioClip 波形数据', () => {
+    it('从共享的峰值缓存读取片段范围内各声道的波形', async () => {
+        const buffer = new FakeAudioBuffer({ numberOfChannels: 2, length: 800, sampleRate: 800 });
+        buffer.getChannelData(0)[300] = -0.5;
+        buffer.getChannelData(1)[500] = 0.25;
+        const clip = new AudioClip({ audioBuffer: buffer, offset: 0.25, duration: 0.5 });
+
+        expect(clip.getWaveformData(2)).toBeNull();
+        await peakCache.request(buffer);
+
+        const [left, right] = clip.getWaveformData(2);
+        expect(Array.from(left.min)).toEqual([-0.5, 0]);
+        expect(Array.from(right.max)).toEqual([0, 0.25]);
+        expect(clip.getWaveformData(2)).toBe(clip.waveformData);
+    });
+});
+
+describe('AudioClip 时间伸缩', () => {
+    it('改变播放速率时时长、偏移与淡入淡出按比例缩放', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), offset: 2, duration: 6, fadeIn: 1, fadeOut: 0.5 });
+        clip.setPlaybackRate(2);
+
+        expect(clip.getOriginalDuration()).toBe(5);
+        expect(clip.offset).toBe(1);
+        expect(clip.duration).toBe(3);
+        expect([clip.fadeIn, clip.fadeOut]).toEqual([0.5, 0.25]);
+        expect(clip.isStretched()).toBe(true);
+
+        clip.setPlaybackRate(1);
+        expect(clip.duration).toBe(6);
+        expect(clip.isStretched()).toBe(false);
+    });
+
+    it('播放速率与移调限制在允许范围内', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10) });
+
+        clip.setPlaybackRate(10);
+        expect(clip.playbackRate).toBe(4);
+        expect(clip.duration).toBe(2.5);
+        clip.setPlaybackRate(0.1);
+        expect(clip.playbackRate).toBe(0.25);
+
+        clip.setPitch(30.4);
+        expect(clip.pitch).toBe(24);
+        clip.setPitch(-3.4);
+        expect(clip.pitch).toBe(-3);
+    });
+
+    it('跟随速度时播放速率为工程速度与原始速度之比', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(8) });
+
+        // 100 BPM 的素材放到 120 BPM 的工程中：速率 1.2，8 秒变为 8 / 1.2 秒
+        clip.setStretch({ originalBpm: 100, tempoLock: true, pitch: 0, playbackRate: 120 / 100 });
+        expect(clip.tempoLock).toBe(true);
+        expect(clip.duration).toBeCloseTo(8 / 1.2);
+
+        // 速度变为 80 BPM 后重新伸缩
+        clip.setStretch({ ...clip.getStretch(), playbackRate: 80 / 100 });
+        expect(clip.duration).toBeCloseTo(10);
+    });
+
+    it('缺少原始速度时不能跟随速度', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(8), tempoLock: true });
+        expect(clip.tempoLock).toBe(false);
+
+        clip.setStretch({ originalBpm: 90, tempoLock: true, pitch: 0, playbackRate: 1 });
+        clip.setOriginalBpm(0);
+        expect(clip.originalBpm).toBeNull();
+        expect(clip.tempoLock).toBe(false);
+    });
+
+    it('伸缩设置随工程保存', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(8), playbackRate: 1.5, pitch: -2, originalBpm: 96, tempoLock: true });
+        const restored = AudioClip.fromJSON(clip.toJSON(), clip.audioBuffer);
+
+        expect(restored.getStretch()).toEqual({ playbackRate: 1.5, pitch: -2, originalBpm: 96, tempoLock: true });
+    });
+});
+
+describe('AudioClip 节拍标记', () => {
+    it('瞬态与强拍换算为相对片段起点的时间，只保留片段范围内的标记', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), offset: 1, duration: 4 });
+        clip.setAnalysis({ transients: [0.5, 1.5, 3, 6], downbeat: 0.5 });
+
+        expect(clip.getBeatMarkers()).toEqual({ transients: [0.5, 2], downbeat: null });
+    });
+
+    it('伸缩后标记按播放速率换算，切分后的片段共享分析结果', () => {
+        const clip = new AudioClip({ audioBuffer: createBuffer(10), transients: [1, 2, 4], downbeat: 2 });
+        clip.setPlaybackRate(2);
+
+        expect(clip.getBeatMarkers()).toEqual({ transients: [0.5, 1, 2], downbeat: 1 });
+
+        const right = clip.split(1.5);
+        expect(right.getBeatMarkers()).toEqual({ transients: [0.5], downbeat: null });
+    });
+});
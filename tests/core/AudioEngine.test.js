@@ -0,0 +1,405 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { Track } from '../../src/core/Track.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+import { MidiClip } from '../../src/core/MidiClip.js';
+import { FakeAudioContext, FakeAudioBuffer } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建使用替身上下文的引擎，包含一条音轨，音轨上的片段各长 10 秒
+ * @param {number[]} [startTimes=[0]] - 各片段的起点（秒）
+ * @returns {Promise<AudioEngine>}
+ */
+async function createEngine(startTimes = [0]) {
+    const engine = new AudioEngine();
+    engine.audioContext = new FakeAudioContext();
+    engine.masterGain = engine.audioContext.createGain();
+    engine.metronome.connect(engine.audioContext, engine.audioContext.destination);
+
+    const track = new Track({ name: 'Audio' });
+    startTimes.forEach(startTime => {
+        track.addClip(new AudioClip({ audioBuffer: new FakeAudioBuffer({ length: 441000 }), startTime }));
+    });
+    await engine.addTrack(track);
+
+    return engine;
+}
+
+/**
+ * 获取已创建的音频源的 start() 参数
+ * @param {AudioEngine} engine - 音频引擎
+ * @returns {Array<{ when: number, offset: number, duration: number }>}
+ */
+function getSourceStarts(engine) {
+    return engine.audioContext.getNodes('bufferSource').map(source => source.starts[0]);
+}
+
+describe('AudioEngine 循环区域', () => {
+    it('循环区域按起止排序，过短的区域视为未设置', () => {
+        const engine = new AudioEngine();
+
+        engine.setLoopRegion(4, 2);
+        expect(engine.loopRegion).toEqual({ start: 2, end: 4 });
+        engine.setLoopRegion(1, 1.01);
+        expect(engine.loopRegion).toBeNull();
+    });
+
+    it('只有开启循环且播放位置在循环终点之前时循环生效', () => {
+        const engine = new AudioEngine();
+        engine.setLoopRegion(1, 3);
+
+        expect(engine.getActiveLoop(0)).toBeNull();
+        engine.setLoopEnabled(true);
+        expect(engine.getActiveLoop(2)).toEqual({ start: 1, end: 3 });
+        expect(engine.getActiveLoop(3)).toBeNull();
+    });
+});
+
+describe('AudioEngine 淡入淡出', () => {
+    it('从淡入中途开始播放时只写入剩余部分的曲线', () => {
+        const engine = new AudioEngine();
+        const context = new FakeAudioContext();
+        const clip = new AudioClip({
+            audioBuffer: new FakeAudioBuffer({ length: 441000 }),
+            duration: 4,
+            fadeIn: 2,
+            fadeOut: 1,
+            fadeOutCurve: 's-curve'
+        });
+
+        const { source, gainNode } = engine.scheduleClip(context, clip, context.destination, 1, 10);
+        const [envelope] = context.getNodes('gain');
+        const [fadeIn, fadeOut] = envelope.gain.events;
+
+        expect(source.outputs).toEqual([envelope]);
+        expect(envelope.outputs).toEqual([gainNode]);
+        expect(fadeIn).toMatchObject({ type: 'curve', time: 10, duration: 1 });
+        expect(fadeIn.values[0]).toBeCloseTo(0.5);
+        expect(fadeIn.values.at(-1)).toBeCloseTo(1);
+        expect(fadeOut).toMatchObject({ type: 'curve', time: 12, duration: 1 });
+        expect(fadeOut.values[0]).toBeCloseTo(1);
+        expect(fadeOut.values.at(-1)).toBeCloseTo(0);
+    });
+
+    it('伸缩结果尚未渲染时以变速方式播放原始音频', () => {
+        const engine = new AudioEngine();
+        const context = new FakeAudioContext();
+        const clip = new AudioClip({ audioBuffer: new FakeAudioBuffer({ length: 441000 }), startTime: 1 });
+        clip.setPlaybackRate(2);
+
+        const { source } = engine.scheduleClip(context, clip, context.destination, 2, 0);
+
+        // 时间线上 1 秒对应原始音频 2 秒
+        expect(source.buffer).toBe(clip.audioBuffer);
+        expect(source.playbackRate.value).toBe(2);
+        expect(source.starts).toEqual([{ when: 0, offset: 2, duration: 8 }]);
+    });
+
+    it('交叉淡化改变后片段签名随之改变', async () => {
+        const engine = await createEngine([0, 12]);
+        const [track] = engine.tracks;
+        const [left, right] = track.clips;
+        const before = engine.getClipSignature(left, track);
+
+        right.setStartTime(14);
+        expect(engine.getClipSignature(left, track)).toBe(before);
+        right.setStartTime(7);
+        expect(engine.getClipSignature(left, track)).not.toBe(before);
+    });
+});
+
+describe('AudioEngine 片段增益', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('requestAnimationFrame', () => 1);
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('片段增益位于淡变包络之后，播放中修改时直接更新而不重新调度', async () => {
+        const engine = await createEngine();
+        const [clip] = engine.tracks[0].clips;
+        clip.setGain(0.5);
+        await engine.play();
+
+        const [entry] = engine.scheduledClips;
+        expect(entry.gainNode.gain.value).toBe(0.5);
+        expect(entry.gainNode.outputs).toEqual([engine.tracks[0].inputNode]);
+
+        clip.setGain(2);
+        engine.updateClipGain(clip);
+        engine.scheduleAhead();
+        expect(entry.gainNode.gain.value).toBe(2);
+        expect(engine.scheduledClips).toEqual([entry]);
+        expect(entry.source.stopped).toBe(false);
+    });
+});
+
+describe('AudioEngine 循环播放', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('requestAnimationFrame', () => 1);
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('第一遍播放到循环终点，下一遍在边界前提前调度并首尾相接', async () => {
+        const engine = await createEngine();
+        engine.setLoopRegion(1, 3);
+        engine.setLoopEnabled(true);
+        await engine.play();
+
+        expect(engine.scheduledPasses).toMatchObject([{ contextTime: 0, fromTime: 0, untilTime: 3 }]);
+
+        engine.audioContext.currentTime = 2.9;
+        engine.scheduleAhead();
+        expect(engine.scheduledPasses[1]).toMatchObject({ contextTime: 3, fromTime: 1, untilTime: 3 });
+
+        // 每一遍的片段从循环起点的偏移开始，长度为循环长度
+        expect(getSourceStarts(engine)).toEqual([
+            { when: 0, offset: 0, duration: 3 },
+            { when: 3, offset: 1, duration: 2 }
+        ]);
+        engine.stop();
+    });
+
+    it('播放位置按所在的一遍回绕到循环区域内', async () => {
+        const engine = await createEngine();
+        engine.setLoopRegion(1, 3);
+        engine.setLoopEnabled(true);
+        await engine.play();
+
+        for (const time of [2.9, 4.9, 5.5]) {
+            engine.audioContext.currentTime = time;
+            engine.scheduleAhead();
+        }
+
+        expect(engine.getPlaybackTime()).toBeCloseTo(1.5);
+        // 已播放完的段被丢弃
+        expect(engine.scheduledPasses.map(pass => pass.contextTime)).toEqual([5]);
+        engine.stop();
+    });
+
+    it('从循环终点之后开始播放时不循环', async () => {
+        const engine = await createEngine();
+        engine.setLoopRegion(1, 3);
+        engine.setLoopEnabled(true);
+        engine.seekTo(4);
+        await engine.play();
+
+        expect(engine.scheduledPasses).toMatchObject([{ contextTime: 0, fromTime: 4, untilTime: Infinity }]);
+        engine.stop();
+    });
+
+    it('播放中关闭循环后从当前位置继续播放到歌曲末尾', async () => {
+        const engine = await createEngine();
+        engine.setLoopRegion(1, 3);
+        engine.setLoopEnabled(true);
+        await engine.play();
+
+        engine.audioContext.currentTime = 2;
+        engine.setLoopEnabled(false);
+
+        expect(engine.scheduledPasses).toMatchObject([{ contextTime: 2, fromTime: 2, untilTime: Infinity }]);
+        engine.stop();
+    });
+
+    it('不循环时播放越过歌曲末尾后停止传输与调度器', async () => {
+        const engine = await createEngine();
+        const states = [];
+        engine.onPlayStateChange = (state) => states.push(state);
+        await engine.play();
+
+        engine.audioContext.currentTime = 9.9;
+        engine.scheduleAhead();
+        expect(engine.isPlaying).toBe(true);
+
+        engine.audioContext.currentTime = 10;
+        engine.scheduleAhead();
+        expect(engine.isPlaying).toBe(false);
+        expect(states).toEqual(['playing', 'stopped']);
+        expect(engine.schedulerTimerId).toBeNull();
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('从歌曲末尾之后开始播放或录音期间不自动停止', async () => {
+        const engine = await createEngine();
+        engine.seekTo(12);
+        await engine.play();
+        engine.audioContext.currentTime = 1;
+        engine.scheduleAhead();
+        expect(engine.isPlaying).toBe(true);
+        engine.stop();
+
+        engine.stopAtSongEnd = false;
+        await engine.play();
+        engine.audioContext.currentTime = 12;
+        engine.scheduleAhead();
+        expect(engine.isPlaying).toBe(true);
+        engine.stop();
+    });
+});
+
+describe('AudioEngine MIDI 调度', () => {
+    /**
+     * 记录 playNote() 调用的发声器替身
+     * @returns {{ notes: Array<Object>, playNote: Function }}
+     */
+    function createPlayer() {
+        const notes = [];
+        return {
+            notes,
+            playNote: (pitch, velocity, when, duration) => {
+                notes.push({ pitch, when, duration });
+                return { pitch, ended: false };
+            }
+        };
+    }
+
+    const clip = new MidiClip({
+        startTime: 2,
+        duration: 4,
+        // 120 BPM 下每拍 0.5 秒
+        notes: [
+            { pitch: 60, start: 0, duration: 4 },
+            { pitch: 62, start: 3, duration: 1 },
+            { pitch: 64, start: 6, duration: 6 }
+        ]
+    });
+
+    it('只调度窗口内开始的音符，音符在片段终点截止', () => {
+        const engine = new AudioEngine();
+        const player = createPlayer();
+
+        engine.scheduleNotes(player, clip, 3, 6, 10);
+        expect(player.notes).toEqual([
+            { pitch: 62, when: 10.5, duration: 0.5 },
+            { pitch: 64, when: 12, duration: 1 }
+        ]);
+    });
+
+    it('补发时从窗口起点开始已在发声的音符', () => {
+        const engine = new AudioEngine();
+        const player = createPlayer();
+
+        engine.scheduleNotes(player, clip, 3, 4, 10, Infinity, true);
+        expect(player.notes).toEqual([
+            { pitch: 60, when: 10, duration: 1 },
+            { pitch: 62, when: 10.5, duration: 0.5 }
+        ]);
+    });
+
+    it('速度变化后音符按新的速度换算为秒', () => {
+        const engine = new AudioEngine();
+        const player = createPlayer();
+        engine.tempoMap.setBaseTempo(60);
+
+        engine.scheduleNotes(player, clip, 2, 6, 0);
+        expect(player.notes).toEqual([
+            { pitch: 60, when: 0, duration: 4 },
+            { pitch: 62, when: 3, duration: 1 }
+        ]);
+    });
+});
+
+describe('AudioEngine 前瞻调度', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('requestAnimationFrame', () => 1);
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('只为进入前瞻窗口的片段创建音频源', async () => {
+        const engine = await createEngine([0, 5]);
+        await engine.play();
+        expect(getSourceStarts(engine)).toEqual([{ when: 0, offset: 0, duration: 10 }]);
+
+        engine.audioContext.currentTime = 4.9;
+        engine.scheduleAhead();
+        expect(getSourceStarts(engine)[1]).toEqual({ when: 5, offset: 0, duration: 10 });
+        engine.stop();
+    });
+
+    it('播放中移动片段时停止旧的音频源并从当前位置重新调度', async () => {
+        const engine = await createEngine();
+        await engine.play();
+        const [first] = engine.audioContext.getNodes('bufferSource');
+
+        engine.audioContext.currentTime = 2;
+        engine.tracks[0].clips[0].startTime = 1;
+        engine.scheduleAhead();
+
+        expect(first.stopped).toBe(true);
+        expect(getSourceStarts(engine)[1]).toEqual({ when: 2, offset: 1, duration: 9 });
+        engine.stop();
+    });
+
+    it('删除的片段与静音的音轨停止发声', async () => {
+        const engine = await createEngine([0, 0]);
+        await engine.play();
+        const [first, second] = engine.audioContext.getNodes('bufferSource');
+        const track = engine.tracks[0];
+
+        track.removeClip(track.clips[0].id);
+        engine.scheduleAhead();
+        expect(first.stopped).toBe(true);
+        expect(second.stopped).toBe(false);
+
+        track.muted = true;
+        engine.scheduleAhead();
+        expect(second.stopped).toBe(true);
+        engine.stop();
+    });
+
+    it('停止播放时清除调度器', async () => {
+        const engine = await createEngine();
+        await engine.play();
+        engine.stop();
+
+        expect(engine.schedulerTimerId).toBeNull();
+        expect(vi.getTimerCount()).toBe(0);
+    });
+});
+
+describe('AudioEngine 预备拍', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.stubGlobal('requestAnimationFrame', () => 1);
+        vi.stubGlobal('cancelAnimationFrame', () => {});
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+    });
+
+    it('开启预备拍时片段在预备拍结束后开始播放', async () => {
+        const engine = await createEngine();
+        engine.tempo = 120;
+        engine.metronome.setCountInBars(1);
+        engine.seekTo(3);
+        await engine.play();
+
+        // 120 BPM 下一小节为 2 秒
+        expect(engine.scheduledPasses).toMatchObject([{ contextTime: 2, fromTime: 3 }]);
+        expect(getSourceStarts(engine)).toEqual([]);
+
+        engine.audioContext.currentTime = 1.9;
+        engine.scheduleAhead();
+        expect(getSourceStarts(engine)).toEqual([{ when: 2, offset: 3, duration: 7 }]);
+        engine.stop();
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { AutomationLane, createAutomationLanes } from '../../src/core/Automation.js';
+import { FakeAudioParam } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建从 0 秒的 0 变化到 2 秒的 1 的音量包络
+ * @param {string} curve - 第一段的曲线形状
+ * @returns {AutomationLane}
+ */
+function createRamp(curve) {
+    return new AutomationLane('volume', [
+        { time: 0, value: 0, curve },
+        { time: 2, value: 1 }
+    ]);
+}
+
+describe('AutomationLane.getValueAt', () => {
+    it('线性曲线按时间等比插值', () => {
+        const lane = createRamp('linear');
+
+        expect(lane.getValueAt(0.5)).toBeCloseTo(0.25);
+        expect(lane.getValueAt(1)).toBeCloseTo(0.5);
+    });
+
+    it('阶梯曲线保持起点的值直到下一个断点', () => {
+        const lane = createRamp('step');
+
+        expect(lane.getValueAt(1.99)).toBe(0);
+        expect(lane.getValueAt(2)).toBe(1);
+    });
+
+    it('平滑曲线为余弦 S 形：两端平缓，中点与线性相同', () => {
+        const lane = createRamp('smooth');
+
+        expect(lane.getValueAt(1)).toBeCloseTo(0.5);
+        expect(lane.getValueAt(0.5)).toBeCloseTo((1 - Math.cos(Math.PI / 4)) / 2);
+        expect(lane.getValueAt(0.5)).toBeLessThan(0.25);
+        expect(lane.getValueAt(1.5)).toBeGreaterThan(0.75);
+    });
+
+    it('第一个断点之前与最后一个断点之后保持端点的值，没有断点时返回默认值', () => {
+        const lane = new AutomationLane('pan', [{ time: 1, value: -0.5 }, { time: 3, value: 0.5 }]);
+
+        expect(lane.getValueAt(0)).toBe(-0.5);
+        expect(lane.getValueAt(10)).toBe(0.5);
+        expect(new AutomationLane('pan').getValueAt(1)).toBe(0);
+        expect(new AutomationLane('volume').getValueAt(1, 0.3)).toBe(0.3);
+    });
+});
+
+describe('AutomationLane 断点', () => {
+    it('断点按时间排序，值限制在参数范围内，未知曲线视为线性', () => {
+        const lane = new AutomationLane('pan', [
+            { time: 2, value: 3 },
+            { time: -1, value: 0, curve: 'bezier' }
+        ]);
+
+        expect(lane.points).toEqual([
+            { time: 0, value: 0, curve: 'linear' },
+            { time: 2, value: 1, curve: 'linear' }
+        ]);
+    });
+
+    it('移动断点不能越过相邻断点', () => {
+        const lane = new AutomationLane('volume', [
+            { time: 0, value: 0 },
+            { time: 1, value: 0.5 },
+            { time: 2, value: 1 }
+        ]);
+        const middle = lane.points[1];
+
+        lane.movePoint(middle, 5, 0.8);
+        expect(middle).toMatchObject({ time: 2, value: 0.8 });
+        lane.movePoint(middle, -5, 0.2);
+        expect(middle.time).toBe(0);
+    });
+
+    it('未知参数抛出错误，createAutomationLanes 为每个参数创建包络', () => {
+        expect(() => new AutomationLane('tempo')).toThrow('Unknown automation parameter: tempo');
+
+        const lanes = createAutomationLanes({ pan: [{ time: 1, value: 1 }] });
+        expect(Object.keys(lanes)).toEqual(['volume', 'pan']);
+        expect(lanes.pan.isActive()).toBe(true);
+        expect(lanes.volume.isActive()).toBe(false);
+    });
+});
+
+describe('AutomationLane.schedule', () => {
+    it('从段中间开始调度时先设置当前值，再斜坡到段终点', () => {
+        const lane = createRamp('linear');
+        const param = new FakeAudioParam();
+        lane.schedule(param, 1, 10);
+
+        expect(param.events).toEqual([
+            { type: 'set', value: 0.5, time: 10 },
+            { type: 'linear', value: 1, time: 11 }
+        ]);
+    });
+
+    it('阶梯段在下一个断点处跳变', () => {
+        const lane = createRamp('step');
+        const param = new FakeAudioParam();
+        lane.schedule(param, 0, 5);
+
+        expect(param.events).toEqual([
+            { type: 'set', value: 0, time: 5 },
+            { type: 'set', value: 1, time: 7 }
+        ]);
+    });
+
+    it('调度终点落在段中间时只斜坡到终点处的值，之后的事件留给下一遍', () => {
+        const lane = new AutomationLane('volume', [
+            { time: 0, value: 0 },
+            { time: 2, value: 1 },
+            { time: 4, value: 0 }
+        ]);
+        const param = new FakeAudioParam();
+        lane.schedule(param, 0, 0, undefined, 1);
+
+        expect(param.events).toEqual([
+            { type: 'set', value: 0, time: 0 },
+            { type: 'linear', value: 0.5, time: 1 }
+        ]);
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { EffectChain } from '../../src/core/EffectChain.js';
+import { FakeAudioContext } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建绑定到替身上下文的效果链
+ * @param {string[]} types - 效果器类型
+ * @returns {EffectChain}
+ */
+function createLiveChain(types) {
+    const context = new FakeAudioContext();
+    const chain = new EffectChain(types.map(type => ({ type })));
+    chain.connect(context, context.createGain(), context.createGain());
+    return chain;
+}
+
+/**
+ * 沿实时节点连接从链输入走到链输出，返回经过的效果器类型
+ * @param {EffectChain} chain - 已绑定的效果链
+ * @returns {string[]}
+ */
+function getSignalPath(chain) {
+    const path = [];
+    let node = chain.input;
+    while (!node.outputs.includes(chain.output)) {
+        const slot = chain.slots.find(s => node.outputs.includes(chain.instances.get(s.id).input));
+        path.push(slot.type);
+        node = chain.instances.get(slot.id).output;
+    }
+    return path;
+}
+
+describe('EffectChain 插槽', () => {
+    it('追加、按位置插入、移动与移除效果器', () => {
+        const chain = new EffectChain();
+        const eq = chain.addEffect('eq');
+        const delay = chain.addEffect('delay');
+        chain.addEffect('compressor', 1);
+        expect(chain.slots.map(slot => slot.type)).toEqual(['eq', 'compressor', 'delay']);
+
+        chain.moveEffect(delay.id, -5);
+        expect(chain.slots.map(slot => slot.type)).toEqual(['delay', 'eq', 'compressor']);
+
+        expect(chain.removeEffect(eq.id)).toBe(eq);
+        expect(chain.removeEffect(eq.id)).toBeNull();
+        expect(chain.slots.map(slot => slot.type)).toEqual(['delay', 'compressor']);
+    });
+
+    it('参数限制在定义范围内，未知类型抛出错误', () => {
+        const chain = new EffectChain();
+        const slot = chain.addEffect('delay');
+
+        chain.setParam(slot.id, 'feedback', 2);
+        expect(slot.params.feedback).toBe(0.95);
+        expect(() => chain.addEffect('flanger')).toThrow('Unknown effect type: flanger');
+    });
+
+    it('尾音长度为未旁通效果器之和', () => {
+        const chain = new EffectChain([
+            { type: 'reverb', params: { decay: 3, preDelay: 0.5 } },
+            { type: 'eq' }
+        ]);
+        expect(chain.getTailTime()).toBeCloseTo(3.5);
+
+        chain.setBypassed(chain.slots[0].id, true);
+        expect(chain.getTailTime()).toBe(0);
+    });
+});
+
+describe('EffectChain 实时节点', () => {
+    it('按插槽顺序串联，移动后重新连接', () => {
+        const chain = createLiveChain(['eq', 'compressor', 'delay']);
+        expect(getSignalPath(chain)).toEqual(['eq', 'compressor', 'delay']);
+
+        chain.moveEffect(chain.slots[2].id, 0);
+        expect(getSignalPath(chain)).toEqual(['delay', 'eq', 'compressor']);
+    });
+
+    it('旁通的效果器从信号路径中跳过，取消旁通后恢复', () => {
+        const chain = createLiveChain(['eq', 'compressor']);
+        const [eq] = chain.slots;
+
+        chain.setBypassed(eq.id, true);
+        expect(getSignalPath(chain)).toEqual(['compressor']);
+
+        chain.setBypassed(eq.id, false);
+        expect(getSignalPath(chain)).toEqual(['eq', 'compressor']);
+    });
+
+    it('空链直接连接输入与输出', () => {
+        const chain = createLiveChain([]);
+
+        expect(chain.input.outputs).toEqual([chain.output]);
+    });
+});
+
+describe('EffectChain 序列化', () => {
+    it('toJSON 往返保留插槽 ID、顺序、旁通状态与参数', () => {
+        const chain = new EffectChain();
+        chain.addEffect('reverb');
+        const delay = chain.addEffect('delay');
+        chain.setBypassed(delay.id, true);
+        chain.setParam(delay.id, 'time', 0.5);
+
+        const restored = new EffectChain(JSON.parse(JSON.stringify(chain.toJSON())));
+
+        expect(restored.toJSON()).toEqual(chain.toJSON());
+        expect(restored.slots[1]).toMatchObject({ id: delay.id, bypassed: true, params: { time: 0.5 } });
+    });
+
+    it('恢复时跳过未知的效果器类型并补全缺省参数', () => {
+        const chain = new EffectChain([{ type: 'flanger' }, { type: 'delay', params: { mix: 0.5 } }]);
+
+        expect(chain.slots.length).toBe(1);
+        expect(chain.slots[0].params).toMatchObject({ mix: 0.5, feedback: 0.35 });
+    });
+
+    it('整体替换插槽后实时链随之重建', () => {
+        const chain = createLiveChain(['eq']);
+        chain.setSlots([{ type: 'delay' }, { type: 'compressor', bypassed: true }]);
+
+        expect(getSignalPath(chain)).toEqual(['delay']);
+    });
+});
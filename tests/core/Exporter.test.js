@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { Exporter, normalizeBuffer } from '../../src/core/Exporter.js';
+import { AudioEngine } from '../../src/core/AudioEngine.js';
+import { Track } from '../../src/core/Track.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+import { FakeOfflineAudioContext, FakeAudioBuffer, getSignalGain } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建音频缓冲
+ * @param {number[][]} channels - 各声道采样
+ * @returns {Object}
+ */
+function createBuffer(channels) {
+    const data = channels.map(samples => Float32Array.from(samples));
+    return { numberOfChannels: data.length, length: data[0].length, getChannelData: (c) => data[c] };
+}
+
+describe('Exporter', () => {
+    it('整首导出范围为零点到歌曲末尾，循环导出使用循环区域', () => {
+        const exporter = new Exporter({ getSongDuration: () => 12, loopRegion: { start: 2, end: 6 }, tracks: [] });
+
+        expect(exporter.getRange('song')).toEqual({ start: 0, end: 12 });
+        expect(exporter.getRange('loop')).toEqual({ start: 2, end: 6 });
+    });
+
+    it('整首导出追加最长的效果链尾音', () => {
+        const tracks = [
+            new Track({ effects: [{ type: 'reverb', params: { decay: 3, preDelay: 0 } }] }),
+            new Track({ effects: [{ type: 'reverb', params: { decay: 1, preDelay: 0 } }] })
+        ];
+        const exporter = new Exporter({ getSongDuration: () => 12, tracks });
+
+        expect(exporter.getRange('song').end).toBeCloseTo(15);
+    });
+
+    it('未设置循环区域时拒绝循环导出', () => {
+        const exporter = new Exporter({ getSongDuration: () => 12, loopRegion: null });
+
+        expect(() => exporter.getRange('loop')).toThrow('Loop region is not set');
+    });
+});
+
+/**
+ * 创建包含一条音轨（音量 0.5、一秒片段）的引擎，主音量 0.8
+ * @param {Object} [trackOptions] - 其他音轨配置
+ * @returns {{ engine: AudioEngine, track: Track }}
+ */
+function createEngine(trackOptions = {}) {
+    const engine = new AudioEngine();
+    engine.masterVolume = 0.8;
+
+    const track = new Track({ name: 'Drums', volume: 0.5, ...trackOptions });
+    track.addClip(new AudioClip({ audioBuffer: new FakeAudioBuffer({ length: 44100 }) }));
+    engine.tracks.push(track);
+
+    return { engine, track };
+}
+
+describe('Exporter.renderTrack', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('推子后分轨包含音轨音量与主音量', async () => {
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+        const { engine, track } = createEngine();
+
+        const rendered = await new Exporter(engine).renderTrack(track);
+        const context = FakeOfflineAudioContext.last;
+        const [source] = context.getNodes('bufferSource');
+
+        expect(rendered.length).toBe(44100);
+        expect(getSignalGain(source, context.destination)).toBeCloseTo(0.4);
+    });
+
+    it('推子前分轨不受音量与主音量影响', async () => {
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+        const { engine, track } = createEngine();
+
+        await new Exporter(engine).renderTrack(track, { prefader: true });
+        const context = FakeOfflineAudioContext.last;
+        const [source] = context.getNodes('bufferSource');
+
+        expect(getSignalGain(source, context.destination)).toBe(1);
+    });
+
+    it('推子后分轨包含音轨声像，推子前分轨居中', async () => {
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+        const { engine, track } = createEngine({ pan: -0.5 });
+        const exporter = new Exporter(engine);
+
+        await exporter.renderTrack(track);
+        expect(FakeOfflineAudioContext.last.getNodes('stereoPanner')[0].pan.value).toBe(-0.5);
+
+        await exporter.renderTrack(track, { prefader: true });
+        expect(FakeOfflineAudioContext.last.getNodes('stereoPanner')[0].pan.value).toBe(0);
+    });
+
+    it('推子后分轨包含音量自动化，推子前分轨不调度自动化', async () => {
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+        const { engine, track } = createEngine({ automation: { volume: [{ time: 0, value: 0 }, { time: 1, value: 1 }] } });
+        const exporter = new Exporter(engine);
+        const hasEvents = (context) => context.getNodes('gain').some(node => node.gain.events.length > 0);
+
+        await exporter.renderTrack(track);
+        expect(hasEvents(FakeOfflineAudioContext.last)).toBe(true);
+
+        await exporter.renderTrack(track, { prefader: true });
+        expect(hasEvents(FakeOfflineAudioContext.last)).toBe(false);
+    });
+
+    it('忽略静音状态，静音的音轨也能导出分轨', async () => {
+        vi.stubGlobal('OfflineAudioContext', FakeOfflineAudioContext);
+        const { engine, track } = createEngine({ muted: true });
+
+        await new Exporter(engine).renderTrack(track);
+        const context = FakeOfflineAudioContext.last;
+        const [source] = context.getNodes('bufferSource');
+
+        expect(getSignalGain(source, context.destination)).toBeCloseTo(0.4);
+    });
+});
+
+describe('normalizeBuffer', () => {
+    it('按所有声道的最大峰值等比缩放', () => {
+        const buffer = createBuffer([[0.25, -0.5], [0.1, 0]]);
+        normalizeBuffer(buffer, 1);
+
+        expect(Array.from(buffer.getChannelData(0))).toEqual([0.5, -1]);
+        expect(buffer.getChannelData(1)[0]).toBeCloseTo(0.2);
+    });
+
+    it('静音缓冲保持不变', () => {
+        const buffer = createBuffer([[0, 0]]);
+        normalizeBuffer(buffer, 1);
+
+        expect(Array.from(buffer.getChannelData(0))).toEqual([0, 0]);
+    });
+});
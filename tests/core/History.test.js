@@ -0,0 +1,153 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { History } from '../../src/core/History.js';
+
+/**
+ * 创建修改 state.value 的命令
+ * @param {Object} state - 被编辑的状态
+ * @param {number} from - 编辑前的值
+ * @param {number} to - 编辑后的值
+ * @param {string} [mergeKey] - 合并键
+ * @returns {Object}
+ */
+function setValue(state, from, to, mergeKey) {
+    state.value = to;
+    return {
+        label: `${from} → ${to}`,
+        mergeKey,
+        undo: () => { state.value = from; },
+        redo: () => { state.value = to; }
+    };
+}
+
+describe('History', () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('撤销与重做按顺序回放命令', async () => {
+        const history = new History();
+        const state = { value: 0 };
+        history.push(setValue(state, 0, 1));
+        history.push(setValue(state, 1, 2));
+
+        expect(await history.undo()).toBe(true);
+        expect(state.value).toBe(1);
+        expect(await history.undo()).toBe(true);
+        expect(state.value).toBe(0);
+        expect(await history.undo()).toBe(false);
+
+        await history.redo();
+        await history.redo();
+        expect(state.value).toBe(2);
+        expect(await history.redo()).toBe(false);
+    });
+
+    it('同一手势内相同 mergeKey 的命令合并为一步', async () => {
+        const history = new History();
+        const state = { value: 0 };
+
+        history.beginGesture();
+        history.push(setValue(state, 0, 1, 'volume'));
+        history.push(setValue(state, 1, 2, 'volume'));
+        history.push(setValue(state, 2, 3, 'volume'));
+        history.endGesture();
+        expect(history.undoStack.length).toBe(1);
+
+        await history.undo();
+        expect(state.value).toBe(0);
+        await history.redo();
+        expect(state.value).toBe(3);
+    });
+
+    it('紧接着的两次手势各自成为一步', async () => {
+        vi.useFakeTimers();
+        const history = new History();
+        const state = { value: 0 };
+
+        history.beginGesture();
+        history.push(setValue(state, 0, 1, 'volume'));
+        history.push(setValue(state, 1, 2, 'volume'));
+        history.endGesture();
+
+        vi.advanceTimersByTime(50);
+        history.beginGesture();
+        history.push(setValue(state, 2, 3, 'volume'));
+        history.push(setValue(state, 3, 4, 'volume'));
+        history.endGesture();
+        expect(history.undoStack.length).toBe(2);
+
+        await history.undo();
+        expect(state.value).toBe(2);
+        await history.undo();
+        expect(state.value).toBe(0);
+    });
+
+    it('手势之外、mergeKey 不同或撤销之后不再合并', async () => {
+        const history = new History();
+        const state = { value: 0 };
+
+        history.push(setValue(state, 0, 1, 'volume'));
+        history.push(setValue(state, 1, 2, 'volume'));
+        expect(history.undoStack.length).toBe(2);
+
+        history.beginGesture();
+        history.push(setValue(state, 2, 3, 'volume'));
+        history.push(setValue(state, 3, 4, 'pan'));
+        expect(history.undoStack.length).toBe(4);
+
+        await history.undo();
+        history.push(setValue(state, 3, 5, 'pan'));
+        expect(history.undoStack.length).toBe(4);
+        history.endGesture();
+    });
+
+    it('新命令清空重做栈，超出上限时丢弃最早的命令', async () => {
+        const history = new History({ limit: 2 });
+        const state = { value: 0 };
+        history.push(setValue(state, 0, 1));
+        history.push(setValue(state, 1, 2));
+        history.push(setValue(state, 2, 3));
+        expect(history.undoStack.length).toBe(2);
+
+        await history.undo();
+        expect(history.redoStack.length).toBe(1);
+        history.push(setValue(state, 2, 5));
+        expect(history.redoStack.length).toBe(0);
+    });
+
+    it('撤销回放过程中记录的命令被忽略', async () => {
+        const history = new History();
+        const state = { value: 0 };
+        const command = setValue(state, 0, 1);
+        command.undo = () => {
+            state.value = 0;
+            history.push(setValue(state, 1, 0));
+        };
+        history.push(command);
+
+        await history.undo();
+        expect(history.undoStack.length).toBe(0);
+        expect(history.redoStack).toEqual([command]);
+    });
+
+    it('命令执行失败时保留在原栈中并抛出错误', async () => {
+        const history = new History();
+        const state = { value: 0 };
+        const command = setValue(state, 0, 1);
+        const undo = command.undo;
+        command.undo = () => Promise.reject(new Error('undo failed'));
+        history.push(command);
+
+        await expect(history.undo()).rejects.toThrow('undo failed');
+        expect(history.undoStack).toEqual([command]);
+        expect(history.redoStack).toEqual([]);
+        expect(history.isApplying).toBe(false);
+
+        command.undo = undo;
+        expect(await history.undo()).toBe(true);
+        command.redo = () => Promise.reject(new Error('redo failed'));
+        await expect(history.redo()).rejects.toThrow('redo failed');
+        expect(history.redoStack).toEqual([command]);
+        expect(history.undoStack).toEqual([]);
+    });
+});
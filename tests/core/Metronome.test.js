@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { Metronome } from '../../src/core/Metronome.js';
+import { TempoMap } from '../../src/core/TempoMap.js';
+import { FakeAudioContext } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建已连接到替身上下文的节拍器
+ * @returns {Metronome}
+ */
+function createMetronome() {
+    const context = new FakeAudioContext();
+    const metronome = new Metronome();
+    metronome.connect(context, context.destination);
+    return metronome;
+}
+
+/**
+ * 获取已调度的咔哒声（开始时间与是否重音）
+ * @param {Metronome} metronome - 节拍器
+ * @returns {Array<{ time: number, accent: boolean }>}
+ */
+function getClicks(metronome) {
+    return metronome.context.getNodes('oscillator').map(osc => ({
+        time: osc.startTime,
+        accent: osc.frequency.value === 1600
+    }));
+}
+
+describe('Metronome 预备拍', () => {
+    it('预备拍时长为小节数乘以一小节的秒数', () => {
+        const metronome = createMetronome();
+
+        expect(metronome.getCountInDuration(new TempoMap({ tempo: 120 }), 0)).toBe(0);
+        metronome.setCountInBars(1);
+        expect(metronome.getCountInDuration(new TempoMap({ tempo: 120 }), 0)).toBe(2);
+        metronome.setCountInBars(2);
+        expect(metronome.getCountInDuration(new TempoMap({ tempo: 90 }), 0)).toBeCloseTo(16 / 3);
+    });
+
+    it('预备拍按播放起点处的速度与拍号计算', () => {
+        const metronome = createMetronome();
+        const tempoMap = new TempoMap({ tempo: 120 });
+        tempoMap.addTempo(8, 60);
+        tempoMap.setMeter(2, 3, 4);
+        metronome.setCountInBars(1);
+
+        // 第 3 小节（第 8 拍，4 秒）起为 60 BPM、3/4 拍
+        expect(metronome.getCountInDuration(tempoMap, 1)).toBe(2);
+        expect(metronome.getCountInDuration(tempoMap, 5)).toBe(3);
+
+        metronome.scheduleCountIn(0, tempoMap, 5);
+        expect(getClicks(metronome)).toEqual([
+            { time: 0, accent: true },
+            { time: 1, accent: false },
+            { time: 2, accent: false }
+        ]);
+    });
+
+    it('预备拍小节数限制为 0、1 或 2，未连接时时长为 0', () => {
+        const metronome = new Metronome();
+
+        metronome.setCountInBars(5);
+        expect(metronome.countInBars).toBe(2);
+        metronome.setCountInBars(-1);
+        expect(metronome.countInBars).toBe(0);
+
+        metronome.setCountInBars(1);
+        expect(metronome.getCountInDuration(new TempoMap(), 0)).toBe(0);
+    });
+
+    it('预备拍每拍一声，每小节第一拍为重音', () => {
+        const metronome = createMetronome();
+        metronome.setCountInBars(2);
+        metronome.scheduleCountIn(10, new TempoMap({ tempo: 120 }), 0);
+
+        const clicks = getClicks(metronome);
+        expect(clicks.map(click => click.time)).toEqual([10, 10.5, 11, 11.5, 12, 12.5, 13, 13.5]);
+        expect(clicks.filter(click => click.accent).map(click => click.time)).toEqual([10, 12]);
+    });
+});
+
+describe('Metronome 拍子调度', () => {
+    it('只调度范围内的拍子，换算为上下文时间', () => {
+        const metronome = createMetronome();
+        // 120 BPM 下第 3 拍位于 1.5 秒
+        metronome.scheduleBeats(1.2, 2.6, 5, new TempoMap({ tempo: 120 }));
+
+        expect(getClicks(metronome)).toEqual([
+            { time: 5 + 0.3, accent: false },
+            { time: 5 + 0.8, accent: true },
+            { time: 5 + 1.3, accent: false }
+        ]);
+    });
+
+    it('恰好落在范围起点的拍子不会漏掉，终点的拍子留给下一次调度', () => {
+        const metronome = createMetronome();
+        metronome.scheduleBeats(0.5, 1, 0, new TempoMap({ tempo: 120 }));
+
+        expect(getClicks(metronome).map(click => click.time)).toEqual([0]);
+    });
+});
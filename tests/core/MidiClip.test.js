@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { MidiClip, MIN_NOTE_DURATION, MAX_VELOCITY } from '../../src/core/MidiClip.js';
+import { MidiTrack } from '../../src/core/MidiTrack.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+import { TempoMap } from '../../src/core/TempoMap.js';
+
+/**
+ * 创建一小节长（120 BPM 下 2 秒）、每拍一个音符的片段
+ * @param {Object} [options] - 其他片段配置
+ * @returns {MidiClip}
+ */
+function createClip(options = {}) {
+    return new MidiClip({
+        startTime: 2,
+        duration: 2,
+        notes: [0, 1, 2, 3].map(beat => ({ pitch: 60 + beat, start: beat, duration: 0.5 })),
+        ...options
+    });
+}
+
+describe('MidiClip 音符', () => {
+    it('音符以拍保存，按速度轨换算为歌曲时间', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip();
+
+        expect(clip.getContentBeat(tempoMap)).toBeCloseTo(4);
+        expect(clip.beatToTime(tempoMap, 1)).toBeCloseTo(2.5);
+        expect(clip.timeToBeat(tempoMap, 3)).toBeCloseTo(2);
+    });
+
+    it('速度变化后音符随之伸缩，拍位置不变', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip();
+        const notes = clip.getNotes();
+
+        tempoMap.setBaseTempo(60);
+        expect(clip.getNotes()).toEqual(notes);
+        // 内容起点 2 秒在 60 BPM 下为第 2 拍，第 1 拍的音符位于 3 秒
+        expect(clip.beatToTime(tempoMap, 1)).toBeCloseTo(3);
+    });
+
+    it('只有在片段范围内开始的音符可以播放', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip();
+        clip.trimStart(2.5);
+        clip.trimEnd(3.5);
+
+        expect(clip.getPlayableNotes(tempoMap).map(note => note.start)).toEqual([1, 2]);
+
+        // 速度减半后片段的秒范围不变，只覆盖一半的拍
+        tempoMap.setBaseTempo(60);
+        expect(clip.getPlayableNotes(tempoMap).map(note => note.start)).toEqual([1]);
+    });
+
+    it('校验音符字段并按起点排序', () => {
+        const clip = new MidiClip({
+            notes: [
+                { pitch: 200, start: 2, duration: 0, velocity: 300 },
+                { pitch: -5, start: -1, duration: 1 }
+            ]
+        });
+
+        expect(clip.notes).toEqual([
+            { pitch: 0, start: 0, duration: 1, velocity: 100 },
+            { pitch: 127, start: 2, duration: MIN_NOTE_DURATION, velocity: MAX_VELOCITY }
+        ]);
+    });
+
+    it('添加与移除音符保持排序，getNotes 返回副本', () => {
+        const clip = createClip();
+        const added = clip.addNote({ pitch: 72, start: 1.5, duration: 0.5 });
+
+        expect(clip.notes.map(note => note.start)).toEqual([0, 1, 1.5, 2, 3]);
+        clip.getNotes()[0].pitch = 0;
+        expect(clip.notes[0].pitch).toBe(60);
+
+        clip.removeNote(added);
+        expect(clip.notes.length).toBe(4);
+    });
+
+    it('toJSON 与 fromJSON 往返保持音符的拍位置', () => {
+        const clip = createClip({ notes: [{ pitch: 64, start: 1 / 3, duration: 2 / 3, velocity: 80 }] });
+        const restored = MidiClip.fromJSON(JSON.parse(JSON.stringify(clip.toJSON())));
+
+        expect(restored.notes[0].start).toBeCloseTo(1 / 3, 6);
+        expect(restored.notes[0].duration).toBeCloseTo(2 / 3, 6);
+        expect(restored.startTime).toBe(clip.startTime);
+    });
+});
+
+describe('MidiClip 修剪与分割', () => {
+    it('修剪起点保持终点与内容起点不变', () => {
+        const clip = createClip();
+        clip.trimStart(2.75);
+
+        expect(clip.startTime).toBe(2.75);
+        expect(clip.startTime + clip.duration).toBeCloseTo(4);
+        expect(clip.getContentStart()).toBeCloseTo(2);
+        expect(clip.notes.length).toBe(4);
+    });
+
+    it('修剪起点不能越过内容起点与最短时长，终点可以任意延长', () => {
+        const clip = createClip();
+        clip.trimStart(2.5);
+
+        clip.trimStart(0);
+        expect(clip.startTime).toBeCloseTo(2);
+        expect(clip.offset).toBeCloseTo(0);
+
+        clip.trimEnd(20);
+        expect(clip.duration).toBe(18);
+
+        clip.trimStart(100);
+        expect(clip.duration).toBeCloseTo(0.1);
+    });
+
+    it('分割后两部分首尾相接、共享内容起点，音符互不影响', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip();
+        const right = clip.split(3);
+
+        expect(clip.duration).toBeCloseTo(1);
+        expect(right.startTime).toBe(3);
+        expect(right.duration).toBeCloseTo(1);
+        expect(right.getContentStart()).toBeCloseTo(clip.getContentStart());
+
+        expect(clip.getPlayableNotes(tempoMap).map(note => note.start)).toEqual([0, 1]);
+        expect(right.getPlayableNotes(tempoMap).map(note => note.start)).toEqual([2, 3]);
+
+        right.notes[0].pitch = 0;
+        expect(clip.notes[0].pitch).toBe(60);
+    });
+
+    it('分割点过于靠近边缘时不分割', () => {
+        const clip = createClip();
+
+        expect(clip.split(2.05)).toBeNull();
+        expect(clip.split(4)).toBeNull();
+        expect(clip.duration).toBe(2);
+    });
+});
+
+describe('MidiTrack', () => {
+    it('只接受 MIDI 片段，往返保存音轨类型与音符', () => {
+        const track = new MidiTrack({ volume: 0.5 });
+        expect(track.name).toMatch(/^MIDI \d+$/);
+        expect(track.acceptsClip(createClip())).toBe(true);
+        expect(track.acceptsClip(new AudioClip({ audioBuffer: { duration: 1 } }))).toBe(false);
+
+        track.addClip(createClip());
+        const restored = MidiTrack.fromJSON(JSON.parse(JSON.stringify(track.toJSON())));
+
+        expect(restored).toBeInstanceOf(MidiTrack);
+        expect(restored.volume).toBe(0.5);
+        expect(restored.clips[0].notes.length).toBe(4);
+    });
+});
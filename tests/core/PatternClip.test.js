@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { PatternClip, STEP_BEATS } from '../../src/core/PatternClip.js';
+import { TempoMap } from '../../src/core/TempoMap.js';
+
+/**
+ * 创建只有一个通道的节奏片段
+ * @param {number[]} activeSteps - 打开的步
+ * @param {Object} [options] - 其他片段配置
+ * @returns {PatternClip}
+ */
+function createClip(activeSteps, options = {}) {
+    const steps = [];
+    activeSteps.forEach(step => { steps[step] = 100; });
+    return new PatternClip({
+        duration: 8,
+        channels: [{ name: 'Kick', audioBuffer: { duration: 0.2 }, steps }],
+        ...options
+    });
+}
+
+/**
+ * 收集片段在 [fromTime, toTime) 内触发的时间与步
+ * @param {PatternClip} clip - 节奏片段
+ * @param {TempoMap} tempoMap - 速度轨
+ * @param {number} fromTime - 起点（秒）
+ * @param {number} toTime - 终点（秒）
+ * @returns {Array<{ time: number, step: number }>}
+ */
+function collectHits(clip, tempoMap, fromTime, toTime) {
+    const hits = [];
+    clip.forEachHit(tempoMap, fromTime, toTime, (time, channel, velocity, step) => hits.push({ time, step }));
+    return hits;
+}
+
+describe('PatternClip.forEachHit', () => {
+    it('每步为十六分音符，按速度轨换算为秒', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0, 4, 6]);
+        const hits = collectHits(clip, tempoMap, 0, 2);
+
+        expect(hits.map(hit => hit.step)).toEqual([0, 4, 6]);
+        expect(hits.map(hit => hit.time)).toEqual([0, 0.5, 0.75]);
+    });
+
+    it('片段长于节奏型时从内容起点循环', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0, 15]);
+        const hits = collectHits(clip, tempoMap, 0, 8);
+
+        // 16 步在 120 BPM 下为 2 秒
+        expect(clip.getPatternDuration(tempoMap)).toBeCloseTo(2);
+        expect(hits.filter(hit => hit.step === 0).map(hit => hit.time)).toEqual([0, 2, 4, 6]);
+        expect(hits.length).toBe(8);
+    });
+
+    it('摇摆只推迟奇数步，100% 时推迟半步', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0, 1, 2, 3], { swing: 1 });
+        const stepSeconds = tempoMap.beatsToSeconds(STEP_BEATS);
+        const hits = collectHits(clip, tempoMap, 0, 1);
+
+        expect(hits.map(hit => hit.time)).toEqual([
+            0,
+            stepSeconds * 1.5,
+            stepSeconds * 2,
+            stepSeconds * 3.5
+        ]);
+    });
+
+    it('窗口边界上的步只在一个窗口中触发，摇摆推迟的步不会漏掉', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0, 1, 2, 3, 4, 5, 6, 7], { swing: 0.6 });
+        const all = collectHits(clip, tempoMap, 0, 8);
+
+        const windows = [];
+        for (let from = 0; from < 8; from += 0.1) {
+            windows.push(...collectHits(clip, tempoMap, from, from + 0.1));
+        }
+        expect(windows.length).toBe(all.length);
+    });
+
+    it('修剪与分割后仍按内容起点对齐，不会错位', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0, 8]);
+        const whole = collectHits(clip, tempoMap, 0, 8);
+
+        const right = clip.split(3.1);
+        const parts = [
+            ...collectHits(clip, tempoMap, 0, 8),
+            ...collectHits(right, tempoMap, 0, 8)
+        ];
+        expect(parts).toEqual(whole);
+
+        right.trimStart(4);
+        expect(collectHits(right, tempoMap, 0, 8)).toEqual(whole.filter(hit => hit.time >= 4));
+    });
+
+    it('速度变化后步的拍位置不变', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        tempoMap.addTempo(4, 60);
+        const clip = createClip([0, 4]);
+        const hits = collectHits(clip, tempoMap, 0, 4);
+
+        // 节奏型长 4 拍，第二遍从第 4 拍开始，之后每拍 1 秒
+        expect(hits.map(hit => hit.time)).toEqual([0, 0.5, 2, 3]);
+    });
+
+    it('跳过静音通道与缺少采样的通道', () => {
+        const tempoMap = new TempoMap({ tempo: 120 });
+        const clip = createClip([0]);
+        clip.addChannel({ name: 'Snare', steps: [100] });
+        clip.addChannel({ name: 'Hat', audioBuffer: { duration: 0.1 }, muted: true, steps: [100] });
+
+        expect(collectHits(clip, tempoMap, 0, 0.1).length).toBe(1);
+    });
+});
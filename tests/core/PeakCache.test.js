@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { PeakCache } from '../../src/core/PeakCache.js';
+import { FakeAudioBuffer } from '../helpers/FakeAudioContext.js';
+
+describe('PeakCache', () => {
+    it('没有 Worker 时在主线程构建峰值，同一音频只计算一次', async () => {
+        const cache = new PeakCache();
+        const buffer = new FakeAudioBuffer({ numberOfChannels: 2, length: 4096, sampleRate: 4096 });
+
+        const first = cache.request(buffer);
+        expect(cache.request(buffer)).toBe(first);
+
+        const levels = await first;
+        expect(cache.get(buffer)).toBe(levels);
+        expect(await cache.request(buffer)).toBe(levels);
+        expect(levels[0].channels.length).toBe(2);
+    });
+
+    it('峰值生成前读取波形返回 null，之后按时间范围读取', async () => {
+        const cache = new PeakCache();
+        const buffer = new FakeAudioBuffer({ length: 4096, sampleRate: 4096 });
+        buffer.getChannelData(0)[3072] = 0.8;
+
+        expect(cache.getWaveform(buffer, 0, 1, 4)).toBeNull();
+
+        await cache.request(buffer);
+        const [channel] = cache.getWaveform(buffer, 0.5, 1, 2);
+        expect(Array.from(channel.max)).toEqual([0, 0.8].map(Math.fround));
+    });
+});
@@ -0,0 +1,167 @@
+import { describe, it, expect } from 'vitest';
+import { Project, PROJECT_FORMAT } from '../../src/core/Project.js';
+import { Track } from '../../src/core/Track.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+import { TempoMap } from '../../src/core/TempoMap.js';
+import { MidiTrack } from '../../src/core/MidiTrack.js';
+import { MidiClip } from '../../src/core/MidiClip.js';
+import { readZip } from '../../src/utils/zip.js';
+
+/**
+ * 创建单声道音频缓冲
+ * @param {number} length - 帧数
+ * @param {number} [value=0.25] - 采样值
+ * @returns {Object}
+ */
+function createBuffer(length, value = 0.25) {
+    const data = new Float32Array(length).fill(value);
+    return { numberOfChannels: 1, sampleRate: 8000, length, duration: length / 8000, getChannelData: () => data };
+}
+
+/**
+ * 记录解码请求的音频引擎替身
+ * @returns {{ decoded: ArrayBuffer[], decodeAudioData: Function }}
+ */
+function createEngine() {
+    const decoded = [];
+    return {
+        decoded,
+        decodeAudioData: async (arrayBuffer) => {
+            decoded.push(arrayBuffer);
+            return createBuffer(8000);
+        }
+    };
+}
+
+describe('Project', () => {
+    it('工程文件为 ZIP：project.json 加 32 位浮点 WAV 音频源，共享的音频只保存一份', async () => {
+        const buffer = createBuffer(100);
+        const track = new Track({ name: 'Audio' });
+        track.addClip(new AudioClip({ audioBuffer: buffer, startTime: 0 }));
+        track.addClip(new AudioClip({ audioBuffer: buffer, startTime: 1 }));
+
+        const files = readZip(await new Project({ tracks: [track] }).toBlob().arrayBuffer());
+        const data = JSON.parse(new TextDecoder().decode(files.get('project.json')));
+
+        expect(data.format).toBe(PROJECT_FORMAT);
+        expect(data.sources).toEqual([{ id: 'source_1', name: 'Audio Clip', file: 'sources/source_1.wav' }]);
+        expect(data.tracks[0].clips.map(clip => clip.sourceId)).toEqual(['source_1', 'source_1']);
+
+        const wav = new DataView(files.get('sources/source_1.wav').buffer);
+        expect(wav.getUint16(20, true)).toBe(3);
+        expect(wav.getUint16(34, true)).toBe(32);
+        expect(wav.byteLength).toBe(44 + 100 * 4);
+    });
+
+    it('超出 [-1, 1] 的采样在保存与重新打开后保持不变', async () => {
+        const samples = [1.5, -2.25, 0.125, 3];
+        const data = Float32Array.from(samples);
+        const buffer = { numberOfChannels: 1, sampleRate: 8000, length: 4, duration: 4 / 8000, getChannelData: () => data };
+        const track = new Track({ name: 'Hot' });
+        track.addClip(new AudioClip({ audioBuffer: buffer, startTime: 0 }));
+
+        const engine = createEngine();
+        const blob = new Project({ tracks: [track] }).toBlob();
+        await Project.fromFile(new File([blob], 'Hot.qanyi'), engine);
+
+        const wav = new DataView(engine.decoded[0]);
+        expect(samples.map((_, i) => wav.getFloat32(44 + i * 4, true))).toEqual(samples);
+    });
+
+    it('保存后重新打开恢复音轨、片段与混音状态', async () => {
+        const track = new Track({ name: 'Audio', volume: 0.5, pan: -0.25, muted: true });
+        track.addClip(new AudioClip({ audioBuffer: createBuffer(8000), startTime: 2, offset: 0.25, duration: 0.5, name: 'Loop' }));
+
+        const blob = new Project({ name: 'Song', tempo: 90, masterVolume: 0.6, tracks: [track] }).toBlob();
+        const engine = createEngine();
+        const project = await Project.fromFile(new File([blob], 'Song.qanyi'), engine);
+
+        expect(project.name).toBe('Song');
+        expect(project.tempo).toBe(90);
+        expect(project.masterVolume).toBe(0.6);
+        expect(engine.decoded.length).toBe(1);
+
+        const [restored] = project.tracks;
+        expect(restored.volume).toBe(0.5);
+        expect(restored.pan).toBe(-0.25);
+        expect(restored.muted).toBe(true);
+        expect(restored.clips[0]).toMatchObject({ name: 'Loop', startTime: 2, offset: 0.25, duration: 0.5 });
+    });
+
+    it('速度轨随工程保存与恢复', async () => {
+        const tempoMap = new TempoMap({ tempo: 100 });
+        tempoMap.addTempo(8, 140);
+        tempoMap.setMeter(4, 7, 8);
+
+        const blob = new Project({ tempo: 100, tempoMap: tempoMap.toJSON() }).toBlob();
+        const project = await Project.fromFile(new File([blob], 'Song.qanyi'), createEngine());
+
+        const restored = new TempoMap();
+        restored.load(project.tempoMap);
+        expect(restored.getTempoAt(restored.beatsToSeconds(8))).toBe(140);
+        expect(restored.getMeterAtBar(4)).toMatchObject({ numerator: 7, denominator: 8 });
+    });
+
+    it('MIDI 音轨直接保存音符（拍），不产生音频源', async () => {
+        const track = new MidiTrack({ name: 'Keys' });
+        track.addClip(new MidiClip({ duration: 2, notes: [{ pitch: 60, start: 0.5, duration: 0.25 }] }));
+
+        const data = new Project({ tracks: [track] }).toJSON();
+        expect(data.sources).toEqual([]);
+        expect(data.tracks[0].type).toBe('midi');
+
+        const project = await Project.fromJSON(JSON.parse(JSON.stringify(data)), createEngine());
+        expect(project.tracks[0]).toBeInstanceOf(MidiTrack);
+        expect(project.tracks[0].clips[0].notes[0]).toMatchObject({ pitch: 60, start: 0.5 });
+    });
+
+    it('跳过缺少音频源的片段', async () => {
+        const data = {
+            format: PROJECT_FORMAT,
+            version: 1,
+            tracks: [{ name: 'Audio', clips: [{ name: 'Missing', startTime: 0, duration: 1, sourceId: 'source_9' }] }],
+            sources: []
+        };
+        const project = await Project.fromJSON(data, createEngine());
+
+        expect(project.tracks.length).toBe(1);
+        expect(project.tracks[0].clips.length).toBe(0);
+    });
+
+    it('打开版本 1 的 JSON 工程：解码 Base64 音频，并将以秒保存的音符换算为拍', async () => {
+        const data = {
+            format: PROJECT_FORMAT,
+            version: 1,
+            name: 'Old',
+            tempo: 120,
+            tracks: [
+                { name: 'Audio', clips: [{ name: 'Clip', startTime: 0, duration: 1, sourceId: 'source_1' }] },
+                {
+                    type: 'midi',
+                    name: 'Keys',
+                    clips: [{ startTime: 1, offset: 0.5, duration: 2, notes: [{ pitch: 60, start: 1, duration: 0.25, velocity: 90 }] }]
+                }
+            ],
+            sources: [{ id: 'source_1', name: 'Clip', data: btoa('RIFF') }]
+        };
+        const engine = createEngine();
+        const project = await Project.fromFile(new File([JSON.stringify(data)], 'Old.qanyi'), engine);
+
+        expect(project.name).toBe('Old');
+        expect(new TextDecoder().decode(engine.decoded[0])).toBe('RIFF');
+        expect(project.tracks[0].clips.length).toBe(1);
+
+        // 内容起点 0.5 秒为第 1 拍；音符位于 1.5 秒即第 3 拍，长 0.25 秒即半拍
+        const note = project.tracks[1].clips[0].notes[0];
+        expect(note.start).toBeCloseTo(2);
+        expect(note.duration).toBeCloseTo(0.5);
+    });
+
+    it('拒绝无效的工程与更高版本的工程', async () => {
+        const engine = createEngine();
+
+        await expect(Project.fromJSON({ format: 'other' }, engine)).rejects.toThrow('Invalid project file');
+        await expect(Project.fromJSON({ format: PROJECT_FORMAT, version: 99 }, engine))
+            .rejects.toThrow('Unsupported project version: 99');
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { Recorder, createFakeMediaStream } from '../../src/core/Recorder.js';
+import { FakeAudioContext, FakeAudioNode } from '../helpers/FakeAudioContext.js';
+
+// 采样率取渲染块大小的整数倍，便于按块推进时间
+const SAMPLE_RATE = 12800;
+const BLOCK_FRAMES = 128;
+
+const processors = new Map();
+
+/**
+ * AudioWorkletNode 替身：在主线程直接实例化真实的录音处理器，两端的 port 同步转发消息
+ */
+class FakeAudioWorkletNode extends FakeAudioNode {
+    constructor(context, name, options) {
+        super(context, 'audioWorklet');
+        this.port = { onmessage: null, postMessage: (data) => this.processor.port.onmessage({ data }) };
+        this.processor = new (processors.get(name))(options);
+        this.processor.port.postMessage = (data) => {
+            if (this.port.onmessage) this.port.onmessage({ data });
+        };
+        FakeAudioWorkletNode.instances.push(this);
+    }
+}
+FakeAudioWorkletNode.instances = [];
+
+/**
+ * 以模拟输入的正弦音驱动处理器，按渲染块推进上下文时间
+ * @param {FakeAudioContext} context - 音频上下文
+ * @param {number} blocks - 渲染块数量
+ */
+function render(context, blocks) {
+    const { processor } = FakeAudioWorkletNode.instances.at(-1);
+    const frequency = context.getNodes('oscillator')[0].frequency.value;
+
+    for (let i = 0; i < blocks; i++) {
+        const frame = globalThis.currentFrame;
+        const channel = Float32Array.from({ length: BLOCK_FRAMES },
+            (_, n) => 0.25 * Math.sin(2 * Math.PI * frequency * (frame + n) / SAMPLE_RATE));
+        processor.process([[channel, channel.slice()]]);
+
+        globalThis.currentFrame += BLOCK_FRAMES;
+        context.currentTime = globalThis.currentFrame / SAMPLE_RATE;
+    }
+}
+
+/**
+ * 创建停在指定位置、开始播放时记录起始时间的引擎替身
+ * @param {FakeAudioContext} context - 音频上下文
+ * @returns {Object}
+ */
+function createEngine(context) {
+    return {
+        audioContext: context,
+        isPlaying: false,
+        isPaused: false,
+        currentTime: 4,
+        playbackStartContextTime: 0,
+        init: async () => {},
+        async play() {
+            this.isPlaying = true;
+            this.playbackStartContextTime = context.currentTime + 0.1;
+        }
+    };
+}
+
+describe('Recorder', () => {
+    beforeAll(async () => {
+        vi.stubGlobal('AudioWorkletProcessor', class {
+            constructor() {
+                this.port = { onmessage: null, postMessage: () => {} };
+            }
+        });
+        vi.stubGlobal('registerProcessor', (name, processor) => processors.set(name, processor));
+        vi.stubGlobal('sampleRate', SAMPLE_RATE);
+        vi.stubGlobal('currentFrame', 0);
+        vi.stubGlobal('AudioWorkletNode', FakeAudioWorkletNode);
+        await import('../../src/core/worklets/recorder-processor.js');
+    });
+
+    afterAll(() => {
+        vi.unstubAllGlobals();
+    });
+
+    /**
+     * 使用模拟输入创建录音器
+     * @returns {{ context: FakeAudioContext, engine: Object, recorder: Recorder }}
+     */
+    function createRecorder() {
+        globalThis.currentFrame = 0;
+        const context = new FakeAudioContext({ sampleRate: SAMPLE_RATE });
+        const engine = createEngine(context);
+        const recorder = new Recorder(engine);
+        recorder.setStreamProvider(ctx => createFakeMediaStream(ctx, { frequency: 200 }));
+        return { context, engine, recorder };
+    }
+
+    it('从模拟输入录音，片段长度与声道数与采集的数据一致', async () => {
+        const { context, engine, recorder } = createRecorder();
+
+        await recorder.start();
+        expect(engine.isPlaying).toBe(true);
+        expect(engine.stopAtSongEnd).toBe(false);
+        expect(context.audioWorklet.modules[0]).toMatch(/recorder-processor\.js$/);
+
+        // 播放在 0.1 秒后开始：前 10 块被跳过，之后 100 块正好 1 秒
+        render(context, 110);
+        const result = await recorder.stop();
+
+        expect(engine.stopAtSongEnd).toBe(true);
+        expect(result.startTime).toBe(4);
+        expect(result.offset).toBe(0);
+        expect(result.duration).toBe(1);
+        expect(result.audioBuffer.numberOfChannels).toBe(2);
+        expect(result.audioBuffer.duration).toBe(1);
+        expect(recorder.peaks.length).toBe(Math.floor(SAMPLE_RATE / 512));
+
+        // 第一个采样对应开始播放时刻的输入
+        const expected = 0.25 * Math.sin(2 * Math.PI * 200 * 1280 / SAMPLE_RATE);
+        expect(result.audioBuffer.getChannelData(0)[0]).toBeCloseTo(expected, 6);
+        expect(result.audioBuffer.getChannelData(1)[0]).toBeCloseTo(expected, 6);
+    });
+
+    it('延迟补偿计入片段偏移并缩短有效长度', async () => {
+        const { context, recorder } = createRecorder();
+        recorder.latencyOffset = 0.25;
+
+        await recorder.start();
+        render(context, 110);
+        const result = await recorder.stop();
+
+        expect(result.offset).toBe(0.25);
+        expect(result.duration).toBe(0.75);
+        expect(result.audioBuffer.duration).toBe(1);
+    });
+
+    it('没有采集到数据时返回 null', async () => {
+        const { context, recorder } = createRecorder();
+
+        await recorder.start();
+        render(context, 5);
+
+        expect(await recorder.stop()).toBe(null);
+        expect(recorder.isRecording).toBe(false);
+    });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { StretchCache } from '../../src/core/StretchCache.js';
+import { FakeAudioBuffer } from '../helpers/FakeAudioContext.js';
+
+describe('StretchCache', () => {
+    beforeEach(() => {
+        vi.stubGlobal('AudioBuffer', FakeAudioBuffer);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('没有 Worker 时在主线程渲染，相同参数只渲染一次', async () => {
+        const cache = new StretchCache();
+        const buffer = new FakeAudioBuffer({ numberOfChannels: 2, length: 8000, sampleRate: 8000 });
+
+        expect(cache.get(buffer, 1.5, 0)).toBeNull();
+        const first = cache.request(buffer, 1.5, 0);
+        expect(cache.request(buffer, 1.5, 0)).toBe(first);
+
+        const rendered = await first;
+        expect(rendered.length).toBe(12000);
+        expect(rendered.numberOfChannels).toBe(2);
+        expect(rendered.sampleRate).toBe(8000);
+        expect(cache.get(buffer, 1.5, 0)).toBe(rendered);
+        expect(cache.get(buffer, 1.5, 2)).toBeNull();
+    });
+
+    it('每个音频最多保留 4 个渲染结果，丢弃最早使用的', async () => {
+        const cache = new StretchCache();
+        const buffer = new FakeAudioBuffer({ length: 800, sampleRate: 8000 });
+
+        for (const stretch of [1.1, 1.2, 1.3, 1.4]) {
+            await cache.request(buffer, stretch, 0);
+        }
+        // 读取 1.1 使其成为最近使用
+        cache.get(buffer, 1.1, 0);
+        await cache.request(buffer, 1.5, 0);
+
+        expect(cache.get(buffer, 1.1, 0)).not.toBeNull();
+        expect(cache.get(buffer, 1.2, 0)).toBeNull();
+        expect(cache.get(buffer, 1.5, 0)).not.toBeNull();
+    });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import { Synth } from '../../src/core/Synth.js';
+import { FakeAudioContext } from '../helpers/FakeAudioContext.js';
+
+/**
+ * 创建已连接到替身上下文的合成器
+ * @param {Object} [params] - 合成器参数
+ * @returns {Synth}
+ */
+function createSynth(params = {}) {
+    const context = new FakeAudioContext();
+    const synth = new Synth(params);
+    synth.connect(context, context.destination);
+    return synth;
+}
+
+describe('Synth 声部分配', () => {
+    it('同时发声的声部超过复音数时抢占最早开始的声部', () => {
+        const { player } = createSynth({ voices: 2 });
+        const first = player.playNote(60, 100, 0, 2);
+        const second = player.playNote(64, 100, 0.5, 2);
+        const third = player.playNote(67, 100, 1, 2);
+
+        // 第一个声部在第三个音符开始时快速淡出
+        expect(first.end).toBeCloseTo(1.03);
+        expect(first.amp.gain.events.at(-1)).toMatchObject({ type: 'target', value: 0, time: 1 });
+        expect(first.oscillators.map(osc => osc.stopTime)).toEqual([first.end, first.end]);
+        expect(second.end).toBeGreaterThan(2.5);
+        expect(third.end).toBeGreaterThan(3);
+    });
+
+    it('已结束的声部不占用复音数', () => {
+        const { player } = createSynth({ voices: 1, release: 0.1 });
+        const first = player.playNote(60, 100, 0, 1);
+        player.playNote(62, 100, 2, 1);
+
+        expect(first.end).toBeCloseTo(1.1);
+        expect(first.amp.gain.events.some(event => event.type === 'target')).toBe(false);
+    });
+
+    it('抢占按开始时间而不是调度顺序', () => {
+        const { player } = createSynth({ voices: 2 });
+        const late = player.playNote(60, 100, 1, 4);
+        const early = player.playNote(64, 100, 0, 4);
+        player.playNote(67, 100, 2, 1);
+
+        expect(early.end).toBeCloseTo(2.03);
+        expect(late.end).toBeGreaterThan(5);
+    });
+
+    it('stopAll 停止所有声部，包括已调度未开始的音符', () => {
+        const { player } = createSynth();
+        const voices = [player.playNote(60, 100, 0, 1), player.playNote(64, 100, 5, 1)];
+        player.context.currentTime = 0.5;
+        player.stopAll();
+
+        voices.forEach(voice => expect(voice.end).toBeCloseTo(0.53));
+    });
+});
+
+describe('Synth 音符', () => {
+    it('振荡器频率由音高与八度决定，电平为 0 的振荡器不创建', () => {
+        const { player } = createSynth({ osc1Octave: -1, osc2Level: 0 });
+        const voice = player.playNote(69, 100, 0, 1);
+
+        expect(voice.oscillators.length).toBe(1);
+        expect(voice.oscillators[0].frequency.value).toBe(220);
+        expect(voice.oscillators[0].type).toBe('sawtooth');
+    });
+
+    it('音量包络按力度缩放，按住时长短于起音时从当时的电平释放', () => {
+        const { player } = createSynth({ attack: 1, decay: 1, sustain: 0.5, release: 0.5 });
+
+        const long = player.playNote(60, 127, 0, 3);
+        expect(long.amp.gain.events).toEqual([
+            { type: 'set', value: 0, time: 0 },
+            { type: 'linear', value: 1, time: 1 },
+            { type: 'linear', value: 0.5, time: 2 },
+            { type: 'set', value: 0.5, time: 3 },
+            { type: 'linear', value: 0, time: 3.5 }
+        ]);
+
+        const short = player.playNote(60, 127, 10, 0.5);
+        expect(short.amp.gain.events.slice(1)).toEqual([
+            { type: 'linear', value: 0.5, time: 10.5 },
+            { type: 'linear', value: 0, time: 11 }
+        ]);
+    });
+
+    it('参数限制在范围内，无效选项被忽略，释放时长计入导出尾音', () => {
+        const synth = new Synth({ cutoff: 50000, osc1Wave: 'noise', voices: 0 });
+
+        expect(synth.params.cutoff).toBe(20000);
+        expect(synth.params.osc1Wave).toBe('sawtooth');
+        expect(synth.params.voices).toBe(1);
+        expect(synth.getTailTime()).toBe(0.3);
+        expect(new Synth(synth.toJSON()).params).toEqual(synth.params);
+    });
+});
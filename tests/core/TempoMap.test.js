@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { TempoMap } from '../../src/core/TempoMap.js';
+
+describe('TempoMap', () => {
+    it('单一速度下秒与拍按 BPM 换算', () => {
+        const map = new TempoMap({ tempo: 120 });
+        expect(map.secondsToBeats(1)).toBeCloseTo(2);
+        expect(map.beatsToSeconds(8)).toBeCloseTo(4);
+    });
+
+    it('速度变化后分段换算，变化点两侧连续', () => {
+        const map = new TempoMap({ tempo: 120 });
+        map.addTempo(4, 60);
+
+        // 前 4 拍 2 秒，之后每拍 1 秒
+        expect(map.beatsToSeconds(4)).toBeCloseTo(2);
+        expect(map.beatsToSeconds(6)).toBeCloseTo(4);
+        expect(map.secondsToBeats(5)).toBeCloseTo(7);
+        expect(map.getTempoAt(1.99)).toBe(120);
+        expect(map.getTempoAt(2)).toBe(60);
+    });
+
+    it('秒与拍的换算互为逆运算', () => {
+        const map = new TempoMap({ tempo: 90 });
+        map.addTempo(3, 150);
+        map.addTempo(10, 70);
+
+        [0, 0.5, 2.9, 3, 7.25, 10, 15.5].forEach(beats => {
+            expect(map.secondsToBeats(map.beatsToSeconds(beats))).toBeCloseTo(beats, 9);
+        });
+    });
+
+    it('拍号变化后小节从新拍号开始计算', () => {
+        const map = new TempoMap({ tempo: 120 });
+        map.setMeter(2, 3, 4);
+
+        expect(map.barToBeats(2)).toBe(8);
+        expect(map.barToBeats(3)).toBe(11);
+        expect(map.getBarAtBeat(10.5).bar).toBe(2);
+        expect(map.getBarAtBeat(11).bar).toBe(3);
+    });
+
+    it('吸附按小节起点计算网格，整小节吸附到较近的小节线', () => {
+        const map = new TempoMap({ tempo: 120 });
+        map.setMeter(1, 3, 4);
+
+        expect(map.snapBeats(1.1, 0.25)).toBeCloseTo(1);
+        expect(map.snapBeats(5.4, Infinity)).toBe(4);
+        expect(map.snapBeats(5.6, Infinity)).toBe(7);
+        expect(map.snap(0.6, 1)).toBeCloseTo(0.5);
+    });
+
+    it('toJSON 与 fromJSON 往返保持事件不变', () => {
+        const map = new TempoMap({ tempo: 100 });
+        map.addTempo(8, 140);
+        map.setMeter(4, 7, 8);
+
+        const restored = TempoMap.fromJSON(map.toJSON());
+        expect(restored.toJSON()).toEqual(map.toJSON());
+        expect(restored.beatsToSeconds(12)).toBeCloseTo(map.beatsToSeconds(12));
+    });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { Track } from '../../src/core/Track.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+
+/**
+ * 在音轨上添加一个音频片段
+ * @param {Track} track - 音轨
+ * @param {number} startTime - 起始时间（秒）
+ * @param {number} duration - 持续时间（秒）
+ * @param {Object} [options] - 其他片段配置
+ * @returns {AudioClip}
+ */
+function addClip(track, startTime, duration, options = {}) {
+    const clip = new AudioClip({ audioBuffer: { duration: 60 }, startTime, duration, ...options });
+    track.addClip(clip);
+    return clip;
+}
+
+describe('Track 声像', () => {
+    it('声像限制在 [-1, 1] 并同步到声像节点', () => {
+        const track = new Track({ name: 'Audio' });
+        track.panNode = { pan: { value: 0 } };
+
+        track.setPan(-2);
+        expect(track.pan).toBe(-1);
+        track.setPan(0.3);
+        expect(track.panNode.pan.value).toBe(0.3);
+    });
+
+    it('toJSON 与 fromJSON 往返保持声像', () => {
+        const track = new Track({ name: 'Audio', pan: 0.75 });
+
+        expect(Track.fromJSON(track.toJSON()).pan).toBe(0.75);
+    });
+});
+
+describe('Track.getClipFades', () => {
+    it('没有重叠时返回片段自身的淡入淡出', () => {
+        const track = new Track();
+        const clip = addClip(track, 0, 4, { fadeIn: 0.5, fadeOut: 1, fadeInCurve: 'exponential' });
+        addClip(track, 4, 4);
+
+        expect(track.getClipFades(clip)).toEqual(clip.getFades());
+    });
+
+    it('部分重叠的区域作为两侧片段的等功率交叉淡化', () => {
+        const track = new Track();
+        const left = addClip(track, 0, 4);
+        const right = addClip(track, 3, 4);
+
+        const leftFades = track.getClipFades(left);
+        const rightFades = track.getClipFades(right);
+        expect(leftFades.fadeOut).toBeCloseTo(1);
+        expect(leftFades.fadeOutCurve).toBe('equal-power');
+        expect(rightFades.fadeIn).toBeCloseTo(1);
+        expect(rightFades.fadeInCurve).toBe('equal-power');
+        expect(leftFades.fadeIn).toBe(0);
+        expect(rightFades.fadeOut).toBe(0);
+    });
+
+    it('手动淡变长于重叠区域时保留手动淡变', () => {
+        const track = new Track();
+        const left = addClip(track, 0, 4, { fadeOut: 2, fadeOutCurve: 'linear' });
+        addClip(track, 3, 4);
+
+        const fades = track.getClipFades(left);
+        expect(fades.fadeOut).toBe(2);
+        expect(fades.fadeOutCurve).toBe('linear');
+    });
+
+    it('完全包含在另一片段中的片段不产生交叉淡化', () => {
+        const track = new Track();
+        const outer = addClip(track, 0, 10);
+        const inner = addClip(track, 2, 3);
+
+        expect(track.getClipFades(outer).fadeIn + track.getClipFades(outer).fadeOut).toBe(0);
+        expect(track.getClipFades(inner).fadeIn + track.getClipFades(inner).fadeOut).toBe(0);
+    });
+
+    it('两端交叉淡化之和超过片段时长时按比例缩短', () => {
+        const track = new Track();
+        addClip(track, 0, 4);
+        const middle = addClip(track, 2, 4);
+        addClip(track, 3, 4);
+
+        // 重叠分别为 2 秒与 3 秒，合计超过 4 秒的片段时长
+        const fades = track.getClipFades(middle);
+        expect(fades.fadeIn + fades.fadeOut).toBeCloseTo(middle.duration);
+        expect(fades.fadeIn / fades.fadeOut).toBeCloseTo(2 / 3);
+    });
+
+    it('不修改片段自身的淡入淡出设置', () => {
+        const track = new Track();
+        const left = addClip(track, 0, 4);
+        addClip(track, 3, 4);
+
+        track.getClipFades(left);
+        expect(left.fadeOut).toBe(0);
+    });
+});
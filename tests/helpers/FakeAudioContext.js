@@ -0,0 +1,295 @@
+/**
+ * 测试用的 Web Audio 替身
+ * 只记录节点之间的连接与参数，不产生声音；用于在 Node 中检查音频图的结构与增益
+ */
+
+/**
+ * AudioParam 替身，按调用顺序记录自动化事件
+ */
+export class FakeAudioParam {
+    /**
+     * @param {number} [value=0] - 初始值
+     */
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) {
+        this.events.push({ type: 'set', value, time });
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.events.push({ type: 'linear', value, time });
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        this.events.push({ type: 'exponential', value, time });
+    }
+
+    setTargetAtTime(value, time, timeConstant) {
+        this.events.push({ type: 'target', value, time, timeConstant });
+    }
+
+    setValueCurveAtTime(values, time, duration) {
+        this.events.push({ type: 'curve', values: Array.from(values), time, duration });
+    }
+
+    cancelScheduledValues(time) {
+        this.events.push({ type: 'cancel', time });
+    }
+}
+
+/**
+ * 记录连接关系的 AudioNode 替身
+ */
+export class FakeAudioNode {
+    /**
+     * @param {FakeAudioContext} context - 所属上下文
+     * @param {string} kind - 节点种类（不使用 type，以免与振荡器、滤波器的 type 属性冲突）
+     */
+    constructor(context, kind) {
+        this.context = context;
+        this.kind = kind;
+        this.outputs = [];
+        context.nodes.push(this);
+    }
+
+    /**
+     * 连接到下一个节点
+     * @param {FakeAudioNode} destination - 目标节点
+     * @returns {FakeAudioNode}
+     */
+    connect(destination) {
+        this.outputs.push(destination);
+        return destination;
+    }
+
+    /**
+     * 断开连接（省略参数时断开全部）
+     * @param {FakeAudioNode} [destination] - 目标节点
+     */
+    disconnect(destination) {
+        this.outputs = destination ? this.outputs.filter(node => node !== destination) : [];
+    }
+}
+
+/**
+ * 音频缓冲替身
+ */
+export class FakeAudioBuffer {
+    /**
+     * @param {Object} options - { numberOfChannels, length, sampleRate }
+     */
+    constructor({ numberOfChannels = 1, length, sampleRate = 44100 }) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    /**
+     * @param {number} channel - 声道序号
+     * @returns {Float32Array}
+     */
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+
+    /**
+     * @param {Float32Array} source - 采样数据
+     * @param {number} channel - 声道序号
+     */
+    copyToChannel(source, channel) {
+        this.channels[channel].set(source);
+    }
+}
+
+/**
+ * 媒体流替身，只有一条带固定设置的音频轨道
+ */
+export class FakeMediaStream {
+    /**
+     * @param {Object} [settings] - 轨道设置（如 { channelCount, latency }）
+     */
+    constructor(settings = { channelCount: 2 }) {
+        this.tracks = [{
+            settings,
+            stopped: false,
+            getSettings() { return this.settings; },
+            stop() { this.stopped = true; }
+        }];
+    }
+
+    getAudioTracks() {
+        return this.tracks;
+    }
+
+    getTracks() {
+        return this.tracks;
+    }
+}
+
+/**
+ * 实时音频上下文替身，currentTime 由测试手动推进
+ */
+export class FakeAudioContext {
+    /**
+     * @param {Object} [options] - { sampleRate }
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.currentTime = 0;
+        this.state = 'running';
+        this.nodes = [];
+        this.destination = new FakeAudioNode(this, 'destination');
+        this.audioWorklet = {
+            modules: [],
+            addModule: async (url) => { this.audioWorklet.modules.push(String(url)); }
+        };
+    }
+
+    /**
+     * 创建带若干 AudioParam 的节点
+     * @param {string} kind - 节点种类
+     * @param {Object} [params] - 参数名到初始值的映射
+     * @returns {FakeAudioNode}
+     */
+    createNode(kind, params = {}) {
+        const node = new FakeAudioNode(this, kind);
+        Object.entries(params).forEach(([name, value]) => {
+            node[name] = new FakeAudioParam(value);
+        });
+        return node;
+    }
+
+    // 各类节点只带有被测代码用到的参数
+
+    createGain() {
+        return this.createNode('gain', { gain: 1 });
+    }
+
+    createStereoPanner() {
+        return this.createNode('stereoPanner', { pan: 0 });
+    }
+
+    createBiquadFilter() {
+        return this.createNode('biquadFilter', { frequency: 350, detune: 0, gain: 0, Q: 1 });
+    }
+
+    createDynamicsCompressor() {
+        return this.createNode('compressor', { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 });
+    }
+
+    createDelay() {
+        return this.createNode('delay', { delayTime: 0 });
+    }
+
+    createConvolver() {
+        return this.createNode('convolver');
+    }
+
+    /**
+     * @returns {FakeAudioNode} 记录 start() / stop() 调用的音频源
+     */
+    createBufferSource() {
+        const node = this.createNode('bufferSource', { playbackRate: 1 });
+        node.buffer = null;
+        node.starts = [];
+        node.stopped = false;
+        node.start = (when = 0, offset = 0, duration) => node.starts.push({ when, offset, duration });
+        node.stop = () => { node.stopped = true; };
+        node.addEventListener = () => {};
+        return node;
+    }
+
+    /**
+     * @returns {FakeAudioNode} 记录 start() / stop() 时间的振荡器
+     */
+    createOscillator() {
+        const node = this.createNode('oscillator', { frequency: 440, detune: 0 });
+        node.type = 'sine';
+        node.startTime = null;
+        node.stopTime = null;
+        node.start = (when = 0) => { node.startTime = when; };
+        node.stop = (when = 0) => { node.stopTime = when; };
+        node.addEventListener = () => {};
+        return node;
+    }
+
+    /**
+     * @returns {FakeAudioNode} 带 stream 属性的媒体流输出节点
+     */
+    createMediaStreamDestination() {
+        const node = new FakeAudioNode(this, 'mediaStreamDestination');
+        node.stream = new FakeMediaStream();
+        return node;
+    }
+
+    /**
+     * @param {FakeMediaStream} mediaStream - 输入流
+     * @returns {FakeAudioNode}
+     */
+    createMediaStreamSource(mediaStream) {
+        const node = new FakeAudioNode(this, 'mediaStreamSource');
+        node.mediaStream = mediaStream;
+        return node;
+    }
+
+    /**
+     * @param {number} numberOfChannels - 声道数
+     * @param {number} length - 帧数
+     * @param {number} sampleRate - 采样率
+     * @returns {FakeAudioBuffer}
+     */
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer({ numberOfChannels, length, sampleRate });
+    }
+
+    /**
+     * 获取指定种类的所有节点
+     * @param {string} kind - 节点种类
+     * @returns {FakeAudioNode[]}
+     */
+    getNodes(kind) {
+        return this.nodes.filter(node => node.kind === kind);
+    }
+}
+
+/**
+ * 离线上下文替身，渲染结果为对应长度的静音缓冲；最近创建的实例保存在 FakeOfflineAudioContext.last
+ */
+export class FakeOfflineAudioContext extends FakeAudioContext {
+    /**
+     * @param {number} numberOfChannels - 声道数
+     * @param {number} length - 帧数
+     * @param {number} sampleRate - 采样率
+     */
+    constructor(numberOfChannels, length, sampleRate) {
+        super({ sampleRate });
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        FakeOfflineAudioContext.last = this;
+    }
+
+    /**
+     * @returns {Promise<FakeAudioBuffer>}
+     */
+    async startRendering() {
+        return this.createBuffer(this.numberOfChannels, this.length, this.sampleRate);
+    }
+}
+
+/**
+ * 计算从一个节点到另一个节点的总增益：每条路径上增益节点的乘积，多条路径相加
+ * @param {FakeAudioNode} from - 起点节点
+ * @param {FakeAudioNode} to - 终点节点
+ * @returns {number}
+ */
+export function getSignalGain(from, to) {
+    if (from === to) return 1;
+
+    const gain = from.gain ? from.gain.value : 1;
+    return from.outputs.reduce((sum, node) => sum + gain * getSignalGain(node, to), 0);
+}
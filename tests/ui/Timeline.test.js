@@ -0,0 +1,338 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Timeline } from '../../src/ui/Timeline.js';
+import { audioEngine } from '../../src/core/AudioEngine.js';
+import { Track } from '../../src/core/Track.js';
+import { AudioClip } from '../../src/core/AudioClip.js';
+import { MidiTrack } from '../../src/core/MidiTrack.js';
+
+/**
+ * 创建不连接 DOM 的时间线，只带有选择逻辑用到的状态
+ * @returns {Timeline}
+ */
+function createTimeline() {
+    const timeline = Object.create(Timeline.prototype);
+    timeline.selectedClips = new Set();
+    timeline.selectedClip = null;
+    timeline.clipElements = new Map();
+    timeline.onClipSelect = null;
+    return timeline;
+}
+
+/**
+ * 创建一条带若干片段的音轨（每个片段长 1 秒）
+ * @param {number[]} startTimes - 各片段的起点（秒）
+ * @returns {Track}
+ */
+function createTrack(startTimes) {
+    const track = new Track({ name: 'Audio' });
+    startTimes.forEach(startTime => {
+        track.addClip(new AudioClip({ audioBuffer: { duration: 10 }, startTime, duration: 1 }));
+    });
+    return track;
+}
+
+/**
+ * 为片段创建带屏幕位置的元素替身（每秒 100 像素，每条音轨高 100 像素）
+ * @param {Timeline} timeline - 时间线
+ * @param {Track[]} tracks - 音轨
+ */
+function layoutClips(timeline, tracks) {
+    tracks.forEach((track, row) => track.clips.forEach(clip => {
+        const rect = { left: clip.startTime * 100, right: (clip.startTime + clip.duration) * 100, top: row * 100, bottom: row * 100 + 80 };
+        timeline.clipElements.set(clip.id, { classList: { toggle: () => {} }, getBoundingClientRect: () => rect });
+    }));
+}
+
+describe('Timeline 多选', () => {
+    it('单击替换选择，Shift/Ctrl 单击切换单个片段', () => {
+        const timeline = createTimeline();
+        const [a, b, c] = createTrack([0, 2, 4]).clips;
+
+        timeline.selectClip(a);
+        timeline.selectClip(c, true);
+        timeline.selectClip(b, true);
+        expect(timeline.getSelectedClips()).toEqual([a, b, c]);
+        expect(timeline.selectedClip).toBe(b);
+
+        timeline.selectClip(b, true);
+        expect(timeline.getSelectedClips()).toEqual([a, c]);
+        expect(b.selected).toBe(false);
+        expect(timeline.selectedClip).toBe(c);
+
+        timeline.selectClip(a);
+        expect(timeline.getSelectedClips()).toEqual([a]);
+        expect(c.selected).toBe(false);
+    });
+
+    it('替换选择时仍被选中的主片段保持不变', () => {
+        const timeline = createTimeline();
+        const [a, b, c] = createTrack([0, 2, 4]).clips;
+
+        timeline.selectClip(b);
+        timeline.setSelection([a, b]);
+        expect(timeline.selectedClip).toBe(b);
+
+        timeline.setSelection([c, a]);
+        expect(timeline.selectedClip).toBe(a);
+        expect(b.selected).toBe(false);
+
+        timeline.deselectClip();
+        expect(timeline.getSelectedClips()).toEqual([]);
+        expect(timeline.selectedClip).toBeNull();
+    });
+
+    describe('全选与框选', () => {
+        let tracks;
+        let listeners;
+
+        beforeEach(() => {
+            tracks = [createTrack([0, 2]), createTrack([1, 3])];
+            audioEngine.tracks = tracks;
+
+            listeners = {};
+            vi.stubGlobal('document', {
+                body: { appendChild: () => {} },
+                createElement: () => ({ style: {}, remove: () => {} }),
+                addEventListener: (type, listener) => { listeners[type] = listener; },
+                removeEventListener: (type) => { delete listeners[type]; }
+            });
+        });
+
+        afterEach(() => {
+            audioEngine.tracks = [];
+            vi.unstubAllGlobals();
+        });
+
+        it('全选包含所有音轨上的片段', () => {
+            const timeline = createTimeline();
+            timeline.selectAll();
+
+            expect(timeline.getSelectedClips().length).toBe(4);
+        });
+
+        it('框选跨音轨选中与框相交的片段，Shift 框选追加到已有选择', () => {
+            const timeline = createTimeline();
+            layoutClips(timeline, tracks);
+            const [first, second] = tracks[0].clips;
+            const [third] = tracks[1].clips;
+
+            // 从 (50, 50) 拖到 (150, 150)：相交的是第一条音轨 0 秒与第二条音轨 1 秒的片段
+            timeline.startMarqueeSelection({ clientX: 50, clientY: 50 });
+            listeners.mousemove({ clientX: 150, clientY: 150 });
+            listeners.mouseup();
+            expect(timeline.getSelectedClips()).toEqual([first, third]);
+
+            timeline.startMarqueeSelection({ clientX: 250, clientY: 10, shiftKey: true });
+            listeners.mousemove({ clientX: 260, clientY: 20 });
+            listeners.mouseup();
+            expect(timeline.getSelectedClips()).toEqual([first, third, second]);
+        });
+
+        it('未拖动的单击取消选择', () => {
+            const timeline = createTimeline();
+            timeline.selectAll();
+
+            timeline.startMarqueeSelection({ clientX: 50, clientY: 50 });
+            listeners.mousemove({ clientX: 51, clientY: 50 });
+            listeners.mouseup();
+            expect(timeline.getSelectedClips()).toEqual([]);
+        });
+    });
+});
+
+describe('Timeline 吸附网格', () => {
+    /**
+     * 创建使用指定网格的时间线（不绘制网格线）
+     * @param {string} division - 网格选项
+     * @returns {Timeline}
+     */
+    function createGridTimeline(division) {
+        const timeline = createTimeline();
+        timeline.drawGrid = () => {};
+        timeline.setGrid(division);
+        return timeline;
+    }
+
+    it('三连音网格把一拍等分为三份', () => {
+        // 120 BPM：一拍 0.5 秒，1/8T 为 1/6 秒，1/16T 为 1/12 秒
+        const eighthTriplet = createGridTimeline('1/8T');
+        expect(eighthTriplet.snapTime(0.3)).toBeCloseTo(1 / 3);
+        expect(eighthTriplet.snapTime(0.45)).toBeCloseTo(0.5);
+
+        const sixteenthTriplet = createGridTimeline('1/16T');
+        expect(sixteenthTriplet.snapTime(0.2)).toBeCloseTo(1 / 6);
+        expect(sixteenthTriplet.snapTime(1.04)).toBeCloseTo(1);
+    });
+
+    it('小节网格与直拍网格按拍换算为秒', () => {
+        expect(createGridTimeline('bar').snapTime(1.2)).toBe(2);
+        expect(createGridTimeline('1/8').snapTime(0.7)).toBe(0.75);
+    });
+
+    it('关闭吸附或按住 Shift 时保持原值，无效选项被忽略', () => {
+        const timeline = createGridTimeline('1/4');
+        expect(timeline.snap(0.7, { shiftKey: true })).toBe(0.7);
+        expect(timeline.snap(0.7)).toBe(0.5);
+
+        timeline.setGrid('1/5');
+        expect(timeline.gridDivision).toBe('1/4');
+
+        timeline.setGrid('off');
+        expect(timeline.snap(0.7)).toBe(0.7);
+        expect(timeline.gridDivision).toBe('off');
+    });
+
+    it('移动片段时起点与终点中离网格更近的一端对齐', () => {
+        const timeline = createGridTimeline('1/4');
+
+        // 终点 2.05 离网格 0.05，比起点 1.3 离网格 0.2 更近
+        expect(timeline.snapClipStart(1.3, 0.75, {})).toBeCloseTo(1.25);
+        expect(timeline.snapClipStart(1.05, 0.75, {})).toBeCloseTo(1);
+        expect(timeline.snapClipStart(1.3, 0.75, { shiftKey: true })).toBe(1.3);
+    });
+});
+
+describe('Timeline 循环区域', () => {
+    let listeners;
+
+    beforeEach(() => {
+        listeners = {};
+        vi.stubGlobal('document', {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type) => { delete listeners[type]; }
+        });
+    });
+
+    afterEach(() => {
+        audioEngine.loopRegion = null;
+        audioEngine.loopEnabled = false;
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    /**
+     * 创建带时间尺替身的时间线（每秒 100 像素，关闭吸附）
+     * @returns {Timeline}
+     */
+    function createRulerTimeline() {
+        const timeline = createTimeline();
+        timeline.pixelsPerSecond = 100;
+        timeline.snapToGrid = false;
+        timeline.pendingLoopRegion = null;
+        timeline.timeRuler = { getBoundingClientRect: () => ({ left: 0 }) };
+        timeline.drawRuler = vi.fn();
+        return timeline;
+    }
+
+    it('拖动中只绘制待定区域，松开时设置一次循环区域并开启循环', () => {
+        const timeline = createRulerTimeline();
+        const setLoopRegion = vi.spyOn(audioEngine, 'setLoopRegion');
+        const onLoopRegionChange = vi.fn();
+        timeline.onLoopRegionChange = onLoopRegionChange;
+
+        timeline.handleRulerMouseDown({ button: 0, clientX: 300, preventDefault: () => {} });
+        listeners.mousemove({ clientX: 200 });
+        listeners.mousemove({ clientX: 100 });
+
+        expect(timeline.pendingLoopRegion).toEqual({ start: 1, end: 3 });
+        expect(timeline.drawRuler).toHaveBeenCalledTimes(2);
+        expect(setLoopRegion).not.toHaveBeenCalled();
+        expect(audioEngine.loopRegion).toBeNull();
+
+        listeners.mouseup({ clientX: 100 });
+
+        expect(setLoopRegion).toHaveBeenCalledTimes(1);
+        expect(setLoopRegion).toHaveBeenCalledWith(1, 3);
+        expect(audioEngine.loopRegion).toEqual({ start: 1, end: 3 });
+        expect(audioEngine.loopEnabled).toBe(true);
+        expect(timeline.pendingLoopRegion).toBeNull();
+        expect(onLoopRegionChange).toHaveBeenCalledTimes(1);
+        expect(onLoopRegionChange).toHaveBeenCalledWith({ region: null, enabled: false });
+    });
+
+    it('未拖动的单击只定位播放头，不改变循环区域', () => {
+        const timeline = createRulerTimeline();
+        const seekTo = vi.spyOn(audioEngine, 'seekTo').mockImplementation(() => {});
+        timeline.updatePlayhead = vi.fn();
+        timeline.onLoopRegionChange = vi.fn();
+
+        timeline.handleRulerMouseDown({ button: 0, clientX: 150, preventDefault: () => {} });
+        listeners.mousemove({ clientX: 152 });
+        listeners.mouseup({ clientX: 152 });
+
+        expect(seekTo).toHaveBeenCalledWith(1.52);
+        expect(timeline.onLoopRegionChange).not.toHaveBeenCalled();
+        expect(audioEngine.loopRegion).toBeNull();
+    });
+});
+
+describe('Timeline 右键菜单', () => {
+    /**
+     * 创建记录 showMenu() 调用的时间线（每秒 100 像素，关闭吸附）
+     * @returns {Timeline}
+     */
+    function createMenuTimeline() {
+        const timeline = createTimeline();
+        timeline.pixelsPerSecond = 100;
+        timeline.snapToGrid = false;
+        timeline.trackElements = new Map();
+        timeline.drawTrackFades = () => {};
+        timeline.showMenu = vi.fn();
+        return timeline;
+    }
+
+    /**
+     * 获取最近一次显示的菜单中指定文字的菜单项
+     * @param {Timeline} timeline - 时间线
+     * @param {string} text - 菜单项文字的一部分
+     * @returns {{label: string, action: Function, shortcut?: string}}
+     */
+    function findItem(timeline, text) {
+        const items = timeline.showMenu.mock.calls.at(-1)[2];
+        return items.find(item => item.label.includes(text));
+    }
+
+    it('片段菜单通过 showMenu 显示，菜单项带快捷键并以点击位置分割', () => {
+        const timeline = createMenuTimeline();
+        const [clip] = createTrack([1]).clips;
+        timeline.clipElements.set(clip.id, { getBoundingClientRect: () => ({ left: 100 }) });
+        timeline.onContextMenuAction = vi.fn();
+
+        timeline.showContextMenu(150, 20, clip);
+
+        expect(timeline.showMenu).toHaveBeenCalledWith(150, 20, expect.any(Array));
+        const split = findItem(timeline, '分割');
+        expect(split.shortcut).toBe('S');
+        split.action();
+        expect(timeline.onContextMenuAction).toHaveBeenCalledWith('split', clip, 1.5);
+    });
+
+    it('轨道菜单按音轨类型追加菜单项并传回点击位置的时间', () => {
+        const timeline = createMenuTimeline();
+        const track = new MidiTrack({ name: 'Keys' });
+        timeline.trackElements.set(track.id, { getBoundingClientRect: () => ({ left: 0 }) });
+        timeline.onTrackContextMenuAction = vi.fn();
+
+        timeline.showTrackContextMenu(250, 40, track, { clientX: 250 });
+
+        findItem(timeline, '新建 MIDI 片段').action();
+        expect(timeline.onTrackContextMenuAction).toHaveBeenCalledWith('add-midi-clip', track, 2.5);
+    });
+
+    it('淡变曲线菜单标记当前曲线，选择后记录修改前的淡变', () => {
+        const timeline = createMenuTimeline();
+        const [clip] = createTrack([0]).clips;
+        clip.setFadeIn(0.5);
+        const previous = clip.getFades();
+        timeline.onClipFadeChange = vi.fn();
+
+        timeline.showFadeCurveMenu(0, 0, clip, 'in');
+        const checked = timeline.showMenu.mock.calls[0][2].filter(item => item.label.startsWith('✓'));
+        expect(checked.length).toBe(1);
+
+        findItem(timeline, '移除淡入').action();
+
+        expect(clip.fadeIn).toBe(0);
+        expect(timeline.onClipFadeChange).toHaveBeenCalledWith(clip, previous, '移除淡入');
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { detectBeats } from '../../src/utils/beatDetection.js';
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * 在指定位置叠加一个指数衰减的正弦短音
+ * @param {Float32Array} data - 采样数据
+ * @param {number} time - 起点（秒）
+ * @param {number} frequency - 频率（Hz）
+ * @param {number} amplitude - 振幅
+ * @param {number} decay - 衰减时间常数（秒）
+ */
+function addClick(data, time, frequency, amplitude, decay) {
+    const start = Math.round(time * SAMPLE_RATE);
+    const length = Math.min(data.length - start, Math.round(decay * 5 * SAMPLE_RATE));
+    for (let i = 0; i < length; i++) {
+        const t = i / SAMPLE_RATE;
+        data[start + i] += amplitude * Math.exp(-t / decay) * Math.sin(2 * Math.PI * frequency * t);
+    }
+}
+
+/**
+ * 生成 4/4 拍的咔哒声音轨：小节首拍为低频重音，其余拍为高频轻音
+ * @param {Object} options - 配置
+ * @param {number} options.bpm - 速度
+ * @param {number} options.start - 第一拍的时间（秒）
+ * @param {number} options.duration - 总时长（秒）
+ * @returns {{ data: Float32Array, beats: number[] }} 采样与各拍时间
+ */
+function createClickTrack({ bpm, start, duration }) {
+    const data = new Float32Array(Math.round(duration * SAMPLE_RATE));
+    const beats = [];
+    for (let beat = 0, time = start; time < duration - 0.2; beat++, time = start + beat * 60 / bpm) {
+        if (beat % 4 === 0) {
+            addClick(data, time, 80, 0.9, 0.05);
+        } else {
+            addClick(data, time, 2000, 0.3, 0.005);
+        }
+        beats.push(time);
+    }
+    return { data, beats };
+}
+
+describe('detectBeats', () => {
+    it('从咔哒声音轨检测出速度与第一个强拍', () => {
+        const { data } = createClickTrack({ bpm: 128, start: 0.75, duration: 16 });
+        const result = detectBeats([data], SAMPLE_RATE);
+
+        expect(Math.abs(result.bpm - 128)).toBeLessThan(1);
+        expect(result.confidence).toBeGreaterThan(0);
+        expect(Math.abs(result.downbeat - 0.75)).toBeLessThan(0.02);
+    });
+
+    it('强拍不在第一拍时仍按重音找到小节起点', () => {
+        // 第一小节从第 2 拍开始（弱起）：第一个重音位于第 4 拍之后
+        const bpm = 100;
+        const { data } = createClickTrack({ bpm, start: 0.5, duration: 16 });
+        const pickup = new Float32Array(data.length);
+        pickup.set(data.subarray(0, data.length - Math.round(60 / bpm * SAMPLE_RATE)), Math.round(60 / bpm * SAMPLE_RATE));
+        // 在 0.5 秒补一个轻音，使重音落在 0.5 + 0.6 秒
+        addClick(pickup, 0.5, 2000, 0.3, 0.005);
+
+        const result = detectBeats([pickup], SAMPLE_RATE);
+        expect(Math.abs(result.bpm - bpm)).toBeLessThan(1);
+        expect(Math.abs(result.downbeat - 1.1)).toBeLessThan(0.02);
+    });
+
+    it('每个咔哒声对应一个瞬态', () => {
+        const { data, beats } = createClickTrack({ bpm: 120, start: 0.25, duration: 8 });
+        const { transients } = detectBeats([data], SAMPLE_RATE);
+
+        expect(transients.length).toBe(beats.length);
+        transients.forEach((time, i) => {
+            expect(Math.abs(time - beats[i])).toBeLessThan(0.02);
+        });
+    });
+
+    it('音频过短或静音时不给出速度', () => {
+        const short = createClickTrack({ bpm: 120, start: 0, duration: 2 }).data;
+        expect(detectBeats([short], SAMPLE_RATE)).toMatchObject({ bpm: null, downbeat: null });
+
+        const silence = detectBeats([new Float32Array(SAMPLE_RATE * 10)], SAMPLE_RATE);
+        expect(silence).toEqual({ bpm: null, confidence: 0, downbeat: null, transients: [] });
+    });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import { buildPeakLevels, readPeaks, PEAK_LEVEL_SIZES } from '../../src/utils/peaks.js';
+
+/**
+ * 生成确定的伪随机采样（范围 [-1, 1)）
+ * @param {number} length - 采样数
+ * @returns {Float32Array}
+ */
+function createNoise(length) {
+    let seed = 1;
+    return Float32Array.from({ length }, () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 1073741824 - 1;
+    });
+}
+
+/**
+ * 直接扫描采样计算区间的最小/最大值（与峰值一样以 0 为初值）
+ * @param {Float32Array} data - 采样
+ * @param {number} start - 起始采样
+ * @param {number} end - 结束采样（不含）
+ * @returns {{min: number, max: number}}
+ */
+function scan(data, start, end) {
+    let min = 0;
+    let max = 0;
+    for (let i = start; i < end; i++) {
+        min = Math.min(min, data[i]);
+        max = Math.max(max, data[i]);
+    }
+    return { min, max };
+}
+
+describe('buildPeakLevels', () => {
+    it('每一级的点数为采样数除以该级大小（向上取整）', () => {
+        const data = createNoise(10000);
+        const levels = buildPeakLevels([data]);
+
+        expect(levels.map(level => level.size)).toEqual(PEAK_LEVEL_SIZES);
+        expect(levels.map(level => level.channels[0].max.length)).toEqual([157, 40, 10, 3, 1]);
+    });
+
+    it('由上一级合并得到的峰值与直接扫描采样一致', () => {
+        const data = createNoise(5000);
+        const levels = buildPeakLevels([data], [4, 16, 64]);
+
+        levels.forEach(({ size, channels: [peaks] }) => {
+            for (let i = 0; i < peaks.max.length; i++) {
+                const expected = scan(data, i * size, Math.min((i + 1) * size, data.length));
+                expect(peaks.min[i]).toBe(expected.min);
+                expect(peaks.max[i]).toBe(expected.max);
+            }
+        });
+    });
+
+    it('各声道分别计算', () => {
+        const [level] = buildPeakLevels([new Float32Array(8).fill(0.5), new Float32Array(8).fill(-0.5)], [4]);
+
+        expect(Array.from(level.channels[0].max)).toEqual([0.5, 0.5]);
+        expect(Array.from(level.channels[1].min)).toEqual([-0.5, -0.5]);
+    });
+});
+
+describe('readPeaks', () => {
+    it('读取结果与直接扫描采样一致', () => {
+        const data = createNoise(20000);
+        const levels = buildPeakLevels([data], [4, 16, 64]);
+        const [peaks] = readPeaks(levels, [data], 256, 16640, 64);
+
+        // 每点 256 个采样，选用 64 一级，边界对齐时结果精确
+        for (let i = 0; i < 64; i++) {
+            const expected = scan(data, 256 + i * 256, 256 + (i + 1) * 256);
+            expect(peaks.min[i]).toBe(expected.min);
+            expect(peaks.max[i]).toBe(expected.max);
+        }
+    });
+
+    it('选用不细于目标分辨率的最粗一级', () => {
+        const data = new Float32Array(64);
+        data[5] = 1;
+        const levels = buildPeakLevels([data], [4, 16]);
+
+        // 每点 8 个采样：使用 4 一级，峰值只落在包含第 5 个采样的点上
+        expect(Array.from(readPeaks(levels, [data], 0, 64, 8)[0].max)).toEqual([1, 0, 0, 0, 0, 0, 0, 0]);
+        // 每点 32 个采样：使用 16 一级
+        expect(Array.from(readPeaks(levels, [data], 0, 64, 2)[0].max)).toEqual([1, 0]);
+    });
+
+    it('目标分辨率比第一级更细时直接读取采样', () => {
+        const data = Float32Array.from([0.1, -0.2, 0.3, -0.4]);
+        const levels = buildPeakLevels([data], [4]);
+        const [peaks] = readPeaks(levels, [data], 0, 4, 4);
+
+        expect(Array.from(peaks.max)).toEqual([0.1, 0, 0.3, 0].map(Math.fround));
+        expect(Array.from(peaks.min)).toEqual([0, -0.2, 0, -0.4].map(Math.fround));
+    });
+});
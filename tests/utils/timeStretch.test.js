@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { semitonesToRatio, wsolaStretch, stretchChannels } from '../../src/utils/timeStretch.js';
+
+const SAMPLE_RATE = 8000;
+
+/**
+ * 生成正弦波
+ * @param {number} frequency - 频率（Hz）
+ * @param {number} duration - 时长（秒）
+ * @returns {Float32Array}
+ */
+function createSine(frequency, duration) {
+    return Float32Array.from({ length: Math.round(duration * SAMPLE_RATE) },
+        (_, i) => Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+
+/**
+ * 由中段的上升过零次数估算频率（避开首尾的半帧）
+ * @param {Float32Array} data - 采样数据
+ * @returns {number} 频率（Hz）
+ */
+function estimateFrequency(data) {
+    const from = Math.round(data.length * 0.1);
+    const to = Math.round(data.length * 0.9);
+    let crossings = 0;
+    for (let i = from + 1; i < to; i++) {
+        if (data[i - 1] < 0 && data[i] >= 0) crossings++;
+    }
+    return crossings / ((to - from) / SAMPLE_RATE);
+}
+
+describe('timeStretch', () => {
+    it('半音换算为频率比，12 个半音为一个八度', () => {
+        expect(semitonesToRatio(0)).toBe(1);
+        expect(semitonesToRatio(12)).toBe(2);
+        expect(semitonesToRatio(-12)).toBe(0.5);
+        expect(semitonesToRatio(7)).toBeCloseTo(1.4983, 4);
+    });
+
+    it('WSOLA 伸缩按倍数改变长度而不改变音高', () => {
+        const input = createSine(200, 1);
+
+        [0.5, 1.5, 2].forEach(stretch => {
+            const [output] = wsolaStretch([input], stretch, SAMPLE_RATE);
+            expect(output.length).toBe(Math.round(input.length * stretch));
+            expect(estimateFrequency(output)).toBeCloseTo(200, -1);
+        });
+    });
+
+    it('所有声道使用相同的拼接位置，保持声道间关系', () => {
+        const left = createSine(200, 0.5);
+        const right = left.map(value => value * 0.5);
+        const [outLeft, outRight] = wsolaStretch([left, right], 1.5, SAMPLE_RATE);
+
+        for (let i = 0; i < outLeft.length; i += 97) {
+            expect(outRight[i]).toBeCloseTo(outLeft[i] * 0.5, 5);
+        }
+    });
+
+    it('变调保持目标时长并按半音改变音高', () => {
+        const input = createSine(200, 1);
+        const [up] = stretchChannels([input], { stretch: 1, semitones: 12, sampleRate: SAMPLE_RATE });
+        const [slower] = stretchChannels([input], { stretch: 1.25, semitones: -12, sampleRate: SAMPLE_RATE });
+
+        expect(up.length).toBe(input.length);
+        expect(estimateFrequency(up)).toBeCloseTo(400, -1);
+        expect(slower.length).toBe(Math.round(input.length * 1.25));
+        expect(estimateFrequency(slower)).toBeCloseTo(100, -1);
+    });
+
+    it('输入短于一帧时直接按目标长度复制', () => {
+        const [output] = wsolaStretch([Float32Array.from([1, 2, 3, 4])], 2, SAMPLE_RATE);
+
+        expect(Array.from(output)).toEqual([1, 2, 3, 4, 0, 0, 0, 0]);
+    });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { encodeWav } from '../../src/utils/wav.js';
+
+/**
+ * 创建双声道音频缓冲
+ * @param {number[]} left - 左声道采样
+ * @param {number[]} right - 右声道采样
+ * @returns {Object}
+ */
+function createBuffer(left, right) {
+    const channels = [Float32Array.from(left), Float32Array.from(right)];
+    return {
+        numberOfChannels: 2,
+        sampleRate: 44100,
+        length: left.length,
+        getChannelData: (c) => channels[c]
+    };
+}
+
+/**
+ * 读取 ASCII 字符串
+ * @param {DataView} view - 数据视图
+ * @param {number} offset - 起始位置
+ * @param {number} length - 长度
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+    return String.fromCharCode(...new Uint8Array(view.buffer, offset, length));
+}
+
+describe('encodeWav', () => {
+    it('写入 RIFF/WAVE 头与 fmt、data 块', () => {
+        const view = new DataView(encodeWav(createBuffer([0, 0.5], [0, -0.5]), { bitDepth: 24 }));
+
+        expect(readString(view, 0, 4)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+        expect(readString(view, 8, 4)).toBe('WAVE');
+        expect(readString(view, 12, 4)).toBe('fmt ');
+        expect(view.getUint16(20, true)).toBe(1);
+        expect(view.getUint16(22, true)).toBe(2);
+        expect(view.getUint32(24, true)).toBe(44100);
+        expect(view.getUint32(28, true)).toBe(44100 * 6);
+        expect(view.getUint16(32, true)).toBe(6);
+        expect(view.getUint16(34, true)).toBe(24);
+        expect(readString(view, 36, 4)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(2 * 6);
+    });
+
+    it('16 位采样交错写入并限制在 [-1, 1]', () => {
+        const view = new DataView(encodeWav(createBuffer([1, -2], [0.5, -1])));
+
+        expect(view.getInt16(44, true)).toBe(0x7FFF);
+        expect(view.getInt16(46, true)).toBe(Math.trunc(0.5 * 0x7FFF));
+        expect(view.getInt16(48, true)).toBe(-0x8000);
+        expect(view.getInt16(50, true)).toBe(-0x8000);
+    });
+
+    it('24 位采样以小端三字节写入', () => {
+        const view = new DataView(encodeWav(createBuffer([1, -1], [0, -0.5]), { bitDepth: 24 }));
+        const read24 = (offset) => {
+            const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getUint8(offset + 2) << 16);
+            return value & 0x800000 ? value - 0x1000000 : value;
+        };
+
+        expect(read24(44)).toBe(0x7FFFFF);
+        expect(read24(47)).toBe(0);
+        expect(read24(50)).toBe(-0x800000);
+        expect(read24(53)).toBe(-0x400000);
+    });
+
+    it('32 位浮点保留超出 [-1, 1] 的采样', () => {
+        const view = new DataView(encodeWav(createBuffer([1.5], [-0.25]), { bitDepth: 32 }));
+
+        expect(view.getUint16(20, true)).toBe(3);
+        expect(view.getFloat32(44, true)).toBe(1.5);
+        expect(view.getFloat32(48, true)).toBe(-0.25);
+    });
+
+    it('不支持的位深抛出错误', () => {
+        expect(() => encodeWav(createBuffer([0], [0]), { bitDepth: 8 })).toThrow('Unsupported WAV bit depth: 8');
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { createZip, readZip, isZip } from '../../src/utils/zip.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * 读取 ASCII/UTF-8 字符串
+ * @param {DataView} view - 数据视图
+ * @param {number} offset - 起始位置
+ * @param {number} length - 长度
+ * @returns {string}
+ */
+function readString(view, offset, length) {
+    return decoder.decode(new Uint8Array(view.buffer, offset, length));
+}
+
+describe('createZip', () => {
+    it('每个文件写入本地文件头、文件名与原始数据（仅存储）', async () => {
+        const view = new DataView(await createZip([
+            { name: '01 - 鼓.wav', data: encoder.encode('123456789') }
+        ]).arrayBuffer());
+        const nameLength = view.getUint16(26, true);
+
+        expect(view.getUint32(0, true)).toBe(0x04034B50);
+        expect(view.getUint16(8, true)).toBe(0);
+        expect(view.getUint32(14, true)).toBe(0xCBF43926);
+        expect(view.getUint32(18, true)).toBe(9);
+        expect(view.getUint32(22, true)).toBe(9);
+        expect(readString(view, 30, nameLength)).toBe('01 - 鼓.wav');
+        expect(readString(view, 30 + nameLength, 9)).toBe('123456789');
+    });
+
+    it('中央目录记录各文件头的位置，结束记录包含文件数量与目录位置', async () => {
+        const view = new DataView(await createZip([
+            { name: 'a.wav', data: new Uint8Array([1, 2, 3]) },
+            { name: 'b.wav', data: new Uint8Array([4, 5]).buffer }
+        ]).arrayBuffer());
+        const end = view.byteLength - 22;
+        const directoryOffset = view.getUint32(end + 16, true);
+
+        expect(view.getUint32(end, true)).toBe(0x06054B50);
+        expect(view.getUint16(end + 10, true)).toBe(2);
+        expect(directoryOffset).toBe((30 + 5 + 3) + (30 + 5 + 2));
+
+        // 第二条中央目录记录指向第二个本地文件头
+        const second = directoryOffset + 46 + 5;
+        expect(view.getUint32(second, true)).toBe(0x02014B50);
+        expect(view.getUint32(second + 42, true)).toBe(30 + 5 + 3);
+        expect(readString(view, second + 46, 5)).toBe('b.wav');
+    });
+
+    it('空文件列表生成只含目录结束记录的 ZIP', async () => {
+        const buffer = await createZip([]).arrayBuffer();
+
+        expect(buffer.byteLength).toBe(22);
+        expect(new DataView(buffer).getUint16(10, true)).toBe(0);
+        expect(readZip(buffer).size).toBe(0);
+    });
+});
+
+describe('readZip', () => {
+    it('读回 createZip 生成的文件', async () => {
+        const audio = Uint8Array.from({ length: 1000 }, (_, i) => i % 256);
+        const buffer = await createZip([
+            { name: 'project.json', data: encoder.encode('{"name":"测试"}') },
+            { name: 'sources/source_1.wav', data: audio.buffer }
+        ]).arrayBuffer();
+
+        expect(isZip(buffer)).toBe(true);
+
+        const files = readZip(buffer);
+        expect([...files.keys()]).toEqual(['project.json', 'sources/source_1.wav']);
+        expect(decoder.decode(files.get('project.json'))).toBe('{"name":"测试"}');
+        expect(files.get('sources/source_1.wav')).toEqual(audio);
+    });
+
+    it('读取的条目各自拥有独立的缓冲区（可以单独转移给解码器）', async () => {
+        const buffer = await createZip([
+            { name: 'a.bin', data: new Uint8Array([1, 2, 3]) },
+            { name: 'b.bin', data: new Uint8Array([4, 5]) }
+        ]).arrayBuffer();
+        const files = readZip(buffer);
+
+        expect(files.get('a.bin').buffer.byteLength).toBe(3);
+        expect(files.get('b.bin').buffer.byteLength).toBe(2);
+    });
+
+    it('非 ZIP 数据被识别并拒绝读取', () => {
+        const buffer = encoder.encode('{"format":"qanyi-project"}').buffer;
+
+        expect(isZip(buffer)).toBe(false);
+        expect(() => readZip(buffer)).toThrow('Invalid ZIP file');
+    });
+});